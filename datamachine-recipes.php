@@ -41,11 +41,66 @@ if ( file_exists( DATAMACHINE_RECIPES_PLUGIN_DIR . 'vendor/autoload.php' ) ) {
 function datamachine_recipes_init() {
     load_plugin_textdomain( 'datamachine-recipes', false, dirname( plugin_basename( __FILE__ ) ) . '/languages' );
     
+    // Register plugin settings
+    if ( class_exists( 'DataMachineRecipes\Settings\RecipeSettings' ) ) {
+        DataMachineRecipes\Settings\RecipeSettings::register();
+    }
+
     // Register Recipe Schema Block
     if ( class_exists( 'DataMachineRecipes\Blocks\RecipeSchemaBlock' ) ) {
         DataMachineRecipes\Blocks\RecipeSchemaBlock::register();
     }
 
+    // Render Recipe Schema blocks saved under the legacy namespace
+    if ( class_exists( 'DataMachineRecipes\Blocks\BlockMigrator' ) ) {
+        DataMachineRecipes\Blocks\BlockMigrator::register();
+    }
+
+    // Register Recipe Finder Block
+    if ( class_exists( 'DataMachineRecipes\Blocks\RecipeFinderBlock' ) ) {
+        DataMachineRecipes\Blocks\RecipeFinderBlock::register();
+    }
+
+    // Register Recipe Roundup Block
+    if ( class_exists( 'DataMachineRecipes\Blocks\RecipeRoundupBlock' ) ) {
+        DataMachineRecipes\Blocks\RecipeRoundupBlock::register();
+    }
+
+    // Register the recipe print view
+    if ( class_exists( 'DataMachineRecipes\Blocks\RecipePrint' ) ) {
+        DataMachineRecipes\Blocks\RecipePrint::register();
+    }
+
+    // Mirror recipe data into post meta for queries
+    if ( class_exists( 'DataMachineRecipes\Recipe\RecipeMeta' ) ) {
+        DataMachineRecipes\Recipe\RecipeMeta::register();
+    }
+
+    // Drop cached recipe finder facets when recipes change
+    if ( class_exists( 'DataMachineRecipes\Recipe\RecipeSearch' ) ) {
+        DataMachineRecipes\Recipe\RecipeSearch::register();
+    }
+
+    // Register the cropped recipe image sizes
+    if ( class_exists( 'DataMachineRecipes\Recipe\RecipeImages' ) ) {
+        DataMachineRecipes\Recipe\RecipeImages::register();
+    }
+
+    // Keep reader ratings and the recipe rating meta in step
+    if ( class_exists( 'DataMachineRecipes\Recipe\RecipeReviews' ) ) {
+        DataMachineRecipes\Recipe\RecipeReviews::register();
+    }
+
+    // Add recipes to the Yoast SEO and Rank Math schema graphs
+    if ( class_exists( 'DataMachineRecipes\Integrations\SeoGraph' ) ) {
+        DataMachineRecipes\Integrations\SeoGraph::register();
+    }
+
+    // Register the recipes REST API
+    if ( class_exists( 'DataMachineRecipes\Api\RecipesController' ) ) {
+        DataMachineRecipes\Api\RecipesController::register();
+    }
+
     // Register handlers
     if ( class_exists( 'DataMachineRecipes\Handlers\WordPressRecipePublish\WordPressRecipePublish' ) ) {
         DataMachineRecipes\Handlers\WordPressRecipePublish\WordPressRecipePublish::register();
@@ -79,4 +134,8 @@ function datamachine_recipes_deactivate() {
 register_activation_hook( __FILE__, 'datamachine_recipes_activate' );
 register_deactivation_hook( __FILE__, 'datamachine_recipes_deactivate' );
 
-add_action( 'init', 'datamachine_recipes_init' );
\ No newline at end of file
+add_action( 'init', 'datamachine_recipes_init' );
+
+if ( defined( 'WP_CLI' ) && WP_CLI && class_exists( 'DataMachineRecipes\Cli\RecipeCommand' ) ) {
+    WP_CLI::add_command( 'datamachine-recipes', 'DataMachineRecipes\Cli\RecipeCommand' );
+}
\ No newline at end of file
@@ -0,0 +1,623 @@
+<?php
+namespace DataMachineRecipes\Api;
+
+use DataMachineRecipes\Blocks\BlockMigrator;
+use DataMachineRecipes\Blocks\RecipeSchemaBlock;
+use DataMachineRecipes\Recipe\Duration;
+use DataMachineRecipes\Recipe\Ingredients;
+use DataMachineRecipes\Recipe\Instructions;
+use DataMachineRecipes\Recipe\RecipeReviews;
+use DataMachineRecipes\Recipe\RecipeSearch;
+use DataMachineRecipes\Recipe\Validator;
+use WP_Error;
+use WP_REST_Response;
+use WP_REST_Server;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * REST API for recipe data.
+ *
+ * Reads and updates Recipe Schema block attributes without parsing post
+ * content on the client, and searches published recipes for the Recipe
+ * Finder block:
+ *
+ *     GET   /datamachine-recipes/v1/recipes?diet[]=VeganDiet&max_minutes=30
+ *     GET   /datamachine-recipes/v1/recipes/{post_id}?recipe=2
+ *     PATCH /datamachine-recipes/v1/recipes/{post_id}  { "recipe": 2, "attributes": { ... } }
+ *     POST  /datamachine-recipes/v1/recipes/{post_id}/ratings  { "rating": 5, "review": "..." }
+ *
+ * Responses hold the normalized attributes, the generated JSON-LD and the rich
+ * result validation issues. `recipe` picks the recipe block by position, from 1,
+ * as in the print view. PATCH merges the given top-level attributes into the
+ * block and rewrites it in place, leaving the rest of the content untouched.
+ * The attribute schema is derived from the registered block type, so it
+ * follows block.json.
+ *
+ * Every response carries an ETag for the post content and ratings. PATCH
+ * requires it in If-Match, failing with 428 without it and with 412 when the
+ * recipe changed since it was read, so concurrent edits never overwrite each
+ * other. Send it in If-None-Match with GET to get 304 when nothing changed.
+ *
+ * Ratings are open to readers, including guests, on public recipe posts with
+ * comments open; see RecipeReviews.
+ *
+ * @package DataMachineRecipes\Api
+ * @since 1.2.0
+ */
+class RecipesController {
+
+    /**
+     * REST namespace.
+     *
+     * @since 1.2.0
+     */
+    const REST_NAMESPACE = 'datamachine-recipes/v1';
+
+    /**
+     * Register the REST routes.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        add_action( 'rest_api_init', [ self::class, 'register_routes' ] );
+    }
+
+    /**
+     * Register the recipe routes.
+     *
+     * @since 1.2.0
+     */
+    public static function register_routes() {
+        $list = array(
+            'type' => 'array',
+            'items' => array( 'type' => 'string' ),
+            'default' => array()
+        );
+
+        register_rest_route( self::REST_NAMESPACE, '/recipes', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [ self::class, 'get_items' ],
+            'permission_callback' => '__return_true',
+            'args' => array(
+                'post_type' => array(
+                    'description' => __( 'Post type to search.', 'datamachine-recipes' ),
+                    'type' => 'string',
+                    'default' => 'post'
+                ),
+                'page' => array(
+                    'description' => __( 'Page of results.', 'datamachine-recipes' ),
+                    'type' => 'integer',
+                    'minimum' => 1,
+                    'default' => 1
+                ),
+                'per_page' => array(
+                    'description' => __( 'Results per page.', 'datamachine-recipes' ),
+                    'type' => 'integer',
+                    'minimum' => 1,
+                    'maximum' => 50,
+                    'default' => 12
+                ),
+                'cuisine' => $list + array( 'description' => __( 'Cuisines, any of which may match.', 'datamachine-recipes' ) ),
+                'category' => $list + array( 'description' => __( 'Categories, any of which may match.', 'datamachine-recipes' ) ),
+                'diet' => $list + array( 'description' => __( 'Diets, any of which may match.', 'datamachine-recipes' ) ),
+                'max_minutes' => array(
+                    'description' => __( 'Maximum total time in minutes.', 'datamachine-recipes' ),
+                    'type' => 'integer',
+                    'minimum' => 1
+                ),
+                'ingredient' => $list + array( 'description' => __( 'Ingredients every result must include.', 'datamachine-recipes' ) ),
+                'exclude_ingredient' => $list + array( 'description' => __( 'Ingredients no result may include.', 'datamachine-recipes' ) )
+            )
+        ) );
+
+        register_rest_route( self::REST_NAMESPACE, '/recipes/(?P<post_id>\d+)', array(
+            'args' => array(
+                'post_id' => array(
+                    'description' => __( 'ID of the post holding the recipe.', 'datamachine-recipes' ),
+                    'type' => 'integer'
+                ),
+                'recipe' => array(
+                    'description' => __( 'Position of the recipe block among the post\'s recipe blocks, from 1.', 'datamachine-recipes' ),
+                    'type' => 'integer',
+                    'minimum' => 1,
+                    'default' => 1
+                )
+            ),
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [ self::class, 'get_item' ],
+                'permission_callback' => [ self::class, 'get_item_permissions_check' ]
+            ),
+            array(
+                'methods' => WP_REST_Server::EDITABLE,
+                'callback' => [ self::class, 'update_item' ],
+                'permission_callback' => [ self::class, 'update_item_permissions_check' ],
+                'args' => array(
+                    'attributes' => array_merge( self::get_attributes_schema(), array(
+                        'description' => __( 'Attributes to change. Attributes left out keep their current value.', 'datamachine-recipes' ),
+                        'required' => true
+                    ) )
+                )
+            ),
+            'schema' => [ self::class, 'get_item_schema' ]
+        ) );
+
+        register_rest_route( self::REST_NAMESPACE, '/recipes/(?P<post_id>\d+)/ratings', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [ self::class, 'create_rating' ],
+            'permission_callback' => [ self::class, 'get_item_permissions_check' ],
+            'args' => array(
+                'post_id' => array(
+                    'description' => __( 'ID of the post holding the recipe.', 'datamachine-recipes' ),
+                    'type' => 'integer'
+                ),
+                'rating' => array(
+                    'description' => __( 'Stars, from 1 to 5.', 'datamachine-recipes' ),
+                    'type' => 'integer',
+                    'minimum' => 1,
+                    'maximum' => 5,
+                    'required' => true
+                ),
+                'review' => array(
+                    'description' => __( 'Written review, when reviews are enabled.', 'datamachine-recipes' ),
+                    'type' => 'string',
+                    'default' => ''
+                ),
+                'author_name' => array(
+                    'description' => __( 'Reviewer name, for guests.', 'datamachine-recipes' ),
+                    'type' => 'string',
+                    'default' => ''
+                ),
+                'author_email' => array(
+                    'description' => __( 'Reviewer email address, for guests. Not published.', 'datamachine-recipes' ),
+                    'type' => 'string',
+                    'default' => ''
+                )
+            )
+        ) );
+    }
+
+    /**
+     * Check that the current user can read the recipe.
+     *
+     * Recipes in public posts are readable by anyone, like the posts themselves.
+     *
+     * @param \WP_REST_Request $request Request
+     * @return true|WP_Error
+     * @since 1.2.0
+     */
+    public static function get_item_permissions_check( $request ) {
+        $post = self::get_post( $request['post_id'] );
+        if ( is_wp_error( $post ) ) {
+            return $post;
+        }
+
+        if ( ( is_post_publicly_viewable( $post ) && ! post_password_required( $post ) ) || current_user_can( 'read_post', $post->ID ) ) {
+            return true;
+        }
+
+        return new WP_Error( 'rest_forbidden', __( 'Sorry, you are not allowed to read this recipe.', 'datamachine-recipes' ), array( 'status' => rest_authorization_required_code() ) );
+    }
+
+    /**
+     * Check that the current user can edit the recipe.
+     *
+     * @param \WP_REST_Request $request Request
+     * @return true|WP_Error
+     * @since 1.2.0
+     */
+    public static function update_item_permissions_check( $request ) {
+        $post = self::get_post( $request['post_id'] );
+        if ( is_wp_error( $post ) ) {
+            return $post;
+        }
+
+        if ( current_user_can( 'edit_post', $post->ID ) ) {
+            return true;
+        }
+
+        return new WP_Error( 'rest_forbidden', __( 'Sorry, you are not allowed to edit this recipe.', 'datamachine-recipes' ), array( 'status' => rest_authorization_required_code() ) );
+    }
+
+    /**
+     * Search published recipes, with facet counts.
+     *
+     * @param \WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     * @since 1.2.0
+     */
+    public static function get_items( $request ) {
+        $post_type = $request['post_type'];
+        if ( ! post_type_exists( $post_type ) || ! is_post_type_viewable( $post_type ) ) {
+            return new WP_Error( 'rest_invalid_param', __( 'Invalid post type.', 'datamachine-recipes' ), array( 'status' => 400 ) );
+        }
+
+        $search = RecipeSearch::search( RecipeSearch::sanitize_filters( $request->get_params() ), array(
+            'post_type' => $post_type,
+            'page' => $request['page'],
+            'per_page' => $request['per_page']
+        ) );
+
+        $response = new WP_REST_Response( $search );
+        $response->header( 'X-WP-Total', $search['total'] );
+        $response->header( 'X-WP-TotalPages', $search['pages'] );
+
+        return $response;
+    }
+
+    /**
+     * Return a recipe.
+     *
+     * @param \WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     * @since 1.2.0
+     */
+    public static function get_item( $request ) {
+        $post = self::get_post( $request['post_id'] );
+        if ( is_wp_error( $post ) ) {
+            return $post;
+        }
+
+        $etag = self::get_etag( $post );
+        if ( self::etag_matches( $request->get_header( 'if_none_match' ), $etag ) ) {
+            $response = new WP_REST_Response( null, 304 );
+            $response->header( 'ETag', $etag );
+            return $response;
+        }
+
+        $blocks = RecipeSchemaBlock::find_blocks( parse_blocks( $post->post_content ) );
+        $number = (int) $request['recipe'];
+        if ( empty( $blocks[ $number - 1 ] ) ) {
+            return self::recipe_not_found();
+        }
+
+        return self::prepare_response( $blocks[ $number - 1 ]['attrs'], $post, $number, count( $blocks ) );
+    }
+
+    /**
+     * Update a recipe's attributes in place.
+     *
+     * @param \WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     * @since 1.2.0
+     */
+    public static function update_item( $request ) {
+        $post = self::get_post( $request['post_id'] );
+        if ( is_wp_error( $post ) ) {
+            return $post;
+        }
+
+        $if_match = $request->get_header( 'if_match' );
+        if ( ! $if_match ) {
+            return new WP_Error( 'rest_precondition_required', __( 'Send the ETag of the recipe you read in an If-Match header, so concurrent changes are not overwritten.', 'datamachine-recipes' ), array( 'status' => 428 ) );
+        }
+
+        if ( ! self::etag_matches( $if_match, self::get_etag( $post ) ) ) {
+            return new WP_Error( 'rest_precondition_failed', __( 'The recipe has changed since it was read. Fetch it again and reapply your changes.', 'datamachine-recipes' ), array( 'status' => 412 ) );
+        }
+
+        $number = (int) $request['recipe'];
+        $changes = self::sanitize_attributes( $request['attributes'] );
+        $position = 0;
+        $attributes = null;
+
+        $blocks = self::update_blocks( parse_blocks( $post->post_content ), $number, $position, function( $block ) use ( $changes, &$attributes ) {
+            $block['blockName'] = BlockMigrator::BLOCK_NAME;
+            $block['attrs'] = array_merge( BlockMigrator::migrate_attributes( $block['attrs'] ), $changes );
+            $attributes = $block['attrs'];
+            return $block;
+        } );
+
+        if ( null === $attributes ) {
+            return self::recipe_not_found();
+        }
+
+        $updated = wp_update_post( array(
+            'ID' => $post->ID,
+            'post_content' => wp_slash( serialize_blocks( $blocks ) )
+        ), true );
+
+        if ( is_wp_error( $updated ) ) {
+            return $updated;
+        }
+
+        return self::prepare_response( $attributes, get_post( $post->ID ), $number, $position );
+    }
+
+    /**
+     * Record a reader's rating of a recipe post.
+     *
+     * @param \WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error 201 with the rating status and the post's new average
+     * @since 1.2.0
+     */
+    public static function create_rating( $request ) {
+        $post = self::get_post( $request['post_id'] );
+        if ( is_wp_error( $post ) ) {
+            return $post;
+        }
+
+        $result = RecipeReviews::submit( $post, array(
+            'rating' => $request['rating'],
+            'review' => $request['review'],
+            'author_name' => $request['author_name'],
+            'author_email' => $request['author_email']
+        ) );
+
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        return new WP_REST_Response( array( 'post_id' => $post->ID ) + $result, 201 );
+    }
+
+    /**
+     * JSON schema for recipe responses.
+     *
+     * @return array Item schema
+     * @since 1.2.0
+     */
+    public static function get_item_schema() {
+        return array(
+            '$schema' => 'http://json-schema.org/draft-04/schema#',
+            'title' => 'datamachine-recipe',
+            'type' => 'object',
+            'properties' => array(
+                'post_id' => array(
+                    'description' => __( 'ID of the post holding the recipe.', 'datamachine-recipes' ),
+                    'type' => 'integer',
+                    'readonly' => true
+                ),
+                'recipe' => array(
+                    'description' => __( 'Position of the recipe block among the post\'s recipe blocks, from 1.', 'datamachine-recipes' ),
+                    'type' => 'integer',
+                    'readonly' => true
+                ),
+                'recipe_count' => array(
+                    'description' => __( 'Number of recipe blocks in the post.', 'datamachine-recipes' ),
+                    'type' => 'integer',
+                    'readonly' => true
+                ),
+                'attributes' => array_merge( self::get_attributes_schema(), array(
+                    'description' => __( 'Recipe block attributes, with defaults filled in and durations normalized.', 'datamachine-recipes' )
+                ) ),
+                'anchor' => array(
+                    'description' => __( 'Anchor of the recipe card on the post, unique within the post.', 'datamachine-recipes' ),
+                    'type' => 'string',
+                    'readonly' => true
+                ),
+                'jsonld' => array(
+                    'description' => __( 'Schema.org Recipe JSON-LD output by the block.', 'datamachine-recipes' ),
+                    'type' => 'object',
+                    'readonly' => true
+                ),
+                'validation' => array(
+                    'description' => __( 'Google rich result issues found in the recipe.', 'datamachine-recipes' ),
+                    'type' => 'array',
+                    'readonly' => true
+                )
+            )
+        );
+    }
+
+    /**
+     * JSON schema for the block attributes, derived from the registered block type.
+     *
+     * Object attributes with a default in block.json (nutrition, video, author)
+     * only accept the keys of that default.
+     *
+     * @return array Object schema
+     * @since 1.2.0
+     */
+    public static function get_attributes_schema() {
+        $block_type = \WP_Block_Type_Registry::get_instance()->get_registered( 'datamachine-recipes/recipe-schema' );
+        $properties = array();
+
+        foreach ( $block_type ? $block_type->get_attributes() : array() as $name => $attribute ) {
+            $property = array_intersect_key( $attribute, array_flip( array( 'type', 'enum', 'default' ) ) );
+
+            if ( 'object' === ( $attribute['type'] ?? '' ) && ! empty( $attribute['default'] ) ) {
+                $property['properties'] = array_map( function() {
+                    return array( 'type' => 'string' );
+                }, $attribute['default'] );
+                $property['additionalProperties'] = false;
+            }
+
+            $properties[ $name ] = $property;
+        }
+
+        return array(
+            'type' => 'object',
+            'properties' => $properties,
+            'additionalProperties' => false
+        );
+    }
+
+    /**
+     * Build the response for a recipe.
+     *
+     * @param array    $attributes Raw block attributes
+     * @param \WP_Post $post       Post holding the recipe
+     * @param int      $number     Position of the recipe block
+     * @param int      $count      Number of recipe blocks in the post
+     * @return WP_REST_Response
+     * @since 1.2.0
+     */
+    private static function prepare_response( $attributes, $post, $number, $count ) {
+        $attributes = RecipeSchemaBlock::prepare_attributes( $attributes );
+        $recipes = RecipeSchemaBlock::get_post_recipes( $post );
+        $anchor = $recipes[ $number - 1 ]['anchor'] ?? '';
+
+        $response = new WP_REST_Response( array(
+            'post_id' => $post->ID,
+            'recipe' => $number,
+            'recipe_count' => $count,
+            'attributes' => $attributes,
+            'anchor' => $anchor,
+            'jsonld' => RecipeSchemaBlock::generate_recipe_jsonld( $attributes, $post, $anchor, 1 === $number ),
+            'validation' => Validator::validate( $attributes, array(
+                'has_image' => has_post_thumbnail( $post )
+            ) )
+        ) );
+        $response->header( 'ETag', self::get_etag( $post ) );
+
+        return $response;
+    }
+
+    /**
+     * Apply a callback to the recipe block at a position, searching nested blocks.
+     *
+     * @param array    $blocks   Parsed blocks
+     * @param int      $number   Position of the recipe block to update, from 1
+     * @param int      $position Recipe blocks seen so far; the total once the whole tree is walked
+     * @param callable $callback Receives and returns the block
+     * @return array Blocks with the recipe block updated
+     * @since 1.2.0
+     */
+    private static function update_blocks( array $blocks, $number, &$position, callable $callback ) {
+        foreach ( $blocks as $index => $block ) {
+            if ( BlockMigrator::is_recipe_block( $block['blockName'] ) && ++$position === $number ) {
+                $blocks[ $index ] = $callback( $block );
+            }
+            if ( ! empty( $block['innerBlocks'] ) ) {
+                $blocks[ $index ]['innerBlocks'] = self::update_blocks( $block['innerBlocks'], $number, $position, $callback );
+            }
+        }
+
+        return $blocks;
+    }
+
+    /**
+     * Sanitize attributes sent for update.
+     *
+     * Values have already been validated against the attribute schema.
+     *
+     * @param array $attributes Attributes from the request
+     * @return array Sanitized attributes
+     * @since 1.2.0
+     */
+    private static function sanitize_attributes( array $attributes ) {
+        foreach ( $attributes as $key => $value ) {
+            switch ( $key ) {
+                case 'description':
+                    $attributes[ $key ] = wp_kses_post( $value );
+                    break;
+                case 'notes':
+                case 'storage':
+                    // Multi-paragraph text; the card splits it into paragraphs at line breaks.
+                    $attributes[ $key ] = sanitize_textarea_field( $value );
+                    break;
+                case 'prepTime':
+                case 'cookTime':
+                case 'totalTime':
+                    $attributes[ $key ] = Duration::normalize( sanitize_text_field( $value ) );
+                    break;
+                case 'recipeIngredient':
+                    $attributes[ $key ] = Ingredients::sanitize_list( $value );
+                    break;
+                case 'recipeInstructions':
+                    $attributes[ $key ] = Instructions::sanitize_list( $value );
+                    break;
+                default:
+                    $attributes[ $key ] = self::sanitize_value( $value, $key );
+            }
+        }
+
+        return $attributes;
+    }
+
+    /**
+     * Sanitize a plain attribute value, recursing into arrays and objects.
+     *
+     * @param mixed      $value Value
+     * @param string|int $key   Attribute or property name; URLs are kept as URLs
+     * @return mixed Sanitized value
+     * @since 1.2.0
+     */
+    private static function sanitize_value( $value, $key ) {
+        if ( is_array( $value ) ) {
+            foreach ( $value as $child_key => $child ) {
+                $value[ $child_key ] = self::sanitize_value( $child, is_int( $child_key ) ? $key : $child_key );
+            }
+            return $value;
+        }
+
+        if ( ! is_string( $value ) ) {
+            return $value;
+        }
+
+        return preg_match( '/url$/i', (string) $key ) ? esc_url_raw( $value ) : sanitize_text_field( $value );
+    }
+
+    /**
+     * Load a post for a request.
+     *
+     * @param int $post_id Post ID
+     * @return \WP_Post|WP_Error
+     * @since 1.2.0
+     */
+    private static function get_post( $post_id ) {
+        $post = get_post( (int) $post_id );
+        if ( ! $post ) {
+            return new WP_Error( 'rest_post_invalid_id', __( 'Invalid post ID.', 'datamachine-recipes' ), array( 'status' => 404 ) );
+        }
+
+        return $post;
+    }
+
+    /**
+     * Error for a recipe position the post does not have.
+     *
+     * @return WP_Error
+     * @since 1.2.0
+     */
+    private static function recipe_not_found() {
+        return new WP_Error( 'rest_recipe_not_found', __( 'The post has no recipe at that position.', 'datamachine-recipes' ), array( 'status' => 404 ) );
+    }
+
+    /**
+     * Entity tag for a post's recipe responses.
+     *
+     * Any change to the content, including other blocks, changes the tag, since
+     * an update rewrites the whole content. The rating meta and modified date
+     * are included because the JSON-LD carries the aggregate rating and reviews.
+     *
+     * @param \WP_Post $post Post
+     * @return string Quoted entity tag
+     * @since 1.2.0
+     */
+    private static function get_etag( $post ) {
+        return '"' . md5( implode( '|', array(
+            $post->post_content,
+            $post->post_modified_gmt,
+            get_post_meta( $post->ID, 'rating_value', true ),
+            get_post_meta( $post->ID, 'review_count', true )
+        ) ) ) . '"';
+    }
+
+    /**
+     * Whether an If-Match or If-None-Match header matches an entity tag.
+     *
+     * @param string|null $header Header value: "*" or a comma-separated list of tags
+     * @param string      $etag   Current entity tag
+     * @return bool True when the header lists the tag or is "*"
+     * @since 1.2.0
+     */
+    private static function etag_matches( $header, $etag ) {
+        if ( ! $header ) {
+            return false;
+        }
+
+        foreach ( explode( ',', $header ) as $candidate ) {
+            $candidate = preg_replace( '#^W/#', '', trim( $candidate ) );
+            if ( '*' === $candidate || $etag === $candidate ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+}
@@ -0,0 +1,212 @@
+<?php
+namespace DataMachineRecipes\Blocks;
+
+use DataMachineRecipes\Recipe\Duration;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Recipe Schema block attribute migrations.
+ *
+ * Recipe blocks store a `schemaVersion` attribute. Blocks saved before it
+ * existed count as version 1. Each migration step upgrades attributes by one
+ * version, and src/shared/migrations.js runs the same steps in the editor, so
+ * SCHEMA_VERSION and the steps must change together in both files.
+ *
+ * Blocks under the 1.0 namespace (`data-machine-recipes/recipe-schema`) render
+ * under the current name and count as recipe blocks wherever recipes are
+ * looked up (see is_recipe_block() and has_recipe_block()).
+ * `wp datamachine-recipes migrate-blocks` rewrites their block comments in
+ * post_content along with outdated attributes.
+ *
+ * @package DataMachineRecipes\Blocks
+ * @since 1.2.0
+ */
+class BlockMigrator {
+
+    /**
+     * Current block schema version.
+     *
+     * @since 1.2.0
+     */
+    const SCHEMA_VERSION = 2;
+
+    /**
+     * Current Recipe Schema block name.
+     *
+     * @since 1.2.0
+     */
+    const BLOCK_NAME = 'datamachine-recipes/recipe-schema';
+
+    /**
+     * Earlier names of the Recipe Schema block.
+     *
+     * @since 1.2.0
+     */
+    const LEGACY_NAMES = array( 'data-machine-recipes/recipe-schema' );
+
+    /**
+     * Opening, closing and void recipe block comments, current or legacy.
+     *
+     * Attribute matching follows WP_Block_Parser.
+     *
+     * @since 1.2.0
+     */
+    const DELIMITER = '/<!--\s+(?P<closer>\/)?wp:(?P<name>(?:data-machine-recipes|datamachine-recipes)\/recipe-schema)\s+(?P<attrs>{(?:(?:[^}]+|}+(?=})|(?!}\s+\/?-->).)*+)?}\s+)?(?P<void>\/)?-->/s';
+
+    /**
+     * Register the render-time rename for legacy blocks.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        add_filter( 'render_block_data', [ self::class, 'filter_block_data' ] );
+    }
+
+    /**
+     * Render blocks saved under a legacy name as the current block.
+     *
+     * @param array $parsed_block Parsed block
+     * @return array Block with the current name
+     * @since 1.2.0
+     */
+    public static function filter_block_data( $parsed_block ) {
+        if ( in_array( $parsed_block['blockName'], self::LEGACY_NAMES, true ) ) {
+            $parsed_block['blockName'] = self::BLOCK_NAME;
+        }
+
+        return $parsed_block;
+    }
+
+    /**
+     * Whether a block is a Recipe Schema block, under the current or a legacy name.
+     *
+     * @param string|null $block_name Block name
+     * @return bool
+     * @since 1.2.0
+     */
+    public static function is_recipe_block( $block_name ) {
+        return self::BLOCK_NAME === $block_name || in_array( $block_name, self::LEGACY_NAMES, true );
+    }
+
+    /**
+     * Whether a post contains a Recipe Schema block, under the current or a legacy name.
+     *
+     * @param int|WP_Post|string $post Post, post ID or content
+     * @return bool
+     * @since 1.2.0
+     */
+    public static function has_recipe_block( $post ) {
+        foreach ( array_merge( array( self::BLOCK_NAME ), self::LEGACY_NAMES ) as $name ) {
+            if ( has_block( $name, $post ) ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Whether block attributes are from an older schema version.
+     *
+     * @param array $attributes Block attributes
+     * @return bool
+     * @since 1.2.0
+     */
+    public static function needs_migration( $attributes ) {
+        return (int) ( $attributes['schemaVersion'] ?? 1 ) < self::SCHEMA_VERSION;
+    }
+
+    /**
+     * Upgrade block attributes to the current schema version.
+     *
+     * @param array $attributes Block attributes, as stored
+     * @return array Attributes at SCHEMA_VERSION
+     * @since 1.2.0
+     */
+    public static function migrate_attributes( $attributes ) {
+        $attributes = is_array( $attributes ) ? $attributes : array();
+
+        if ( ! self::needs_migration( $attributes ) ) {
+            return $attributes;
+        }
+
+        $version = max( 1, (int) ( $attributes['schemaVersion'] ?? 1 ) );
+
+        if ( $version < 2 ) {
+            $attributes = self::migrate_to_2( $attributes );
+        }
+
+        $attributes['schemaVersion'] = self::SCHEMA_VERSION;
+
+        return $attributes;
+    }
+
+    /**
+     * Upgrade recipe block comments in post content.
+     *
+     * Only the recipe block comments are rewritten; the rest of the content is
+     * left byte for byte.
+     *
+     * @param string $content Post content
+     * @return array content (upgraded content), blocks (number of blocks upgraded) and renamed (how many of those had a legacy name)
+     * @since 1.2.0
+     */
+    public static function migrate_content( $content ) {
+        $blocks = 0;
+        $renamed = 0;
+
+        $content = preg_replace_callback( self::DELIMITER, function( $matches ) use ( &$blocks, &$renamed ) {
+            $legacy = self::BLOCK_NAME !== $matches['name'];
+
+            if ( ! empty( $matches['closer'] ) ) {
+                return $legacy ? '<!-- /wp:' . self::BLOCK_NAME . ' -->' : $matches[0];
+            }
+
+            $attributes = ! empty( $matches['attrs'] ) ? json_decode( $matches['attrs'], true ) : array();
+            if ( ! is_array( $attributes ) ) {
+                return $matches[0];
+            }
+
+            if ( ! $legacy && ! self::needs_migration( $attributes ) ) {
+                return $matches[0];
+            }
+
+            $blocks++;
+            if ( $legacy ) {
+                $renamed++;
+            }
+
+            return '<!-- wp:' . self::BLOCK_NAME . ' ' . serialize_block_attributes( self::migrate_attributes( $attributes ) ) . ' ' . ( ! empty( $matches['void'] ) ? '/' : '' ) . '-->';
+        }, (string) $content );
+
+        return array(
+            'content' => $content,
+            'blocks' => $blocks,
+            'renamed' => $renamed
+        );
+    }
+
+    /**
+     * Version 2: canonical ISO 8601 durations.
+     *
+     * @param array $attributes Version 1 attributes
+     * @return array Version 2 attributes
+     * @since 1.2.0
+     */
+    private static function migrate_to_2( $attributes ) {
+        foreach ( array( 'prepTime', 'cookTime', 'totalTime' ) as $key ) {
+            if ( ! empty( $attributes[ $key ] ) ) {
+                $attributes[ $key ] = Duration::normalize( $attributes[ $key ] );
+            }
+        }
+
+        if ( ! empty( $attributes['video']['duration'] ) ) {
+            $attributes['video']['duration'] = Duration::normalize( $attributes['video']['duration'] );
+        }
+
+        return $attributes;
+    }
+}
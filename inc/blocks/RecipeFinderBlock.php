@@ -0,0 +1,321 @@
+<?php
+namespace DataMachineRecipes\Blocks;
+
+use DataMachineRecipes\Recipe\RecipeSearch;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Recipe Finder block.
+ *
+ * Lets readers filter recipes by cuisine, category, diet, total time and
+ * included or excluded ingredients. The block renders a working GET form and
+ * the first page of results on the server; the view script then updates
+ * results and facet counts through the recipes REST route as filters change,
+ * keeping the URL in step. Filter query arguments are prefixed with `recipe_`
+ * (e.g., `recipe_diet[]=VeganDiet&recipe_max_minutes=30`).
+ *
+ * @package DataMachineRecipes\Blocks
+ * @since 1.2.0
+ */
+class RecipeFinderBlock {
+
+    /**
+     * Facets the block can show, in display order.
+     *
+     * @since 1.2.0
+     */
+    const FACETS = array( 'cuisine', 'category', 'diet', 'time', 'ingredients' );
+
+    /**
+     * Prefix for the block's query arguments.
+     *
+     * @since 1.2.0
+     */
+    const PARAM_PREFIX = 'recipe_';
+
+    /**
+     * Register the Recipe Finder block.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        register_block_type( DATAMACHINE_RECIPES_PLUGIN_DIR . 'build/recipe-finder', array(
+            'render_callback' => [ self::class, 'render' ],
+        ) );
+    }
+
+    /**
+     * Render the finder form and the results for the current query arguments.
+     *
+     * @param array $attributes Block attributes
+     * @return string Block HTML
+     * @since 1.2.0
+     */
+    public static function render( $attributes ) {
+        $attributes = wp_parse_args( $attributes, array(
+            'title' => '',
+            'postType' => 'post',
+            'perPage' => 12,
+            'facets' => self::FACETS
+        ) );
+
+        $post_type = post_type_exists( $attributes['postType'] ) && is_post_type_viewable( $attributes['postType'] ) ? $attributes['postType'] : 'post';
+        $per_page = min( 50, max( 1, (int) $attributes['perPage'] ) );
+        $facets = array_intersect( self::FACETS, (array) $attributes['facets'] );
+
+        $params = self::get_request_params();
+        $filters = RecipeSearch::sanitize_filters( $params );
+        $page = max( 1, absint( is_scalar( $params['page'] ?? null ) ? $params['page'] : 1 ) );
+        $search = RecipeSearch::search( $filters, array(
+            'post_type' => $post_type,
+            'page' => $page,
+            'per_page' => $per_page
+        ) );
+
+        $legends = array(
+            'cuisine' => __( 'Cuisine', 'datamachine-recipes' ),
+            'category' => __( 'Category', 'datamachine-recipes' ),
+            'diet' => __( 'Diet', 'datamachine-recipes' ),
+            'time' => __( 'Total time', 'datamachine-recipes' )
+        );
+        $datalist_id = wp_unique_id( 'recipe-finder-ingredients-' );
+
+        $wrapper_attributes = get_block_wrapper_attributes( array(
+            'class' => 'recipe-finder',
+            'data-post-type' => $post_type,
+            'data-per-page' => $per_page
+        ) );
+
+        ob_start();
+        ?>
+        <div <?php echo $wrapper_attributes; ?>>
+            <?php if ( '' !== $attributes['title'] ) : ?>
+                <h2 class="recipe-finder__title"><?php echo esc_html( $attributes['title'] ); ?></h2>
+            <?php endif; ?>
+
+            <form class="recipe-finder__form" method="get" action="">
+                <?php foreach ( self::get_preserved_params() as $key => $value ) : ?>
+                    <input type="hidden" name="<?php echo esc_attr( $key ); ?>" value="<?php echo esc_attr( $value ); ?>" />
+                <?php endforeach; ?>
+
+                <?php foreach ( $facets as $facet ) : ?>
+                    <?php if ( 'ingredients' === $facet ) : ?>
+                        <div class="recipe-finder__ingredients">
+                            <label class="recipe-finder__field">
+                                <span><?php esc_html_e( 'With ingredients', 'datamachine-recipes' ); ?></span>
+                                <input type="text" name="<?php echo esc_attr( self::PARAM_PREFIX ); ?>ingredient" value="<?php echo esc_attr( implode( ', ', $filters['ingredient'] ) ); ?>" list="<?php echo esc_attr( $datalist_id ); ?>" placeholder="<?php esc_attr_e( 'e.g. chicken, garlic', 'datamachine-recipes' ); ?>" />
+                            </label>
+                            <label class="recipe-finder__field">
+                                <span><?php esc_html_e( 'Without ingredients', 'datamachine-recipes' ); ?></span>
+                                <input type="text" name="<?php echo esc_attr( self::PARAM_PREFIX ); ?>exclude_ingredient" value="<?php echo esc_attr( implode( ', ', $filters['exclude_ingredient'] ) ); ?>" list="<?php echo esc_attr( $datalist_id ); ?>" placeholder="<?php esc_attr_e( 'e.g. peanuts', 'datamachine-recipes' ); ?>" />
+                            </label>
+                            <datalist id="<?php echo esc_attr( $datalist_id ); ?>">
+                                <?php foreach ( $search['facets']['ingredient'] as $option ) : ?>
+                                    <option value="<?php echo esc_attr( $option['value'] ); ?>"></option>
+                                <?php endforeach; ?>
+                            </datalist>
+                        </div>
+                    <?php else : ?>
+                        <?php
+                        $is_time = 'time' === $facet;
+                        $selected = $is_time ? array( (string) $filters['max_minutes'] ) : $filters[ $facet ];
+                        ?>
+                        <fieldset
+                            class="recipe-finder__facet"
+                            data-facet="<?php echo esc_attr( $facet ); ?>"
+                            data-name="<?php echo esc_attr( self::PARAM_PREFIX . ( $is_time ? 'max_minutes' : $facet . '[]' ) ); ?>"
+                            data-type="<?php echo $is_time ? 'radio' : 'checkbox'; ?>"
+                            <?php echo $search['facets'][ $facet ] ? '' : 'hidden'; ?>
+                        >
+                            <legend><?php echo esc_html( $legends[ $facet ] ); ?></legend>
+                            <div class="recipe-finder__options">
+                                <?php foreach ( $search['facets'][ $facet ] as $option ) : ?>
+                                    <?php echo self::render_option( $facet, $option, $selected ); ?>
+                                <?php endforeach; ?>
+                            </div>
+                        </fieldset>
+                    <?php endif; ?>
+                <?php endforeach; ?>
+
+                <div class="recipe-finder__actions">
+                    <button type="submit" class="recipe-finder__submit"><?php esc_html_e( 'Find recipes', 'datamachine-recipes' ); ?></button>
+                    <a class="recipe-finder__reset" href="<?php echo esc_url( remove_query_arg( self::get_param_names() ) ); ?>"><?php esc_html_e( 'Clear filters', 'datamachine-recipes' ); ?></a>
+                </div>
+            </form>
+
+            <p class="recipe-finder__status" role="status" aria-live="polite">
+                <?php echo esc_html( self::get_status_text( $search['total'] ) ); ?>
+            </p>
+
+            <ul class="recipe-finder__results">
+                <?php foreach ( $search['results'] as $result ) : ?>
+                    <?php echo self::render_result( $result ); ?>
+                <?php endforeach; ?>
+            </ul>
+
+            <nav class="recipe-finder__pagination" aria-label="<?php esc_attr_e( 'Recipe results pages', 'datamachine-recipes' ); ?>" <?php echo $search['pages'] > 1 ? '' : 'hidden'; ?>>
+                <?php if ( $page > 1 ) : ?>
+                    <a class="recipe-finder__page recipe-finder__page--previous" href="<?php echo esc_url( add_query_arg( self::PARAM_PREFIX . 'page', $page - 1 ) ); ?>" data-page="<?php echo esc_attr( $page - 1 ); ?>"><?php esc_html_e( 'Previous', 'datamachine-recipes' ); ?></a>
+                <?php endif; ?>
+                <span class="recipe-finder__page-status">
+                    <?php
+                    /* translators: 1: current page, 2: number of pages */
+                    echo esc_html( sprintf( __( 'Page %1$d of %2$d', 'datamachine-recipes' ), $page, max( 1, $search['pages'] ) ) );
+                    ?>
+                </span>
+                <?php if ( $page < $search['pages'] ) : ?>
+                    <a class="recipe-finder__page recipe-finder__page--next" href="<?php echo esc_url( add_query_arg( self::PARAM_PREFIX . 'page', $page + 1 ) ); ?>" data-page="<?php echo esc_attr( $page + 1 ); ?>"><?php esc_html_e( 'Next', 'datamachine-recipes' ); ?></a>
+                <?php endif; ?>
+            </nav>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render a facet option.
+     *
+     * Options that would leave no results are disabled unless already selected.
+     *
+     * @param string $facet    Facet key
+     * @param array  $option   Option with value, label and count
+     * @param array  $selected Selected values
+     * @return string Option HTML
+     * @since 1.2.0
+     */
+    private static function render_option( $facet, $option, $selected ) {
+        $is_time = 'time' === $facet;
+        $checked = in_array( $option['value'], $selected, true );
+        $disabled = ! $checked && 0 === $option['count'] && '' !== $option['value'];
+        $name = self::PARAM_PREFIX . ( $is_time ? 'max_minutes' : $facet . '[]' );
+
+        ob_start();
+        ?>
+        <label class="recipe-finder__option<?php echo $disabled ? ' is-empty' : ''; ?>">
+            <input
+                type="<?php echo $is_time ? 'radio' : 'checkbox'; ?>"
+                name="<?php echo esc_attr( $name ); ?>"
+                value="<?php echo esc_attr( $option['value'] ); ?>"
+                <?php checked( $checked ); ?>
+                <?php disabled( $disabled ); ?>
+            />
+            <span class="recipe-finder__option-label"><?php echo esc_html( $option['label'] ); ?></span>
+            <span class="recipe-finder__count">(<?php echo esc_html( number_format_i18n( $option['count'] ) ); ?>)</span>
+        </label>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render a result card.
+     *
+     * Mirrors createResultCard() in src/recipe-finder/view.js.
+     *
+     * @param array $result Result from RecipeSearch::format_result()
+     * @return string Card HTML
+     * @since 1.2.0
+     */
+    private static function render_result( $result ) {
+        ob_start();
+        ?>
+        <li class="recipe-finder__card">
+            <a class="recipe-finder__link" href="<?php echo esc_url( $result['url'] ); ?>">
+                <?php if ( $result['image'] ) : ?>
+                    <img class="recipe-finder__image" src="<?php echo esc_url( $result['image']['url'] ); ?>" alt="<?php echo esc_attr( $result['image']['alt'] ); ?>" loading="lazy" />
+                <?php endif; ?>
+                <span class="recipe-finder__card-title"><?php echo esc_html( $result['title'] ); ?></span>
+            </a>
+            <?php if ( $result['total_time'] || $result['rating'] ) : ?>
+                <p class="recipe-finder__meta">
+                    <?php if ( $result['total_time'] ) : ?>
+                        <span class="recipe-finder__time"><?php echo esc_html( $result['total_time'] ); ?></span>
+                    <?php endif; ?>
+                    <?php if ( $result['rating'] ) : ?>
+                        <span class="recipe-finder__rating">
+                            <span class="recipe-finder__stars" aria-hidden="true">★ <?php echo esc_html( number_format_i18n( $result['rating'], 1 ) ); ?> (<?php echo esc_html( number_format_i18n( $result['review_count'] ) ); ?>)</span>
+                            <span class="screen-reader-text">
+                                <?php
+                                /* translators: 1: average rating, 2: number of reviews */
+                                echo esc_html( sprintf( _n( 'Rated %1$s out of 5 from %2$d review', 'Rated %1$s out of 5 from %2$d reviews', $result['review_count'], 'datamachine-recipes' ), number_format_i18n( $result['rating'], 1 ), $result['review_count'] ) );
+                                ?>
+                            </span>
+                        </span>
+                    <?php endif; ?>
+                </p>
+            <?php endif; ?>
+        </li>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Result count text.
+     *
+     * @param int $total Number of matching recipes
+     * @return string Status text
+     * @since 1.2.0
+     */
+    private static function get_status_text( $total ) {
+        if ( ! $total ) {
+            return __( 'No recipes match these filters.', 'datamachine-recipes' );
+        }
+
+        /* translators: %s: number of recipes */
+        return sprintf( _n( '%s recipe found', '%s recipes found', $total, 'datamachine-recipes' ), number_format_i18n( $total ) );
+    }
+
+    /**
+     * The block's query arguments from the current request, without the prefix.
+     *
+     * @return array Parameters for RecipeSearch::sanitize_filters(), plus page
+     * @since 1.2.0
+     */
+    private static function get_request_params() {
+        $params = array();
+        foreach ( self::get_param_names() as $name ) {
+            if ( isset( $_GET[ $name ] ) ) {
+                $params[ substr( $name, strlen( self::PARAM_PREFIX ) ) ] = wp_unslash( $_GET[ $name ] );
+            }
+        }
+
+        return $params;
+    }
+
+    /**
+     * Other query arguments of the current URL, kept as hidden form fields.
+     *
+     * GET forms replace the query string of their action, which plain
+     * permalinks (?page_id=5) need.
+     *
+     * @return array Scalar query arguments keyed by name
+     * @since 1.2.0
+     */
+    private static function get_preserved_params() {
+        $params = array();
+        foreach ( $_GET as $name => $value ) {
+            if ( is_scalar( $value ) && ! in_array( $name, self::get_param_names(), true ) ) {
+                $params[ sanitize_key( $name ) ] = sanitize_text_field( wp_unslash( $value ) );
+            }
+        }
+
+        return $params;
+    }
+
+    /**
+     * Query argument names used by the block.
+     *
+     * @return array Prefixed argument names
+     * @since 1.2.0
+     */
+    private static function get_param_names() {
+        $names = array();
+        foreach ( array( 'cuisine', 'category', 'diet', 'max_minutes', 'ingredient', 'exclude_ingredient', 'page' ) as $name ) {
+            $names[] = self::PARAM_PREFIX . $name;
+        }
+
+        return $names;
+    }
+}
@@ -0,0 +1,231 @@
+<?php
+namespace DataMachineRecipes\Blocks;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Print view for recipe cards.
+ *
+ * Adding `?print=recipe` to a post URL replaces the theme template with a
+ * standalone page holding only the recipe card, without ads, comments or the
+ * hidden structured data, and its own print stylesheet. Query arguments pick
+ * the recipe (`recipe=2` for the second recipe block in the post) and the
+ * reader's servings and units (`servings=6&units=metric`), and hide images,
+ * nutrition or notes (`images=0`, `nutrition=0`, `notes=0`). Readers can change
+ * the section options on the page itself.
+ *
+ * @package DataMachineRecipes\Blocks
+ * @since 1.2.0
+ */
+class RecipePrint {
+
+    /**
+     * Query var that switches a post to the print view, with value "recipe".
+     *
+     * @since 1.2.0
+     */
+    const QUERY_VAR = 'print';
+
+    /**
+     * Sections readers can leave out of the printout.
+     *
+     * Each is also the query argument that hides it; the print stylesheet hides
+     * the matching card parts when the body has a `recipe-print--hide-{section}`
+     * class.
+     *
+     * @since 1.2.0
+     */
+    const SECTIONS = array( 'images', 'nutrition', 'notes' );
+
+    /**
+     * Register the query var, print view assets and template handling.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        add_filter( 'query_vars', [ self::class, 'add_query_var' ] );
+        add_action( 'template_redirect', [ self::class, 'maybe_render' ] );
+
+        $asset_file = DATAMACHINE_RECIPES_PLUGIN_DIR . 'build/recipe-print/index.asset.php';
+        $asset = file_exists( $asset_file ) ? include $asset_file : array( 'dependencies' => array(), 'version' => DATAMACHINE_RECIPES_VERSION );
+
+        wp_register_style(
+            'datamachine-recipes-print',
+            DATAMACHINE_RECIPES_PLUGIN_URL . 'build/recipe-print/style-index.css',
+            array( generate_block_asset_handle( 'datamachine-recipes/recipe-schema', 'style' ) ),
+            $asset['version']
+        );
+
+        wp_register_script(
+            'datamachine-recipes-print',
+            DATAMACHINE_RECIPES_PLUGIN_URL . 'build/recipe-print/index.js',
+            $asset['dependencies'],
+            $asset['version'],
+            true
+        );
+    }
+
+    /**
+     * Add the print query var.
+     *
+     * @param array $vars Public query vars
+     * @return array Query vars including the print var
+     * @since 1.2.0
+     */
+    public static function add_query_var( $vars ) {
+        $vars[] = self::QUERY_VAR;
+        return $vars;
+    }
+
+    /**
+     * Print view URL for a recipe in a post.
+     *
+     * @param WP_Post $post   Post holding the recipe block
+     * @param int     $recipe Position of the recipe block among the post's recipe blocks, from 1
+     * @return string Print view URL
+     * @since 1.2.0
+     */
+    public static function get_url( $post, $recipe = 1 ) {
+        $args = array( self::QUERY_VAR => 'recipe' );
+        if ( $recipe > 1 ) {
+            $args['recipe'] = $recipe;
+        }
+
+        return add_query_arg( $args, get_permalink( $post ) );
+    }
+
+    /**
+     * Output the print view instead of the theme template when requested.
+     *
+     * Falls through to the normal template when the post is password protected
+     * or has no recipe block at the requested position.
+     *
+     * @since 1.2.0
+     */
+    public static function maybe_render() {
+        if ( 'recipe' !== get_query_var( self::QUERY_VAR ) || ! is_singular() ) {
+            return;
+        }
+
+        $post = get_queried_object();
+        if ( ! $post instanceof \WP_Post || post_password_required( $post ) ) {
+            return;
+        }
+
+        $number = max( 1, absint( wp_unslash( $_GET['recipe'] ?? 1 ) ) );
+        $blocks = RecipeSchemaBlock::find_blocks( parse_blocks( $post->post_content ) );
+        if ( empty( $blocks[ $number - 1 ] ) ) {
+            return;
+        }
+
+        header( 'X-Robots-Tag: noindex, follow' );
+        self::render_page( $blocks[ $number - 1 ]['attrs'], $post, $number );
+        exit;
+    }
+
+    /**
+     * Read the reader's print options from the query string.
+     *
+     * @return array Keys servings (float|null), units (string|null) and hide (hidden section keys)
+     * @since 1.2.0
+     */
+    private static function get_options() {
+        $servings = isset( $_GET['servings'] ) ? (float) wp_unslash( $_GET['servings'] ) : 0;
+        $units = isset( $_GET['units'] ) ? sanitize_key( wp_unslash( $_GET['units'] ) ) : '';
+
+        $hide = array();
+        foreach ( self::SECTIONS as $section ) {
+            if ( isset( $_GET[ $section ] ) && '0' === wp_unslash( $_GET[ $section ] ) ) {
+                $hide[] = $section;
+            }
+        }
+
+        return array(
+            'servings' => $servings > 0 && $servings <= 1000 ? $servings : null,
+            'units' => in_array( $units, array( 'original', 'us', 'metric' ), true ) ? $units : null,
+            'hide' => $hide
+        );
+    }
+
+    /**
+     * Output the standalone print page.
+     *
+     * @param array   $attributes Recipe block attributes
+     * @param WP_Post $post       Post holding the recipe
+     * @param int     $number     Position of the recipe block in the post
+     * @since 1.2.0
+     */
+    private static function render_page( $attributes, $post, $number ) {
+        $options = self::get_options();
+        $labels = array(
+            'images' => __( 'Images', 'datamachine-recipes' ),
+            'nutrition' => __( 'Nutrition', 'datamachine-recipes' ),
+            'notes' => __( 'Notes', 'datamachine-recipes' )
+        );
+
+        $body_classes = array( 'recipe-print' );
+        foreach ( $options['hide'] as $section ) {
+            $body_classes[] = 'recipe-print--hide-' . $section;
+        }
+
+        // GET forms drop the query string of their action, which plain permalinks (?p=123) need.
+        wp_parse_str( (string) wp_parse_url( get_permalink( $post ), PHP_URL_QUERY ), $permalink_args );
+
+        $title = ! empty( $attributes['recipeName'] ) ? $attributes['recipeName'] : get_the_title( $post );
+        ?>
+<!DOCTYPE html>
+<html <?php language_attributes(); ?>>
+<head>
+    <meta charset="<?php bloginfo( 'charset' ); ?>" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex, follow" />
+    <title><?php echo esc_html( $title . ' – ' . get_bloginfo( 'name' ) ); ?></title>
+    <link rel="canonical" href="<?php echo esc_url( get_permalink( $post ) ); ?>" />
+    <?php wp_print_styles( array( 'datamachine-recipes-print' ) ); ?>
+</head>
+<body class="<?php echo esc_attr( implode( ' ', $body_classes ) ); ?>">
+    <form class="recipe-print__options" method="get" action="<?php echo esc_url( get_permalink( $post ) ); ?>">
+        <?php foreach ( $permalink_args as $key => $value ) : ?>
+            <input type="hidden" name="<?php echo esc_attr( $key ); ?>" value="<?php echo esc_attr( $value ); ?>" />
+        <?php endforeach; ?>
+        <input type="hidden" name="<?php echo esc_attr( self::QUERY_VAR ); ?>" value="recipe" />
+        <?php if ( $number > 1 ) : ?>
+            <input type="hidden" name="recipe" value="<?php echo esc_attr( $number ); ?>" />
+        <?php endif; ?>
+        <?php foreach ( array( 'servings', 'units' ) as $key ) : ?>
+            <?php if ( $options[ $key ] ) : ?>
+                <input type="hidden" name="<?php echo esc_attr( $key ); ?>" value="<?php echo esc_attr( $options[ $key ] ); ?>" />
+            <?php endif; ?>
+        <?php endforeach; ?>
+        <fieldset>
+            <legend><?php esc_html_e( 'Include', 'datamachine-recipes' ); ?></legend>
+            <?php foreach ( $labels as $section => $label ) : ?>
+                <label>
+                    <input type="hidden" name="<?php echo esc_attr( $section ); ?>" value="0" />
+                    <input type="checkbox" name="<?php echo esc_attr( $section ); ?>" value="1" <?php checked( ! in_array( $section, $options['hide'], true ) ); ?> />
+                    <?php echo esc_html( $label ); ?>
+                </label>
+            <?php endforeach; ?>
+        </fieldset>
+        <button type="submit" class="recipe-print__update"><?php esc_html_e( 'Update', 'datamachine-recipes' ); ?></button>
+        <button type="button" class="recipe-print__print" hidden><?php esc_html_e( 'Print', 'datamachine-recipes' ); ?></button>
+        <a class="recipe-print__back" href="<?php echo esc_url( get_permalink( $post ) ); ?>"><?php esc_html_e( 'Back to recipe', 'datamachine-recipes' ); ?></a>
+    </form>
+
+    <?php echo RecipeSchemaBlock::render_print( $attributes, $post, $options ); ?>
+
+    <p class="recipe-print__source">
+        <?php
+        /* translators: %s: post URL */
+        echo esc_html( sprintf( __( 'Source: %s', 'datamachine-recipes' ), get_permalink( $post ) ) );
+        ?>
+    </p>
+
+    <?php wp_print_scripts( array( generate_block_asset_handle( 'datamachine-recipes/recipe-schema', 'viewScript' ), 'datamachine-recipes-print' ) ); ?>
+</body>
+</html>
+        <?php
+    }
+}
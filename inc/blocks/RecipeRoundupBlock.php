@@ -0,0 +1,228 @@
+<?php
+namespace DataMachineRecipes\Blocks;
+
+use DataMachineRecipes\Recipe\Microdata;
+use DataMachineRecipes\Recipe\RecipeReviews;
+use DataMachineRecipes\Recipe\RecipeSearch;
+use DataMachineRecipes\Settings\RecipeSettings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Recipe Roundup block.
+ *
+ * Lists links to other recipe posts for "10 best soups"-style articles, as a
+ * numbered list of cards, and describes the list as a Schema.org ItemList of
+ * the linked pages so search engines can show it as a recipe carousel. Posts
+ * that are not public or have no recipe block are left out of both.
+ *
+ * @package DataMachineRecipes\Blocks
+ * @since 1.2.0
+ */
+class RecipeRoundupBlock {
+
+    /**
+     * Number of words shown from a recipe description when the post has no excerpt.
+     *
+     * @since 1.2.0
+     */
+    const DESCRIPTION_WORDS = 30;
+
+    /**
+     * Register the Recipe Roundup block.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        register_block_type( DATAMACHINE_RECIPES_PLUGIN_DIR . 'build/recipe-roundup', array(
+            'render_callback' => [ self::class, 'render' ],
+        ) );
+    }
+
+    /**
+     * Render the roundup list.
+     *
+     * The ItemList is part of the post's JSON-LD graph (see
+     * RecipeSchemaBlock::render_post_jsonld()) unless the block is rendered
+     * from outside the post content, and is also output as hidden microdata
+     * when the structured data setting includes it.
+     *
+     * @param array $attributes Block attributes
+     * @return string Block HTML
+     * @since 1.2.0
+     */
+    public static function render( $attributes ) {
+        $attributes = self::prepare_attributes( $attributes );
+        $items = self::get_items( $attributes['posts'] );
+        $post = get_post();
+
+        if ( ! $items ) {
+            return '';
+        }
+
+        ob_start();
+        ?>
+        <div <?php echo get_block_wrapper_attributes( array( 'class' => 'recipe-roundup' ) ); ?>>
+            <ol class="recipe-roundup__list">
+                <?php foreach ( $items as $item ) : ?>
+                    <?php $result = RecipeSearch::format_result( $item ); ?>
+                    <li class="recipe-roundup__item">
+                        <h3 class="recipe-roundup__title">
+                            <a href="<?php echo esc_url( $result['url'] ); ?>"><?php echo esc_html( $result['title'] ); ?></a>
+                        </h3>
+                        <?php if ( $attributes['showImages'] && $result['image'] ) : ?>
+                            <a class="recipe-roundup__image-link" href="<?php echo esc_url( $result['url'] ); ?>" tabindex="-1" aria-hidden="true">
+                                <img class="recipe-roundup__image" src="<?php echo esc_url( $result['image']['url'] ); ?>" alt="<?php echo esc_attr( $result['image']['alt'] ); ?>" loading="lazy" />
+                            </a>
+                        <?php endif; ?>
+                        <?php if ( $result['total_time'] || $result['rating'] ) : ?>
+                            <p class="recipe-roundup__meta">
+                                <?php if ( $result['total_time'] ) : ?>
+                                    <span class="recipe-roundup__time"><?php echo esc_html( $result['total_time'] ); ?></span>
+                                <?php endif; ?>
+                                <?php if ( $result['rating'] ) : ?>
+                                    <span class="recipe-roundup__rating">
+                                        <?php echo RecipeReviews::render_stars( $result['rating'] ); ?>
+                                        (<?php echo esc_html( number_format_i18n( $result['review_count'] ) ); ?>)
+                                    </span>
+                                <?php endif; ?>
+                            </p>
+                        <?php endif; ?>
+                        <?php $description = $attributes['showDescriptions'] ? self::get_description( $item ) : ''; ?>
+                        <?php if ( '' !== $description ) : ?>
+                            <p class="recipe-roundup__description"><?php echo esc_html( $description ); ?></p>
+                        <?php endif; ?>
+                        <a class="recipe-roundup__link" href="<?php echo esc_url( $result['url'] ); ?>">
+                            <?php
+                            /* translators: %s: recipe post title */
+                            echo esc_html( sprintf( __( 'Get the recipe: %s', 'datamachine-recipes' ), $result['title'] ) );
+                            ?>
+                        </a>
+                    </li>
+                <?php endforeach; ?>
+            </ol>
+            <?php if ( $post && RecipeSettings::outputs_structured_data( 'microdata' ) ) : ?>
+                <div class="recipe-schema-data" style="display: none;">
+                    <?php echo Microdata::render( self::generate_itemlist_jsonld( $attributes, $post ) ); ?>
+                </div>
+            <?php endif; ?>
+        </div>
+        <?php
+        if ( $post && has_block( 'datamachine-recipes/recipe-roundup', $post ) ) {
+            echo RecipeSchemaBlock::render_post_jsonld( $post );
+        } elseif ( $post ) {
+            echo RecipeSchemaBlock::render_jsonld( self::generate_itemlist_jsonld( $attributes, $post ) );
+        }
+
+        return ob_get_clean();
+    }
+
+    /**
+     * Generate the Schema.org ItemList for a roundup.
+     *
+     * Uses the summary page form Google expects for recipe carousels: list
+     * items with a position and the URL of each recipe page.
+     *
+     * @param array    $attributes Block attributes
+     * @param \WP_Post $post       Post holding the roundup
+     * @return array ItemList, or an empty array when no linked post qualifies
+     * @since 1.2.0
+     */
+    public static function generate_itemlist_jsonld( $attributes, $post ) {
+        $attributes = self::prepare_attributes( $attributes );
+        $items = self::get_items( $attributes['posts'] );
+
+        if ( ! $items ) {
+            return array();
+        }
+
+        $schema = array(
+            '@context' => 'https://schema.org/',
+            '@type' => 'ItemList',
+            'name' => html_entity_decode( wp_strip_all_tags( get_the_title( $post ) ), ENT_QUOTES, get_bloginfo( 'charset' ) ),
+            'numberOfItems' => count( $items ),
+            'itemListElement' => array()
+        );
+
+        foreach ( array_values( $items ) as $index => $item ) {
+            $schema['itemListElement'][] = array(
+                '@type' => 'ListItem',
+                'position' => $index + 1,
+                'url' => get_permalink( $item )
+            );
+        }
+
+        return $schema;
+    }
+
+    /**
+     * Fill in attribute defaults.
+     *
+     * @param array $attributes Block attributes
+     * @return array Attributes with every key present and post IDs as integers
+     * @since 1.2.0
+     */
+    private static function prepare_attributes( $attributes ) {
+        $attributes = wp_parse_args( $attributes, array(
+            'posts' => array(),
+            'showImages' => true,
+            'showDescriptions' => true
+        ) );
+        $attributes['posts'] = array_values( array_unique( array_filter( array_map( 'absint', (array) $attributes['posts'] ) ) ) );
+
+        return $attributes;
+    }
+
+    /**
+     * Linked posts that can appear in the roundup, in the chosen order.
+     *
+     * @param array $post_ids Post IDs
+     * @return array Published, public recipe posts
+     * @since 1.2.0
+     */
+    private static function get_items( array $post_ids ) {
+        if ( ! $post_ids ) {
+            return array();
+        }
+
+        $posts = get_posts( array(
+            'post__in' => $post_ids,
+            'post_type' => 'any',
+            'post_status' => 'publish',
+            'has_password' => false,
+            'orderby' => 'post__in',
+            'posts_per_page' => count( $post_ids ),
+            'ignore_sticky_posts' => true
+        ) );
+
+        return array_values( array_filter( $posts, function( $item ) {
+            return is_post_publicly_viewable( $item ) && BlockMigrator::has_recipe_block( $item );
+        } ) );
+    }
+
+    /**
+     * Short description of a linked recipe.
+     *
+     * Uses the post's handwritten excerpt, else the start of its first recipe's
+     * description. The post content is not rendered, so the linked post's blocks
+     * never run inside this one.
+     *
+     * @param \WP_Post $item Linked post
+     * @return string Plain text, or empty string
+     * @since 1.2.0
+     */
+    private static function get_description( $item ) {
+        if ( has_excerpt( $item ) ) {
+            return wp_strip_all_tags( get_the_excerpt( $item ) );
+        }
+
+        $recipes = RecipeSchemaBlock::get_post_recipes( $item );
+        if ( empty( $recipes ) ) {
+            return '';
+        }
+
+        return wp_trim_words( wp_strip_all_tags( $recipes[0]['attributes']['description'] ), self::DESCRIPTION_WORDS );
+    }
+}
@@ -1,6 +1,18 @@
 <?php
 namespace DataMachineRecipes\Blocks;
 
+use DataMachineRecipes\Integrations\SeoGraph;
+use DataMachineRecipes\Recipe\Duration;
+use DataMachineRecipes\Recipe\Equipment;
+use DataMachineRecipes\Recipe\Ingredients;
+use DataMachineRecipes\Recipe\Instructions;
+use DataMachineRecipes\Recipe\Microdata;
+use DataMachineRecipes\Recipe\RecipeModel;
+use DataMachineRecipes\Recipe\RecipeImages;
+use DataMachineRecipes\Recipe\RecipeReviews;
+use DataMachineRecipes\Recipe\Validator;
+use DataMachineRecipes\Settings\RecipeSettings;
+
 if ( ! defined( 'ABSPATH' ) ) {
     exit;
 }
@@ -10,13 +22,41 @@ if ( ! defined( 'ABSPATH' ) ) {
  *
  * Provides complete Schema.org Recipe structured data generation through a Gutenberg block.
  * Renders both microdata and JSON-LD markup for optimal SEO and rich snippets in search results.
- * Integrates with WordPress post rating system and supports comprehensive recipe attributes.
+ * Shows reader ratings from RecipeReviews and supports comprehensive recipe attributes.
  *
  * @package DataMachineRecipes\Blocks
  * @since 1.0.0
  */
 class RecipeSchemaBlock {
 
+    /**
+     * Supported card layouts, selectable from the block editor.
+     *
+     * @since 1.2.0
+     */
+    const LAYOUTS = array( 'full', 'compact', 'steps-only' );
+
+    /**
+     * Recipe blocks rendered so far, per post ID.
+     *
+     * @var array
+     */
+    private static $recipe_numbers = array();
+
+    /**
+     * IDs of posts whose JSON-LD graph has been output in the current content.
+     *
+     * @var array
+     */
+    private static $jsonld_posts = array();
+
+    /**
+     * Recipes found in post content, keyed by post ID and content hash.
+     *
+     * @var array
+     */
+    private static $post_recipes = array();
+
     /**
      * Register Recipe Schema block with WordPress.
      *
@@ -29,22 +69,108 @@ class RecipeSchemaBlock {
         register_block_type( DATAMACHINE_RECIPES_PLUGIN_DIR . 'build/recipe-schema', array(
             'render_callback' => [ self::class, 'render' ],
         ) );
+
+        add_action( 'enqueue_block_editor_assets', [ self::class, 'enqueue_editor_data' ] );
+        add_filter( 'the_content', [ self::class, 'reset_recipe_numbers' ], 8 );
+    }
+
+    /**
+     * Pass server-defined data to the block editor script.
+     *
+     * Exposes the recipe validation rules so the editor checks recipes against
+     * the same rule set the publish handler uses.
+     *
+     * @since 1.2.0
+     */
+    public static function enqueue_editor_data() {
+        $handle = generate_block_asset_handle( 'datamachine-recipes/recipe-schema', 'editorScript' );
+
+        wp_add_inline_script(
+            $handle,
+            'window.datamachineRecipesValidation = ' . wp_json_encode( array( 'rules' => Validator::get_rules() ) ) . ';',
+            'before'
+        );
     }
 
     /**
      * Render Recipe Schema block with comprehensive structured data.
      *
-     * Generates both microdata and JSON-LD structured data for Schema.org Recipe compliance.
-     * Outputs hidden HTML elements with microdata attributes and injects JSON-LD script
-     * for search engine optimization and rich snippet generation.
+     * Outputs the visible recipe card for the selected layout, followed by hidden
+     * microdata and the JSON-LD script for search engine optimization and rich
+     * snippet generation. Both formats are serialized from the same RecipeModel
+     * node, and the structured data setting can turn either of them off. Each
+     * card gets an anchor that is unique within the post, and the first recipe
+     * block in a post outputs one JSON-LD `@graph` for every recipe and roundup
+     * in it, so posts with several recipes do not repeat the same top-level data.
      *
      * @param array $attributes Block attributes containing recipe data from Gutenberg editor
-     * @return string Complete HTML output with Schema.org markup (hidden from frontend)
+     * @return string Complete HTML output with recipe card and Schema.org markup
      * @since 1.0.0
      */
     public static function render( $attributes ) {
         global $post;
+
+        if ( ! $post ) {
+            $post = get_post();
+        }
         
+        $attributes = self::prepare_attributes( $attributes );
+        $recipe_number = $post ? self::next_recipe_number( $post ) : 0;
+        $print_url = $post ? RecipePrint::get_url( $post, $recipe_number ) : '';
+
+        // Blocks rendered outside the post content (templates, synced patterns) are not in its graph.
+        $recipes = $post ? self::get_post_recipes( $post ) : array();
+        $in_content = isset( $recipes[ $recipe_number - 1 ] );
+        $anchor = $in_content ? $recipes[ $recipe_number - 1 ]['anchor'] : self::get_anchor( $attributes, $recipe_number );
+
+        // Ratings belong to the post, so only its first recipe card and node show them.
+        $is_first = 1 === $recipe_number;
+        $show_rating = $is_first && 'off' !== RecipeSettings::get_ratings_mode();
+
+        ob_start();
+        ?>
+        <?php
+        $wrapper_attributes = get_block_wrapper_attributes( array(
+            'id' => $anchor,
+            'class' => 'recipe-schema-block recipe-schema-block--' . $attributes['layout'],
+            'data-recipe-yield' => $attributes['recipeYield'],
+            'data-unit-system' => RecipeSettings::get_unit_system()
+        ) );
+        ?>
+        <div <?php echo $wrapper_attributes; ?>>
+        
+        <?php echo self::render_card( $attributes, $post, $print_url, $show_rating ); ?>
+        
+        <?php if ( $post && RecipeSettings::outputs_structured_data( 'microdata' ) ) : ?>
+            <!-- Recipe Schema Data (hidden from frontend display) -->
+            <div class="recipe-schema-data" style="display: none;">
+                <?php echo Microdata::render( RecipeModel::build( $attributes, $post, $anchor, $is_first ) ); ?>
+            </div>
+        <?php endif; ?>
+        
+        </div>
+        
+        <?php
+        if ( $in_content ) {
+            echo self::render_post_jsonld( $post );
+        } elseif ( $post ) {
+            echo self::render_jsonld( self::generate_recipe_jsonld( $attributes, $post, $anchor, $is_first ) );
+        }
+        
+        return ob_get_clean();
+    }
+
+    /**
+     * Fill in attribute defaults and normalize legacy values.
+     *
+     * Shared by the block render callback and the print view so both work from
+     * the same attribute set.
+     *
+     * @param array $attributes Block attributes
+     * @return array Attributes with every key present, a known layout and canonical durations
+     * @since 1.2.0
+     */
+    public static function prepare_attributes( $attributes ) {
         $defaults = [
             'recipeName' => '',
             'description' => '',
@@ -65,293 +191,670 @@ class RecipeSchemaBlock {
             'datePublished' => '',
             'estimatedCost' => '',
             'tool' => [],
-            'supply' => []
+            'supply' => [],
+            'notes' => '',
+            'tips' => [],
+            'storage' => '',
+            'images' => [],
+            'anchor' => '',
+            'layout' => 'full'
         ];
         
-        $attributes = wp_parse_args( $attributes, $defaults );
+        $attributes = wp_parse_args( BlockMigrator::migrate_attributes( $attributes ), $defaults );
+        $attributes['images'] = RecipeImages::sanitize_list( $attributes['images'] );
+
+        if ( ! in_array( $attributes['layout'], self::LAYOUTS, true ) ) {
+            $attributes['layout'] = 'full';
+        }
+
+        // Older blocks may hold non-canonical durations such as "PT90M".
+        foreach ( array( 'prepTime', 'cookTime', 'totalTime' ) as $key ) {
+            $attributes[ $key ] = Duration::normalize( $attributes[ $key ] );
+        }
+
+        return $attributes;
+    }
+
+    /**
+     * Render a recipe card for the print view.
+     *
+     * Always uses the full layout; the print page hides images, nutrition and
+     * notes with classes so readers can toggle them without reloading. The
+     * wrapper carries the same data attributes as the block, plus the reader's
+     * servings and units, so the view script scales and converts the printout.
+     * No structured data is output, since the print view is not indexed.
+     *
+     * @param array        $attributes Block attributes
+     * @param WP_Post|null $post       Post the block belongs to
+     * @param array        $selection  Reader selection: servings (float|null) and units (string|null)
+     * @return string Recipe card HTML
+     * @since 1.2.0
+     */
+    public static function render_print( $attributes, $post, $selection = array() ) {
+        $attributes = self::prepare_attributes( $attributes );
+        $attributes['layout'] = 'full';
+
+        $data = array(
+            'class' => 'recipe-schema-block recipe-schema-block--full recipe-schema-block--print',
+            'data-recipe-yield' => $attributes['recipeYield'],
+            'data-unit-system' => RecipeSettings::get_unit_system(),
+            'data-print-view' => 'true'
+        );
+        if ( ! empty( $selection['servings'] ) ) {
+            $data['data-servings'] = $selection['servings'];
+        }
+        if ( ! empty( $selection['units'] ) ) {
+            $data['data-units'] = $selection['units'];
+        }
+
+        $html = '';
+        foreach ( $data as $name => $value ) {
+            $html .= ' ' . $name . '="' . esc_attr( $value ) . '"';
+        }
+
+        return '<div' . $html . '>' . self::render_card( $attributes, $post ) . '</div>';
+    }
+
+    /**
+     * Collect recipe blocks in document order, including nested ones.
+     *
+     * Positions in the returned list match the recipe numbers used by the
+     * print view and the REST API. Recipe blocks saved under a legacy name
+     * are collected with the current ones.
+     *
+     * @param array  $blocks     Parsed blocks
+     * @param string $block_name Block type to collect, recipe blocks by default
+     * @return array Matching blocks
+     * @since 1.2.0
+     */
+    public static function find_blocks( $blocks, $block_name = BlockMigrator::BLOCK_NAME ) {
+        $found = array();
+        foreach ( $blocks as $block ) {
+            if ( BlockMigrator::BLOCK_NAME === $block_name ? BlockMigrator::is_recipe_block( $block['blockName'] ) : $block_name === $block['blockName'] ) {
+                $found[] = $block;
+            }
+            if ( ! empty( $block['innerBlocks'] ) ) {
+                $found = array_merge( $found, self::find_blocks( $block['innerBlocks'], $block_name ) );
+            }
+        }
+        return $found;
+    }
+
+    /**
+     * Recipes in a post's content, in document order.
+     *
+     * Anchors are made unique within the post, so the second of two recipes
+     * with the same name gets "-2" appended.
+     *
+     * @param WP_Post $post Post
+     * @return array List of recipes as { attributes (prepared), anchor }
+     * @since 1.2.0
+     */
+    public static function get_post_recipes( $post ) {
+        $key = $post->ID . ':' . md5( $post->post_content );
+
+        if ( ! isset( self::$post_recipes[ $key ] ) ) {
+            $recipes = array();
+            $used = array();
+
+            foreach ( self::find_blocks( parse_blocks( $post->post_content ) ) as $index => $block ) {
+                $attributes = self::prepare_attributes( $block['attrs'] );
+                $anchor = self::get_anchor( $attributes, $index + 1 );
+
+                $base = $anchor;
+                for ( $suffix = 2; in_array( $anchor, $used, true ); $suffix++ ) {
+                    $anchor = $base . '-' . $suffix;
+                }
+                $used[] = $anchor;
+
+                $recipes[] = array(
+                    'attributes' => $attributes,
+                    'anchor' => $anchor
+                );
+            }
+
+            self::$post_recipes[ $key ] = $recipes;
+        }
+
+        return self::$post_recipes[ $key ];
+    }
+
+    /**
+     * JSON-LD graph for every recipe and roundup in a post's content.
+     *
+     * Recipes get an `@id` of the post URL plus their card anchor, so other
+     * nodes and the microdata can refer to them.
+     *
+     * @param WP_Post $post Post
+     * @return array JSON-LD document with @context and @graph, or an empty array when the post has neither
+     * @since 1.2.0
+     */
+    public static function get_post_jsonld( $post ) {
+        $graph = array();
+
+        foreach ( self::get_post_recipes( $post ) as $index => $recipe ) {
+            $node = self::generate_recipe_jsonld( $recipe['attributes'], $post, $recipe['anchor'], 0 === $index );
+            unset( $node['@context'] );
+            $graph[] = $node;
+        }
+
+        foreach ( self::find_blocks( parse_blocks( $post->post_content ), 'datamachine-recipes/recipe-roundup' ) as $block ) {
+            $node = RecipeRoundupBlock::generate_itemlist_jsonld( $block['attrs'], $post );
+            if ( $node ) {
+                unset( $node['@context'] );
+                $graph[] = $node;
+            }
+        }
+
+        if ( ! $graph ) {
+            return array();
+        }
+
+        return array(
+            '@context' => 'https://schema.org/',
+            '@graph' => $graph
+        );
+    }
+
+    /**
+     * JSON-LD script for a post's graph, output once per content render.
+     *
+     * Called by the first recipe or roundup block rendered from the post
+     * content; later blocks get an empty string, as do posts whose graph has
+     * already been added to an SEO plugin's schema (see SeoGraph).
+     *
+     * @param WP_Post $post Post being rendered
+     * @return string Script tag, or empty string
+     * @since 1.2.0
+     */
+    public static function render_post_jsonld( $post ) {
+        if ( self::has_post_jsonld( $post ) || SeoGraph::handles_post( $post ) ) {
+            return '';
+        }
+        self::$jsonld_posts[] = $post->ID;
+
+        return self::render_jsonld( self::get_post_jsonld( $post ) );
+    }
+
+    /**
+     * Whether a post's JSON-LD script has been output on this request.
+     *
+     * @param WP_Post $post Post being rendered
+     * @return bool True once render_post_jsonld() has output the post's graph
+     * @since 1.2.0
+     */
+    public static function has_post_jsonld( $post ) {
+        return in_array( $post->ID, self::$jsonld_posts, true );
+    }
+
+    /**
+     * Wrap JSON-LD data in a script tag.
+     *
+     * @param array $data JSON-LD data
+     * @return string Script tag, or empty string when there is no data or the site outputs microdata only
+     * @since 1.2.0
+     */
+    public static function render_jsonld( $data ) {
+        if ( empty( $data ) || ! RecipeSettings::outputs_structured_data( 'jsonld' ) ) {
+            return '';
+        }
+
+        return '<script type="application/ld+json">' . wp_json_encode( $data, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) . '</script>';
+    }
+
+    /**
+     * Default anchor for a recipe card.
+     *
+     * @param array $attributes Prepared block attributes
+     * @param int   $number     Position of the recipe block in the post
+     * @return string Anchor set in the editor, else "recipe-" plus the recipe name or position
+     * @since 1.2.0
+     */
+    private static function get_anchor( $attributes, $number ) {
+        $anchor = sanitize_title( $attributes['anchor'] );
+        if ( '' !== $anchor ) {
+            return $anchor;
+        }
+
+        $name = sanitize_title( $attributes['recipeName'] );
+
+        return 'recipe-' . ( '' !== $name ? $name : max( 1, (int) $number ) );
+    }
+
+    /**
+     * Number the recipe blocks rendered for a post, starting at 1.
+     *
+     * The print link uses this number to pick the recipe in posts with more than
+     * one. The count restarts whenever the post's content is filtered again.
+     *
+     * @param WP_Post $post Post being rendered
+     * @return int Position of the block among the post's recipe blocks
+     * @since 1.2.0
+     */
+    private static function next_recipe_number( $post ) {
+        self::$recipe_numbers[ $post->ID ] = ( self::$recipe_numbers[ $post->ID ] ?? 0 ) + 1;
+
+        return self::$recipe_numbers[ $post->ID ];
+    }
+
+    /**
+     * Restart recipe block numbering and JSON-LD output before post content is rendered.
+     *
+     * Hooked to the_content ahead of do_blocks().
+     *
+     * @param string $content Post content
+     * @return string Unchanged content
+     * @since 1.2.0
+     */
+    public static function reset_recipe_numbers( $content ) {
+        self::$recipe_numbers = array();
+        self::$jsonld_posts = array();
+
+        return $content;
+    }
+
+    /**
+     * Render the visible recipe card.
+     *
+     * Builds the reader-facing markup for the selected layout. The full layout shows
+     * every section, compact drops the description, image, nutrition, equipment and notes,
+     * and steps-only shows just the title and numbered instructions.
+     *
+     * @param array        $attributes Parsed block attributes
+     * @param WP_Post|null $post       Post the block belongs to, for the featured image
+     * @param string       $print_url  Print view URL for the card's print link, or empty for none
+     * @param bool         $rating     Whether to show the post's rating and the rating widget
+     * @return string Recipe card HTML
+     * @since 1.2.0
+     */
+    private static function render_card( $attributes, $post, $print_url = '', $rating = false ) {
+        $layout = $attributes['layout'];
+        $is_full = $layout === 'full';
+        $is_steps_only = $layout === 'steps-only';
+
+        $timings = array(
+            'prepTime' => __( 'Prep Time', 'datamachine-recipes' ),
+            'cookTime' => __( 'Cook Time', 'datamachine-recipes' ),
+            'totalTime' => __( 'Total Time', 'datamachine-recipes' )
+        );
+
+        $nutrition = array_filter( (array) $attributes['nutrition'] );
 
         ob_start();
         ?>
+        <?php if ( ! empty( $attributes['recipeName'] ) ) : ?>
+            <h2 class="recipe-name"><?php echo esc_html( $attributes['recipeName'] ); ?></h2>
+        <?php endif; ?>
         
-        <!-- Recipe Schema Data (hidden from frontend display) -->
-        <div class="recipe-schema-data" style="display: none;" itemscope itemtype="https://schema.org/Recipe">
-            
-            <?php if ( ! empty( $attributes['recipeName'] ) ) : ?>
-                <meta itemprop="name" content="<?php echo esc_attr( $attributes['recipeName'] ); ?>" />
-            <?php endif; ?>
-            
-            <?php if ( ! empty( $attributes['description'] ) ) : ?>
-                <meta itemprop="description" content="<?php echo esc_attr( wp_strip_all_tags( $attributes['description'] ) ); ?>" />
-            <?php endif; ?>
-            
-            <?php
-            // Use featured image for recipe schema
-            $featured_image_url = get_the_post_thumbnail_url( $post->ID, 'full' );
-            if ( $featured_image_url ) : ?>
-                <meta itemprop="image" content="<?php echo esc_url( $featured_image_url ); ?>" />
-            <?php endif; ?>
-            
-            <?php if ( ! empty( $attributes['prepTime'] ) ) : ?>
-                <meta itemprop="prepTime" content="<?php echo esc_attr( $attributes['prepTime'] ); ?>" />
-            <?php endif; ?>
-            
-            <?php if ( ! empty( $attributes['cookTime'] ) ) : ?>
-                <meta itemprop="cookTime" content="<?php echo esc_attr( $attributes['cookTime'] ); ?>" />
-            <?php endif; ?>
-            
-            <?php if ( ! empty( $attributes['totalTime'] ) ) : ?>
-                <meta itemprop="totalTime" content="<?php echo esc_attr( $attributes['totalTime'] ); ?>" />
-            <?php endif; ?>
-            
-            <?php if ( ! empty( $attributes['recipeYield'] ) ) : ?>
-                <meta itemprop="recipeYield" content="<?php echo esc_attr( $attributes['recipeYield'] ); ?>" />
-            <?php endif; ?>
-            
-            <?php if ( ! empty( $attributes['recipeCuisine'] ) ) : ?>
-                <meta itemprop="recipeCuisine" content="<?php echo esc_attr( $attributes['recipeCuisine'] ); ?>" />
-            <?php endif; ?>
-            
-            <?php if ( ! empty( $attributes['recipeIngredient'] ) ) : ?>
-                <?php foreach ( $attributes['recipeIngredient'] as $ingredient ) : ?>
-                    <meta itemprop="recipeIngredient" content="<?php echo esc_attr( $ingredient ); ?>" />
+        <?php if ( $print_url ) : ?>
+            <div class="recipe-actions">
+                <a class="recipe-print-link" href="<?php echo esc_url( $print_url ); ?>" target="_blank" rel="nofollow"><?php esc_html_e( 'Print recipe', 'datamachine-recipes' ); ?></a>
+            </div>
+        <?php endif; ?>
+        
+        <?php if ( $rating && $post ) : ?>
+            <?php echo self::render_rating( $post ); ?>
+        <?php endif; ?>
+        
+        <?php if ( $is_full && ! empty( $attributes['description'] ) ) : ?>
+            <div class="recipe-description"><?php echo wp_kses_post( $attributes['description'] ); ?></div>
+        <?php endif; ?>
+        
+        <?php $image = $is_full ? self::get_image_html( $attributes, $post ) : ''; ?>
+        <?php if ( $image ) : ?>
+            <div class="recipe-images">
+                <?php echo $image; ?>
+            </div>
+        <?php endif; ?>
+        
+        <?php if ( ! $is_steps_only ) : ?>
+            <div class="recipe-meta">
+                <?php foreach ( $timings as $key => $label ) : ?>
+                    <?php if ( ! empty( $attributes[ $key ] ) ) : ?>
+                        <div class="recipe-meta__item recipe-meta__item--<?php echo esc_attr( strtolower( $key ) ); ?>">
+                            <strong><?php echo esc_html( $label ); ?>:</strong>
+                            <span class="recipe-meta__value"><?php echo esc_html( self::format_duration( $attributes[ $key ] ) ); ?></span>
+                        </div>
+                    <?php endif; ?>
                 <?php endforeach; ?>
-            <?php endif; ?>
-            
-            <?php if ( ! empty( $attributes['recipeInstructions'] ) ) : ?>
-                <?php foreach ( $attributes['recipeInstructions'] as $index => $instruction ) : ?>
-                    <div itemprop="recipeInstructions" itemscope itemtype="https://schema.org/HowToStep">
-                        <meta itemprop="text" content="<?php echo esc_attr( wp_strip_all_tags( $instruction ) ); ?>" />
-                        <meta itemprop="name" content="Step <?php echo esc_attr( $index + 1 ); ?>" />
+                
+                <?php if ( ! empty( $attributes['recipeYield'] ) ) : ?>
+                    <div class="recipe-meta__item recipe-meta__item--yield">
+                        <strong><?php esc_html_e( 'Servings', 'datamachine-recipes' ); ?>:</strong>
+                        <span class="recipe-meta__value"><?php echo esc_html( $attributes['recipeYield'] ); ?></span>
                     </div>
-                <?php endforeach; ?>
-            <?php endif; ?>
-            
-            <?php
-            $rating_value = get_post_meta( $post->ID, 'rating_value', true );
-            $review_count = get_post_meta( $post->ID, 'review_count', true );
-            
-            if ( $review_count > 0 && $rating_value >= 1 && $rating_value <= 5 ) :
-                $average_rating = round( floatval( $rating_value ), 2 );
-            ?>
-                <div itemprop="aggregateRating" itemscope itemtype="https://schema.org/AggregateRating">
-                    <meta itemprop="ratingValue" content="<?php echo esc_attr( $average_rating ); ?>" />
-                    <meta itemprop="reviewCount" content="<?php echo esc_attr( intval( $review_count ) ); ?>" />
-                </div>
-            <?php endif; ?>
-            
-            <div itemprop="author" itemscope itemtype="https://schema.org/Person">
-                <meta itemprop="name" content="<?php echo esc_attr( $attributes['author']['name'] ); ?>" />
-                <?php if ( ! empty( $attributes['author']['url'] ) ) : ?>
-                    <meta itemprop="url" content="<?php echo esc_url( $attributes['author']['url'] ); ?>" />
                 <?php endif; ?>
             </div>
-            
-            <?php if ( ! empty( $attributes['recipeCategory'] ) ) : ?>
-                <?php foreach ( $attributes['recipeCategory'] as $category ) : ?>
-                    <meta itemprop="recipeCategory" content="<?php echo esc_attr( $category ); ?>" />
+        <?php endif; ?>
+        
+        <?php if ( ! $is_steps_only && ! empty( $attributes['recipeIngredient'] ) ) : ?>
+            <div class="recipe-ingredients">
+                <h3><?php esc_html_e( 'Ingredients', 'datamachine-recipes' ); ?></h3>
+                <?php foreach ( Ingredients::groups( $attributes['recipeIngredient'] ) as $group ) : ?>
+                    <?php if ( '' !== $group['name'] ) : ?>
+                        <h4 class="recipe-group-name"><?php echo esc_html( $group['name'] ); ?></h4>
+                    <?php endif; ?>
+                    <ul>
+                        <?php foreach ( $group['items'] as $ingredient ) : ?>
+                            <?php echo self::render_ingredient( $ingredient ); ?>
+                        <?php endforeach; ?>
+                    </ul>
                 <?php endforeach; ?>
+            </div>
+        <?php endif; ?>
+        
+        <?php if ( ! empty( $attributes['recipeInstructions'] ) ) : ?>
+            <div class="recipe-instructions">
+                <h3><?php esc_html_e( 'Instructions', 'datamachine-recipes' ); ?></h3>
+                <?php $step_number = 0; ?>
+                <?php $video_url = RecipeModel::get_video_url( $attributes ); ?>
+                <?php foreach ( Instructions::sections( $attributes['recipeInstructions'] ) as $section ) : ?>
+                    <?php if ( '' !== $section['name'] ) : ?>
+                        <h4 class="recipe-group-name"><?php echo esc_html( $section['name'] ); ?></h4>
+                    <?php endif; ?>
+                    <ol start="<?php echo esc_attr( $step_number + 1 ); ?>">
+                        <?php foreach ( $section['steps'] as $step ) : ?>
+                            <?php echo self::render_step( $step, $video_url ); ?>
+                            <?php $step_number++; ?>
+                        <?php endforeach; ?>
+                    </ol>
+                <?php endforeach; ?>
+            </div>
+        <?php endif; ?>
+        
+        <?php if ( $is_full && ! empty( $nutrition ) ) : ?>
+            <div class="recipe-nutrition">
+                <h3><?php esc_html_e( 'Nutrition', 'datamachine-recipes' ); ?></h3>
+                <dl>
+                    <?php foreach ( self::get_nutrition_labels() as $key => $label ) : ?>
+                        <?php if ( ! empty( $nutrition[ $key ] ) ) : ?>
+                            <div class="recipe-nutrition__item">
+                                <dt><?php echo esc_html( $label ); ?></dt>
+                                <dd><?php echo esc_html( $nutrition[ $key ] ); ?></dd>
+                            </div>
+                        <?php endif; ?>
+                    <?php endforeach; ?>
+                </dl>
+            </div>
+        <?php endif; ?>
+        
+        <?php foreach ( array( 'tool' => __( 'Equipment', 'datamachine-recipes' ), 'supply' => __( 'Supplies', 'datamachine-recipes' ) ) as $key => $heading ) : ?>
+            <?php $equipment = $is_full ? Equipment::items( $attributes[ $key ] ) : array(); ?>
+            <?php if ( $equipment ) : ?>
+                <div class="recipe-tools recipe-tools--<?php echo esc_attr( $key ); ?>">
+                    <h3><?php echo esc_html( $heading ); ?></h3>
+                    <ul>
+                        <?php foreach ( $equipment as $item ) : ?>
+                            <?php echo self::render_equipment_item( $item ); ?>
+                        <?php endforeach; ?>
+                    </ul>
+                </div>
             <?php endif; ?>
-            
-            <?php if ( ! empty( $attributes['keywords'] ) ) : ?>
-                <meta itemprop="keywords" content="<?php echo esc_attr( implode( ', ', $attributes['keywords'] ) ); ?>" />
-            <?php endif; ?>
-            
-            <?php if ( ! empty( $attributes['cookingMethod'] ) ) : ?>
-                <meta itemprop="cookingMethod" content="<?php echo esc_attr( $attributes['cookingMethod'] ); ?>" />
-            <?php endif; ?>
-            
-            <?php 
-            $date_published = ! empty( $attributes['datePublished'] ) ? $attributes['datePublished'] : get_the_date( 'c', $post->ID );
-            ?>
-            <meta itemprop="datePublished" content="<?php echo esc_attr( $date_published ); ?>" />
-            
-        </div>
+        <?php endforeach; ?>
         
+        <?php $tips = array_filter( array_map( 'trim', (array) $attributes['tips'] ), 'strlen' ); ?>
+        <?php if ( $is_full && ( '' !== trim( $attributes['notes'] ) || $tips || '' !== trim( $attributes['storage'] ) ) ) : ?>
+            <div class="recipe-notes">
+                <h3><?php esc_html_e( 'Notes', 'datamachine-recipes' ); ?></h3>
+                <?php if ( '' !== trim( $attributes['notes'] ) ) : ?>
+                    <div class="recipe-notes__text"><?php echo wpautop( wp_kses_post( $attributes['notes'] ) ); ?></div>
+                <?php endif; ?>
+                <?php if ( $tips ) : ?>
+                    <h4 class="recipe-group-name"><?php esc_html_e( 'Tips', 'datamachine-recipes' ); ?></h4>
+                    <ul class="recipe-notes__tips">
+                        <?php foreach ( $tips as $tip ) : ?>
+                            <li><?php echo esc_html( $tip ); ?></li>
+                        <?php endforeach; ?>
+                    </ul>
+                <?php endif; ?>
+                <?php if ( '' !== trim( $attributes['storage'] ) ) : ?>
+                    <h4 class="recipe-group-name"><?php esc_html_e( 'Storage & Make-Ahead', 'datamachine-recipes' ); ?></h4>
+                    <div class="recipe-notes__storage"><?php echo wpautop( wp_kses_post( $attributes['storage'] ) ); ?></div>
+                <?php endif; ?>
+            </div>
+        <?php endif; ?>
         <?php
-        $schema_data = self::generate_recipe_jsonld( $attributes, $post );
-        if ( ! empty( $schema_data ) ) {
-            echo '<script type="application/ld+json">' . wp_json_encode( $schema_data, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) . '</script>';
-        }
-        
         return ob_get_clean();
     }
 
     /**
-     * Generate JSON-LD structured data for Schema.org Recipe.
+     * Image tag for the recipe card, showing the recipe's first image.
      *
-     * Transforms recipe block attributes into complete Schema.org Recipe JSON-LD format
-     * with proper @context and @type declarations. Includes aggregate rating integration
-     * from WordPress post meta and comprehensive recipe property mapping.
-     *
-     * @param array   $attributes Recipe block attributes from Gutenberg
-     * @param WP_Post $post       WordPress post object for date and rating context
-     * @return array Complete Schema.org Recipe structured data array
-     * @since 1.0.0
+     * @param array        $attributes Prepared block attributes
+     * @param WP_Post|null $post       Post the recipe belongs to
+     * @return string Image HTML, or empty string when the recipe has no image
+     * @since 1.2.0
      */
-    private static function generate_recipe_jsonld( $attributes, $post ) {
-        $schema = array(
-            '@context' => 'https://schema.org/',
-            '@type' => 'Recipe'
-        );
-        
-        if ( ! empty( $attributes['recipeName'] ) ) {
-            $schema['name'] = $attributes['recipeName'];
-        }
-        
-        if ( ! empty( $attributes['description'] ) ) {
-            $schema['description'] = wp_strip_all_tags( $attributes['description'] );
-        }
-        
-        // Use featured image for recipe schema
-        $featured_image_url = get_the_post_thumbnail_url( $post->ID, 'full' );
-        if ( $featured_image_url ) {
-            $schema['image'] = $featured_image_url;
+    private static function get_image_html( $attributes, $post ) {
+        $images = RecipeImages::get_images( $attributes, $post );
+        if ( ! $images ) {
+            return '';
         }
-        
-        if ( ! empty( $attributes['prepTime'] ) ) {
-            $schema['prepTime'] = $attributes['prepTime'];
-        }
-        
-        if ( ! empty( $attributes['cookTime'] ) ) {
-            $schema['cookTime'] = $attributes['cookTime'];
+
+        if ( $images[0]['id'] ) {
+            return wp_get_attachment_image( $images[0]['id'], 'large', false, array( 'alt' => $images[0]['alt'] ) );
         }
-        
-        if ( ! empty( $attributes['totalTime'] ) ) {
-            $schema['totalTime'] = $attributes['totalTime'];
+
+        return '<img src="' . esc_url( $images[0]['url'] ) . '" alt="' . esc_attr( $images[0]['alt'] ) . '" loading="lazy" />';
+    }
+
+    /**
+     * Render the post's average rating.
+     *
+     * When the post accepts ratings, the wrapper carries what the view script
+     * needs to add the rating widget (see rating.js).
+     *
+     * @param WP_Post $post Post the recipe belongs to
+     * @return string Rating HTML
+     * @since 1.2.0
+     */
+    private static function render_rating( $post ) {
+        $aggregate = RecipeReviews::get_aggregate( $post->ID );
+        $data = '';
+
+        if ( RecipeReviews::accepts_ratings( $post ) ) {
+            $data = ' data-post-id="' . esc_attr( $post->ID ) . '"'
+                . ' data-mode="' . esc_attr( RecipeSettings::get_ratings_mode() ) . '"'
+                . ' data-guest="' . ( is_user_logged_in() ? 'false' : 'true' ) . '"'
+                . ' data-require-author="' . ( get_option( 'require_name_email' ) ? 'true' : 'false' ) . '"';
+        } elseif ( ! $aggregate ) {
+            return '';
         }
-        
-        if ( ! empty( $attributes['recipeYield'] ) ) {
-            $schema['recipeYield'] = $attributes['recipeYield'];
+
+        $html = '<div class="recipe-rating"' . $data . '><p class="recipe-rating__summary">';
+        if ( $aggregate ) {
+            $html .= RecipeReviews::render_stars( $aggregate['rating_value'] ) . ' <span class="recipe-rating__text">' . esc_html( sprintf(
+                /* translators: 1: average rating, 2: number of ratings */
+                _n( '%1$s from %2$s rating', '%1$s from %2$s ratings', $aggregate['review_count'], 'datamachine-recipes' ),
+                number_format_i18n( $aggregate['rating_value'], 1 ),
+                number_format_i18n( $aggregate['review_count'] )
+            ) ) . '</span>';
+        } else {
+            $html .= '<span class="recipe-rating__text">' . esc_html__( 'No ratings yet', 'datamachine-recipes' ) . '</span>';
         }
-        
-        if ( ! empty( $attributes['recipeCategory'] ) ) {
-            $schema['recipeCategory'] = $attributes['recipeCategory'];
+
+        return $html . '</p></div>';
+    }
+
+    /**
+     * Render a single ingredient list item.
+     *
+     * Structured ingredients are split into quantity, unit, name and note spans so
+     * they can be styled, rescaled and unit-converted individually. Plain string
+     * ingredients are output as-is.
+     *
+     * @param string|array $ingredient Plain string or structured ingredient
+     * @return string Ingredient list item HTML
+     * @since 1.2.0
+     */
+    private static function render_ingredient( $ingredient ) {
+        if ( ! Ingredients::is_structured( $ingredient ) ) {
+            return '<li class="recipe-ingredient">' . esc_html( Ingredients::to_string( $ingredient ) ) . '</li>';
         }
-        
-        if ( ! empty( $attributes['recipeCuisine'] ) ) {
-            $schema['recipeCuisine'] = $attributes['recipeCuisine'];
+
+        $ingredient = Ingredients::normalize( $ingredient );
+        $classes = 'recipe-ingredient' . ( $ingredient['optional'] ? ' recipe-ingredient--optional' : '' );
+        $no_convert = $ingredient['noConvert'] ? ' data-no-convert="true"' : '';
+
+        $html = '';
+        foreach ( array( 'quantity', 'unit', 'name' ) as $field ) {
+            if ( '' !== trim( (string) $ingredient[ $field ] ) ) {
+                $html .= '<span class="recipe-ingredient__' . $field . '">' . esc_html( $ingredient[ $field ] ) . '</span> ';
+            }
         }
-        
-        if ( ! empty( $attributes['recipeIngredient'] ) ) {
-            $schema['recipeIngredient'] = $attributes['recipeIngredient'];
+        $html = rtrim( $html );
+
+        if ( '' !== trim( (string) $ingredient['note'] ) ) {
+            $html .= '<span class="recipe-ingredient__note">, ' . esc_html( $ingredient['note'] ) . '</span>';
         }
-        
-        if ( ! empty( $attributes['recipeInstructions'] ) ) {
-            $schema['recipeInstructions'] = array();
-            foreach ( $attributes['recipeInstructions'] as $index => $instruction ) {
-                $schema['recipeInstructions'][] = array(
-                    '@type' => 'HowToStep',
-                    'name' => 'Step ' . ( $index + 1 ),
-                    'text' => wp_strip_all_tags( $instruction )
-                );
-            }
+
+        if ( $ingredient['optional'] ) {
+            $html .= ' <span class="recipe-ingredient__optional">' . esc_html__( '(optional)', 'datamachine-recipes' ) . '</span>';
         }
-        
-        $schema['author'] = array(
-            '@type' => 'Person',
-            'name' => $attributes['author']['name']
-        );
-        
-        if ( ! empty( $attributes['author']['url'] ) ) {
-            $schema['author']['url'] = $attributes['author']['url'];
+
+        if ( '' !== trim( (string) $ingredient['substitution'] ) ) {
+            /* translators: %s: suggested ingredient swaps */
+            $html .= ' <span class="recipe-ingredient__substitution">' . esc_html( sprintf( __( 'Substitute: %s', 'datamachine-recipes' ), $ingredient['substitution'] ) ) . '</span>';
         }
-        
-        $schema['datePublished'] = ! empty( $attributes['datePublished'] ) 
-            ? $attributes['datePublished'] 
-            : get_the_date( 'c', $post->ID );
-        
-        $rating_value = get_post_meta( $post->ID, 'rating_value', true );
-        $review_count = get_post_meta( $post->ID, 'review_count', true );
-        
-        if ( $review_count > 0 && $rating_value >= 1 && $rating_value <= 5 ) {
-            $schema['aggregateRating'] = array(
-                '@type' => 'AggregateRating',
-                'ratingValue' => round( floatval( $rating_value ), 2 ),
-                'reviewCount' => intval( $review_count )
-            );
+
+        return '<li class="' . esc_attr( $classes ) . '"' . $no_convert . '>' . $html . '</li>';
+    }
+
+    /**
+     * Render a tool or supply list item.
+     *
+     * Product links open in a new tab; affiliate links are marked sponsored.
+     *
+     * @param array $item Normalized equipment item
+     * @return string Equipment list item HTML
+     * @since 1.2.0
+     */
+    private static function render_equipment_item( $item ) {
+        $html = '';
+
+        if ( $item['imageId'] && wp_attachment_is_image( $item['imageId'] ) ) {
+            $html .= wp_get_attachment_image( $item['imageId'], 'thumbnail', false, array(
+                'class' => 'recipe-tools__image',
+                'alt' => '',
+                'loading' => 'lazy'
+            ) );
+        } elseif ( '' !== $item['image'] ) {
+            $html .= '<img class="recipe-tools__image" src="' . esc_url( $item['image'] ) . '" alt="" loading="lazy" />';
         }
-        
-        if ( ! empty( $attributes['keywords'] ) ) {
-            $schema['keywords'] = $attributes['keywords'];
+
+        if ( '' !== $item['url'] ) {
+            $rel = $item['sponsored'] ? 'sponsored nofollow noopener' : 'noopener';
+            $html .= '<a href="' . esc_url( $item['url'] ) . '" target="_blank" rel="' . $rel . '">' . esc_html( $item['name'] ) . '</a>';
+        } else {
+            $html .= esc_html( $item['name'] );
         }
-        
-        if ( ! empty( $attributes['cookingMethod'] ) ) {
-            $schema['cookingMethod'] = $attributes['cookingMethod'];
+
+        return '<li>' . $html . '</li>';
+    }
+
+    /**
+     * Render a single instruction step list item.
+     *
+     * Steps with an anchor get a matching id so the HowToStep url in JSON-LD links
+     * straight to them. The optional timer is shown as a readable duration and
+     * kept as ISO 8601 in data-timer for front-end scripts. Steps with a video
+     * clip link to that point in the recipe video.
+     *
+     * @param array  $step      Normalized step
+     * @param string $video_url Recipe video URL, empty when the recipe has no video
+     * @return string Step list item HTML
+     * @since 1.2.0
+     */
+    private static function render_step( $step, $video_url = '' ) {
+        $id = '' !== $step['anchor'] ? ' id="' . esc_attr( $step['anchor'] ) . '"' : '';
+        $timer = '' !== $step['timer'] ? ' data-timer="' . esc_attr( $step['timer'] ) . '"' : '';
+
+        $html = '';
+        if ( '' !== $step['name'] ) {
+            $html .= '<strong class="recipe-step__name">' . esc_html( $step['name'] ) . '</strong> ';
         }
-        
-        if ( ! empty( $attributes['nutrition'] ) && array_filter( $attributes['nutrition'] ) ) {
-            $schema['nutrition'] = array(
-                '@type' => 'NutritionInformation'
-            );
-            
-            foreach ( $attributes['nutrition'] as $key => $value ) {
-                if ( ! empty( $value ) ) {
-                    $schema['nutrition'][$key] = $value;
-                }
-            }
+
+        $html .= '<span class="recipe-step__text">' . wp_kses_post( $step['text'] ) . '</span>';
+
+        if ( '' !== $step['timer'] ) {
+            $html .= ' <span class="recipe-step__timer">' . esc_html( self::format_duration( $step['timer'] ) ) . '</span>';
         }
-        
-        if ( ! empty( $attributes['suitableForDiet'] ) ) {
-            $schema['suitableForDiet'] = $attributes['suitableForDiet'];
+
+        if ( '' !== $video_url && is_numeric( $step['clipStart'] ) ) {
+            $end = is_numeric( $step['clipEnd'] ) && $step['clipEnd'] > $step['clipStart'] ? (int) $step['clipEnd'] : 0;
+            $html .= ' <a class="recipe-step__clip" href="' . esc_url( Instructions::get_clip_url( $video_url, $step['clipStart'], $end ) ) . '" target="_blank" rel="noopener">'
+                /* translators: %s: video time such as 1:20 */
+                . esc_html( sprintf( __( 'Watch this step (%s)', 'datamachine-recipes' ), Instructions::format_offset( $step['clipStart'] ) ) )
+                . '</a>';
         }
-        
-        if ( ! empty( $attributes['video'] ) && ! empty( $attributes['video']['contentUrl'] ) ) {
-            $schema['video'] = array(
-                '@type' => 'VideoObject',
-                'name' => $attributes['video']['name'],
-                'description' => $attributes['video']['description'],
-                'contentUrl' => $attributes['video']['contentUrl']
-            );
-            
-            if ( ! empty( $attributes['video']['thumbnailUrl'] ) ) {
-                $schema['video']['thumbnailUrl'] = $attributes['video']['thumbnailUrl'];
-            }
-            
-            if ( ! empty( $attributes['video']['duration'] ) ) {
-                $schema['video']['duration'] = $attributes['video']['duration'];
-            }
+
+        if ( $step['imageId'] && wp_attachment_is_image( $step['imageId'] ) ) {
+            $html .= wp_get_attachment_image( $step['imageId'], 'large', false, array(
+                'class' => 'recipe-step__image',
+                'alt' => $step['name'],
+                'loading' => 'lazy'
+            ) );
+        } elseif ( '' !== $step['image'] ) {
+            $html .= '<img class="recipe-step__image" src="' . esc_url( $step['image'] ) . '" alt="' . esc_attr( $step['name'] ) . '" loading="lazy" />';
         }
-        
-        return $schema;
+
+        return '<li class="recipe-step"' . $id . $timer . '>' . $html . '</li>';
+    }
+
+    /**
+     * Get display labels for nutrition attributes.
+     *
+     * Keys match the Schema.org NutritionInformation properties stored in the
+     * nutrition attribute, in the order they appear on the recipe card.
+     *
+     * @return array Nutrition property => translated label
+     * @since 1.2.0
+     */
+    private static function get_nutrition_labels() {
+        return array(
+            'servingSize' => __( 'Serving Size', 'datamachine-recipes' ),
+            'calories' => __( 'Calories', 'datamachine-recipes' ),
+            'fatContent' => __( 'Fat', 'datamachine-recipes' ),
+            'saturatedFatContent' => __( 'Saturated Fat', 'datamachine-recipes' ),
+            'transFatContent' => __( 'Trans Fat', 'datamachine-recipes' ),
+            'unsaturatedFatContent' => __( 'Unsaturated Fat', 'datamachine-recipes' ),
+            'cholesterolContent' => __( 'Cholesterol', 'datamachine-recipes' ),
+            'sodiumContent' => __( 'Sodium', 'datamachine-recipes' ),
+            'carbohydrateContent' => __( 'Carbohydrates', 'datamachine-recipes' ),
+            'fiberContent' => __( 'Fiber', 'datamachine-recipes' ),
+            'sugarContent' => __( 'Sugar', 'datamachine-recipes' ),
+            'proteinContent' => __( 'Protein', 'datamachine-recipes' )
+        );
+    }
+
+    /**
+     * Generate JSON-LD structured data for Schema.org Recipe.
+     *
+     * Adds the @context to the RecipeModel node, which includes the aggregate
+     * rating from post meta and approved reader reviews. Public for the REST API,
+     * which returns the same JSON-LD the block outputs.
+     *
+     * @param array   $attributes Recipe block attributes, as returned by prepare_attributes()
+     * @param WP_Post $post       WordPress post object for date and rating context
+     * @param string  $anchor     Card anchor; when given, the recipe gets an @id and url pointing at the card
+     * @param bool    $ratings    Whether to include the post's rating and reviews; false for all but the first recipe
+     * @return array Complete Schema.org Recipe structured data array
+     * @since 1.0.0
+     */
+    public static function generate_recipe_jsonld( $attributes, $post, $anchor = '', $ratings = true ) {
+        return array( '@context' => 'https://schema.org/' ) + RecipeModel::build( $attributes, $post, $anchor, $ratings );
     }
 
     /**
      * Convert ISO 8601 duration to human-readable format.
      *
-     * Parses ISO 8601 duration strings (PT30M, PT1H30M) and converts them to
-     * human-readable format for frontend display. Handles hours and minutes
-     * with proper pluralization.
+     * Kept for themes and extensions that call it; see Duration::format().
      *
-     * @param string $duration ISO 8601 duration string (e.g., "PT30M", "PT1H30M")
-     * @return string Human-readable duration (e.g., "30 minutes", "1 hour 30 minutes")
+     * @param string $duration ISO 8601 duration string (e.g., "PT30M", "P1DT2H")
+     * @return string Localized duration (e.g., "30 minutes", "1 day 2 hours")
      * @since 1.0.0
      */
     public static function format_duration( $duration ) {
-        if ( strpos( $duration, 'PT' ) === 0 ) {
-            $duration = substr( $duration, 2 );
-            
-            $hours = 0;
-            $minutes = 0;
-            
-            if ( preg_match( '/(\d+)H/', $duration, $matches ) ) {
-                $hours = intval( $matches[1] );
-            }
-            
-            if ( preg_match( '/(\d+)M/', $duration, $matches ) ) {
-                $minutes = intval( $matches[1] );
-            }
-            
-            $parts = array();
-            if ( $hours > 0 ) {
-                $parts[] = $hours . ' ' . ( $hours === 1 ? 'hour' : 'hours' );
-            }
-            if ( $minutes > 0 ) {
-                $parts[] = $minutes . ' ' . ( $minutes === 1 ? 'minute' : 'minutes' );
-            }
-            
-            return implode( ' ', $parts );
-        }
-        
-        return $duration;
+        return Duration::format( $duration );
     }
 }
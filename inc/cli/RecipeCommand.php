@@ -0,0 +1,560 @@
+<?php
+namespace DataMachineRecipes\Cli;
+
+use DataMachineRecipes\Blocks\BlockMigrator;
+use DataMachineRecipes\Blocks\RecipeSchemaBlock;
+use DataMachineRecipes\Recipe\Ingredients;
+use DataMachineRecipes\Recipe\Instructions;
+use DataMachineRecipes\Recipe\JsonLdImporter;
+use DataMachineRecipes\Recipe\Microdata;
+use DataMachineRecipes\Recipe\RecipeMeta;
+use DataMachineRecipes\Recipe\RecipeModel;
+use DataMachineRecipes\Recipe\RecipeReviews;
+use WP_CLI;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Manage Data Machine recipes from the command line.
+ *
+ * @package DataMachineRecipes\Cli
+ * @since 1.2.0
+ */
+class RecipeCommand {
+
+    /**
+     * Import Schema.org Recipe JSON-LD into Recipe Schema blocks.
+     *
+     * Looks for Recipe JSON-LD in each post's content, then in the rendered
+     * content (for recipe plugin shortcodes and blocks), and optionally in the
+     * published page. Every recipe found is appended to the post as a Recipe
+     * Schema block. JSON-LD scripts found in the post content are removed so the
+     * recipe is not described twice. Posts that already contain a Recipe Schema
+     * block are skipped.
+     *
+     * ## OPTIONS
+     *
+     * [<post-id>...]
+     * : Posts to import. Defaults to every post of --post_type.
+     *
+     * [--post_type=<post-type>]
+     * : Post type to search when no post IDs are given.
+     * ---
+     * default: post
+     * ---
+     *
+     * [--fetch]
+     * : Fetch the published page when the content has no Recipe JSON-LD, for plugins that print it in the page head.
+     *
+     * [--dry-run]
+     * : Report what would be imported without saving.
+     *
+     * ## EXAMPLES
+     *
+     *     wp datamachine-recipes import-jsonld --dry-run
+     *     wp datamachine-recipes import-jsonld 42 57 --fetch
+     *
+     * @subcommand import-jsonld
+     *
+     * @param array $args       Post IDs
+     * @param array $assoc_args Command options
+     * @since 1.2.0
+     */
+    public function import_jsonld( $args, $assoc_args ) {
+        $dry_run = ! empty( $assoc_args['dry-run'] );
+        $fetch = ! empty( $assoc_args['fetch'] );
+
+        $post_ids = $args ? array_map( 'absint', $args ) : get_posts( array(
+            'post_type' => $assoc_args['post_type'] ?? 'post',
+            'post_status' => 'any',
+            'posts_per_page' => -1,
+            'fields' => 'ids'
+        ) );
+
+        $rows = array();
+        $imported = 0;
+
+        foreach ( $post_ids as $post_id ) {
+            $post = get_post( $post_id );
+            if ( ! $post ) {
+                WP_CLI::warning( sprintf( 'Post %d not found.', $post_id ) );
+                continue;
+            }
+
+            if ( BlockMigrator::has_recipe_block( $post ) ) {
+                continue;
+            }
+
+            list( $recipes, $source ) = $this->find_post_recipes( $post, $fetch );
+            if ( ! $recipes ) {
+                continue;
+            }
+
+            $blocks = array();
+            foreach ( $recipes as $recipe ) {
+                $result = JsonLdImporter::to_attributes( $recipe );
+                $blocks[] = $this->create_block( $result['attributes'] );
+
+                $rows[] = array(
+                    'post_id' => $post->ID,
+                    'recipe' => $result['attributes']['recipeName'] ?? '',
+                    'source' => $source,
+                    'dropped' => implode( ', ', $result['dropped'] )
+                );
+            }
+
+            if ( $dry_run ) {
+                continue;
+            }
+
+            $content = 'content' === $source ? $this->remove_recipe_scripts( $post->post_content ) : $post->post_content;
+            $updated = wp_update_post( array(
+                'ID' => $post->ID,
+                'post_content' => wp_slash( rtrim( $content ) . "\n\n" . implode( "\n\n", $blocks ) )
+            ), true );
+
+            if ( is_wp_error( $updated ) ) {
+                WP_CLI::warning( sprintf( 'Post %d: %s', $post->ID, $updated->get_error_message() ) );
+                continue;
+            }
+
+            $imported += count( $blocks );
+        }
+
+        if ( ! $rows ) {
+            WP_CLI::success( 'No Recipe JSON-LD found.' );
+            return;
+        }
+
+        \WP_CLI\Utils\format_items( 'table', $rows, array( 'post_id', 'recipe', 'source', 'dropped' ) );
+
+        if ( $dry_run ) {
+            WP_CLI::success( sprintf( 'Dry run: %d recipe(s) would be imported.', count( $rows ) ) );
+        } else {
+            WP_CLI::success( sprintf( 'Imported %d recipe(s).', $imported ) );
+        }
+    }
+
+    /**
+     * Mirror recipe block data into post meta for existing posts.
+     *
+     * Posts saved since the mirror was added are kept in sync automatically;
+     * run this once to fill in older posts, or after changing the
+     * datamachine_recipes_meta_values filter. Posts without a recipe block have
+     * any stale recipe meta removed.
+     *
+     * ## OPTIONS
+     *
+     * [<post-id>...]
+     * : Posts to sync. Defaults to every post of --post_type.
+     *
+     * [--post_type=<post-type>]
+     * : Post type to sync when no post IDs are given.
+     * ---
+     * default: post
+     * ---
+     *
+     * [--dry-run]
+     * : Show the values that would be written without saving.
+     *
+     * ## EXAMPLES
+     *
+     *     wp datamachine-recipes sync-meta --dry-run
+     *     wp datamachine-recipes sync-meta --post_type=page
+     *
+     * @subcommand sync-meta
+     *
+     * @param array $args       Post IDs
+     * @param array $assoc_args Command options
+     * @since 1.2.0
+     */
+    public function sync_meta( $args, $assoc_args ) {
+        $dry_run = ! empty( $assoc_args['dry-run'] );
+
+        $post_ids = $args ? array_map( 'absint', $args ) : get_posts( array(
+            'post_type' => $assoc_args['post_type'] ?? 'post',
+            'post_status' => 'any',
+            'posts_per_page' => -1,
+            'fields' => 'ids'
+        ) );
+
+        $rows = array();
+
+        foreach ( $post_ids as $post_id ) {
+            $post = get_post( $post_id );
+            if ( ! $post ) {
+                WP_CLI::warning( sprintf( 'Post %d not found.', $post_id ) );
+                continue;
+            }
+
+            if ( $dry_run ) {
+                if ( ! BlockMigrator::has_recipe_block( $post ) ) {
+                    continue;
+                }
+                $values = RecipeMeta::get_values( wp_list_pluck( RecipeSchemaBlock::find_blocks( parse_blocks( $post->post_content ) ), 'attrs' ), $post->ID );
+            } else {
+                $values = RecipeMeta::sync( $post );
+                if ( ! array_filter( $values ) ) {
+                    continue;
+                }
+            }
+
+            $rows[] = array(
+                'post_id' => $post->ID,
+                'minutes' => $values[ RecipeMeta::TOTAL_MINUTES ] ?? '',
+                'calories' => $values[ RecipeMeta::CALORIES ] ?? '',
+                'cuisine' => implode( ', ', $values[ RecipeMeta::CUISINE ] ?? array() ),
+                'category' => implode( ', ', $values[ RecipeMeta::CATEGORY ] ?? array() ),
+                'diet' => implode( ', ', $values[ RecipeMeta::DIET ] ?? array() ),
+                'ingredients' => count( $values[ RecipeMeta::INGREDIENT ] ?? array() )
+            );
+        }
+
+        if ( ! $rows ) {
+            WP_CLI::success( 'No recipes found.' );
+            return;
+        }
+
+        \WP_CLI\Utils\format_items( 'table', $rows, array( 'post_id', 'minutes', 'calories', 'cuisine', 'category', 'diet', 'ingredients' ) );
+
+        if ( $dry_run ) {
+            WP_CLI::success( sprintf( 'Dry run: %d post(s) would be synced.', count( $rows ) ) );
+        } else {
+            WP_CLI::success( sprintf( 'Synced %d post(s).', count( $rows ) ) );
+        }
+    }
+
+    /**
+     * Upgrade Recipe Schema blocks saved by earlier plugin versions.
+     *
+     * Rewrites recipe block comments whose attributes are from an older block
+     * schema version, and renames blocks saved under the 1.0 namespace
+     * (`data-machine-recipes/recipe-schema`). The rest of the content is left
+     * as it is. Posts opened in the block editor are upgraded when saved, so
+     * this is for posts nobody edits.
+     *
+     * ## OPTIONS
+     *
+     * [<post-id>...]
+     * : Posts to migrate. Defaults to every post of --post_type.
+     *
+     * [--post_type=<post-type>]
+     * : Post type to migrate when no post IDs are given.
+     * ---
+     * default: post
+     * ---
+     *
+     * [--dry-run]
+     * : List the posts that would change without saving.
+     *
+     * ## EXAMPLES
+     *
+     *     wp datamachine-recipes migrate-blocks --dry-run
+     *     wp datamachine-recipes migrate-blocks --post_type=page
+     *
+     * @subcommand migrate-blocks
+     *
+     * @param array $args       Post IDs
+     * @param array $assoc_args Command options
+     * @since 1.2.0
+     */
+    public function migrate_blocks( $args, $assoc_args ) {
+        $dry_run = ! empty( $assoc_args['dry-run'] );
+
+        $post_ids = $args ? array_map( 'absint', $args ) : get_posts( array(
+            'post_type' => $assoc_args['post_type'] ?? 'post',
+            'post_status' => 'any',
+            'posts_per_page' => -1,
+            'fields' => 'ids'
+        ) );
+
+        $rows = array();
+        $migrated = 0;
+
+        foreach ( $post_ids as $post_id ) {
+            $post = get_post( $post_id );
+            if ( ! $post ) {
+                WP_CLI::warning( sprintf( 'Post %d not found.', $post_id ) );
+                continue;
+            }
+
+            if ( false === strpos( $post->post_content, '/recipe-schema' ) ) {
+                continue;
+            }
+
+            $result = BlockMigrator::migrate_content( $post->post_content );
+            if ( ! $result['blocks'] ) {
+                continue;
+            }
+
+            $rows[] = array(
+                'post_id' => $post->ID,
+                'title' => get_the_title( $post ),
+                'blocks' => $result['blocks'],
+                'renamed' => $result['renamed']
+            );
+
+            if ( $dry_run ) {
+                continue;
+            }
+
+            $updated = wp_update_post( array(
+                'ID' => $post->ID,
+                'post_content' => wp_slash( $result['content'] )
+            ), true );
+
+            if ( is_wp_error( $updated ) ) {
+                WP_CLI::warning( sprintf( 'Post %d: %s', $post->ID, $updated->get_error_message() ) );
+                continue;
+            }
+
+            $migrated++;
+        }
+
+        if ( ! $rows ) {
+            WP_CLI::success( 'All recipe blocks are up to date.' );
+            return;
+        }
+
+        \WP_CLI\Utils\format_items( 'table', $rows, array( 'post_id', 'title', 'blocks', 'renamed' ) );
+
+        if ( $dry_run ) {
+            WP_CLI::success( sprintf( 'Dry run: %d post(s) would be migrated.', count( $rows ) ) );
+        } else {
+            WP_CLI::success( sprintf( 'Migrated %d post(s).', $migrated ) );
+        }
+    }
+
+    /**
+     * Check the structured data golden files against the serializers.
+     *
+     * Renders the recipe in attributes.json, inside the post described by
+     * post.json (permalink, ratings, reviews and timezone), through the JSON-LD
+     * and microdata serializers and compares the output with jsonld.json and
+     * microdata.html. The jest tests check those files against each other and
+     * the JSON-LD importer, so run this after changing RecipeModel, Microdata
+     * or RecipeReviews. Nothing is read from or written to the database.
+     *
+     * ## OPTIONS
+     *
+     * [<dir>]
+     * : Fixture directory. Defaults to src/shared/test/fixtures/structured-data in the plugin.
+     *
+     * [--update]
+     * : Rewrite the golden files with the current output instead of comparing.
+     *
+     * ## EXAMPLES
+     *
+     *     wp datamachine-recipes check-structured-data
+     *     wp datamachine-recipes check-structured-data --update
+     *
+     * @subcommand check-structured-data
+     *
+     * @param array $args       Fixture directory
+     * @param array $assoc_args Command options
+     * @since 1.2.0
+     */
+    public function check_structured_data( $args, $assoc_args ) {
+        $dir = untrailingslashit( $args[0] ?? DATAMACHINE_RECIPES_PLUGIN_DIR . 'src/shared/test/fixtures/structured-data' );
+
+        if ( ! is_readable( $dir . '/attributes.json' ) || ! is_readable( $dir . '/post.json' ) ) {
+            WP_CLI::error( sprintf( 'No attributes.json and post.json in %s.', $dir ) );
+        }
+
+        $attributes = json_decode( file_get_contents( $dir . '/attributes.json' ), true );
+        $context = json_decode( file_get_contents( $dir . '/post.json' ), true );
+
+        $output = $this->render_fixture( $attributes, $context );
+
+        if ( ! empty( $assoc_args['update'] ) ) {
+            file_put_contents( $dir . '/jsonld.json', wp_json_encode( $output['jsonld'], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) . "\n" );
+            file_put_contents( $dir . '/microdata.html', $output['microdata'] . "\n" );
+            WP_CLI::success( sprintf( 'Updated the golden files in %s.', $dir ) );
+            return;
+        }
+
+        $failed = array();
+
+        $jsonld = is_readable( $dir . '/jsonld.json' ) ? json_decode( file_get_contents( $dir . '/jsonld.json' ), true ) : null;
+        $microdata = is_readable( $dir . '/microdata.html' ) ? trim( file_get_contents( $dir . '/microdata.html' ) ) : '';
+
+        if ( $jsonld !== $output['jsonld'] ) {
+            $failed[] = 'jsonld.json';
+            WP_CLI::log( wp_json_encode( $output['jsonld'], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) );
+        }
+
+        if ( $microdata !== $output['microdata'] ) {
+            $failed[] = 'microdata.html';
+            WP_CLI::log( $output['microdata'] );
+        }
+
+        if ( $failed ) {
+            WP_CLI::error( sprintf( '%s differ from the serializer output above. Run with --update if the change is intended.', implode( ' and ', $failed ) ) );
+        }
+
+        WP_CLI::success( 'jsonld.json and microdata.html match the serializer output.' );
+    }
+
+    /**
+     * Find Recipe JSON-LD for a post.
+     *
+     * @param \WP_Post $post  Post
+     * @param bool     $fetch Whether to fetch the published page as a last resort
+     * @return array Recipes and the source they were found in ("content", "rendered" or "page")
+     * @since 1.2.0
+     */
+    private function find_post_recipes( $post, $fetch ) {
+        $recipes = JsonLdImporter::find_recipes( $post->post_content );
+        if ( $recipes ) {
+            return array( $recipes, 'content' );
+        }
+
+        $GLOBALS['post'] = $post;
+        setup_postdata( $post );
+        $rendered = apply_filters( 'the_content', $post->post_content );
+        wp_reset_postdata();
+
+        $recipes = JsonLdImporter::find_recipes( $rendered );
+        if ( $recipes ) {
+            return array( $recipes, 'rendered' );
+        }
+
+        if ( $fetch && 'publish' === $post->post_status ) {
+            $response = wp_remote_get( get_permalink( $post ), array( 'timeout' => 15 ) );
+            if ( is_wp_error( $response ) ) {
+                WP_CLI::warning( sprintf( 'Post %d: %s', $post->ID, $response->get_error_message() ) );
+            } else {
+                $recipes = JsonLdImporter::find_recipes( wp_remote_retrieve_body( $response ) );
+                if ( $recipes ) {
+                    return array( $recipes, 'page' );
+                }
+            }
+        }
+
+        return array( array(), '' );
+    }
+
+    /**
+     * Serialize a Recipe Schema block with sanitized attributes.
+     *
+     * @param array $attributes Attributes from JsonLdImporter::to_attributes()
+     * @return string Block markup
+     * @since 1.2.0
+     */
+    private function create_block( array $attributes ) {
+        if ( isset( $attributes['recipeIngredient'] ) ) {
+            $attributes['recipeIngredient'] = Ingredients::sanitize_list( $attributes['recipeIngredient'] );
+        }
+
+        if ( isset( $attributes['recipeInstructions'] ) ) {
+            $attributes['recipeInstructions'] = Instructions::sanitize_list( $attributes['recipeInstructions'] );
+        }
+
+        if ( isset( $attributes['description'] ) ) {
+            $attributes['description'] = wp_kses_post( $attributes['description'] );
+        }
+
+        $attributes['schemaVersion'] = BlockMigrator::SCHEMA_VERSION;
+
+        return serialize_block( array(
+            'blockName' => 'datamachine-recipes/recipe-schema',
+            'attrs' => $attributes,
+            'innerBlocks' => array(),
+            'innerHTML' => '',
+            'innerContent' => array()
+        ) );
+    }
+
+    /**
+     * Remove Recipe JSON-LD scripts, and Custom HTML blocks left empty, from content.
+     *
+     * @param string $content Post content
+     * @return string Content without Recipe JSON-LD
+     * @since 1.2.0
+     */
+    private function remove_recipe_scripts( $content ) {
+        $content = preg_replace_callback( '#<script[^>]+type=["\']application/ld\+json["\'][^>]*>.*?</script>#is', function( $matches ) {
+            return JsonLdImporter::find_recipes( $matches[0] ) ? '' : $matches[0];
+        }, $content );
+
+        return preg_replace( '#<!-- wp:html -->\s*<!-- /wp:html -->\s*#', '', $content );
+    }
+
+    /**
+     * Render a structured data fixture without touching the database.
+     *
+     * The post in the fixture does not exist, so its permalink, rating meta,
+     * reviews and timezone are supplied through filters for the duration of
+     * the render.
+     *
+     * @param array $attributes Recipe block attributes from attributes.json
+     * @param array $context    Post context from post.json
+     * @return array { jsonld: array, microdata: string }
+     * @since 1.2.0
+     */
+    private function render_fixture( array $attributes, array $context ) {
+        $post = new \WP_Post( (object) array(
+            'ID' => (int) $context['ID'],
+            'post_type' => 'post',
+            'post_status' => 'publish',
+            'filter' => 'raw'
+        ) );
+
+        $comments = array();
+        foreach ( $context['reviews'] as $index => $review ) {
+            $comments[] = new \WP_Comment( (object) array(
+                'comment_ID' => (string) ( $index + 1 ),
+                'comment_post_ID' => (string) $post->ID,
+                'comment_type' => RecipeReviews::REVIEW_TYPE,
+                'comment_approved' => '1',
+                'comment_author' => $review['comment_author'],
+                'comment_date' => $review['comment_date'],
+                'comment_content' => $review['comment_content']
+            ) );
+        }
+
+        $filters = array(
+            'post_link' => function( $link, $linked ) use ( $post, $context ) {
+                return $linked->ID === $post->ID ? $context['permalink'] : $link;
+            },
+            'get_post_metadata' => function( $value, $object_id, $meta_key ) use ( $post, $context ) {
+                if ( $object_id !== $post->ID || ! in_array( $meta_key, array( 'rating_value', 'review_count' ), true ) ) {
+                    return $value;
+                }
+                return array( $context[ $meta_key ] );
+            },
+            'comments_pre_query' => function( $value, $query ) use ( $post, $comments ) {
+                return (int) $query->query_vars['post_id'] === $post->ID ? $comments : $value;
+            },
+            'get_comment_metadata' => function( $value, $comment_id, $meta_key ) use ( $context ) {
+                if ( RecipeReviews::RATING_META !== $meta_key || ! isset( $context['reviews'][ $comment_id - 1 ] ) ) {
+                    return $value;
+                }
+                return array( $context['reviews'][ $comment_id - 1 ]['rating'] );
+            },
+            'pre_option_timezone_string' => function() use ( $context ) {
+                return $context['timezone'];
+            }
+        );
+
+        foreach ( $filters as $hook => $callback ) {
+            add_filter( $hook, $callback, PHP_INT_MAX, 3 );
+        }
+
+        $attributes = RecipeSchemaBlock::prepare_attributes( $attributes );
+        $anchor = sanitize_title( $attributes['anchor'] );
+
+        $output = array(
+            'jsonld' => RecipeSchemaBlock::generate_recipe_jsonld( $attributes, $post, $anchor ),
+            'microdata' => Microdata::render( RecipeModel::build( $attributes, $post, $anchor ) )
+        );
+
+        foreach ( $filters as $hook => $callback ) {
+            remove_filter( $hook, $callback, PHP_INT_MAX );
+        }
+
+        return $output;
+    }
+}
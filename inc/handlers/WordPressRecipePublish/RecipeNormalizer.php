@@ -0,0 +1,556 @@
+<?php
+namespace DataMachineRecipes\Handlers\WordPressRecipePublish;
+
+use DataMachineRecipes\Recipe\Duration;
+use DataMachineRecipes\Recipe\Ingredients;
+use DataMachineRecipes\Recipe\Instructions;
+use DataMachineRecipes\Recipe\NutritionCalculator;
+use DataMachineRecipes\Recipe\Validator;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Repairs AI recipe output before the recipe block is built.
+ *
+ * normalize() runs on the raw tool parameters: it converts durations such as
+ * "30 minutes" to ISO 8601, derives a missing totalTime, splits list items
+ * that hold several lines, drops duplicates and steps that only repeat an
+ * ingredient, and rewrites nutrition values in the units Google expects
+ * ("270 calories", "12 g", "300 mg"). check_content() compares the ingredient
+ * and step lists in post_content with the built recipe. Fixes are reported as
+ * repairs; anything that could not be fixed is reported as a warning with a
+ * code and field, so the AI step can correct it and retry.
+ *
+ * @package DataMachineRecipes\WordPressRecipePublish
+ * @since 1.2.0
+ */
+class RecipeNormalizer {
+
+    /**
+     * Duration parameters, by dot path.
+     *
+     * @since 1.2.0
+     */
+    const DURATION_FIELDS = [ 'prepTime', 'cookTime', 'totalTime', 'video.duration' ];
+
+    /**
+     * List parameters whose single items may hold several comma-separated values.
+     *
+     * @since 1.2.0
+     */
+    const TERM_FIELDS = [ 'recipeCategory', 'keywords', 'suitableForDiet' ];
+
+    /**
+     * Nutrition units and how many of the property's unit one of them is.
+     *
+     * @since 1.2.0
+     */
+    const NUTRITION_UNITS = [
+        'calories' => [ 'kcal' => 1, 'cal' => 1, 'calorie' => 1, 'calories' => 1, 'kj' => 1 / 4.184 ],
+        'g' => [ 'g' => 1, 'gram' => 1, 'grams' => 1, 'mg' => 0.001, 'mcg' => 0.000001, 'µg' => 0.000001 ],
+        'mg' => [ 'mg' => 1, 'milligram' => 1, 'milligrams' => 1, 'g' => 1000, 'gram' => 1000, 'grams' => 1000, 'mcg' => 0.001, 'µg' => 0.001 ]
+    ];
+
+    /**
+     * Leading list markers AI output copies into list items ("- ", "•", "1. ").
+     *
+     * @since 1.2.0
+     */
+    const LIST_MARKER = '/^\s*(?:[-*•▢□]|\d+[.)])\s+/u';
+
+    /**
+     * Repair the recipe parameters of a tool call.
+     *
+     * @param array $parameters Raw AI tool parameters
+     * @return array Keys parameters (repaired), repairs and warnings, each a list of { code, field, message }
+     * @since 1.2.0
+     */
+    public static function normalize( array $parameters ): array {
+        $report = [
+            'repairs' => [],
+            'warnings' => []
+        ];
+
+        $parameters = self::normalize_durations( $parameters, $report );
+        $parameters = self::normalize_lists( $parameters, $report );
+        $parameters = self::normalize_nutrition( $parameters, $report );
+
+        return [
+            'parameters' => $parameters,
+            'repairs' => $report['repairs'],
+            'warnings' => $report['warnings']
+        ];
+    }
+
+    /**
+     * Check that the lists in the post content agree with the recipe.
+     *
+     * Bulleted lists where most items start with an amount are read as
+     * ingredient lists, and numbered lists as steps. Content without such
+     * lists is not compared.
+     *
+     * @param string $content    Post content as sent by the AI
+     * @param array  $attributes Built recipe block attributes
+     * @return array Warnings as { code, field, message, items }
+     * @since 1.2.0
+     */
+    public static function check_content( string $content, array $attributes ): array {
+        $warnings = [];
+
+        $content_ingredients = [];
+        foreach ( self::get_lists( $content, 'ul' ) as $items ) {
+            $parsed = array_map( [ Ingredients::class, 'parse' ], $items );
+            $with_amount = array_filter( $parsed, function( $ingredient ) {
+                return '' !== $ingredient['quantity'];
+            } );
+
+            if ( count( $with_amount ) * 2 >= count( $parsed ) ) {
+                $content_ingredients = array_merge( $content_ingredients, array_column( $parsed, 'name' ) );
+            }
+        }
+
+        if ( $content_ingredients ) {
+            $recipe_ingredients = array_map( function( $ingredient ) {
+                return Ingredients::is_structured( $ingredient ) ? $ingredient['name'] : Ingredients::parse( $ingredient )['name'];
+            }, Ingredients::items( $attributes['recipeIngredient'] ?? [] ) );
+
+            $not_in_recipe = self::missing_names( $content_ingredients, $recipe_ingredients );
+            if ( $not_in_recipe ) {
+                $warnings[] = [
+                    'code' => 'content_ingredient_not_in_recipe',
+                    'field' => 'recipeIngredient',
+                    'message' => 'The post content lists ingredients that recipeIngredient does not include. Add them to recipeIngredient or remove them from the content.',
+                    'items' => $not_in_recipe
+                ];
+            }
+
+            $not_in_content = self::missing_names( $recipe_ingredients, $content_ingredients );
+            if ( $not_in_content ) {
+                $warnings[] = [
+                    'code' => 'recipe_ingredient_not_in_content',
+                    'field' => 'post_content',
+                    'message' => 'recipeIngredient includes ingredients missing from the ingredient list in the post content.',
+                    'items' => $not_in_content
+                ];
+            }
+        }
+
+        $content_steps = 0;
+        foreach ( self::get_lists( $content, 'ol' ) as $items ) {
+            $content_steps += count( $items );
+        }
+
+        $recipe_steps = count( Instructions::steps( $attributes['recipeInstructions'] ?? [] ) );
+        if ( $content_steps > 1 && $recipe_steps && $content_steps !== $recipe_steps ) {
+            $warnings[] = [
+                'code' => 'content_steps_mismatch',
+                'field' => 'recipeInstructions',
+                'message' => sprintf( 'The post content has %d numbered steps but recipeInstructions has %d. Use the same steps in both.', $content_steps, $recipe_steps ),
+                'items' => []
+            ];
+        }
+
+        return $warnings;
+    }
+
+    /**
+     * Convert durations to ISO 8601 and fill in or correct totalTime.
+     *
+     * totalTime is set to prep plus cook time when it is missing or shorter
+     * than them; a longer totalTime is kept, since it may include resting time.
+     *
+     * @param array $parameters Tool parameters
+     * @param array $report     Repairs and warnings, updated in place
+     * @return array Parameters with ISO 8601 durations
+     * @since 1.2.0
+     */
+    private static function normalize_durations( array $parameters, array &$report ): array {
+        foreach ( self::DURATION_FIELDS as $field ) {
+            $path = explode( '.', $field );
+            $value = 'video' === $path[0] ? ( $parameters['video']['duration'] ?? '' ) : ( $parameters[ $field ] ?? '' );
+
+            if ( ! is_scalar( $value ) || '' === trim( (string) $value ) ) {
+                continue;
+            }
+
+            $value = trim( (string) $value );
+            $duration = Duration::normalize( $value );
+
+            if ( '' === $duration ) {
+                $report['warnings'][] = self::issue( 'invalid_duration', $field, sprintf( '"%s" is not a duration. Use ISO 8601, such as PT30M or PT1H15M.', $value ) );
+            } elseif ( $duration !== $value ) {
+                $report['repairs'][] = self::issue( 'duration_converted', $field, sprintf( 'Converted "%s" to %s.', $value, $duration ) );
+            }
+
+            if ( 'video' === $path[0] ) {
+                $parameters['video']['duration'] = $duration;
+            } else {
+                $parameters[ $field ] = $duration;
+            }
+        }
+
+        $prep = Duration::to_seconds( $parameters['prepTime'] ?? '' );
+        $cook = Duration::to_seconds( $parameters['cookTime'] ?? '' );
+        $total = Duration::to_seconds( $parameters['totalTime'] ?? '' );
+
+        if ( null !== $prep || null !== $cook ) {
+            $sum = Validator::compute_total_time( $parameters );
+
+            if ( null === $total ) {
+                $parameters['totalTime'] = $sum;
+                $report['repairs'][] = self::issue( 'total_time_derived', 'totalTime', sprintf( 'Set totalTime to %s from prepTime and cookTime.', $sum ) );
+            } elseif ( $total < (int) $prep + (int) $cook ) {
+                $parameters['totalTime'] = $sum;
+                $report['repairs'][] = self::issue( 'total_time_corrected', 'totalTime', sprintf( 'totalTime was shorter than prepTime plus cookTime; set it to %s.', $sum ) );
+            }
+        }
+
+        return $parameters;
+    }
+
+    /**
+     * Split multi-line list items, remove duplicates and drop steps that repeat ingredients.
+     *
+     * @param array $parameters Tool parameters
+     * @param array $report     Repairs and warnings, updated in place
+     * @return array Parameters with clean lists
+     * @since 1.2.0
+     */
+    private static function normalize_lists( array $parameters, array &$report ): array {
+        if ( isset( $parameters['recipeIngredient'] ) && is_array( $parameters['recipeIngredient'] ) ) {
+            $ingredients = [];
+            $loose = [];
+
+            // Runs of loose ingredients between groups are cleaned together, keeping their place.
+            $flush = function() use ( &$ingredients, &$loose, &$report ) {
+                $ingredients = array_merge( $ingredients, self::clean_list( $loose, 'recipeIngredient', $report ) );
+                $loose = [];
+            };
+
+            foreach ( $parameters['recipeIngredient'] as $item ) {
+                if ( Ingredients::is_group( $item ) ) {
+                    $flush();
+                    $item['items'] = self::clean_list( $item['items'], 'recipeIngredient', $report );
+                    $ingredients[] = $item;
+                } else {
+                    $loose[] = $item;
+                }
+            }
+            $flush();
+
+            $parameters['recipeIngredient'] = $ingredients;
+        }
+
+        if ( isset( $parameters['recipeInstructions'] ) && is_array( $parameters['recipeInstructions'] ) ) {
+            $ingredients = array_map( [ self::class, 'get_key' ], Ingredients::to_strings( $parameters['recipeIngredient'] ?? [] ) );
+            $instructions = [];
+            $loose = [];
+
+            $flush = function() use ( &$instructions, &$loose, $ingredients, &$report ) {
+                $instructions = array_merge( $instructions, self::clean_steps( $loose, $ingredients, $report ) );
+                $loose = [];
+            };
+
+            foreach ( $parameters['recipeInstructions'] as $item ) {
+                if ( Instructions::is_section( $item ) ) {
+                    $flush();
+                    $item['steps'] = self::clean_steps( $item['steps'], $ingredients, $report );
+                    $instructions[] = $item;
+                } else {
+                    $loose[] = $item;
+                }
+            }
+            $flush();
+
+            $parameters['recipeInstructions'] = $instructions;
+        }
+
+        foreach ( self::TERM_FIELDS as $field ) {
+            if ( isset( $parameters[ $field ] ) && is_array( $parameters[ $field ] ) ) {
+                $terms = [];
+                foreach ( $parameters[ $field ] as $term ) {
+                    $terms = array_merge( $terms, is_string( $term ) ? explode( ',', $term ) : [ $term ] );
+                }
+                $parameters[ $field ] = self::clean_list( $terms, $field, $report );
+            }
+        }
+
+        foreach ( [ 'tips', 'tool', 'supply' ] as $field ) {
+            if ( isset( $parameters[ $field ] ) && is_array( $parameters[ $field ] ) ) {
+                $parameters[ $field ] = self::clean_list( $parameters[ $field ], $field, $report );
+            }
+        }
+
+        return $parameters;
+    }
+
+    /**
+     * Clean a list of strings or named objects.
+     *
+     * @param array  $items  List items
+     * @param string $field  Parameter name, for the report
+     * @param array  $report Repairs and warnings, updated in place
+     * @return array Items split into one per line, without list markers, empty items or repeats
+     * @since 1.2.0
+     */
+    private static function clean_list( array $items, string $field, array &$report ): array {
+        $split = self::split_items( $items );
+        if ( count( $split ) > count( $items ) ) {
+            $report['repairs'][] = self::issue( 'items_split', $field, sprintf( 'Split items holding several lines into %d items.', count( $split ) ) );
+        }
+
+        $unique = [];
+        $duplicates = [];
+        foreach ( $split as $item ) {
+            $text = is_array( $item ) ? implode( ' ', array_filter( $item, 'is_string' ) ) : (string) $item;
+            $key = self::get_key( $text );
+            if ( '' === $key ) {
+                continue;
+            }
+
+            if ( isset( $unique[ $key ] ) ) {
+                $duplicates[] = $text;
+                continue;
+            }
+
+            $unique[ $key ] = $item;
+        }
+
+        if ( $duplicates ) {
+            $report['repairs'][] = self::issue( 'duplicates_removed', $field, sprintf( 'Removed repeated items: %s.', implode( '; ', $duplicates ) ) );
+        }
+
+        return array_values( $unique );
+    }
+
+    /**
+     * Clean a list of steps.
+     *
+     * Also drops steps that are only an ingredient line, and converts step
+     * timers to ISO 8601.
+     *
+     * @param array $steps       Steps as strings or { text, name, timer }
+     * @param array $ingredients Comparison keys of the recipe's ingredient lines
+     * @param array $report      Repairs and warnings, updated in place
+     * @return array Clean steps
+     * @since 1.2.0
+     */
+    private static function clean_steps( array $steps, array $ingredients, array &$report ): array {
+        $split = self::split_items( $steps, 'text' );
+        if ( count( $split ) > count( $steps ) ) {
+            $report['repairs'][] = self::issue( 'items_split', 'recipeInstructions', sprintf( 'Split steps holding several lines into %d steps.', count( $split ) ) );
+        }
+
+        $clean = [];
+        $seen = [];
+        $removed = [];
+        foreach ( $split as $step ) {
+            $text = is_array( $step ) ? (string) ( $step['text'] ?? '' ) : (string) $step;
+            $key = self::get_key( $text );
+
+            if ( '' === $key ) {
+                continue;
+            }
+
+            if ( in_array( $key, $ingredients, true ) || isset( $seen[ $key ] ) ) {
+                $removed[] = $text;
+                continue;
+            }
+            $seen[ $key ] = true;
+
+            if ( is_array( $step ) && ! empty( $step['timer'] ) && is_scalar( $step['timer'] ) ) {
+                $timer = Duration::normalize( $step['timer'] );
+                if ( '' === $timer ) {
+                    $report['warnings'][] = self::issue( 'invalid_duration', 'recipeInstructions.timer', sprintf( 'Step timer "%s" is not a duration. Use ISO 8601, such as PT10M.', $step['timer'] ) );
+                } elseif ( $timer !== $step['timer'] ) {
+                    $report['repairs'][] = self::issue( 'duration_converted', 'recipeInstructions.timer', sprintf( 'Converted "%s" to %s.', $step['timer'], $timer ) );
+                }
+                $step['timer'] = $timer;
+            }
+
+            $clean[] = $step;
+        }
+
+        if ( $removed ) {
+            $report['repairs'][] = self::issue( 'steps_removed', 'recipeInstructions', sprintf( 'Removed steps that repeat an ingredient or an earlier step: %s.', implode( '; ', $removed ) ) );
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Split string items (or the text of object items) at line breaks and
+     * inline numbering, removing list markers.
+     *
+     * @param array  $items List items
+     * @param string $key   Text property of object items, empty to leave objects whole
+     * @return array Split items
+     * @since 1.2.0
+     */
+    private static function split_items( array $items, string $key = '' ): array {
+        $split = [];
+
+        foreach ( $items as $item ) {
+            $text = is_string( $item ) ? $item : ( '' !== $key && is_array( $item ) && is_string( $item[ $key ] ?? null ) ? $item[ $key ] : null );
+            if ( null === $text ) {
+                $split[] = $item;
+                continue;
+            }
+
+            $lines = preg_split( '/\R|\s*•\s*|(?<=[.!?])\s+(?=\d+[.)]\s)/u', $text );
+            $lines = array_values( array_filter( array_map( function( $line ) {
+                return trim( preg_replace( self::LIST_MARKER, '', $line ) );
+            }, $lines ), 'strlen' ) );
+
+            if ( is_string( $item ) || count( $lines ) < 2 ) {
+                $lines = $lines ?: [ '' ];
+                foreach ( $lines as $line ) {
+                    $split[] = is_string( $item ) ? $line : array_merge( $item, [ $key => $line ] );
+                }
+                continue;
+            }
+
+            // A multi-line step keeps its name and timer on the first line.
+            $split[] = array_merge( $item, [ $key => array_shift( $lines ) ] );
+            foreach ( $lines as $line ) {
+                $split[] = $line;
+            }
+        }
+
+        return $split;
+    }
+
+    /**
+     * Rewrite nutrition values in the units Google expects.
+     *
+     * Calories become "N calories", cholesterol and sodium "N mg" and the other
+     * nutrients "N g", converting from kJ, mg or g where needed. Bare numbers
+     * get the expected unit. Values without an amount are dropped with a warning.
+     *
+     * @param array $parameters Tool parameters
+     * @param array $report     Repairs and warnings, updated in place
+     * @return array Parameters with standardized nutrition
+     * @since 1.2.0
+     */
+    private static function normalize_nutrition( array $parameters, array &$report ): array {
+        if ( empty( $parameters['nutrition'] ) || ! is_array( $parameters['nutrition'] ) ) {
+            return $parameters;
+        }
+
+        foreach ( $parameters['nutrition'] as $property => $value ) {
+            if ( 'servingSize' === $property || ! is_scalar( $value ) || '' === trim( (string) $value ) ) {
+                continue;
+            }
+
+            $value = trim( (string) $value );
+            $field = 'nutrition.' . $property;
+            $amount_text = preg_replace( '/(\d),(\d{3})\b/', '$1$2', $value );
+            $unit = 'calories' === $property ? 'calories' : ( in_array( $property, NutritionCalculator::MILLIGRAM_NUTRIENTS, true ) ? 'mg' : 'g' );
+
+            if ( ! preg_match( '/(\d+(?:[.,]\d+)?)\s*(kcal|kj|calories|calorie|cal|milligrams|milligram|mg|mcg|µg|grams|gram|g)?\b/iu', $amount_text, $matches ) ) {
+                unset( $parameters['nutrition'][ $property ] );
+                $report['warnings'][] = self::issue( 'invalid_nutrition', $field, sprintf( '"%s" has no amount and was left out. Give a number with a unit, such as "12 g".', $value ) );
+                continue;
+            }
+
+            $from = strtolower( $matches[2] ?? '' );
+            if ( '' !== $from && ! isset( self::NUTRITION_UNITS[ $unit ][ $from ] ) ) {
+                unset( $parameters['nutrition'][ $property ] );
+                $report['warnings'][] = self::issue( 'invalid_nutrition', $field, sprintf( '"%s" is not in a unit for %s and was left out. Use %s.', $value, $property, $unit ) );
+                continue;
+            }
+
+            $amount = (float) str_replace( ',', '.', $matches[1] ) * ( '' !== $from ? self::NUTRITION_UNITS[ $unit ][ $from ] : 1 );
+            $standard = NutritionCalculator::format_nutrient( $property, $amount );
+
+            if ( $standard !== $value ) {
+                $parameters['nutrition'][ $property ] = $standard;
+                $report['repairs'][] = self::issue( 'nutrition_unit_standardized', $field, sprintf( 'Rewrote "%s" as "%s".', $value, $standard ) );
+            }
+        }
+
+        return $parameters;
+    }
+
+    /**
+     * Item texts of the bulleted or numbered lists in HTML.
+     *
+     * @param string $content HTML
+     * @param string $tag     "ul" or "ol"
+     * @return array Lists, each a list of item texts
+     * @since 1.2.0
+     */
+    private static function get_lists( string $content, string $tag ): array {
+        preg_match_all( '#<' . $tag . '\b[^>]*>(.*?)</' . $tag . '>#is', $content, $lists );
+
+        return array_values( array_filter( array_map( function( $list ) {
+            preg_match_all( '#<li\b[^>]*>(.*?)</li>#is', $list, $items );
+
+            return array_values( array_filter( array_map( function( $item ) {
+                return trim( html_entity_decode( wp_strip_all_tags( $item ), ENT_QUOTES ) );
+            }, $items[1] ), 'strlen' ) );
+        }, $lists[1] ) ) );
+    }
+
+    /**
+     * Names from one list that match no name in another.
+     *
+     * Names match when either contains the other, so "flour" matches
+     * "all-purpose flour".
+     *
+     * @param array $names  Names to look for
+     * @param array $others Names to look in
+     * @return array Unmatched names
+     * @since 1.2.0
+     */
+    private static function missing_names( array $names, array $others ): array {
+        $others = array_filter( array_map( [ self::class, 'get_key' ], $others ), 'strlen' );
+
+        return array_values( array_filter( $names, function( $name ) use ( $others ) {
+            $key = self::get_key( $name );
+            if ( '' === $key ) {
+                return false;
+            }
+
+            foreach ( $others as $other ) {
+                if ( false !== strpos( $other, $key ) || false !== strpos( $key, $other ) ) {
+                    return false;
+                }
+            }
+
+            return true;
+        } ) );
+    }
+
+    /**
+     * Comparison key for list text: lowercase, without markers, punctuation or extra spaces.
+     *
+     * @param mixed $text Item text
+     * @return string Key
+     * @since 1.2.0
+     */
+    private static function get_key( $text ): string {
+        $text = preg_replace( self::LIST_MARKER, '', wp_strip_all_tags( (string) $text ) );
+
+        return trim( preg_replace( '/\s+/', ' ', preg_replace( '/[^\p{L}\p{N}\s\/]+/u', '', strtolower( $text ) ) ) );
+    }
+
+    /**
+     * Build a report entry.
+     *
+     * @param string $code    Machine-readable code
+     * @param string $field   Parameter path
+     * @param string $message Explanation for the AI step
+     * @return array { code, field, message }
+     * @since 1.2.0
+     */
+    private static function issue( string $code, string $field, string $message ): array {
+        return [
+            'code' => $code,
+            'field' => $field,
+            'message' => $message
+        ];
+    }
+}
@@ -6,6 +6,15 @@ use DataMachine\Core\Steps\HandlerRegistrationTrait;
 use DataMachine\Core\WordPress\WordPressSettingsResolver;
 use DataMachine\Core\WordPress\TaxonomyHandler;
 use DataMachine\Core\WordPress\WordPressPublishHelper;
+use DataMachineRecipes\Blocks\BlockMigrator;
+use DataMachineRecipes\Recipe\Duration;
+use DataMachineRecipes\Recipe\Equipment;
+use DataMachineRecipes\Recipe\Ingredients;
+use DataMachineRecipes\Recipe\Instructions;
+use DataMachineRecipes\Recipe\NutritionCalculator;
+use DataMachineRecipes\Recipe\RecipeImages;
+use DataMachineRecipes\Recipe\RecipeMeta;
+use DataMachineRecipes\Recipe\Validator;
 
 if ( ! defined( 'ABSPATH' ) ) {
     exit;
@@ -51,7 +60,7 @@ class WordPressRecipePublish extends PublishHandler {
                         'class' => self::class,
                         'method' => 'handle_tool_call',
                         'handler' => 'wordpress_recipe_publish',
-                        'description' => 'Create WordPress recipe posts with Schema.org structured data markup for SEO-optimized recipe content including ingredients, instructions, timing, and nutrition.',
+                        'description' => 'Create WordPress recipe posts with Schema.org structured data markup for SEO-optimized recipe content including ingredients, instructions, timing, and nutrition. The response lists repairs made to the recipe under normalization.repairs and problems that could not be repaired under normalization.warnings; fix the fields named in the warnings and call the tool again.',
                         'parameters' => array_merge($base_params, $taxonomy_params),
                         'handler_config' => $handler_config
                     ];
@@ -100,6 +109,10 @@ class WordPressRecipePublish extends PublishHandler {
 
         $handler_config = apply_filters('datamachine_apply_global_defaults', $handler_config, 'wordpress_recipe_publish', 'publish');
 
+        // Repair common AI output mistakes before sanitizing; what cannot be repaired is reported back to the AI step
+        $normalized = RecipeNormalizer::normalize( $parameters );
+        $parameters = $normalized['parameters'];
+
         $recipe_block_result = $this->create_recipe_schema_block( $parameters, $handler_config );
 
         if ( ! $recipe_block_result['success'] ) {
@@ -107,6 +120,8 @@ class WordPressRecipePublish extends PublishHandler {
         }
 
         $content = wp_unslash( $parameters['post_content'] ?? '' );
+
+        $warnings = array_merge( $normalized['warnings'], RecipeNormalizer::check_content( $content, $recipe_block_result['attributes'] ) );
         
         // Apply source attribution using core helper
         $content = WordPressPublishHelper::applySourceAttribution($content, $engine->getSourceUrl(), $handler_config);
@@ -135,6 +150,14 @@ class WordPressRecipePublish extends PublishHandler {
         // Attach featured image if available and configured
         WordPressPublishHelper::attachImageToPost($post_id, $engine->getImagePath(), $handler_config);
 
+        // Mirror the recipe into post meta from the attributes as built, not as they survived content filtering
+        RecipeMeta::update( $post_id, [ $recipe_block_result['attributes'] ] );
+
+        // Check the published recipe against the same rich result rules as the block editor
+        $validation = Validator::validate( $recipe_block_result['attributes'], [
+            'has_image' => has_post_thumbnail( $post_id ) || ! empty( $recipe_block_result['attributes']['images'] )
+        ] );
+
         // Use shared taxonomy processing for standard public taxonomies.
         $taxonomy_results = $this->taxonomy_handler->processTaxonomies( $post_id, $parameters, $handler_config, $engine->all() );
 
@@ -149,7 +172,13 @@ class WordPressRecipePublish extends PublishHandler {
             'post_title' => $parameters['post_title'],
             'post_url' => get_permalink( $post_id ),
             'edit_url' => get_edit_post_link( $post_id, 'raw' ),
-            'taxonomy_results' => $taxonomy_results
+            'taxonomy_results' => $taxonomy_results,
+            'nutrition' => $recipe_block_result['nutrition'],
+            'validation' => $validation,
+            'normalization' => [
+                'repairs' => $normalized['repairs'],
+                'warnings' => $warnings
+            ]
         ]);
     }
     
@@ -200,7 +229,7 @@ Use ordered lists for recipe instructions and cooking steps to ensure proper for
             ],
             'totalTime' => [
                 'type' => 'string',
-                'description' => 'Total time in ISO 8601 format (prep + cook time)'
+                'description' => 'Total time in ISO 8601 format (prep + cook time plus any resting time; e.g., P1DT2H for 1 day 2 hours). Derived from prepTime and cookTime when left out'
             ],
             'recipeYield' => [
                 'type' => 'string',
@@ -221,13 +250,53 @@ Use ordered lists for recipe instructions and cooking steps to ensure proper for
             ],
             'recipeIngredient' => [
                 'type' => 'array',
-                'items' => ['type' => 'string'],
-                'description' => 'List of ingredients with quantities (e.g., ["2 cups flour", "1 tsp salt"])'
+                'items' => [
+                    'anyOf' => [
+                        ['type' => 'string'],
+                        [
+                            'type' => 'object',
+                            'properties' => [
+                                'name' => ['type' => 'string', 'description' => 'Group heading (e.g., "For the dough")'],
+                                'items' => ['type' => 'array', 'items' => ['type' => 'string']]
+                            ],
+                            'required' => ['name', 'items']
+                        ]
+                    ]
+                ],
+                'description' => 'List of ingredients with quantities, one ingredient per item and without bullets or numbering (e.g., ["2 cups flour", "1 tsp salt"]). Use the same ingredients as the ingredient list in post_content. For multi-part recipes, use named groups instead: [{"name": "For the dough", "items": ["2 cups flour"]}, {"name": "For the filling", "items": ["1 cup ricotta"]}]'
             ],
             'recipeInstructions' => [
                 'type' => 'array',
-                'items' => ['type' => 'string'],
-                'description' => 'Step-by-step cooking instructions'
+                'items' => [
+                    'anyOf' => [
+                        ['type' => 'string'],
+                        [
+                            'type' => 'object',
+                            'properties' => [
+                                'name' => ['type' => 'string', 'description' => 'Section heading (e.g., "Make the dough")'],
+                                'steps' => [
+                                    'type' => 'array',
+                                    'items' => [
+                                        'anyOf' => [
+                                            ['type' => 'string'],
+                                            [
+                                                'type' => 'object',
+                                                'properties' => [
+                                                    'text' => ['type' => 'string', 'description' => 'Step instructions'],
+                                                    'name' => ['type' => 'string', 'description' => 'Short step title'],
+                                                    'timer' => ['type' => 'string', 'description' => 'Step duration in ISO 8601 format (e.g., PT10M)']
+                                                ],
+                                                'required' => ['text']
+                                            ]
+                                        ]
+                                    ]
+                                ]
+                            ],
+                            'required' => ['name', 'steps']
+                        ]
+                    ]
+                ],
+                'description' => 'Step-by-step cooking instructions, one step per item and without numbering. Do not repeat ingredient lines as steps, and use the same steps as the numbered list in post_content. For multi-part recipes, use named sections instead: [{"name": "Make the dough", "steps": ["Mix flour and water.", {"text": "Let rest.", "timer": "PT30M"}]}]'
             ],
             'keywords' => [
                 'type' => 'array',
@@ -242,14 +311,20 @@ Use ordered lists for recipe instructions and cooking steps to ensure proper for
             'nutrition' => [
                 'type' => 'object',
                 'properties' => [
-                    'calories' => ['type' => 'string', 'description' => 'Calories per serving'],
+                    'servingSize' => ['type' => 'string', 'description' => 'Serving size (e.g., "1 cup")'],
+                    'calories' => ['type' => 'string', 'description' => 'Calories per serving (e.g., "270 calories")'],
                     'fatContent' => ['type' => 'string', 'description' => 'Fat content'],
+                    'saturatedFatContent' => ['type' => 'string', 'description' => 'Saturated fat content'],
+                    'transFatContent' => ['type' => 'string', 'description' => 'Trans fat content'],
+                    'unsaturatedFatContent' => ['type' => 'string', 'description' => 'Unsaturated fat content'],
+                    'cholesterolContent' => ['type' => 'string', 'description' => 'Cholesterol content in milligrams (e.g., "45 mg")'],
+                    'sodiumContent' => ['type' => 'string', 'description' => 'Sodium content in milligrams (e.g., "300 mg")'],
                     'carbohydrateContent' => ['type' => 'string', 'description' => 'Carbohydrate content'],
-                    'proteinContent' => ['type' => 'string', 'description' => 'Protein content'],
-                    'sodiumContent' => ['type' => 'string', 'description' => 'Sodium content'],
-                    'fiberContent' => ['type' => 'string', 'description' => 'Fiber content']
+                    'fiberContent' => ['type' => 'string', 'description' => 'Fiber content'],
+                    'sugarContent' => ['type' => 'string', 'description' => 'Sugar content'],
+                    'proteinContent' => ['type' => 'string', 'description' => 'Protein content']
                 ],
-                'description' => 'Nutritional information for the recipe'
+                'description' => 'Nutritional information per serving. Give calories in calories, cholesterol and sodium in mg, and the other nutrients in grams (e.g., "12 g")'
             ],
             'video' => [
                 'type' => 'object',
@@ -262,15 +337,78 @@ Use ordered lists for recipe instructions and cooking steps to ensure proper for
                 ],
                 'description' => 'Recipe video information'
             ],
+            'images' => [
+                'type' => 'array',
+                'items' => [
+                    'type' => 'object',
+                    'properties' => [
+                        'url' => ['type' => 'string', 'description' => 'Image URL'],
+                        'alt' => ['type' => 'string', 'description' => 'Short description of the image']
+                    ],
+                    'required' => ['url']
+                ],
+                'description' => 'Photos of the finished dish, when the source provides them. The post featured image is used when left out'
+            ],
             'tool' => [
                 'type' => 'array',
-                'items' => ['type' => 'string'],
-                'description' => 'Cooking tools or equipment needed'
+                'items' => [
+                    'anyOf' => [
+                        ['type' => 'string'],
+                        [
+                            'type' => 'object',
+                            'properties' => [
+                                'name' => ['type' => 'string', 'description' => 'Tool name'],
+                                'url' => ['type' => 'string', 'description' => 'Product page URL'],
+                                'image' => ['type' => 'string', 'description' => 'Product image URL']
+                            ],
+                            'required' => ['name']
+                        ]
+                    ]
+                ],
+                'description' => 'Cooking tools or equipment needed (e.g., ["stand mixer", {"name": "9-inch springform pan", "url": "https://example.com/pan"}])'
             ],
             'supply' => [
+                'type' => 'array',
+                'items' => [
+                    'anyOf' => [
+                        ['type' => 'string'],
+                        [
+                            'type' => 'object',
+                            'properties' => [
+                                'name' => ['type' => 'string', 'description' => 'Supply name'],
+                                'url' => ['type' => 'string', 'description' => 'Product page URL'],
+                                'image' => ['type' => 'string', 'description' => 'Product image URL']
+                            ],
+                            'required' => ['name']
+                        ]
+                    ]
+                ],
+                'description' => 'Supplies consumed during cooking (beyond ingredients), as strings or objects like tool'
+            ],
+            'notes' => [
+                'type' => 'string',
+                'description' => "Cook's notes shown under the recipe"
+            ],
+            'tips' => [
                 'type' => 'array',
                 'items' => ['type' => 'string'],
-                'description' => 'Supplies consumed during cooking (beyond ingredients)'
+                'description' => 'Short tips for getting the recipe right'
+            ],
+            'storage' => [
+                'type' => 'string',
+                'description' => 'Storage and make-ahead instructions (e.g., "Keeps for 3 days in the fridge")'
+            ],
+            'substitutions' => [
+                'type' => 'array',
+                'items' => [
+                    'type' => 'object',
+                    'properties' => [
+                        'ingredient' => ['type' => 'string', 'description' => 'Ingredient name as written in recipeIngredient'],
+                        'substitution' => ['type' => 'string', 'description' => 'Suggested swaps (e.g., "Greek yogurt or sour cream")']
+                    ],
+                    'required' => ['ingredient', 'substitution']
+                ],
+                'description' => 'Ingredient substitution suggestions'
             ],
             'estimatedCost' => [
                 'type' => 'string',
@@ -297,33 +435,31 @@ Use ordered lists for recipe instructions and cooking steps to ensure proper for
      *
      * @param array $parameters     AI tool parameters containing recipe data
      * @param array $handler_config Handler configuration for author attribution
-     * @return array Success/failure response with generated block HTML
+     * @return array Success/failure response with generated block HTML and block attributes
      * @since 1.0.0
      */
     private function create_recipe_schema_block( array $parameters, array $handler_config = [] ): array {
         $recipe_data = [
             'recipeName' => sanitize_text_field( $parameters['recipeName'] ?? '' ),
             'description' => wp_kses_post( $parameters['description'] ?? '' ),
-            'prepTime' => sanitize_text_field( $parameters['prepTime'] ?? '' ),
-            'cookTime' => sanitize_text_field( $parameters['cookTime'] ?? '' ),
-            'totalTime' => sanitize_text_field( $parameters['totalTime'] ?? '' ),
+            'prepTime' => Duration::normalize( sanitize_text_field( $parameters['prepTime'] ?? '' ) ),
+            'cookTime' => Duration::normalize( sanitize_text_field( $parameters['cookTime'] ?? '' ) ),
+            'totalTime' => Duration::normalize( sanitize_text_field( $parameters['totalTime'] ?? '' ) ),
             'recipeYield' => sanitize_text_field( $parameters['recipeYield'] ?? '' ),
             'recipeCuisine' => sanitize_text_field( $parameters['recipeCuisine'] ?? '' ),
             'cookingMethod' => sanitize_text_field( $parameters['cookingMethod'] ?? '' ),
-            'recipeIngredient' => $this->sanitize_array( $parameters['recipeIngredient'] ?? [] ),
-            'recipeInstructions' => $this->sanitize_array( $parameters['recipeInstructions'] ?? [] ),
+            'recipeIngredient' => Ingredients::sanitize_list( $parameters['recipeIngredient'] ?? [] ),
+            'recipeInstructions' => Instructions::sanitize_list( $parameters['recipeInstructions'] ?? [] ),
             'recipeCategory' => $this->sanitize_array( $parameters['recipeCategory'] ?? [] ),
             'keywords' => $this->sanitize_array( $parameters['keywords'] ?? [] ),
             'suitableForDiet' => $this->sanitize_array( $parameters['suitableForDiet'] ?? [] )
         ];
         
         if ( ! empty( $parameters['images'] ) && is_array( $parameters['images'] ) ) {
-            $recipe_data['images'] = array_map( function( $image ) {
-                return [
-                    'url' => esc_url_raw( $image['url'] ?? '' ),
-                    'alt' => sanitize_text_field( $image['alt'] ?? '' )
-                ];
-            }, $parameters['images'] );
+            // Only URLs come from the AI; an id is set for images picked from the media library later.
+            $recipe_data['images'] = RecipeImages::sanitize_list( array_map( function( $image ) {
+                return is_array( $image ) ? [ 'url' => $image['url'] ?? '', 'alt' => $image['alt'] ?? '' ] : [ 'url' => $image ];
+            }, $parameters['images'] ) );
         }
         
         $author_id = $handler_config['post_author'];
@@ -335,8 +471,12 @@ Use ordered lists for recipe instructions and cooking steps to ensure proper for
             ];
         }
         
-        if ( ! empty( $parameters['nutrition'] ) && is_array( $parameters['nutrition'] ) ) {
-            $recipe_data['nutrition'] = array_map( 'sanitize_text_field', $parameters['nutrition'] );
+        $nutrition = ! empty( $parameters['nutrition'] ) && is_array( $parameters['nutrition'] )
+            ? array_filter( array_map( 'sanitize_text_field', $parameters['nutrition'] ), 'strlen' )
+            : [];
+        $nutrition_result = $this->apply_calculated_nutrition( $nutrition, $recipe_data, $handler_config['nutrition_source'] ?? 'ai' );
+        if ( $nutrition_result['nutrition'] ) {
+            $recipe_data['nutrition'] = $nutrition_result['nutrition'];
         }
         
         if ( ! empty( $parameters['video'] ) && is_array( $parameters['video'] ) ) {
@@ -345,16 +485,30 @@ Use ordered lists for recipe instructions and cooking steps to ensure proper for
                 'description' => sanitize_text_field( $parameters['video']['description'] ?? '' ),
                 'contentUrl' => esc_url_raw( $parameters['video']['contentUrl'] ?? '' ),
                 'thumbnailUrl' => esc_url_raw( $parameters['video']['thumbnailUrl'] ?? '' ),
-                'duration' => sanitize_text_field( $parameters['video']['duration'] ?? '' )
+                'duration' => Duration::normalize( sanitize_text_field( $parameters['video']['duration'] ?? '' ) )
             ];
         }
         
         if ( ! empty( $parameters['tool'] ) && is_array( $parameters['tool'] ) ) {
-            $recipe_data['tool'] = $this->sanitize_array( $parameters['tool'] );
+            $recipe_data['tool'] = Equipment::sanitize_list( $parameters['tool'] );
         }
         
         if ( ! empty( $parameters['supply'] ) && is_array( $parameters['supply'] ) ) {
-            $recipe_data['supply'] = $this->sanitize_array( $parameters['supply'] );
+            $recipe_data['supply'] = Equipment::sanitize_list( $parameters['supply'] );
+        }
+        
+        foreach ( [ 'notes', 'storage' ] as $key ) {
+            if ( ! empty( $parameters[ $key ] ) ) {
+                $recipe_data[ $key ] = sanitize_textarea_field( $parameters[ $key ] );
+            }
+        }
+        
+        if ( ! empty( $parameters['tips'] ) && is_array( $parameters['tips'] ) ) {
+            $recipe_data['tips'] = $this->sanitize_array( $parameters['tips'] );
+        }
+        
+        if ( ! empty( $parameters['substitutions'] ) && is_array( $parameters['substitutions'] ) ) {
+            $recipe_data['recipeIngredient'] = $this->apply_substitutions( $recipe_data['recipeIngredient'], $parameters['substitutions'] );
         }
         
         if ( ! empty( $parameters['estimatedCost'] ) ) {
@@ -362,6 +516,7 @@ Use ordered lists for recipe instructions and cooking steps to ensure proper for
         }
         
         $recipe_data['datePublished'] = sanitize_text_field( $parameters['datePublished'] ?? '' ) ?: current_time( 'c' );
+        $recipe_data['schemaVersion'] = BlockMigrator::SCHEMA_VERSION;
         
         $block_attributes = wp_json_encode( $recipe_data, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
         
@@ -377,10 +532,91 @@ Use ordered lists for recipe instructions and cooking steps to ensure proper for
         
         return [
             'success' => true,
-            'block' => $block_html
+            'block' => $block_html,
+            'attributes' => $recipe_data,
+            'nutrition' => $nutrition_result['summary']
+        ];
+    }
+
+    /**
+     * Combine AI-supplied nutrition with values calculated from the ingredients.
+     *
+     * "ai", the default, keeps the AI values as-is; "fill" adds calculated values for fields
+     * the AI left out, and "calculated" replaces AI values wherever a value
+     * could be calculated. Nothing is calculated when no ingredient matches the
+     * food database, so AI values are kept in that case.
+     *
+     * @param array  $nutrition   Sanitized AI nutrition values
+     * @param array  $recipe_data Recipe attributes with recipeIngredient and recipeYield
+     * @param string $source      Nutrition source setting: ai, fill or calculated
+     * @return array Keys nutrition (merged values) and summary (source, matched and unmatched ingredients)
+     * @since 1.2.0
+     */
+    private function apply_calculated_nutrition( array $nutrition, array $recipe_data, string $source ): array {
+        if ( 'ai' === $source ) {
+            return [
+                'nutrition' => $nutrition,
+                'summary' => [ 'source' => 'ai' ]
+            ];
+        }
+
+        $calculated = NutritionCalculator::calculate( $recipe_data['recipeIngredient'], $recipe_data['recipeYield'] );
+
+        return [
+            'nutrition' => 'calculated' === $source
+                ? array_merge( $nutrition, $calculated['nutrition'] )
+                : array_merge( $calculated['nutrition'], $nutrition ),
+            'summary' => [
+                'source' => $source,
+                'servings' => $calculated['servings'],
+                'matched' => count( $calculated['matched'] ),
+                'unmatched' => array_column( $calculated['unmatched'], 'ingredient' )
+            ]
         ];
     }
     
+    /**
+     * Attach AI substitution suggestions to the ingredients they name.
+     *
+     * Each suggestion goes to the first ingredient whose text contains its
+     * ingredient name. Plain-string ingredients are parsed into the structured
+     * form, which is the only form with a substitution field; suggestions that
+     * match no ingredient are dropped.
+     *
+     * @param array $ingredients   Sanitized recipeIngredient list
+     * @param array $substitutions AI substitutions as { ingredient, substitution }
+     * @return array Ingredients with substitutions set
+     * @since 1.2.0
+     */
+    private function apply_substitutions( array $ingredients, array $substitutions ): array {
+        $apply = function( $item ) use ( &$substitutions ) {
+            foreach ( $substitutions as $index => $substitution ) {
+                $name = sanitize_text_field( $substitution['ingredient'] ?? '' );
+                $text = sanitize_text_field( $substitution['substitution'] ?? '' );
+
+                if ( '' === $name || '' === $text || false === stripos( Ingredients::to_string( $item ), $name ) ) {
+                    continue;
+                }
+
+                unset( $substitutions[ $index ] );
+                $item = Ingredients::is_structured( $item ) ? $item : Ingredients::parse( $item );
+                $item['substitution'] = $text;
+                break;
+            }
+
+            return $item;
+        };
+
+        return array_map( function( $item ) use ( $apply ) {
+            if ( Ingredients::is_group( $item ) ) {
+                $item['items'] = array_map( $apply, $item['items'] );
+                return $item;
+            }
+
+            return $apply( $item );
+        }, $ingredients );
+    }
+    
     private function sanitize_array( $input ): array {
         if ( ! is_array( $input ) ) {
             return [];
@@ -12,8 +12,9 @@ if ( ! defined( 'ABSPATH' ) ) {
  * Settings configuration for WordPress Recipe Publish handler.
  *
  * Provides Data Machine settings interface for recipe publishing configuration.
- * Manages WordPress post settings (type, status, author) and dynamic taxonomy
- * selection fields with comprehensive validation and sanitization.
+ * Manages WordPress post settings (type, status, author), dynamic taxonomy
+ * selection fields and the recipe nutrition source with comprehensive
+ * validation and sanitization.
  *
  * @package DataMachineRecipes\WordPressRecipePublish
  * @since 1.0.0
@@ -56,7 +57,21 @@ class WordPressRecipePublishSettings extends PublishHandlerSettings {
             'description_template' => __('Configure %1$s assignment: Skip to exclude from AI instructions, let AI choose, or select specific %2$s.', 'datamachine-recipes')
         ]);
 
-        return array_merge($standard_fields, $taxonomy_fields);
+        $recipe_fields = [
+            'nutrition_source' => [
+                'type' => 'select',
+                'label' => __('Nutrition Source', 'datamachine-recipes'),
+                'description' => __('Where recipe nutrition comes from. Calculated values are estimated from the ingredients with the bundled food database, and are only used when you choose them.', 'datamachine-recipes'),
+                'options' => [
+                    'ai' => __('AI values only', 'datamachine-recipes'),
+                    'fill' => __('AI values, filling gaps with calculated values', 'datamachine-recipes'),
+                    'calculated' => __('Calculated values, replacing AI values', 'datamachine-recipes')
+                ],
+                'default' => 'ai'
+            ]
+        ];
+
+        return array_merge($standard_fields, $taxonomy_fields, $recipe_fields);
     }
     
     /**
@@ -92,6 +107,9 @@ class WordPressRecipePublishSettings extends PublishHandlerSettings {
             'default_value' => 'skip'
         ]));
 
+        $nutrition_source = sanitize_key($raw_settings['nutrition_source'] ?? 'ai');
+        $sanitized['nutrition_source'] = in_array($nutrition_source, ['ai', 'fill', 'calculated'], true) ? $nutrition_source : 'ai';
+
         return $sanitized;
     }
     
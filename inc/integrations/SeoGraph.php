@@ -0,0 +1,244 @@
+<?php
+namespace DataMachineRecipes\Integrations;
+
+use DataMachineRecipes\Blocks\RecipeSchemaBlock;
+use DataMachineRecipes\Settings\RecipeSettings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * SEO plugin schema graph integration.
+ *
+ * Yoast SEO and Rank Math output their own JSON-LD `@graph` with the page's
+ * WebPage, Article and Person nodes. On singular pages where one of them is
+ * active, the post's recipes and roundups are added to that graph instead of
+ * a separate script: each recipe gets `mainEntityOfPage` pointing at the
+ * WebPage, `isPartOf` pointing at the Article, and an author that references
+ * the plugin's Person node when one has the same name. The block's own
+ * script is only left out once the plugin's graph filter has added the
+ * recipes, which happens in wp_head before classic themes render the content,
+ * so pages where the plugin's schema output is turned off still get the
+ * standalone JSON-LD. Block themes render the content first; there the
+ * standalone script wins and the recipes are not added to the graph.
+ *
+ * @package DataMachineRecipes\Integrations
+ * @since 1.2.0
+ */
+class SeoGraph {
+
+    /**
+     * IDs of posts whose recipes have been added to the SEO plugin's graph.
+     *
+     * @var array
+     */
+    private static $graph_posts = array();
+
+    /**
+     * Register the SEO plugin graph filters.
+     *
+     * The filters only run when their plugin is active.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        add_filter( 'wpseo_schema_graph', [ self::class, 'filter_yoast_graph' ], 20 );
+        add_filter( 'rank_math/json_ld', [ self::class, 'filter_rank_math_graph' ], 99 );
+    }
+
+    /**
+     * Active SEO plugin whose graph recipes are added to.
+     *
+     * @return string "yoast", "rankmath" or empty string when neither outputs a graph
+     * @since 1.2.0
+     */
+    public static function get_provider() {
+        $provider = '';
+
+        if ( defined( 'WPSEO_VERSION' ) ) {
+            $provider = 'yoast';
+        } elseif ( class_exists( '\RankMath\Helper' ) && \RankMath\Helper::is_module_active( 'rich-snippet' ) ) {
+            $provider = 'rankmath';
+        }
+
+        /**
+         * Filter the SEO plugin recipes are added to.
+         *
+         * Return an empty string to keep the standalone recipe JSON-LD script.
+         *
+         * @param string $provider "yoast", "rankmath" or empty string
+         * @since 1.2.0
+         */
+        return (string) apply_filters( 'datamachine_recipes_seo_graph_provider', $provider );
+    }
+
+    /**
+     * Whether a post's recipes have been added to the SEO plugin's graph on this request.
+     *
+     * @param WP_Post|null $post Post being rendered
+     * @return bool True once the plugin's graph filter has added the post's recipe nodes
+     * @since 1.2.0
+     */
+    public static function handles_post( $post ) {
+        return $post && in_array( (int) $post->ID, self::$graph_posts, true );
+    }
+
+    /**
+     * Whether a post's recipes can go into the SEO plugin's graph on this request.
+     *
+     * @param WP_Post $post Queried post
+     * @return bool True on the post's own singular page when an SEO plugin graph is available
+     * @since 1.2.0
+     */
+    private static function can_handle_post( $post ) {
+        if ( is_admin() || ! is_singular() || get_queried_object_id() !== (int) $post->ID ) {
+            return false;
+        }
+
+        // The standalone script already went out, so adding the recipes would repeat them.
+        if ( RecipeSchemaBlock::has_post_jsonld( $post ) ) {
+            return false;
+        }
+
+        return '' !== self::get_provider() && RecipeSettings::outputs_structured_data( 'jsonld' );
+    }
+
+    /**
+     * Add the queried post's recipes to the Yoast SEO graph.
+     *
+     * @param array $graph Graph pieces
+     * @return array Graph including the recipe nodes
+     * @since 1.2.0
+     */
+    public static function filter_yoast_graph( $graph ) {
+        if ( 'yoast' !== self::get_provider() || ! is_array( $graph ) ) {
+            return $graph;
+        }
+
+        return array_merge( $graph, self::get_nodes( $graph ) );
+    }
+
+    /**
+     * Add the queried post's recipes to the Rank Math graph.
+     *
+     * @param array $data Graph entities, keyed by Rank Math's entity names
+     * @return array Entities including the recipe nodes
+     * @since 1.2.0
+     */
+    public static function filter_rank_math_graph( $data ) {
+        if ( 'rankmath' !== self::get_provider() || ! is_array( $data ) ) {
+            return $data;
+        }
+
+        foreach ( self::get_nodes( $data ) as $index => $node ) {
+            $data[ 'datamachine-recipes-' . ( $index + 1 ) ] = $node;
+        }
+
+        return $data;
+    }
+
+    /**
+     * Recipe and roundup nodes for the queried post, linked to an SEO plugin graph.
+     *
+     * @param array $graph Existing graph nodes
+     * @return array Nodes to add, empty when the queried post is not handled
+     * @since 1.2.0
+     */
+    private static function get_nodes( $graph ) {
+        $post = get_queried_object();
+        if ( ! $post instanceof \WP_Post || ! self::can_handle_post( $post ) ) {
+            return array();
+        }
+
+        $document = RecipeSchemaBlock::get_post_jsonld( $post );
+        if ( ! $document ) {
+            return array();
+        }
+
+        $page_id = self::find_node_id( $graph, function( $types ) {
+            // Author archives' ProfilePage is not the page the recipe is on.
+            return (bool) array_diff( preg_grep( '/Page$/', $types ), array( 'ProfilePage' ) );
+        } );
+        $article_id = self::find_node_id( $graph, function( $types ) {
+            return (bool) array_intersect( $types, array( 'Article', 'BlogPosting', 'NewsArticle' ) );
+        } );
+        $people = self::get_people( $graph );
+
+        $nodes = array();
+        foreach ( $document['@graph'] as $node ) {
+            if ( 'Recipe' === $node['@type'] ) {
+                $node['mainEntityOfPage'] = array( '@id' => '' !== $page_id ? $page_id : get_permalink( $post ) );
+
+                if ( '' !== $article_id ) {
+                    $node['isPartOf'] = array( '@id' => $article_id );
+                }
+
+                $name = strtolower( $node['author']['name'] ?? '' );
+                if ( isset( $people[ $name ] ) ) {
+                    $node['author'] = array( '@id' => $people[ $name ] );
+                }
+            }
+
+            $nodes[] = $node;
+        }
+
+        self::$graph_posts[] = (int) $post->ID;
+
+        return $nodes;
+    }
+
+    /**
+     * @id of the first graph node whose types match.
+     *
+     * @param array    $graph   Graph nodes
+     * @param callable $matches Receives the node's types and returns whether it matches
+     * @return string Node @id, or empty string
+     * @since 1.2.0
+     */
+    private static function find_node_id( $graph, $matches ) {
+        foreach ( $graph as $node ) {
+            if ( is_array( $node ) && ! empty( $node['@id'] ) && isset( $node['@type'] ) && $matches( (array) $node['@type'] ) ) {
+                return (string) $node['@id'];
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Person @ids in a graph, keyed by lowercase name.
+     *
+     * Includes Person nodes and named author references on other nodes, since
+     * Rank Math describes the author inside the Article.
+     *
+     * @param array $graph Graph nodes
+     * @return array Lowercase name => @id
+     * @since 1.2.0
+     */
+    private static function get_people( $graph ) {
+        $people = array();
+        $add = function( $person ) use ( &$people ) {
+            if ( is_array( $person ) && ! empty( $person['@id'] ) && ! empty( $person['name'] ) && is_string( $person['name'] ) ) {
+                $people += array( strtolower( $person['name'] ) => (string) $person['@id'] );
+            }
+        };
+
+        foreach ( $graph as $node ) {
+            if ( ! is_array( $node ) ) {
+                continue;
+            }
+
+            if ( in_array( 'Person', (array) ( $node['@type'] ?? array() ), true ) ) {
+                $add( $node );
+            }
+
+            $authors = $node['author'] ?? array();
+            foreach ( is_array( $authors ) && wp_is_numeric_array( $authors ) ? $authors : array( $authors ) as $author ) {
+                $add( $author );
+            }
+        }
+
+        return $people;
+    }
+}
@@ -0,0 +1,246 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * ISO 8601 duration parsing, normalization and formatting.
+ *
+ * Recipe times and step timers are stored as ISO 8601 durations. Values from
+ * editors, imports and AI tools arrive in many shapes ("PT90M", "P1DT2H",
+ * "pt1h30m", "1 hr 15 min", "45"), so every entry point normalizes them here
+ * to the canonical form: whole days, hours, minutes and seconds with the
+ * largest units first ("PT1H30M", "P1DT2H"). Mirrors src/shared/duration.js.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class Duration {
+
+    /**
+     * ISO 8601 duration pattern. Years, months and weeks are accepted on input
+     * and converted to days; the smallest unit may have a decimal fraction.
+     */
+    const PATTERN = '/^P(?!$)(?:(\d+(?:[.,]\d+)?)Y)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?!$)(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/i';
+
+    /**
+     * Human time text parts ("1 1/2 hours", "15 mins", "2d"). Ranges
+     * ("10-15 minutes") capture their lower bound, as cook mode timers do.
+     */
+    const TEXT_PART = '/(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?)(?:\s*(?:-|–|—|to)\s*(?:\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?))?\s*(d|days?|h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)\b/i';
+
+    /**
+     * Seconds per unit, in the order ISO 8601 lists them.
+     */
+    const UNIT_SECONDS = array(
+        'Y' => 31536000,
+        'MO' => 2592000,
+        'W' => 604800,
+        'D' => 86400,
+        'H' => 3600,
+        'MI' => 60,
+        'S' => 1
+    );
+
+    /**
+     * Convert a strict ISO 8601 duration to seconds.
+     *
+     * @param string $duration ISO 8601 duration (e.g., "PT1H30M", "P1DT2H")
+     * @return int|null Seconds, or null when the duration is empty or invalid
+     * @since 1.2.0
+     */
+    public static function to_seconds( $duration ) {
+        if ( ! is_string( $duration ) || ! preg_match( self::PATTERN, trim( $duration ), $matches ) ) {
+            return null;
+        }
+
+        $matches = array_pad( $matches, 8, '' );
+        $seconds = 0;
+        foreach ( array_values( self::UNIT_SECONDS ) as $index => $unit_seconds ) {
+            if ( '' !== $matches[ $index + 1 ] ) {
+                $seconds += (float) str_replace( ',', '.', $matches[ $index + 1 ] ) * $unit_seconds;
+            }
+        }
+
+        return (int) round( $seconds );
+    }
+
+    /**
+     * Convert seconds to a canonical ISO 8601 duration.
+     *
+     * @param int $seconds Duration in seconds
+     * @return string ISO 8601 duration (e.g., "PT1H30M"); zero is "PT0M"
+     * @since 1.2.0
+     */
+    public static function from_seconds( $seconds ) {
+        $parts = self::split( $seconds );
+
+        $duration = 'P' . ( $parts['days'] ? $parts['days'] . 'D' : '' );
+        $time = ( $parts['hours'] ? $parts['hours'] . 'H' : '' )
+            . ( $parts['minutes'] ? $parts['minutes'] . 'M' : '' )
+            . ( $parts['seconds'] ? $parts['seconds'] . 'S' : '' );
+
+        if ( $time ) {
+            $duration .= 'T' . $time;
+        }
+
+        return 'P' === $duration ? 'PT0M' : $duration;
+    }
+
+    /**
+     * Split seconds into days, hours, minutes and seconds.
+     *
+     * @param int $seconds Duration in seconds
+     * @return array Keys days, hours, minutes and seconds
+     * @since 1.2.0
+     */
+    public static function split( $seconds ) {
+        $seconds = max( 0, (int) $seconds );
+
+        return array(
+            'days' => intdiv( $seconds, DAY_IN_SECONDS ),
+            'hours' => intdiv( $seconds % DAY_IN_SECONDS, HOUR_IN_SECONDS ),
+            'minutes' => intdiv( $seconds % HOUR_IN_SECONDS, MINUTE_IN_SECONDS ),
+            'seconds' => $seconds % MINUTE_IN_SECONDS
+        );
+    }
+
+    /**
+     * Parse a duration in any supported format to seconds.
+     *
+     * Accepts ISO 8601 durations in any case, human text such as "1 hr 15 min"
+     * or "1 1/2 hours", clock times such as "1:15", and bare numbers, which are
+     * read as minutes. Ranges ("10-15 minutes") count as their lower bound.
+     *
+     * @param mixed $value Duration value
+     * @return int|null Seconds, or null when no duration is found
+     * @since 1.2.0
+     */
+    public static function parse( $value ) {
+        if ( is_int( $value ) || is_float( $value ) ) {
+            return $value >= 0 ? (int) round( $value * MINUTE_IN_SECONDS ) : null;
+        }
+
+        if ( ! is_string( $value ) ) {
+            return null;
+        }
+
+        $value = trim( $value );
+        if ( '' === $value ) {
+            return null;
+        }
+
+        $seconds = self::to_seconds( $value );
+        if ( null !== $seconds ) {
+            return $seconds;
+        }
+
+        if ( preg_match( '/^\d+(?:[.,]\d+)?$/', $value ) ) {
+            return (int) round( (float) str_replace( ',', '.', $value ) * MINUTE_IN_SECONDS );
+        }
+
+        if ( preg_match( '/^(\d+):([0-5]\d)(?::([0-5]\d))?$/', $value, $matches ) ) {
+            return (int) $matches[1] * HOUR_IN_SECONDS + (int) $matches[2] * MINUTE_IN_SECONDS + (int) ( $matches[3] ?? 0 );
+        }
+
+        if ( ! preg_match_all( self::TEXT_PART, $value, $parts, PREG_SET_ORDER ) ) {
+            return null;
+        }
+
+        $seconds = 0;
+        foreach ( $parts as $part ) {
+            $amount = self::parse_amount( $part[1] );
+            if ( null === $amount ) {
+                continue;
+            }
+
+            $unit = strtolower( $part[2] );
+            if ( 'd' === $unit[0] ) {
+                $seconds += $amount * DAY_IN_SECONDS;
+            } elseif ( 'h' === $unit[0] ) {
+                $seconds += $amount * HOUR_IN_SECONDS;
+            } elseif ( 'm' === $unit[0] ) {
+                $seconds += $amount * MINUTE_IN_SECONDS;
+            } else {
+                $seconds += $amount;
+            }
+        }
+
+        return (int) round( $seconds );
+    }
+
+    /**
+     * Normalize a duration in any supported format to canonical ISO 8601.
+     *
+     * @param mixed $value Duration value
+     * @return string ISO 8601 duration, or empty string when no duration is found
+     * @since 1.2.0
+     */
+    public static function normalize( $value ) {
+        $seconds = self::parse( $value );
+
+        return null === $seconds ? '' : self::from_seconds( $seconds );
+    }
+
+    /**
+     * Format a duration for readers ("1 day 2 hours", "1 hour 30 minutes").
+     *
+     * @param string $duration Duration in any supported format
+     * @return string Localized duration, or the original value when it cannot be parsed
+     * @since 1.2.0
+     */
+    public static function format( $duration ) {
+        $seconds = self::parse( $duration );
+        if ( null === $seconds ) {
+            return is_string( $duration ) ? $duration : '';
+        }
+
+        $split = self::split( $seconds );
+        $parts = array();
+
+        if ( $split['days'] ) {
+            /* translators: %d: number of days */
+            $parts[] = sprintf( _n( '%d day', '%d days', $split['days'], 'datamachine-recipes' ), $split['days'] );
+        }
+        if ( $split['hours'] ) {
+            /* translators: %d: number of hours */
+            $parts[] = sprintf( _n( '%d hour', '%d hours', $split['hours'], 'datamachine-recipes' ), $split['hours'] );
+        }
+        if ( $split['minutes'] || ( ! $parts && ! $split['seconds'] ) ) {
+            /* translators: %d: number of minutes */
+            $parts[] = sprintf( _n( '%d minute', '%d minutes', $split['minutes'], 'datamachine-recipes' ), $split['minutes'] );
+        }
+        if ( $split['seconds'] ) {
+            /* translators: %d: number of seconds */
+            $parts[] = sprintf( _n( '%d second', '%d seconds', $split['seconds'], 'datamachine-recipes' ), $split['seconds'] );
+        }
+
+        /* translators: separator between duration parts, e.g. "1 hour 30 minutes" */
+        return implode( _x( ' ', 'duration separator', 'datamachine-recipes' ), $parts );
+    }
+
+    /**
+     * Convert an amount ("1 1/2", "1/2", "1.5") to a number.
+     *
+     * @param string $amount Amount text
+     * @return float|null Amount, or null when invalid
+     * @since 1.2.0
+     */
+    private static function parse_amount( $amount ) {
+        $total = 0;
+        foreach ( preg_split( '/\s+/', trim( $amount ) ) as $part ) {
+            if ( preg_match( '/^(\d+)\/(\d+)$/', $part, $fraction ) ) {
+                if ( ! (int) $fraction[2] ) {
+                    return null;
+                }
+                $total += (int) $fraction[1] / (int) $fraction[2];
+            } else {
+                $total += (float) str_replace( ',', '.', $part );
+            }
+        }
+
+        return $total;
+    }
+}
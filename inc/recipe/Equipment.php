@@ -0,0 +1,144 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Recipe equipment helpers.
+ *
+ * The tool and supply attributes hold plain strings (legacy blocks and AI
+ * output) or items with a name, an optional product link and an image from the
+ * media library (imageId, with its URL kept in `image`) or a URL. Links marked
+ * sponsored are affiliate links and get rel="sponsored". These helpers sanitize
+ * both forms and map them to Schema.org HowToTool and HowToSupply data.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class Equipment {
+
+    /**
+     * Fields of an equipment item and their defaults.
+     *
+     * @since 1.2.0
+     */
+    const FIELDS = array(
+        'name' => '',
+        'url' => '',
+        'image' => '',
+        'imageId' => 0,
+        'sponsored' => false
+    );
+
+    /**
+     * Normalize an equipment item to the object form.
+     *
+     * @param mixed $item Plain string or equipment item
+     * @return array Item with every field present
+     * @since 1.2.0
+     */
+    public static function normalize( $item ) {
+        if ( ! is_array( $item ) ) {
+            return array_merge( self::FIELDS, array( 'name' => trim( (string) $item ) ) );
+        }
+
+        $item = array_merge( self::FIELDS, array_intersect_key( $item, self::FIELDS ) );
+        $item['sponsored'] = ! empty( $item['sponsored'] );
+
+        return $item;
+    }
+
+    /**
+     * Normalize an equipment list, leaving out items without a name.
+     *
+     * @param mixed $items Equipment list from block attributes
+     * @return array Normalized items
+     * @since 1.2.0
+     */
+    public static function items( $items ) {
+        $normalized = array_map( array( self::class, 'normalize' ), is_array( $items ) ? $items : array() );
+
+        return array_values( array_filter( $normalized, function( $item ) {
+            return '' !== trim( (string) $item['name'] );
+        } ) );
+    }
+
+    /**
+     * Map an equipment list to Schema.org items.
+     *
+     * @param mixed  $items Equipment list from block attributes
+     * @param string $type  HowToTool or HowToSupply
+     * @return array Schema.org items
+     * @since 1.2.0
+     */
+    public static function to_schema( $items, $type ) {
+        return array_map( function( $item ) use ( $type ) {
+            $schema = array(
+                '@type' => $type,
+                'name' => $item['name']
+            );
+
+            if ( '' !== $item['url'] ) {
+                $schema['url'] = $item['url'];
+            }
+
+            $image = self::get_image_url( $item );
+            if ( '' !== $image ) {
+                $schema['image'] = $image;
+            }
+
+            return $schema;
+        }, self::items( $items ) );
+    }
+
+    /**
+     * URL of an item image, preferring the media library image when it still exists.
+     *
+     * @param array  $item Normalized equipment item
+     * @param string $size Image size for media library images
+     * @return string Image URL, or empty string
+     * @since 1.2.0
+     */
+    public static function get_image_url( $item, $size = 'full' ) {
+        if ( $item['imageId'] && wp_attachment_is_image( $item['imageId'] ) ) {
+            return (string) wp_get_attachment_image_url( $item['imageId'], $size );
+        }
+
+        return (string) $item['image'];
+    }
+
+    /**
+     * Sanitize an equipment list, preserving each item's form and dropping empty items.
+     *
+     * @param mixed $items Equipment list
+     * @return array Sanitized items
+     * @since 1.2.0
+     */
+    public static function sanitize_list( $items ) {
+        $sanitized = array();
+
+        foreach ( is_array( $items ) ? $items : array() as $item ) {
+            if ( ! is_array( $item ) ) {
+                $item = sanitize_text_field( (string) $item );
+                if ( '' !== $item ) {
+                    $sanitized[] = $item;
+                }
+                continue;
+            }
+
+            $item = self::normalize( $item );
+            $item['name'] = sanitize_text_field( (string) $item['name'] );
+            $item['url'] = esc_url_raw( (string) $item['url'] );
+            $item['image'] = esc_url_raw( (string) $item['image'] );
+            $item['imageId'] = absint( $item['imageId'] );
+
+            if ( '' !== $item['name'] ) {
+                $sanitized[] = $item;
+            }
+        }
+
+        return $sanitized;
+    }
+}
@@ -0,0 +1,396 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Recipe ingredient helpers.
+ *
+ * The recipeIngredient attribute holds either plain strings (legacy blocks and AI
+ * output) or structured ingredients with quantity, unit, name, note, optional,
+ * noConvert (exclude from unit conversion) and substitution (suggested swaps,
+ * shown on the card only) fields. Items can also be named
+ * groups shaped as `{ name, items: [...] }` ("For the dough"). These helpers
+ * sanitize every form and flatten them to the Schema.org string form used in
+ * JSON-LD and microdata.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class Ingredients {
+
+    /**
+     * Fields of a structured ingredient and their defaults.
+     *
+     * @since 1.2.0
+     */
+    const FIELDS = array(
+        'quantity' => '',
+        'unit' => '',
+        'name' => '',
+        'note' => '',
+        'optional' => false,
+        'noConvert' => false,
+        'substitution' => ''
+    );
+
+    /**
+     * Unicode vulgar fractions and their numeric values.
+     *
+     * @since 1.2.0
+     */
+    const UNICODE_FRACTIONS = array(
+        '½' => 1 / 2,
+        '⅓' => 1 / 3,
+        '⅔' => 2 / 3,
+        '¼' => 1 / 4,
+        '¾' => 3 / 4,
+        '⅕' => 1 / 5,
+        '⅖' => 2 / 5,
+        '⅗' => 3 / 5,
+        '⅘' => 4 / 5,
+        '⅙' => 1 / 6,
+        '⅚' => 5 / 6,
+        '⅛' => 1 / 8,
+        '⅜' => 3 / 8,
+        '⅝' => 5 / 8,
+        '⅞' => 7 / 8
+    );
+
+    /**
+     * A single amount: "2", "1.5", "1/2", "1 1/2", "1½" or "½".
+     */
+    const AMOUNT_PATTERN = '(?:\d+\s+\d+\s*\/\s*\d+|\d+\s*\/\s*\d+|\d+\s*[½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞]|\d+(?:[.,]\d+)?|[½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])';
+
+    const RANGE_SEPARATOR_PATTERN = '\s*(?:-|–|—|to)\s*';
+
+    const OPTIONAL_PATTERN = '/(?:\s*\(optional\)|,\s*optional\b|^optional:?\s*)/iu';
+
+    /**
+     * Whether an ingredient item is a named group of ingredients.
+     *
+     * @param mixed $item Ingredient item from block attributes
+     * @return bool True for ingredient groups
+     * @since 1.2.0
+     */
+    public static function is_group( $item ) {
+        return is_array( $item ) && isset( $item['items'] ) && is_array( $item['items'] );
+    }
+
+    /**
+     * Group an ingredient list for display.
+     *
+     * Named groups are kept as-is; runs of loose ingredients between them become
+     * unnamed groups, so a legacy flat list yields a single unnamed group.
+     *
+     * @param mixed $ingredients Ingredient list from block attributes
+     * @return array Groups shaped as [ 'name' => string, 'items' => array ]
+     * @since 1.2.0
+     */
+    public static function groups( $ingredients ) {
+        if ( ! is_array( $ingredients ) ) {
+            return array();
+        }
+
+        $groups = array();
+        $loose = array();
+
+        foreach ( $ingredients as $item ) {
+            if ( self::is_group( $item ) ) {
+                if ( $loose ) {
+                    $groups[] = array( 'name' => '', 'items' => $loose );
+                    $loose = array();
+                }
+                $groups[] = array(
+                    'name' => (string) ( $item['name'] ?? '' ),
+                    'items' => array_values( array_filter( $item['items'], function( $ingredient ) {
+                        return ! self::is_group( $ingredient );
+                    } ) )
+                );
+                continue;
+            }
+
+            $loose[] = $item;
+        }
+
+        if ( $loose ) {
+            $groups[] = array( 'name' => '', 'items' => $loose );
+        }
+
+        return $groups;
+    }
+
+    /**
+     * Flatten an ingredient list to its ingredients, in order.
+     *
+     * @param mixed $ingredients Ingredient list from block attributes
+     * @return array Plain and structured ingredients without groups
+     * @since 1.2.0
+     */
+    public static function items( $ingredients ) {
+        $items = array();
+        foreach ( self::groups( $ingredients ) as $group ) {
+            $items = array_merge( $items, $group['items'] );
+        }
+        return $items;
+    }
+
+    /**
+     * Whether an ingredient item uses the structured array form.
+     *
+     * @param mixed $ingredient Ingredient item from block attributes
+     * @return bool True for structured ingredients
+     * @since 1.2.0
+     */
+    public static function is_structured( $ingredient ) {
+        return is_array( $ingredient ) && ! self::is_group( $ingredient );
+    }
+
+    /**
+     * Normalize an ingredient item to the structured form.
+     *
+     * Plain strings become a structured ingredient with only the name set, so
+     * renderers can treat every item the same way.
+     *
+     * @param mixed $ingredient Plain string or structured ingredient
+     * @return array Structured ingredient with every field present
+     * @since 1.2.0
+     */
+    public static function normalize( $ingredient ) {
+        if ( ! self::is_structured( $ingredient ) ) {
+            return array_merge( self::FIELDS, array( 'name' => trim( (string) $ingredient ) ) );
+        }
+
+        $ingredient = array_merge( self::FIELDS, array_intersect_key( $ingredient, self::FIELDS ) );
+        $ingredient['optional'] = ! empty( $ingredient['optional'] );
+        $ingredient['noConvert'] = ! empty( $ingredient['noConvert'] );
+
+        return $ingredient;
+    }
+
+    /**
+     * Format an ingredient item as a Schema.org recipeIngredient string.
+     *
+     * @param mixed $ingredient Plain string or structured ingredient
+     * @return string Ingredient text (e.g., "2 cups flour, sifted")
+     * @since 1.2.0
+     */
+    public static function to_string( $ingredient ) {
+        if ( ! self::is_structured( $ingredient ) ) {
+            return trim( (string) $ingredient );
+        }
+
+        $ingredient = self::normalize( $ingredient );
+
+        $parts = array_filter( array_map( 'trim', array(
+            (string) $ingredient['quantity'],
+            (string) $ingredient['unit'],
+            (string) $ingredient['name']
+        ) ), 'strlen' );
+
+        $text = implode( ' ', $parts );
+
+        if ( '' !== trim( (string) $ingredient['note'] ) ) {
+            $text .= ', ' . trim( (string) $ingredient['note'] );
+        }
+
+        if ( $ingredient['optional'] ) {
+            $text .= ' (optional)';
+        }
+
+        return $text;
+    }
+
+    /**
+     * Flatten an ingredient list to Schema.org strings.
+     *
+     * Schema.org has no notion of ingredient groups, so grouped ingredients are
+     * listed in order without their group names.
+     *
+     * @param array $ingredients Mixed list of plain and structured ingredients and groups
+     * @return array Non-empty ingredient strings
+     * @since 1.2.0
+     */
+    public static function to_strings( $ingredients ) {
+        return array_values( array_filter( array_map( array( self::class, 'to_string' ), self::items( $ingredients ) ), 'strlen' ) );
+    }
+
+    /**
+     * Sanitize a single ingredient item, preserving its form.
+     *
+     * @param mixed $ingredient Plain string or structured ingredient
+     * @return string|array|null Sanitized ingredient, or null when empty
+     * @since 1.2.0
+     */
+    public static function sanitize( $ingredient ) {
+        if ( ! self::is_structured( $ingredient ) ) {
+            $ingredient = sanitize_text_field( (string) $ingredient );
+            return '' === $ingredient ? null : $ingredient;
+        }
+
+        $ingredient = self::normalize( $ingredient );
+
+        foreach ( array( 'quantity', 'unit', 'name', 'note', 'substitution' ) as $field ) {
+            $ingredient[ $field ] = sanitize_text_field( (string) $ingredient[ $field ] );
+        }
+
+        return '' === $ingredient['name'] && '' === $ingredient['quantity'] ? null : $ingredient;
+    }
+
+    /**
+     * Sanitize an ingredient list, preserving groups and dropping empty items.
+     *
+     * @param mixed $ingredients Mixed list of plain and structured ingredients and groups
+     * @return array Sanitized ingredients
+     * @since 1.2.0
+     */
+    public static function sanitize_list( $ingredients ) {
+        if ( ! is_array( $ingredients ) ) {
+            return array();
+        }
+
+        $sanitized = array();
+        foreach ( $ingredients as $item ) {
+            if ( self::is_group( $item ) ) {
+                $items = array_values( array_filter( array_map( array( self::class, 'sanitize' ), $item['items'] ), function( $ingredient ) {
+                    return null !== $ingredient;
+                } ) );
+                if ( $items ) {
+                    $sanitized[] = array(
+                        'name' => sanitize_text_field( (string) ( $item['name'] ?? '' ) ),
+                        'items' => $items
+                    );
+                }
+                continue;
+            }
+
+            $ingredient = self::sanitize( $item );
+            if ( null !== $ingredient ) {
+                $sanitized[] = $ingredient;
+            }
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Convert a single amount string to a number.
+     *
+     * @param string $amount Amount text (e.g., "1 1/2", "¾", "0,5")
+     * @return float|null Numeric value, or null when unparseable
+     * @since 1.2.0
+     */
+    public static function parse_amount( $amount ) {
+        $text = trim( (string) $amount );
+        if ( '' === $text ) {
+            return null;
+        }
+
+        // Split "1½" into "1 ½" so the whole and fractional parts are summed.
+        $text = preg_replace( '/(\d)([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/u', '$1 $2', $text );
+        $total = 0;
+
+        foreach ( preg_split( '/\s+/u', $text ) as $part ) {
+            if ( isset( self::UNICODE_FRACTIONS[ $part ] ) ) {
+                $total += self::UNICODE_FRACTIONS[ $part ];
+            } elseif ( preg_match( '/^(\d+)\s*\/\s*(\d+)$/', $part, $fraction ) ) {
+                if ( ! (int) $fraction[2] ) {
+                    return null;
+                }
+                $total += (int) $fraction[1] / (int) $fraction[2];
+            } elseif ( preg_match( '/^\d+(?:[.,]\d+)?$/', $part ) ) {
+                $total += (float) str_replace( ',', '.', $part );
+            } else {
+                return null;
+            }
+        }
+
+        return $total;
+    }
+
+    /**
+     * Parse a quantity that may be a single amount or a range.
+     *
+     * @param string $quantity Quantity text (e.g., "1 1/2", "2–3")
+     * @return array|null Keys min and max (null for single amounts), or null when unparseable
+     * @since 1.2.0
+     */
+    public static function parse_quantity( $quantity ) {
+        $pattern = '/^(' . self::AMOUNT_PATTERN . ')(?:' . self::RANGE_SEPARATOR_PATTERN . '(' . self::AMOUNT_PATTERN . '))?$/u';
+        if ( ! preg_match( $pattern, trim( (string) $quantity ), $matches ) ) {
+            return null;
+        }
+
+        $min = self::parse_amount( $matches[1] );
+        if ( null === $min ) {
+            return null;
+        }
+
+        return array(
+            'min' => $min,
+            'max' => isset( $matches[2] ) ? self::parse_amount( $matches[2] ) : null
+        );
+    }
+
+    /**
+     * Parse a free-form ingredient line into structured fields.
+     *
+     * Handles leading quantities (including mixed numbers, unicode fractions and
+     * ranges), package sizes in parentheses, known units, "of" connectors, a
+     * trailing comma-separated preparation note, and "(optional)" markers. Mirrors parseIngredient() in
+     * src/shared/ingredients.js, except that quantities are kept as written.
+     *
+     * @param string $line Ingredient line (e.g., "2 cups flour, sifted")
+     * @return array Structured ingredient
+     * @since 1.2.0
+     */
+    public static function parse( $line ) {
+        $text = trim( preg_replace( '/^\s*(?:[-*•▢□]|\d+[.)])\s+/u', '', (string) $line ) );
+
+        $optional = (bool) preg_match( self::OPTIONAL_PATTERN, $text );
+        if ( $optional ) {
+            $text = trim( preg_replace( self::OPTIONAL_PATTERN, '', $text ) );
+        }
+
+        $quantity = '';
+        $pattern = '/^(' . self::AMOUNT_PATTERN . ')(?:' . self::RANGE_SEPARATOR_PATTERN . '(' . self::AMOUNT_PATTERN . '))?(?=\s|$|[a-zA-Z(])/u';
+        if ( preg_match( $pattern, $text, $matches ) ) {
+            $quantity = trim( $matches[0] );
+            $text = trim( substr( $text, strlen( $matches[0] ) ) );
+        }
+
+        // A package size after the quantity ("1 (14 oz) can beans") becomes part of the note.
+        $size = '';
+        if ( '' !== $quantity && preg_match( '/^\(([^()]+)\)\s*/', $text, $size_match ) ) {
+            $size = trim( $size_match[1] );
+            $text = substr( $text, strlen( $size_match[0] ) );
+        }
+
+        $unit = '';
+        $unit_match = '' !== $quantity ? Units::match_leading( $text ) : null;
+        if ( $unit_match ) {
+            $unit = $unit_match['unit'];
+            $text = preg_replace( '/^of\s+/i', '', $unit_match['rest'] );
+        }
+
+        $name = $text;
+        $note = '';
+        $comma = strpos( $text, ',' );
+        if ( false !== $comma ) {
+            $name = trim( substr( $text, 0, $comma ) );
+            $note = trim( substr( $text, $comma + 1 ) );
+        }
+
+        $note = implode( ', ', array_filter( array( $size, $note ), 'strlen' ) );
+
+        return array_merge( self::FIELDS, array(
+            'quantity' => $quantity,
+            'unit' => $unit,
+            'name' => $name,
+            'note' => $note,
+            'optional' => $optional
+        ) );
+    }
+}
@@ -0,0 +1,357 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Recipe instruction helpers.
+ *
+ * The recipeInstructions attribute is a list whose items are plain strings
+ * (legacy blocks and AI output), step objects with text, name, image, anchor,
+ * timer and video clip fields, or named sections shaped as `{ name, steps: [...] }`
+ * for multi-part recipes ("For the dough", "For the filling"). These helpers
+ * sanitize every form and map it to Schema.org HowToStep, HowToSection and Clip
+ * data.
+ *
+ * A step image is a URL, or a media library image (imageId) whose URL is kept
+ * in `image` as well. Clip offsets are whole seconds into the recipe video, or
+ * an empty string when the step has no clip.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class Instructions {
+
+    /**
+     * Fields of a step object and their defaults.
+     *
+     * @since 1.2.0
+     */
+    const STEP_FIELDS = array(
+        'text' => '',
+        'name' => '',
+        'image' => '',
+        'imageId' => 0,
+        'anchor' => '',
+        'timer' => '',
+        'clipStart' => '',
+        'clipEnd' => ''
+    );
+
+    /**
+     * Whether an instruction item is a named section of steps.
+     *
+     * @param mixed $item Instruction item from block attributes
+     * @return bool True for sections
+     * @since 1.2.0
+     */
+    public static function is_section( $item ) {
+        return is_array( $item ) && isset( $item['steps'] ) && is_array( $item['steps'] );
+    }
+
+    /**
+     * Normalize a step item to the step object form.
+     *
+     * @param mixed $step Plain string or step object
+     * @return array Step with every field present
+     * @since 1.2.0
+     */
+    public static function normalize_step( $step ) {
+        if ( ! is_array( $step ) ) {
+            return array_merge( self::STEP_FIELDS, array( 'text' => (string) $step ) );
+        }
+
+        return array_merge( self::STEP_FIELDS, array_intersect_key( $step, self::STEP_FIELDS ) );
+    }
+
+    /**
+     * Group an instruction list into sections.
+     *
+     * Named sections are kept as-is; runs of loose steps between them become
+     * unnamed sections, so a legacy flat list yields a single unnamed section.
+     *
+     * @param mixed $instructions Instruction list from block attributes
+     * @return array Sections shaped as [ 'name' => string, 'steps' => array ]
+     * @since 1.2.0
+     */
+    public static function sections( $instructions ) {
+        if ( ! is_array( $instructions ) ) {
+            return array();
+        }
+
+        $sections = array();
+        $loose = array();
+
+        foreach ( $instructions as $item ) {
+            if ( self::is_section( $item ) ) {
+                if ( $loose ) {
+                    $sections[] = array( 'name' => '', 'steps' => $loose );
+                    $loose = array();
+                }
+                $sections[] = array(
+                    'name' => (string) ( $item['name'] ?? '' ),
+                    'steps' => array_map( array( self::class, 'normalize_step' ), array_values( $item['steps'] ) )
+                );
+                continue;
+            }
+
+            $loose[] = self::normalize_step( $item );
+        }
+
+        if ( $loose ) {
+            $sections[] = array( 'name' => '', 'steps' => $loose );
+        }
+
+        return $sections;
+    }
+
+    /**
+     * Flatten an instruction list to its steps, in order.
+     *
+     * @param mixed $instructions Instruction list from block attributes
+     * @return array Normalized steps
+     * @since 1.2.0
+     */
+    public static function steps( $instructions ) {
+        $steps = array();
+        foreach ( self::sections( $instructions ) as $section ) {
+            $steps = array_merge( $steps, $section['steps'] );
+        }
+        return $steps;
+    }
+
+    /**
+     * Whether an instruction list uses named sections.
+     *
+     * @param mixed $instructions Instruction list from block attributes
+     * @return bool True when at least one section has a name
+     * @since 1.2.0
+     */
+    public static function has_sections( $instructions ) {
+        foreach ( self::sections( $instructions ) as $section ) {
+            if ( '' !== $section['name'] ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Map an instruction list to Schema.org recipeInstructions.
+     *
+     * Lists without named sections produce HowToStep items; otherwise every group
+     * becomes a HowToSection (unnamed groups are labelled "Instructions"). Steps are
+     * numbered across the whole recipe when they have no name of their own.
+     *
+     * @param mixed  $instructions Instruction list from block attributes
+     * @param string $base_url     Page URL used for step anchors
+     * @return array Schema.org HowToStep or HowToSection items
+     * @since 1.2.0
+     */
+    public static function to_schema( $instructions, $base_url = '' ) {
+        $number = 0;
+        $to_step = function( $step ) use ( &$number, $base_url ) {
+            $number++;
+            $item = array(
+                '@type' => 'HowToStep',
+                'name' => '' !== $step['name'] ? $step['name'] : 'Step ' . $number,
+                'text' => wp_strip_all_tags( $step['text'] )
+            );
+
+            if ( '' !== $step['anchor'] && '' !== $base_url ) {
+                $item['url'] = $base_url . '#' . $step['anchor'];
+            }
+
+            $image = self::get_image_url( $step );
+            if ( '' !== $image ) {
+                $item['image'] = $image;
+            }
+
+            return $item;
+        };
+
+        if ( ! self::has_sections( $instructions ) ) {
+            return array_map( $to_step, self::steps( $instructions ) );
+        }
+
+        $schema = array();
+        foreach ( self::sections( $instructions ) as $section ) {
+            $schema[] = array(
+                '@type' => 'HowToSection',
+                'name' => '' !== $section['name'] ? $section['name'] : __( 'Instructions', 'datamachine-recipes' ),
+                'itemListElement' => array_map( $to_step, $section['steps'] )
+            );
+        }
+
+        return $schema;
+    }
+
+    /**
+     * Map the steps with a video clip to Schema.org Clip items.
+     *
+     * Clips are named like their HowToStep, so video key moments and recipe
+     * steps match.
+     *
+     * @param mixed  $instructions Instruction list from block attributes
+     * @param string $video_url    URL of the recipe video
+     * @return array Clip items for the VideoObject's hasPart
+     * @since 1.2.0
+     */
+    public static function to_clips( $instructions, $video_url ) {
+        $clips = array();
+        if ( '' === $video_url ) {
+            return $clips;
+        }
+
+        foreach ( self::steps( $instructions ) as $index => $step ) {
+            if ( ! is_numeric( $step['clipStart'] ) ) {
+                continue;
+            }
+
+            $start = absint( $step['clipStart'] );
+            $end = is_numeric( $step['clipEnd'] ) && absint( $step['clipEnd'] ) > $start ? absint( $step['clipEnd'] ) : 0;
+
+            $clip = array(
+                '@type' => 'Clip',
+                'name' => '' !== $step['name'] ? $step['name'] : 'Step ' . ( $index + 1 ),
+                'startOffset' => $start
+            );
+
+            if ( $end ) {
+                $clip['endOffset'] = $end;
+            }
+
+            $clip['url'] = self::get_clip_url( $video_url, $start, $end );
+            $clips[] = $clip;
+        }
+
+        return $clips;
+    }
+
+    /**
+     * URL that plays a video from a clip's start.
+     *
+     * YouTube links get a `t` parameter; other videos a media fragment (#t=start,end).
+     *
+     * @param string $video_url Video URL
+     * @param int    $start     Start offset in seconds
+     * @param int    $end       End offset in seconds, 0 for none
+     * @return string Clip URL
+     * @since 1.2.0
+     */
+    public static function get_clip_url( $video_url, $start, $end = 0 ) {
+        if ( preg_match( '/(^|\.)(youtube\.com|youtu\.be)$/', (string) wp_parse_url( $video_url, PHP_URL_HOST ) ) ) {
+            return add_query_arg( 't', (int) $start, $video_url );
+        }
+
+        return strtok( $video_url, '#' ) . '#t=' . (int) $start . ( $end ? ',' . (int) $end : '' );
+    }
+
+    /**
+     * URL of a step image, preferring the media library image when it still exists.
+     *
+     * @param array  $step Normalized step
+     * @param string $size Image size for media library images
+     * @return string Image URL, or empty string
+     * @since 1.2.0
+     */
+    public static function get_image_url( $step, $size = 'full' ) {
+        if ( $step['imageId'] && wp_attachment_is_image( $step['imageId'] ) ) {
+            return (string) wp_get_attachment_image_url( $step['imageId'], $size );
+        }
+
+        return $step['image'];
+    }
+
+    /**
+     * Format a clip offset in seconds as m:ss, or h:mm:ss for long videos.
+     *
+     * @param int $seconds Offset in seconds
+     * @return string Formatted offset
+     * @since 1.2.0
+     */
+    public static function format_offset( $seconds ) {
+        $seconds = max( 0, (int) $seconds );
+        $hours = intdiv( $seconds, 3600 );
+        $minutes = intdiv( $seconds % 3600, 60 );
+
+        return $hours
+            ? sprintf( '%d:%02d:%02d', $hours, $minutes, $seconds % 60 )
+            : sprintf( '%d:%02d', $minutes, $seconds % 60 );
+    }
+
+    /**
+     * Sanitize a single step, preserving its form.
+     *
+     * @param mixed $step Plain string or step object
+     * @return string|array|null Sanitized step, or null when it has no text
+     * @since 1.2.0
+     */
+    public static function sanitize_step( $step ) {
+        if ( ! is_array( $step ) ) {
+            $step = sanitize_text_field( (string) $step );
+            return '' === $step ? null : $step;
+        }
+
+        $step = self::normalize_step( $step );
+        $step['text'] = sanitize_text_field( (string) $step['text'] );
+        $step['name'] = sanitize_text_field( (string) $step['name'] );
+        $step['image'] = esc_url_raw( (string) $step['image'] );
+        $step['imageId'] = absint( $step['imageId'] );
+        $step['anchor'] = sanitize_title( (string) $step['anchor'] );
+        $step['timer'] = Duration::normalize( sanitize_text_field( (string) $step['timer'] ) );
+        $step['clipStart'] = is_numeric( $step['clipStart'] ) ? absint( $step['clipStart'] ) : '';
+        $step['clipEnd'] = '' !== $step['clipStart'] && is_numeric( $step['clipEnd'] ) && absint( $step['clipEnd'] ) > $step['clipStart'] ? absint( $step['clipEnd'] ) : '';
+
+        return '' === $step['text'] ? null : $step;
+    }
+
+    /**
+     * Sanitize an instruction list, preserving sections and dropping empty steps.
+     *
+     * @param mixed $instructions Instruction list
+     * @return array Sanitized instructions
+     * @since 1.2.0
+     */
+    public static function sanitize_list( $instructions ) {
+        if ( ! is_array( $instructions ) ) {
+            return array();
+        }
+
+        $sanitized = array();
+        foreach ( $instructions as $item ) {
+            if ( self::is_section( $item ) ) {
+                $steps = self::sanitize_steps( $item['steps'] );
+                if ( $steps ) {
+                    $sanitized[] = array(
+                        'name' => sanitize_text_field( (string) ( $item['name'] ?? '' ) ),
+                        'steps' => $steps
+                    );
+                }
+                continue;
+            }
+
+            $step = self::sanitize_step( $item );
+            if ( null !== $step ) {
+                $sanitized[] = $step;
+            }
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Sanitize a list of steps, dropping empty ones.
+     *
+     * @param array $steps Steps
+     * @return array Sanitized steps
+     * @since 1.2.0
+     */
+    private static function sanitize_steps( array $steps ) {
+        return array_values( array_filter( array_map( array( self::class, 'sanitize_step' ), $steps ), function( $step ) {
+            return null !== $step;
+        } ) );
+    }
+}
@@ -0,0 +1,446 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Schema.org Recipe JSON-LD importer.
+ *
+ * Finds Recipe objects in `<script type="application/ld+json">` markup (as
+ * printed by this plugin and by other recipe plugins) and converts them into
+ * recipe-schema block attributes. The mapping is the reverse of
+ * RecipeSchemaBlock::generate_recipe_jsonld(), extended to the common shapes
+ * other generators use: HowToSection instructions, NutritionInformation,
+ * VideoObject, Person and MonetaryAmount objects, and single values in place
+ * of lists. Properties the block cannot store are reported as dropped.
+ *
+ * src/shared/jsonld.js mirrors this mapping for the editor block transform.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class JsonLdImporter {
+
+    /**
+     * Properties that describe the JSON-LD document rather than the recipe.
+     * They are skipped without being reported as dropped.
+     *
+     * @since 1.2.0
+     */
+    const IGNORED_PROPERTIES = array( '@context', '@type', '@id', 'mainEntityOfPage', 'url', 'isPartOf', 'inLanguage', 'dateModified' );
+
+    /**
+     * Nutrition properties stored by the block.
+     *
+     * @since 1.2.0
+     */
+    const NUTRITION_PROPERTIES = array(
+        'calories',
+        'carbohydrateContent',
+        'cholesterolContent',
+        'fatContent',
+        'fiberContent',
+        'proteinContent',
+        'saturatedFatContent',
+        'servingSize',
+        'sodiumContent',
+        'sugarContent',
+        'transFatContent',
+        'unsaturatedFatContent'
+    );
+
+    /**
+     * Find Schema.org Recipe objects in HTML.
+     *
+     * Searches every JSON-LD script, including @graph collections and nested
+     * arrays. Scripts with invalid JSON are ignored.
+     *
+     * @param string $html HTML that may contain JSON-LD scripts
+     * @return array Recipe objects as associative arrays, in document order
+     * @since 1.2.0
+     */
+    public static function find_recipes( $html ) {
+        if ( ! preg_match_all( '#<script[^>]+type=["\']application/ld\+json["\'][^>]*>(.*?)</script>#is', (string) $html, $matches ) ) {
+            return array();
+        }
+
+        $recipes = array();
+        foreach ( $matches[1] as $json ) {
+            $data = json_decode( html_entity_decode( trim( $json ), ENT_QUOTES | ENT_HTML5 ), true );
+            if ( is_array( $data ) ) {
+                $recipes = array_merge( $recipes, self::collect_recipes( $data ) );
+            }
+        }
+
+        return $recipes;
+    }
+
+    /**
+     * Convert a Schema.org Recipe object into block attributes.
+     *
+     * @param array $recipe Recipe object from find_recipes()
+     * @return array {
+     *     @type array $attributes Recipe-schema block attributes
+     *     @type array $dropped    Recipe properties that could not be imported
+     * }
+     * @since 1.2.0
+     */
+    public static function to_attributes( array $recipe ) {
+        $attributes = array();
+        $dropped = array();
+
+        foreach ( $recipe as $property => $value ) {
+            if ( in_array( $property, self::IGNORED_PROPERTIES, true ) || null === $value || '' === $value ) {
+                continue;
+            }
+
+            switch ( $property ) {
+                case 'name':
+                    $attributes['recipeName'] = self::to_text( $value );
+                    break;
+
+                case 'description':
+                    $attributes['description'] = wp_strip_all_tags( self::to_text( $value ) );
+                    break;
+
+                case 'prepTime':
+                case 'cookTime':
+                case 'totalTime':
+                    $duration = Duration::normalize( self::to_text( $value ) );
+                    if ( '' !== $duration ) {
+                        $attributes[ $property ] = $duration;
+                    } else {
+                        $dropped[] = $property;
+                    }
+                    break;
+
+                case 'recipeYield':
+                    $attributes['recipeYield'] = self::to_yield( $value );
+                    break;
+
+                case 'recipeCategory':
+                case 'keywords':
+                    $attributes[ $property ] = self::to_list( $value );
+                    break;
+
+                case 'suitableForDiet':
+                    // RestrictedDiet URLs are stored by name, as the editor shows them.
+                    $attributes['suitableForDiet'] = array_map( array( RecipeMeta::class, 'normalize_diet' ), self::to_list( $value ) );
+                    break;
+
+                case 'recipeCuisine':
+                case 'cookingMethod':
+                    $attributes[ $property ] = implode( ', ', self::to_list( $value ) );
+                    break;
+
+                case 'recipeIngredient':
+                case 'ingredients':
+                    $attributes['recipeIngredient'] = array_values( array_filter( array_map( array( self::class, 'to_text' ), (array) $value ), 'strlen' ) );
+                    break;
+
+                case 'recipeInstructions':
+                    $attributes['recipeInstructions'] = self::to_instructions( $value );
+                    break;
+
+                case 'nutrition':
+                    foreach ( (array) $value as $key => $amount ) {
+                        if ( '@type' === $key ) {
+                            continue;
+                        }
+                        if ( in_array( $key, self::NUTRITION_PROPERTIES, true ) ) {
+                            $attributes['nutrition'][ $key ] = self::to_text( $amount );
+                        } else {
+                            $dropped[] = 'nutrition.' . $key;
+                        }
+                    }
+                    break;
+
+                case 'video':
+                    $video = self::first( $value );
+                    $attributes['video'] = array(
+                        'name' => self::to_text( $video['name'] ?? '' ),
+                        'description' => self::to_text( $video['description'] ?? '' ),
+                        'contentUrl' => self::to_url( $video['contentUrl'] ?? $video['embedUrl'] ?? '' ),
+                        'embedUrl' => self::to_url( $video['embedUrl'] ?? '' ),
+                        'thumbnailUrl' => self::to_url( $video['thumbnailUrl'] ?? '' ),
+                        'uploadDate' => self::to_text( $video['uploadDate'] ?? '' ),
+                        'duration' => Duration::normalize( self::to_text( $video['duration'] ?? '' ) )
+                    );
+                    break;
+
+                case 'author':
+                    $author = self::first( $value );
+                    $attributes['author'] = array(
+                        'name' => self::to_text( $author ),
+                        'url' => self::to_url( is_array( $author ) ? ( $author['url'] ?? '' ) : '' )
+                    );
+                    break;
+
+                case 'datePublished':
+                    $attributes['datePublished'] = self::to_text( $value );
+                    break;
+
+                case 'estimatedCost':
+                    $cost = self::first( $value );
+                    if ( is_array( $cost ) ) {
+                        $amount = isset( $cost['value'] )
+                            ? self::to_text( $cost['value'] )
+                            : implode( '-', array_filter( array( self::to_text( $cost['minValue'] ?? '' ), self::to_text( $cost['maxValue'] ?? '' ) ), 'strlen' ) );
+                        $attributes['estimatedCost'] = trim( $amount . ' ' . self::to_text( $cost['currency'] ?? '' ) );
+                    } else {
+                        $attributes['estimatedCost'] = self::to_text( $cost );
+                    }
+                    break;
+
+                case 'tool':
+                case 'supply':
+                    $attributes[ $property ] = Equipment::sanitize_list( array_map( function( $item ) {
+                        $url = is_array( $item ) ? self::to_url( $item['url'] ?? '' ) : '';
+                        $image = is_array( $item ) ? self::to_url( $item['image'] ?? '' ) : '';
+
+                        // Keep the plain string form unless there is a link or image to carry over.
+                        return '' !== $url || '' !== $image
+                            ? array( 'name' => self::to_text( $item ), 'url' => $url, 'image' => $image )
+                            : self::to_text( $item );
+                    }, self::to_items( $value ) ) );
+                    break;
+
+                default:
+                    // The featured image and post ratings are managed by WordPress, not the block.
+                    $dropped[] = $property;
+            }
+        }
+
+        return array(
+            'attributes' => $attributes,
+            'dropped' => $dropped
+        );
+    }
+
+    /**
+     * Collect Recipe objects from decoded JSON-LD.
+     *
+     * @param array $data Decoded JSON-LD node or list
+     * @return array Recipe objects
+     * @since 1.2.0
+     */
+    private static function collect_recipes( array $data ) {
+        if ( self::is_type( $data, 'Recipe' ) ) {
+            return array( $data );
+        }
+
+        $recipes = array();
+        $children = isset( $data['@graph'] ) && is_array( $data['@graph'] ) ? $data['@graph'] : ( wp_is_numeric_array( $data ) ? $data : array() );
+
+        foreach ( $children as $child ) {
+            if ( is_array( $child ) ) {
+                $recipes = array_merge( $recipes, self::collect_recipes( $child ) );
+            }
+        }
+
+        return $recipes;
+    }
+
+    /**
+     * Whether a JSON-LD node has a Schema.org type (possibly one of several).
+     *
+     * @param mixed  $node JSON-LD node
+     * @param string $type Type name without context (e.g., "Recipe")
+     * @return bool True when the node has the type
+     * @since 1.2.0
+     */
+    private static function is_type( $node, $type ) {
+        if ( ! is_array( $node ) || empty( $node['@type'] ) ) {
+            return false;
+        }
+
+        foreach ( (array) $node['@type'] as $node_type ) {
+            if ( $type === preg_replace( '#^https?://schema\.org/#', '', (string) $node_type ) ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Map recipeInstructions to the block's step and section shapes.
+     *
+     * Accepts a single text block (split on line breaks), lists of strings,
+     * HowToStep, HowToDirection and HowToTip objects, HowToSection objects, and
+     * ItemList wrappers.
+     *
+     * @param mixed $value recipeInstructions value
+     * @return array Instruction items
+     * @since 1.2.0
+     */
+    private static function to_instructions( $value ) {
+        if ( is_string( $value ) ) {
+            return array_values( array_filter( array_map( 'trim', preg_split( '/\R+/', wp_strip_all_tags( $value ) ) ), 'strlen' ) );
+        }
+
+        $items = array();
+        foreach ( self::to_items( $value ) as $item ) {
+            if ( self::is_type( $item, 'HowToSection' ) || ( is_array( $item ) && isset( $item['itemListElement'] ) ) ) {
+                $steps = array();
+                foreach ( self::to_items( $item['itemListElement'] ?? array() ) as $step ) {
+                    $step = self::to_step( $step );
+                    if ( null !== $step ) {
+                        $steps[] = $step;
+                    }
+                }
+                if ( $steps ) {
+                    $items[] = array(
+                        'name' => self::to_text( $item['name'] ?? '' ),
+                        'steps' => $steps
+                    );
+                }
+                continue;
+            }
+
+            $step = self::to_step( $item );
+            if ( null !== $step ) {
+                $items[] = $step;
+            }
+        }
+
+        return $items;
+    }
+
+    /**
+     * Map a HowToStep (or plain string) to a block step.
+     *
+     * Steps with only text stay plain strings; generated "Step N" names are
+     * discarded because the card numbers steps itself.
+     *
+     * @param mixed $step HowToStep object or string
+     * @return string|array|null Step, or null when it has no text
+     * @since 1.2.0
+     */
+    private static function to_step( $step ) {
+        if ( ! is_array( $step ) ) {
+            $text = trim( wp_strip_all_tags( (string) $step ) );
+            return '' === $text ? null : $text;
+        }
+
+        $text = trim( wp_strip_all_tags( self::to_text( $step['text'] ?? $step['name'] ?? '' ) ) );
+        if ( '' === $text ) {
+            return null;
+        }
+
+        $name = self::to_text( $step['name'] ?? '' );
+        if ( $name === $text || preg_match( '/^Step \d+$/i', $name ) ) {
+            $name = '';
+        }
+
+        $url = self::to_url( $step['url'] ?? '' );
+        $anchor = '' !== $url ? (string) wp_parse_url( $url, PHP_URL_FRAGMENT ) : '';
+        $image = self::to_url( $step['image'] ?? '' );
+
+        if ( '' === $name && '' === $anchor && '' === $image ) {
+            return $text;
+        }
+
+        return array_merge( Instructions::STEP_FIELDS, array(
+            'text' => $text,
+            'name' => $name,
+            'image' => $image,
+            'anchor' => $anchor
+        ) );
+    }
+
+    /**
+     * Read recipeYield, which may be a number, text, or a list of both.
+     *
+     * @param mixed $value recipeYield value
+     * @return string Yield text, preferring a descriptive value ("12 muffins")
+     * @since 1.2.0
+     */
+    private static function to_yield( $value ) {
+        $yields = self::to_list( $value );
+        foreach ( $yields as $yield ) {
+            if ( ! is_numeric( $yield ) ) {
+                return $yield;
+            }
+        }
+
+        return $yields ? $yields[0] . ' servings' : '';
+    }
+
+    /**
+     * Read a value that may be a single item or a list as a list.
+     *
+     * @param mixed $value JSON-LD value
+     * @return array Items
+     * @since 1.2.0
+     */
+    private static function to_items( $value ) {
+        if ( is_array( $value ) && isset( $value['itemListElement'] ) && ! self::is_type( $value, 'HowToSection' ) ) {
+            $value = $value['itemListElement'];
+        }
+
+        return is_array( $value ) && wp_is_numeric_array( $value ) ? $value : array( $value );
+    }
+
+    /**
+     * Read a value that may be a list or comma-separated text as a list of strings.
+     *
+     * @param mixed $value JSON-LD value
+     * @return array Non-empty strings
+     * @since 1.2.0
+     */
+    private static function to_list( $value ) {
+        if ( is_string( $value ) ) {
+            $value = explode( ',', $value );
+        }
+
+        return array_values( array_filter( array_map( 'trim', array_map( array( self::class, 'to_text' ), self::to_items( $value ) ) ), 'strlen' ) );
+    }
+
+    /**
+     * First item of a value that may be a list.
+     *
+     * @param mixed $value JSON-LD value
+     * @return mixed First item
+     * @since 1.2.0
+     */
+    private static function first( $value ) {
+        $items = self::to_items( $value );
+        return $items[0] ?? '';
+    }
+
+    /**
+     * Read a text value, using the name (or @value) of objects.
+     *
+     * @param mixed $value JSON-LD value
+     * @return string Text
+     * @since 1.2.0
+     */
+    private static function to_text( $value ) {
+        if ( is_array( $value ) ) {
+            if ( wp_is_numeric_array( $value ) ) {
+                return self::to_text( $value[0] ?? '' );
+            }
+            return self::to_text( $value['name'] ?? $value['@value'] ?? $value['text'] ?? '' );
+        }
+
+        return is_scalar( $value ) ? html_entity_decode( trim( (string) $value ), ENT_QUOTES | ENT_HTML5 ) : '';
+    }
+
+    /**
+     * Read a URL value, using the url of ImageObject-style objects.
+     *
+     * @param mixed $value JSON-LD value
+     * @return string URL, or empty string
+     * @since 1.2.0
+     */
+    private static function to_url( $value ) {
+        $value = self::first( $value );
+        if ( is_array( $value ) ) {
+            $value = $value['url'] ?? $value['contentUrl'] ?? $value['@id'] ?? '';
+        }
+
+        return is_string( $value ) ? esc_url_raw( $value ) : '';
+    }
+}
@@ -0,0 +1,96 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Schema.org microdata serializer.
+ *
+ * Renders a JSON-LD style node (as built by RecipeModel) as hidden microdata:
+ * typed objects become itemscope elements, URLs become link elements and
+ * other values become meta elements. Lists repeat the property once per item,
+ * and a node's @id becomes its itemid.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class Microdata {
+
+    /**
+     * Properties whose values are URLs, output as link elements.
+     *
+     * @since 1.2.0
+     */
+    const URL_PROPERTIES = array(
+        'url',
+        'image',
+        'contentUrl',
+        'embedUrl',
+        'thumbnailUrl',
+        'suitableForDiet',
+        'sameAs'
+    );
+
+    /**
+     * Render a node and everything in it as microdata.
+     *
+     * @param array  $node     Node with an @type
+     * @param string $itemprop Property linking the node to its parent, empty for a top-level item
+     * @return string Microdata HTML
+     * @since 1.2.0
+     */
+    public static function render( $node, $itemprop = '' ) {
+        $html = '<div';
+
+        if ( '' !== $itemprop ) {
+            $html .= ' itemprop="' . esc_attr( $itemprop ) . '"';
+        }
+
+        $html .= ' itemscope itemtype="https://schema.org/' . esc_attr( $node['@type'] ) . '"';
+
+        if ( ! empty( $node['@id'] ) ) {
+            $html .= ' itemid="' . esc_url( $node['@id'] ) . '"';
+        }
+
+        $html .= '>';
+
+        foreach ( $node as $property => $value ) {
+            if ( '@' === $property[0] ) {
+                continue;
+            }
+
+            $values = is_array( $value ) && wp_is_numeric_array( $value ) ? $value : array( $value );
+            foreach ( $values as $item ) {
+                $html .= self::render_property( $property, $item );
+            }
+        }
+
+        return $html . '</div>';
+    }
+
+    /**
+     * Render one value of a property.
+     *
+     * @param string $property Property name
+     * @param mixed  $value    Nested node or scalar value
+     * @return string Microdata HTML
+     * @since 1.2.0
+     */
+    private static function render_property( $property, $value ) {
+        if ( is_array( $value ) ) {
+            return isset( $value['@type'] ) ? self::render( $value, $property ) : '';
+        }
+
+        if ( is_bool( $value ) ) {
+            $value = $value ? 'true' : 'false';
+        }
+
+        if ( in_array( $property, self::URL_PROPERTIES, true ) ) {
+            return '<link itemprop="' . esc_attr( $property ) . '" href="' . esc_url( (string) $value ) . '" />';
+        }
+
+        return '<meta itemprop="' . esc_attr( $property ) . '" content="' . esc_attr( (string) $value ) . '" />';
+    }
+}
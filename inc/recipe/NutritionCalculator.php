@@ -0,0 +1,250 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Offline nutrition calculation from recipe ingredients.
+ *
+ * Matches each ingredient to a food in the bundled composition dataset
+ * (data/foods.json, per-100 g values derived from USDA FoodData Central),
+ * converts its quantity to grams by weight, by volume through the food's
+ * density, or by count through the food's typical unit weights, and divides
+ * the totals by the servings in recipeYield. Mirrors src/shared/nutrition.js;
+ * keep the two in sync so the editor and publish handler agree.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class NutritionCalculator {
+
+    /**
+     * Approximate volumes in milliliters for units too small to have a base size.
+     */
+    const SMALL_VOLUMES = array(
+        'pinch' => 0.31,
+        'dash' => 0.62
+    );
+
+    /**
+     * Nutrients measured in milligrams; calories are kcal and the rest grams.
+     */
+    const MILLIGRAM_NUTRIENTS = array( 'cholesterolContent', 'sodiumContent' );
+
+    /**
+     * Calculate per-serving nutrition from recipe ingredients.
+     *
+     * @param mixed  $ingredients  recipeIngredient attribute (strings, structured ingredients or groups)
+     * @param string $recipe_yield recipeYield attribute, read for the number of servings
+     * @return array Keys nutrition (Schema.org NutritionInformation values, empty when
+     *               nothing matched), servings, has_yield, matched (ingredient, food,
+     *               grams) and unmatched (ingredient, reason: "quantity", "food" or "unit")
+     * @since 1.2.0
+     */
+    public static function calculate( $ingredients, $recipe_yield ) {
+        $data = self::data();
+        $yield_servings = self::parse_yield( $recipe_yield );
+        $servings = $yield_servings ?: 1;
+        $totals = array_fill( 0, count( $data['nutrients'] ), 0 );
+        $total_grams = 0;
+        $matched = array();
+        $unmatched = array();
+
+        foreach ( Ingredients::items( $ingredients ) as $item ) {
+            $text = Ingredients::to_string( $item );
+            if ( '' === $text ) {
+                continue;
+            }
+
+            $ingredient = Ingredients::is_structured( $item ) ? Ingredients::normalize( $item ) : Ingredients::parse( $item );
+
+            $quantity = Ingredients::parse_quantity( $ingredient['quantity'] );
+            if ( ! $quantity ) {
+                $unmatched[] = array( 'ingredient' => $text, 'reason' => 'quantity' );
+                continue;
+            }
+
+            $food = self::match_food( $ingredient['name'] );
+            if ( ! $food ) {
+                $unmatched[] = array( 'ingredient' => $text, 'reason' => 'food' );
+                continue;
+            }
+
+            // Ranges ("2-3 cloves") count as their midpoint.
+            $amount = null !== $quantity['max'] ? ( $quantity['min'] + $quantity['max'] ) / 2 : $quantity['min'];
+            $grams = self::to_grams( $amount, Units::normalize( $ingredient['unit'] ), $food );
+            if ( null === $grams ) {
+                $unmatched[] = array( 'ingredient' => $text, 'reason' => 'unit' );
+                continue;
+            }
+
+            foreach ( $food['nutrients'] as $index => $value ) {
+                $totals[ $index ] += $value * $grams / 100;
+            }
+            $total_grams += $grams;
+            $matched[] = array(
+                'ingredient' => $text,
+                'food' => $food['name'],
+                'grams' => (int) round( $grams )
+            );
+        }
+
+        $nutrition = array();
+        if ( $matched ) {
+            foreach ( $data['nutrients'] as $index => $property ) {
+                $nutrition[ $property ] = self::format_nutrient( $property, $totals[ $index ] / $servings );
+            }
+            $nutrition['servingSize'] = round( $total_grams / $servings ) . ' g';
+        }
+
+        return array(
+            'nutrition' => $nutrition,
+            'servings' => $servings,
+            'has_yield' => null !== $yield_servings,
+            'matched' => $matched,
+            'unmatched' => $unmatched
+        );
+    }
+
+    /**
+     * Match an ingredient name to a food.
+     *
+     * Aliases may match in singular or plural form. When several aliases match,
+     * the one ending last wins, since the last words of an ingredient name are
+     * the food itself ("almond milk" is milk), then the longest.
+     *
+     * @param string $name Ingredient name
+     * @return array|null Food from the dataset, or null when none matches
+     * @since 1.2.0
+     */
+    public static function match_food( $name ) {
+        $text = ' ' . self::normalize_name( $name ) . ' ';
+        $best = null;
+
+        foreach ( self::data()['foods'] as $food ) {
+            foreach ( $food['aliases'] as $alias ) {
+                $alias = self::normalize_name( $alias );
+                if ( ! preg_match( '/ ' . preg_quote( $alias, '/' ) . '(?:e?s)?(?= )/', $text, $match, PREG_OFFSET_CAPTURE ) ) {
+                    continue;
+                }
+
+                $end = $match[0][1] + strlen( $match[0][0] );
+                if ( ! $best || $end > $best['end'] || ( $end === $best['end'] && strlen( $alias ) > strlen( $best['alias'] ) ) ) {
+                    $best = array( 'alias' => $alias, 'food' => $food, 'end' => $end );
+                }
+            }
+        }
+
+        return $best ? $best['food'] : null;
+    }
+
+    /**
+     * Bundled food composition dataset.
+     *
+     * @return array Keys nutrients (property order) and foods
+     * @since 1.2.0
+     */
+    private static function data() {
+        static $data = null;
+
+        if ( null === $data ) {
+            $contents = file_get_contents( DATAMACHINE_RECIPES_PLUGIN_DIR . 'data/foods.json' );
+            $data = $contents ? json_decode( $contents, true ) : null;
+            if ( ! is_array( $data ) ) {
+                $data = array( 'nutrients' => array(), 'foods' => array() );
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Lowercase, strip accents, parentheticals and punctuation.
+     *
+     * @param string $text Ingredient or alias text
+     * @return string Normalized text
+     * @since 1.2.0
+     */
+    private static function normalize_name( $text ) {
+        $text = strtolower( remove_accents( (string) $text ) );
+        $text = preg_replace( '/\([^)]*\)/', ' ', $text );
+
+        return trim( preg_replace( '/[^a-z0-9]+/', ' ', $text ) );
+    }
+
+    /**
+     * Convert an ingredient amount to grams of a food.
+     *
+     * @param float       $amount Quantity
+     * @param string|null $key    Canonical unit key, or null for a count
+     * @param array       $food   Food from the dataset
+     * @return float|null Grams, or null when the unit cannot be converted for this food
+     * @since 1.2.0
+     */
+    private static function to_grams( $amount, $key, $food ) {
+        $unit = $key ? Units::UNITS[ $key ] : null;
+        $units = $food['units'] ?? array();
+
+        if ( $unit && 'weight' === ( $unit['dimension'] ?? '' ) ) {
+            return $amount * $unit['base'];
+        }
+
+        $milliliters = $unit && 'volume' === ( $unit['dimension'] ?? '' ) ? $unit['base'] : ( self::SMALL_VOLUMES[ $key ] ?? null );
+        if ( $milliliters ) {
+            return empty( $food['density'] ) ? null : $amount * $milliliters * $food['density'];
+        }
+
+        if ( ! $key ) {
+            $each = $units['each'] ?? null;
+        } else {
+            $each = $units[ $key ] ?? ( 'piece' === $key ? ( $units['each'] ?? null ) : null );
+        }
+
+        return $each ? $amount * $each : null;
+    }
+
+    /**
+     * Format a per-serving nutrient amount as a Schema.org NutritionInformation value.
+     *
+     * @param string $property Nutrition property
+     * @param float  $amount   Amount per serving
+     * @return string Value such as "250 calories", "12 g" or "45 mg"
+     * @since 1.2.0
+     */
+    public static function format_nutrient( $property, $amount ) {
+        if ( 'calories' === $property ) {
+            return round( $amount ) . ' calories';
+        }
+        if ( in_array( $property, self::MILLIGRAM_NUTRIENTS, true ) ) {
+            return round( $amount ) . ' mg';
+        }
+
+        return ( $amount < 10 ? round( $amount, 1 ) : round( $amount ) ) . ' g';
+    }
+
+    /**
+     * Number of servings in a recipeYield value.
+     *
+     * Takes the first number in the yield text, so "4 servings", "Serves 4-6"
+     * and "Makes 12 muffins" yield 4, 4 and 12.
+     *
+     * @param mixed $recipe_yield Yield text
+     * @return float|null Serving count, or null when the yield has no number
+     * @since 1.2.0
+     */
+    private static function parse_yield( $recipe_yield ) {
+        if ( is_array( $recipe_yield ) ) {
+            $recipe_yield = reset( $recipe_yield );
+        }
+
+        if ( ! preg_match( '/\d+(?:[.,]\d+)?/', (string) $recipe_yield, $match ) ) {
+            return null;
+        }
+
+        $servings = (float) str_replace( ',', '.', $match[0] );
+
+        return $servings > 0 ? $servings : null;
+    }
+}
@@ -0,0 +1,236 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+use DataMachineRecipes\Blocks\RecipeSchemaBlock;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Recipe images and their cropped sizes.
+ *
+ * A recipe's `images` attribute holds a gallery of media library images
+ * ({ id, url, alt }; images from the publish handler may only have a URL).
+ * Recipes without one use the post's featured image. Google recommends recipe
+ * images in 1:1, 4:3 and 16:9, so those crops are registered as image sizes,
+ * made for new uploads by WordPress and for older images the first time a
+ * post using them is saved. The structured data lists every crop as an
+ * `ImageObject` with its width and height.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class RecipeImages {
+
+    /**
+     * Cropped image sizes, keyed by size name, as [ width, height ].
+     *
+     * 1200 pixels wide keeps every crop above Google's 50,000 pixel minimum.
+     * Images smaller than a size are not upscaled, so they skip it.
+     *
+     * @since 1.2.0
+     */
+    const SIZES = array(
+        'datamachine-recipe-1x1' => array( 1200, 1200 ),
+        'datamachine-recipe-4x3' => array( 1200, 900 ),
+        'datamachine-recipe-16x9' => array( 1200, 675 )
+    );
+
+    /**
+     * Register the image sizes and the save hook that fills in missing crops.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        foreach ( self::SIZES as $name => $size ) {
+            add_image_size( $name, $size[0], $size[1], true );
+        }
+
+        add_filter( 'image_size_names_choose', [ self::class, 'filter_size_names' ] );
+        add_action( 'wp_after_insert_post', [ self::class, 'handle_save' ], 10, 2 );
+    }
+
+    /**
+     * Name the crops in the editor's image size picker.
+     *
+     * @param array $names Size labels, keyed by size name
+     * @return array Labels including the recipe crops
+     * @since 1.2.0
+     */
+    public static function filter_size_names( $names ) {
+        return array_merge( $names, array(
+            'datamachine-recipe-1x1' => __( 'Recipe (1:1)', 'datamachine-recipes' ),
+            'datamachine-recipe-4x3' => __( 'Recipe (4:3)', 'datamachine-recipes' ),
+            'datamachine-recipe-16x9' => __( 'Recipe (16:9)', 'datamachine-recipes' )
+        ) );
+    }
+
+    /**
+     * Make missing crops for the images used by a saved post's recipes.
+     *
+     * @param int      $post_id Post ID
+     * @param \WP_Post $post    Saved post
+     * @since 1.2.0
+     */
+    public static function handle_save( $post_id, $post ) {
+        if ( wp_is_post_revision( $post_id ) || wp_is_post_autosave( $post_id ) ) {
+            return;
+        }
+
+        foreach ( RecipeSchemaBlock::get_post_recipes( $post ) as $recipe ) {
+            foreach ( self::get_images( $recipe['attributes'], $post ) as $image ) {
+                if ( $image['id'] ) {
+                    self::generate_sizes( $image['id'] );
+                }
+            }
+        }
+    }
+
+    /**
+     * Create the recipe crops an image is missing.
+     *
+     * @param int $attachment_id Image attachment ID
+     * @return bool Whether the image now has every crop its dimensions allow
+     * @since 1.2.0
+     */
+    public static function generate_sizes( $attachment_id ) {
+        if ( ! wp_attachment_is_image( $attachment_id ) ) {
+            return false;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/image.php';
+
+        $missing = array_intersect_key( wp_get_missing_image_subsizes( $attachment_id ), self::SIZES );
+        if ( ! $missing ) {
+            return true;
+        }
+
+        return ! is_wp_error( wp_update_image_subsizes( $attachment_id ) );
+    }
+
+    /**
+     * Images of a recipe: its gallery, else the post's featured image.
+     *
+     * Gallery entries pointing at deleted attachments are left out.
+     *
+     * @param array        $attributes Prepared block attributes
+     * @param WP_Post|null $post       Post the recipe belongs to
+     * @return array List of { id, url, alt }; id is 0 for images outside the media library
+     * @since 1.2.0
+     */
+    public static function get_images( $attributes, $post ) {
+        $images = array();
+
+        foreach ( $attributes['images'] as $image ) {
+            if ( $image['id'] ) {
+                if ( wp_attachment_is_image( $image['id'] ) ) {
+                    $images[] = self::from_attachment( $image['id'], $image['alt'] );
+                }
+            } elseif ( '' !== $image['url'] ) {
+                $images[] = $image;
+            }
+        }
+
+        if ( ! $images && $post && has_post_thumbnail( $post ) ) {
+            $images[] = self::from_attachment( get_post_thumbnail_id( $post ) );
+        }
+
+        return $images;
+    }
+
+    /**
+     * Normalize the `images` attribute.
+     *
+     * @param mixed $images Raw attribute value
+     * @return array List of { id, url, alt }, without entries that have neither an ID nor a URL
+     * @since 1.2.0
+     */
+    public static function sanitize_list( $images ) {
+        $list = array();
+
+        foreach ( is_array( $images ) ? $images : array() as $image ) {
+            if ( ! is_array( $image ) ) {
+                continue;
+            }
+
+            $image = array(
+                'id' => absint( $image['id'] ?? 0 ),
+                'url' => esc_url_raw( (string) ( $image['url'] ?? '' ) ),
+                'alt' => sanitize_text_field( (string) ( $image['alt'] ?? '' ) )
+            );
+
+            if ( $image['id'] || '' !== $image['url'] ) {
+                $list[] = $image;
+            }
+        }
+
+        return $list;
+    }
+
+    /**
+     * Schema.org ImageObjects for a recipe's images.
+     *
+     * Each media library image contributes its 1:1, 4:3 and 16:9 crops, or the
+     * full-size image when it has none of them. Images known only by URL are
+     * listed without dimensions.
+     *
+     * @param array        $attributes Prepared block attributes
+     * @param WP_Post|null $post       Post the recipe belongs to
+     * @return array List of ImageObjects, without repeated URLs
+     * @since 1.2.0
+     */
+    public static function get_schema_images( $attributes, $post ) {
+        $objects = array();
+
+        foreach ( self::get_images( $attributes, $post ) as $image ) {
+            if ( ! $image['id'] ) {
+                $objects[ $image['url'] ] = array(
+                    '@type' => 'ImageObject',
+                    'url' => $image['url']
+                );
+                continue;
+            }
+
+            $crops = array();
+            foreach ( array_keys( self::SIZES ) as $size ) {
+                $crop = image_get_intermediate_size( $image['id'], $size );
+                if ( $crop ) {
+                    $crops[] = array( $crop['url'], $crop['width'], $crop['height'] );
+                }
+            }
+
+            if ( ! $crops ) {
+                $full = wp_get_attachment_image_src( $image['id'], 'full' );
+                $crops = $full ? array( $full ) : array();
+            }
+
+            foreach ( $crops as $crop ) {
+                $objects[ $crop[0] ] = array(
+                    '@type' => 'ImageObject',
+                    'url' => $crop[0],
+                    'width' => (int) $crop[1],
+                    'height' => (int) $crop[2]
+                );
+            }
+        }
+
+        return array_values( $objects );
+    }
+
+    /**
+     * Image entry for a media library attachment.
+     *
+     * @param int    $attachment_id Attachment ID
+     * @param string $alt           Alt text to use instead of the attachment's own
+     * @return array { id, url, alt }
+     * @since 1.2.0
+     */
+    private static function from_attachment( $attachment_id, $alt = '' ) {
+        return array(
+            'id' => (int) $attachment_id,
+            'url' => (string) wp_get_attachment_image_url( $attachment_id, 'full' ),
+            'alt' => '' !== $alt ? $alt : (string) get_post_meta( $attachment_id, '_wp_attachment_image_alt', true )
+        );
+    }
+}
@@ -0,0 +1,393 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+use DataMachineRecipes\Blocks\BlockMigrator;
+use DataMachineRecipes\Blocks\RecipeSchemaBlock;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Recipe data mirrored into post meta for querying.
+ *
+ * Recipe Schema block attributes live in post content, where WP_Query cannot
+ * reach them. On every save the recipe's total time, cuisines, categories,
+ * diets, ingredient names and calories are copied into protected post meta,
+ * exposed read-only in the REST API. The first recipe in a post provides the
+ * time and calories; the list fields gather values from every recipe.
+ *
+ * Query the meta with the `recipe_filter` WP_Query argument:
+ *
+ *     new WP_Query( array(
+ *         'recipe_filter' => array( 'diet' => 'VegetarianDiet', 'max_minutes' => 30 )
+ *     ) );
+ *
+ * Posts saved before the mirror existed are filled in with
+ * `wp datamachine-recipes sync-meta`.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class RecipeMeta {
+
+    /**
+     * Number of recipe blocks in the post; present on every post with a recipe.
+     *
+     * @since 1.2.0
+     */
+    const RECIPES = '_datamachine_recipe_count';
+
+    /**
+     * Total time in whole minutes, from totalTime or prepTime plus cookTime.
+     *
+     * @since 1.2.0
+     */
+    const TOTAL_MINUTES = '_datamachine_recipe_total_minutes';
+
+    /**
+     * Cuisines, one meta row each; comma-separated recipeCuisine values are split.
+     *
+     * @since 1.2.0
+     */
+    const CUISINE = '_datamachine_recipe_cuisine';
+
+    /**
+     * Categories, one meta row each.
+     *
+     * @since 1.2.0
+     */
+    const CATEGORY = '_datamachine_recipe_category';
+
+    /**
+     * Diets without the schema.org prefix (e.g., "VegetarianDiet"), one meta row each.
+     *
+     * @since 1.2.0
+     */
+    const DIET = '_datamachine_recipe_diet';
+
+    /**
+     * Lowercase ingredient names without amounts or notes, one meta row each.
+     *
+     * @since 1.2.0
+     */
+    const INGREDIENT = '_datamachine_recipe_ingredient';
+
+    /**
+     * Calories per serving as an integer.
+     *
+     * @since 1.2.0
+     */
+    const CALORIES = '_datamachine_recipe_calories';
+
+    /**
+     * Register the meta keys and the save and query hooks.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        $integer = array(
+            'type' => 'integer',
+            'single' => true
+        );
+        $list = array(
+            'type' => 'string',
+            'single' => false
+        );
+
+        $keys = array(
+            self::RECIPES => $integer + array( 'description' => __( 'Number of recipes in the post.', 'datamachine-recipes' ) ),
+            self::TOTAL_MINUTES => $integer + array( 'description' => __( 'Recipe total time in minutes.', 'datamachine-recipes' ) ),
+            self::CUISINE => $list + array( 'description' => __( 'Recipe cuisines.', 'datamachine-recipes' ) ),
+            self::CATEGORY => $list + array( 'description' => __( 'Recipe categories.', 'datamachine-recipes' ) ),
+            self::DIET => $list + array( 'description' => __( 'Diets the recipe is suitable for.', 'datamachine-recipes' ) ),
+            self::INGREDIENT => $list + array( 'description' => __( 'Recipe ingredient names.', 'datamachine-recipes' ) ),
+            self::CALORIES => $integer + array( 'description' => __( 'Recipe calories per serving.', 'datamachine-recipes' ) )
+        );
+
+        // Protected keys: readable over REST, written only by sync().
+        foreach ( $keys as $key => $args ) {
+            register_post_meta( '', $key, $args + array( 'show_in_rest' => true ) );
+        }
+
+        add_action( 'wp_after_insert_post', [ self::class, 'handle_save' ], 10, 2 );
+        add_action( 'pre_get_posts', [ self::class, 'filter_query' ] );
+    }
+
+    /**
+     * Sync the meta when a post is saved from the editor, the REST API or code.
+     *
+     * @param int      $post_id Post ID
+     * @param \WP_Post $post    Saved post
+     * @since 1.2.0
+     */
+    public static function handle_save( $post_id, $post ) {
+        if ( wp_is_post_revision( $post_id ) || wp_is_post_autosave( $post_id ) ) {
+            return;
+        }
+
+        self::sync( $post );
+    }
+
+    /**
+     * Mirror the recipe blocks in a post's content into its meta.
+     *
+     * @param \WP_Post|int $post Post or post ID
+     * @return array|null Meta values written, or null when the post does not exist
+     * @since 1.2.0
+     */
+    public static function sync( $post ) {
+        $post = get_post( $post );
+        if ( ! $post ) {
+            return null;
+        }
+
+        $recipes = array();
+        if ( BlockMigrator::has_recipe_block( $post ) ) {
+            foreach ( RecipeSchemaBlock::find_blocks( parse_blocks( $post->post_content ) ) as $block ) {
+                $recipes[] = $block['attrs'];
+            }
+        }
+
+        return self::update( $post->ID, $recipes );
+    }
+
+    /**
+     * Write the meta for a post's recipes, removing values that no longer apply.
+     *
+     * @param int   $post_id Post ID
+     * @param array $recipes Recipe block attributes, in content order
+     * @return array Meta values written, keyed by meta key
+     * @since 1.2.0
+     */
+    public static function update( $post_id, array $recipes ) {
+        $values = self::get_values( $recipes, $post_id );
+        $changed = false;
+
+        foreach ( $values as $key => $value ) {
+            if ( is_array( $value ) ) {
+                if ( get_post_meta( $post_id, $key ) === $value ) {
+                    continue;
+                }
+                delete_post_meta( $post_id, $key );
+                foreach ( $value as $item ) {
+                    add_post_meta( $post_id, $key, wp_slash( $item ) );
+                }
+                $changed = true;
+            } elseif ( null === $value ) {
+                $changed = delete_post_meta( $post_id, $key ) || $changed;
+            } else {
+                $changed = update_post_meta( $post_id, $key, $value ) || $changed;
+            }
+        }
+
+        // Finder facet counts are read from this meta.
+        if ( $changed ) {
+            RecipeSearch::flush_cache();
+        }
+
+        return $values;
+    }
+
+    /**
+     * Compute the meta values for a post's recipes.
+     *
+     * @param array $recipes Recipe block attributes, in content order
+     * @param int   $post_id Post the recipes belong to
+     * @return array Values keyed by meta key: integers or null, and lists of strings
+     * @since 1.2.0
+     */
+    public static function get_values( array $recipes, $post_id = 0 ) {
+        $values = array(
+            self::RECIPES => $recipes ? count( $recipes ) : null,
+            self::TOTAL_MINUTES => null,
+            self::CUISINE => array(),
+            self::CATEGORY => array(),
+            self::DIET => array(),
+            self::INGREDIENT => array(),
+            self::CALORIES => null
+        );
+
+        foreach ( array_values( $recipes ) as $index => $attributes ) {
+            $attributes = RecipeSchemaBlock::prepare_attributes( $attributes );
+
+            if ( 0 === $index ) {
+                $seconds = Duration::to_seconds( $attributes['totalTime'] ?: Validator::compute_total_time( $attributes ) );
+                $values[ self::TOTAL_MINUTES ] = null !== $seconds ? (int) round( $seconds / 60 ) : null;
+
+                $calories = $attributes['nutrition']['calories'] ?? '';
+                if ( preg_match( '/\d+(?:\.\d+)?/', (string) $calories, $match ) ) {
+                    $values[ self::CALORIES ] = (int) round( (float) $match[0] );
+                }
+            }
+
+            $values[ self::CUISINE ] = array_merge( $values[ self::CUISINE ], explode( ',', (string) $attributes['recipeCuisine'] ) );
+            $values[ self::CATEGORY ] = array_merge( $values[ self::CATEGORY ], (array) $attributes['recipeCategory'] );
+            $values[ self::DIET ] = array_merge( $values[ self::DIET ], array_map( [ self::class, 'normalize_diet' ], (array) $attributes['suitableForDiet'] ) );
+
+            foreach ( Ingredients::items( $attributes['recipeIngredient'] ) as $item ) {
+                $ingredient = Ingredients::is_structured( $item ) ? Ingredients::normalize( $item ) : Ingredients::parse( $item );
+                $values[ self::INGREDIENT ][] = strtolower( $ingredient['name'] );
+            }
+        }
+
+        foreach ( array( self::CUISINE, self::CATEGORY, self::DIET, self::INGREDIENT ) as $key ) {
+            $values[ $key ] = array_values( array_unique( array_filter( array_map( function( $value ) {
+                return sanitize_text_field( (string) $value );
+            }, $values[ $key ] ), 'strlen' ) ) );
+        }
+
+        /**
+         * Filter the recipe values mirrored into post meta.
+         *
+         * @param array $values  Meta values keyed by meta key; null or an empty list removes the key
+         * @param array $recipes Recipe block attributes, in content order
+         * @param int   $post_id Post ID
+         * @since 1.2.0
+         */
+        return apply_filters( 'datamachine_recipes_meta_values', $values, $recipes, $post_id );
+    }
+
+    /**
+     * Build a meta query from recipe filters.
+     *
+     * Filters:
+     * - has_recipe:   only posts with a recipe block
+     * - max_minutes:  total time at most this many minutes
+     * - max_calories: calories per serving at most this many
+     * - cuisine, category, diet: any of the given values (string or array)
+     * - ingredient:   ingredient names containing each given text (string or array)
+     *
+     * Excluded ingredients cannot be expressed as a meta query; the
+     * `recipe_filter` query argument also accepts exclude_ingredient and turns
+     * it into post__not_in.
+     *
+     * @param array $filters Recipe filters
+     * @return array Meta query clauses, empty when no filter applies
+     * @since 1.2.0
+     */
+    public static function get_meta_query( array $filters ) {
+        $clauses = array();
+
+        if ( ! empty( $filters['has_recipe'] ) ) {
+            $clauses[] = array(
+                'key' => self::RECIPES,
+                'compare' => 'EXISTS'
+            );
+        }
+
+        $maximums = array(
+            'max_minutes' => self::TOTAL_MINUTES,
+            'max_calories' => self::CALORIES
+        );
+        foreach ( $maximums as $filter => $key ) {
+            if ( isset( $filters[ $filter ] ) && is_numeric( $filters[ $filter ] ) ) {
+                $clauses[] = array(
+                    'key' => $key,
+                    'value' => (int) $filters[ $filter ],
+                    'compare' => '<=',
+                    'type' => 'NUMERIC'
+                );
+            }
+        }
+
+        $lists = array(
+            'cuisine' => self::CUISINE,
+            'category' => self::CATEGORY,
+            'diet' => self::DIET
+        );
+        foreach ( $lists as $filter => $key ) {
+            if ( empty( $filters[ $filter ] ) ) {
+                continue;
+            }
+
+            $values = (array) $filters[ $filter ];
+            if ( 'diet' === $filter ) {
+                $values = array_map( [ self::class, 'normalize_diet' ], $values );
+            }
+
+            $clauses[] = array(
+                'key' => $key,
+                'value' => $values,
+                'compare' => 'IN'
+            );
+        }
+
+        foreach ( (array) ( $filters['ingredient'] ?? array() ) as $ingredient ) {
+            $clauses[] = array(
+                'key' => self::INGREDIENT,
+                'value' => strtolower( $ingredient ),
+                'compare' => 'LIKE'
+            );
+        }
+
+        if ( count( $clauses ) > 1 ) {
+            $clauses['relation'] = 'AND';
+        }
+
+        return $clauses;
+    }
+
+    /**
+     * Apply the `recipe_filter` query argument.
+     *
+     * @param \WP_Query $query Query being prepared
+     * @since 1.2.0
+     */
+    public static function filter_query( $query ) {
+        $filters = $query->get( 'recipe_filter' );
+        if ( ! is_array( $filters ) ) {
+            return;
+        }
+
+        $meta_query = self::get_meta_query( $filters );
+        if ( $meta_query ) {
+            $existing = $query->get( 'meta_query' );
+            $query->set( 'meta_query', $existing ? array( 'relation' => 'AND', $existing, $meta_query ) : $meta_query );
+        }
+
+        if ( ! empty( $filters['exclude_ingredient'] ) ) {
+            $excluded = self::get_posts_with_ingredients( (array) $filters['exclude_ingredient'] );
+            if ( $excluded ) {
+                $query->set( 'post__not_in', array_merge( (array) $query->get( 'post__not_in' ), $excluded ) );
+            }
+        }
+    }
+
+    /**
+     * Posts with an ingredient name containing any of the given texts.
+     *
+     * @param array $ingredients Ingredient texts (e.g., "peanut")
+     * @return array Post IDs
+     * @since 1.2.0
+     */
+    public static function get_posts_with_ingredients( array $ingredients ) {
+        global $wpdb;
+
+        $likes = array();
+        foreach ( array_filter( array_map( 'trim', $ingredients ), 'strlen' ) as $ingredient ) {
+            $likes[] = '%' . $wpdb->esc_like( strtolower( $ingredient ) ) . '%';
+        }
+        if ( ! $likes ) {
+            return array();
+        }
+
+        $conditions = implode( ' OR ', array_fill( 0, count( $likes ), 'meta_value LIKE %s' ) );
+
+        return array_map( 'intval', $wpdb->get_col( $wpdb->prepare(
+            "SELECT DISTINCT post_id FROM {$wpdb->postmeta} WHERE meta_key = %s AND ( {$conditions} )",
+            array_merge( array( self::INGREDIENT ), $likes )
+        ) ) );
+    }
+
+    /**
+     * Strip the schema.org prefix from a diet value.
+     *
+     * @param string $diet Diet as entered (e.g., "https://schema.org/VeganDiet")
+     * @return string Diet name (e.g., "VeganDiet")
+     * @since 1.2.0
+     */
+    public static function normalize_diet( $diet ) {
+        return preg_replace( '#^https?://schema\.org/#i', '', trim( (string) $diet ) );
+    }
+}
@@ -0,0 +1,330 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Normalized Schema.org Recipe model.
+ *
+ * Maps prepared block attributes to a single Schema.org Recipe node. The
+ * JSON-LD script and the hidden microdata are both serialized from this node,
+ * so the two formats always describe the same recipe.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class RecipeModel {
+
+    /**
+     * Schema.org RestrictedDiet values, keyed by their lowercase name without "Diet".
+     *
+     * @since 1.2.0
+     */
+    const DIETS = array(
+        'diabetic' => 'DiabeticDiet',
+        'glutenfree' => 'GlutenFreeDiet',
+        'halal' => 'HalalDiet',
+        'hindu' => 'HinduDiet',
+        'kosher' => 'KosherDiet',
+        'lowcalorie' => 'LowCalorieDiet',
+        'lowfat' => 'LowFatDiet',
+        'lowlactose' => 'LowLactoseDiet',
+        'lowsalt' => 'LowSaltDiet',
+        'vegan' => 'VeganDiet',
+        'vegetarian' => 'VegetarianDiet'
+    );
+
+    /**
+     * ISO 4217 codes for currency symbols used in cost text.
+     *
+     * @since 1.2.0
+     */
+    const CURRENCY_SYMBOLS = array(
+        '$' => 'USD',
+        '£' => 'GBP',
+        '€' => 'EUR',
+        '¥' => 'JPY',
+        '₹' => 'INR'
+    );
+
+    /**
+     * Build the Schema.org Recipe node for a recipe block.
+     *
+     * Properties without a value are left out, as is the author when neither
+     * the block nor the post has an author name.
+     *
+     * @param array   $attributes Recipe block attributes, as returned by RecipeSchemaBlock::prepare_attributes()
+     * @param WP_Post $post       Post the recipe belongs to, for dates, images and ratings
+     * @param string  $anchor     Card anchor; when given, the recipe gets an @id and url pointing at the card
+     * @param bool    $ratings    Whether to include the post's aggregate rating and reviews. Ratings belong
+     *                            to the post, so only its first recipe carries them, as on the cards.
+     * @return array Recipe node without @context
+     * @since 1.2.0
+     */
+    public static function build( $attributes, $post, $anchor = '', $ratings = true ) {
+        $schema = array(
+            '@type' => 'Recipe'
+        );
+
+        if ( '' !== $anchor ) {
+            $schema['@id'] = get_permalink( $post ) . '#' . $anchor;
+            $schema['url'] = $schema['@id'];
+        }
+
+        if ( ! empty( $attributes['recipeName'] ) ) {
+            $schema['name'] = $attributes['recipeName'];
+        }
+
+        if ( ! empty( $attributes['description'] ) ) {
+            $schema['description'] = wp_strip_all_tags( $attributes['description'] );
+        }
+
+        $images = RecipeImages::get_schema_images( $attributes, $post );
+        if ( $images ) {
+            $schema['image'] = $images;
+        }
+
+        foreach ( array( 'prepTime', 'cookTime', 'totalTime', 'recipeYield' ) as $property ) {
+            if ( ! empty( $attributes[ $property ] ) ) {
+                $schema[ $property ] = $attributes[ $property ];
+            }
+        }
+
+        if ( ! empty( $attributes['recipeCategory'] ) ) {
+            $schema['recipeCategory'] = $attributes['recipeCategory'];
+        }
+
+        if ( ! empty( $attributes['recipeCuisine'] ) ) {
+            $schema['recipeCuisine'] = $attributes['recipeCuisine'];
+        }
+
+        if ( ! empty( $attributes['recipeIngredient'] ) ) {
+            $schema['recipeIngredient'] = Ingredients::to_strings( $attributes['recipeIngredient'] );
+        }
+
+        if ( ! empty( $attributes['recipeInstructions'] ) ) {
+            $schema['recipeInstructions'] = Instructions::to_schema( $attributes['recipeInstructions'], get_permalink( $post ) );
+        }
+
+        $author = self::get_author( $attributes, $post );
+        if ( '' !== $author['name'] ) {
+            $schema['author'] = array(
+                '@type' => 'Person',
+                'name' => $author['name']
+            );
+
+            if ( '' !== $author['url'] ) {
+                $schema['author']['url'] = $author['url'];
+            }
+        }
+
+        $schema['datePublished'] = ! empty( $attributes['datePublished'] )
+            ? $attributes['datePublished']
+            : get_the_date( 'c', $post->ID );
+
+        $aggregate = $ratings ? RecipeReviews::get_aggregate( $post->ID ) : null;
+        if ( $aggregate ) {
+            $schema['aggregateRating'] = array(
+                '@type' => 'AggregateRating',
+                'ratingValue' => round( $aggregate['rating_value'], 2 ),
+                'reviewCount' => $aggregate['review_count']
+            );
+        }
+
+        $reviews = $ratings ? RecipeReviews::get_schema_reviews( $post->ID ) : array();
+        if ( $reviews ) {
+            $schema['review'] = $reviews;
+        }
+
+        if ( ! empty( $attributes['keywords'] ) ) {
+            $schema['keywords'] = implode( ', ', $attributes['keywords'] );
+        }
+
+        if ( ! empty( $attributes['cookingMethod'] ) ) {
+            $schema['cookingMethod'] = $attributes['cookingMethod'];
+        }
+
+        $nutrition = array_filter( (array) $attributes['nutrition'] );
+        if ( $nutrition ) {
+            $schema['nutrition'] = array( '@type' => 'NutritionInformation' ) + $nutrition;
+        }
+
+        $diets = self::get_diets( $attributes['suitableForDiet'] );
+        if ( $diets ) {
+            $schema['suitableForDiet'] = $diets;
+        }
+
+        $cost = self::get_cost( $attributes['estimatedCost'] );
+        if ( '' !== $cost ) {
+            $schema['estimatedCost'] = $cost;
+        }
+
+        $tools = Equipment::to_schema( $attributes['tool'], 'HowToTool' );
+        if ( $tools ) {
+            $schema['tool'] = $tools;
+        }
+
+        $supplies = Equipment::to_schema( $attributes['supply'], 'HowToSupply' );
+        if ( $supplies ) {
+            $schema['supply'] = $supplies;
+        }
+
+        $video = self::get_video( $attributes );
+        if ( $video ) {
+            $schema['video'] = $video;
+        }
+
+        return $schema;
+    }
+
+    /**
+     * Recipe author, falling back to the post author when the block has none.
+     *
+     * @param array   $attributes Recipe block attributes
+     * @param WP_Post $post       Post the recipe belongs to
+     * @return array Author name and URL; the name is empty when neither has one
+     * @since 1.2.0
+     */
+    public static function get_author( $attributes, $post ) {
+        if ( ! empty( $attributes['author']['name'] ) ) {
+            return array(
+                'name' => (string) $attributes['author']['name'],
+                'url' => (string) ( $attributes['author']['url'] ?? '' )
+            );
+        }
+
+        $name = (string) get_the_author_meta( 'display_name', $post->post_author );
+
+        return array(
+            'name' => $name,
+            'url' => '' !== $name ? (string) get_author_posts_url( $post->post_author ) : ''
+        );
+    }
+
+    /**
+     * URL readers open to watch the recipe video.
+     *
+     * @param array $attributes Prepared block attributes
+     * @return string Video page or file URL, else the embed URL, else empty string
+     * @since 1.2.0
+     */
+    public static function get_video_url( $attributes ) {
+        if ( ! empty( $attributes['video']['contentUrl'] ) ) {
+            return (string) $attributes['video']['contentUrl'];
+        }
+
+        return (string) ( $attributes['video']['embedUrl'] ?? '' );
+    }
+
+    /**
+     * Map diets to Schema.org RestrictedDiet URLs.
+     *
+     * Accepts the enumeration names ("VeganDiet"), their URLs and plain names
+     * such as "vegan" or "Gluten-free". Diets Schema.org has no value for are
+     * left out, since search engines reject free text here.
+     *
+     * @param array $diets Diets from the suitableForDiet attribute
+     * @return array Unique RestrictedDiet URLs
+     * @since 1.2.0
+     */
+    public static function get_diets( $diets ) {
+        $urls = array();
+
+        foreach ( (array) $diets as $diet ) {
+            $key = preg_replace( '/diet$/', '', preg_replace( '/[^a-z]/', '', strtolower( RecipeMeta::normalize_diet( $diet ) ) ) );
+
+            if ( isset( self::DIETS[ $key ] ) ) {
+                $urls[] = 'https://schema.org/' . self::DIETS[ $key ];
+            }
+        }
+
+        return array_values( array_unique( $urls ) );
+    }
+
+    /**
+     * Map the estimated cost text to a Schema.org MonetaryAmount.
+     *
+     * Understands a currency symbol or ISO 4217 code with an amount or a range,
+     * such as "$12", "10-15 EUR" or "£4.50". Text without both a currency and
+     * an amount is kept as text, which Schema.org also accepts.
+     *
+     * @param string $cost Estimated cost as entered
+     * @return array|string MonetaryAmount, the trimmed text, or empty string
+     * @since 1.2.0
+     */
+    public static function get_cost( $cost ) {
+        $cost = trim( (string) $cost );
+
+        $currency = '';
+        if ( preg_match( '/\b([A-Z]{3})\b/', $cost, $match ) ) {
+            $currency = $match[1];
+        } else {
+            foreach ( self::CURRENCY_SYMBOLS as $symbol => $code ) {
+                if ( false !== strpos( $cost, $symbol ) ) {
+                    $currency = $code;
+                    break;
+                }
+            }
+        }
+
+        // Drop thousands separators, then read a remaining comma as the decimal point.
+        $numbers = preg_replace( '/(\d),(?=\d{3}\b)/', '$1', $cost );
+        preg_match_all( '/\d+(?:[.,]\d+)?/', $numbers, $matches );
+        $amounts = array_map( function( $amount ) {
+            return (float) str_replace( ',', '.', $amount );
+        }, $matches[0] );
+
+        if ( '' === $currency || ! $amounts ) {
+            return $cost;
+        }
+
+        $amount = array(
+            '@type' => 'MonetaryAmount',
+            'currency' => $currency
+        );
+
+        if ( count( $amounts ) > 1 ) {
+            $amount['minValue'] = min( $amounts );
+            $amount['maxValue'] = max( $amounts );
+        } else {
+            $amount['value'] = $amounts[0];
+        }
+
+        return $amount;
+    }
+
+    /**
+     * Schema.org VideoObject for the recipe video, with its step clips.
+     *
+     * @param array $attributes Prepared block attributes
+     * @return array VideoObject, or an empty array when the recipe has no video URL
+     * @since 1.2.0
+     */
+    private static function get_video( $attributes ) {
+        $video_url = self::get_video_url( $attributes );
+        if ( '' === $video_url ) {
+            return array();
+        }
+
+        $video = array(
+            '@type' => 'VideoObject',
+            'name' => $attributes['video']['name'] ?? '',
+            'description' => $attributes['video']['description'] ?? ''
+        );
+
+        foreach ( array( 'contentUrl', 'embedUrl', 'thumbnailUrl', 'uploadDate', 'duration' ) as $property ) {
+            if ( ! empty( $attributes['video'][ $property ] ) ) {
+                $video[ $property ] = $attributes['video'][ $property ];
+            }
+        }
+
+        $clips = Instructions::to_clips( $attributes['recipeInstructions'], $video_url );
+        if ( $clips ) {
+            $video['hasPart'] = $clips;
+        }
+
+        return $video;
+    }
+}
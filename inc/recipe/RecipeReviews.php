@@ -0,0 +1,547 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+use DataMachineRecipes\Blocks\BlockMigrator;
+use DataMachineRecipes\Settings\RecipeSettings;
+use WP_Error;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Reader ratings and reviews for recipe posts.
+ *
+ * Ratings are stored as comments so they go through the usual comment
+ * moderation and spam checks and can be managed on the Comments screen.
+ * Star-only ratings use the `recipe_rating` comment type and are kept out of
+ * the post's comment list and count; ratings with a written review use
+ * `recipe_review` and show up with the other comments. Both carry the stars in
+ * comment meta.
+ *
+ * The `rating_value` and `review_count` post meta read by the recipe card,
+ * JSON-LD and Recipe Finder are kept as a running average: a rating is added
+ * when it is approved and taken out again when it is unapproved, spammed,
+ * trashed or deleted. Values written by another plugin before ratings were
+ * enabled are carried forward rather than replaced.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class RecipeReviews {
+
+    /**
+     * Comment type for star-only ratings.
+     *
+     * @since 1.2.0
+     */
+    const RATING_TYPE = 'recipe_rating';
+
+    /**
+     * Comment type for ratings with a written review.
+     *
+     * @since 1.2.0
+     */
+    const REVIEW_TYPE = 'recipe_review';
+
+    /**
+     * Comment meta holding the stars, 1 to 5.
+     *
+     * @since 1.2.0
+     */
+    const RATING_META = 'datamachine_recipe_rating';
+
+    /**
+     * Comment meta marking a rating as included in the post's running average.
+     *
+     * @since 1.2.0
+     */
+    const COUNTED_META = '_datamachine_recipe_rating_counted';
+
+    /**
+     * Submissions allowed from one IP address within RATE_LIMIT_WINDOW.
+     *
+     * @since 1.2.0
+     */
+    const RATE_LIMIT = 5;
+
+    /**
+     * Rate limit window, in seconds.
+     *
+     * @since 1.2.0
+     */
+    const RATE_LIMIT_WINDOW = 600;
+
+    /**
+     * Most recent written reviews included in the JSON-LD.
+     *
+     * @since 1.2.0
+     */
+    const JSONLD_REVIEWS = 10;
+
+    /**
+     * Register comment and admin hooks.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        add_action( 'wp_insert_comment', [ self::class, 'handle_insert' ], 10, 2 );
+        add_action( 'transition_comment_status', [ self::class, 'handle_status' ], 10, 3 );
+        add_action( 'delete_comment', [ self::class, 'handle_delete' ], 10, 2 );
+
+        add_filter( 'duplicate_comment_id', [ self::class, 'filter_duplicate_comment' ], 10, 2 );
+        add_filter( 'comments_template_query_args', [ self::class, 'filter_comments_query' ] );
+        add_filter( 'pre_wp_update_comment_count_now', [ self::class, 'filter_comment_count' ], 10, 3 );
+        add_filter( 'comment_text', [ self::class, 'filter_comment_text' ], 10, 2 );
+
+        add_filter( 'admin_comment_types_dropdown', [ self::class, 'filter_admin_comment_types' ] );
+        add_filter( 'manage_edit-comments_columns', [ self::class, 'add_admin_column' ] );
+        add_action( 'manage_comments_custom_column', [ self::class, 'render_admin_column' ], 10, 2 );
+    }
+
+    /**
+     * Whether a post accepts ratings.
+     *
+     * @param \WP_Post $post Post
+     * @return bool True when ratings are on, the post is public, has comments open and contains a recipe
+     * @since 1.2.0
+     */
+    public static function accepts_ratings( $post ) {
+        return 'off' !== RecipeSettings::get_ratings_mode()
+            && is_post_publicly_viewable( $post )
+            && ! post_password_required( $post )
+            && comments_open( $post )
+            && BlockMigrator::has_recipe_block( $post );
+    }
+
+    /**
+     * Record a reader's rating.
+     *
+     * Guests are identified by IP address for duplicate checks, so one rating is
+     * accepted per reader, or per network for guests, on each post. A written
+     * review is only accepted in "reviews" mode and then needs a name and email
+     * when the site requires them for comments.
+     *
+     * @param \WP_Post $post   Recipe post
+     * @param array    $fields Keys rating (1-5), and optionally review, author_name and author_email
+     * @return array|WP_Error Keys comment_id, status ("approved" or "pending"), rating_value and review_count
+     * @since 1.2.0
+     */
+    public static function submit( $post, array $fields ) {
+        if ( ! self::accepts_ratings( $post ) ) {
+            return new WP_Error( 'datamachine_recipes_ratings_closed', __( 'This recipe is not accepting ratings.', 'datamachine-recipes' ), array( 'status' => 403 ) );
+        }
+
+        $user = wp_get_current_user();
+        if ( ! $user->exists() && get_option( 'comment_registration' ) ) {
+            return new WP_Error( 'datamachine_recipes_login_required', __( 'Please log in to rate this recipe.', 'datamachine-recipes' ), array( 'status' => 401 ) );
+        }
+
+        $rating = (int) ( $fields['rating'] ?? 0 );
+        if ( $rating < 1 || $rating > 5 ) {
+            return new WP_Error( 'datamachine_recipes_invalid_rating', __( 'Choose a rating from 1 to 5 stars.', 'datamachine-recipes' ), array( 'status' => 400 ) );
+        }
+
+        $review = 'reviews' === RecipeSettings::get_ratings_mode() ? trim( wp_kses_post( $fields['review'] ?? '' ) ) : '';
+        $ip = self::get_ip();
+
+        $author = array(
+            'name' => $user->exists() ? $user->display_name : trim( sanitize_text_field( $fields['author_name'] ?? '' ) ),
+            'email' => $user->exists() ? $user->user_email : trim( sanitize_email( $fields['author_email'] ?? '' ) )
+        );
+
+        if ( '' !== $review && ! $user->exists() && get_option( 'require_name_email' ) && ( '' === $author['name'] || ! is_email( $author['email'] ) ) ) {
+            return new WP_Error( 'datamachine_recipes_author_required', __( 'Please enter your name and a valid email address with your review.', 'datamachine-recipes' ), array( 'status' => 400 ) );
+        }
+
+        if ( self::has_rated( $post->ID, $user->ID, $ip ) ) {
+            return new WP_Error( 'datamachine_recipes_already_rated', __( 'You have already rated this recipe.', 'datamachine-recipes' ), array( 'status' => 409 ) );
+        }
+
+        if ( ! current_user_can( 'moderate_comments' ) && ! self::check_rate_limit( $ip ) ) {
+            return new WP_Error( 'datamachine_recipes_rate_limited', __( 'You are rating too quickly. Please wait a few minutes and try again.', 'datamachine-recipes' ), array( 'status' => 429 ) );
+        }
+
+        $comment_id = wp_new_comment( wp_slash( array(
+            'comment_post_ID' => $post->ID,
+            'comment_type' => '' !== $review ? self::REVIEW_TYPE : self::RATING_TYPE,
+            'comment_content' => $review,
+            'comment_author' => $author['name'],
+            'comment_author_email' => $author['email'],
+            'comment_author_url' => $user->exists() ? $user->user_url : '',
+            'comment_author_IP' => $ip,
+            'user_id' => $user->ID,
+            'comment_meta' => array(
+                self::RATING_META => $rating
+            )
+        ) ), true );
+
+        if ( is_wp_error( $comment_id ) ) {
+            $comment_id->add_data( array( 'status' => 'comment_flood' === $comment_id->get_error_code() ? 429 : 400 ) );
+            return $comment_id;
+        }
+
+        $comment = get_comment( $comment_id );
+        if ( 'spam' === $comment->comment_approved ) {
+            return new WP_Error( 'datamachine_recipes_rating_rejected', __( 'Your rating could not be saved.', 'datamachine-recipes' ), array( 'status' => 403 ) );
+        }
+
+        $aggregate = self::get_aggregate( $post->ID );
+
+        return array(
+            'comment_id' => (int) $comment_id,
+            'status' => '1' === $comment->comment_approved ? 'approved' : 'pending',
+            'rating_value' => $aggregate ? $aggregate['rating_value'] : null,
+            'review_count' => $aggregate ? $aggregate['review_count'] : 0
+        );
+    }
+
+    /**
+     * Average rating of a post.
+     *
+     * @param int $post_id Post ID
+     * @return array|null Keys rating_value (float) and review_count (int), or null when unrated
+     * @since 1.2.0
+     */
+    public static function get_aggregate( $post_id ) {
+        $rating_value = get_post_meta( $post_id, 'rating_value', true );
+        $review_count = (int) get_post_meta( $post_id, 'review_count', true );
+
+        if ( $review_count < 1 || $rating_value < 1 || $rating_value > 5 ) {
+            return null;
+        }
+
+        return array(
+            'rating_value' => (float) $rating_value,
+            'review_count' => $review_count
+        );
+    }
+
+    /**
+     * Approved written reviews as Schema.org Review objects.
+     *
+     * @param int $post_id Post ID
+     * @return array Most recent reviews first, up to JSONLD_REVIEWS
+     * @since 1.2.0
+     */
+    public static function get_schema_reviews( $post_id ) {
+        $comments = get_comments( array(
+            'post_id' => $post_id,
+            'type' => self::REVIEW_TYPE,
+            'status' => 'approve',
+            'number' => self::JSONLD_REVIEWS,
+            'orderby' => 'comment_date_gmt',
+            'order' => 'DESC'
+        ) );
+
+        $reviews = array();
+        foreach ( $comments as $comment ) {
+            $rating = self::get_rating( $comment );
+            if ( ! $rating ) {
+                continue;
+            }
+
+            $reviews[] = array(
+                '@type' => 'Review',
+                'author' => array(
+                    '@type' => 'Person',
+                    'name' => '' !== $comment->comment_author ? $comment->comment_author : __( 'Anonymous', 'datamachine-recipes' )
+                ),
+                'datePublished' => mysql2date( 'c', $comment->comment_date ),
+                'reviewBody' => wp_strip_all_tags( $comment->comment_content ),
+                'reviewRating' => array(
+                    '@type' => 'Rating',
+                    'ratingValue' => $rating,
+                    'bestRating' => 5,
+                    'worstRating' => 1
+                )
+            );
+        }
+
+        return $reviews;
+    }
+
+    /**
+     * Stars given in a rating comment.
+     *
+     * @param \WP_Comment $comment Comment
+     * @return int 1-5, or 0 when the comment is not a rating
+     * @since 1.2.0
+     */
+    public static function get_rating( $comment ) {
+        if ( ! in_array( $comment->comment_type, array( self::RATING_TYPE, self::REVIEW_TYPE ), true ) ) {
+            return 0;
+        }
+
+        $rating = (int) get_comment_meta( $comment->comment_ID, self::RATING_META, true );
+
+        return $rating >= 1 && $rating <= 5 ? $rating : 0;
+    }
+
+    /**
+     * Count a rating that was approved when inserted.
+     *
+     * @param int         $comment_id Comment ID
+     * @param \WP_Comment $comment    Comment
+     * @since 1.2.0
+     */
+    public static function handle_insert( $comment_id, $comment ) {
+        self::sync( $comment, '1' === $comment->comment_approved );
+    }
+
+    /**
+     * Add or remove a rating from the average when it is approved or unapproved.
+     *
+     * @param string      $new_status New status: "approved", "unapproved", "spam" or "trash"
+     * @param string      $old_status Old status
+     * @param \WP_Comment $comment    Comment
+     * @since 1.2.0
+     */
+    public static function handle_status( $new_status, $old_status, $comment ) {
+        self::sync( $comment, 'approved' === $new_status );
+    }
+
+    /**
+     * Remove a deleted rating from the average.
+     *
+     * @param int         $comment_id Comment ID
+     * @param \WP_Comment $comment    Comment about to be deleted
+     * @since 1.2.0
+     */
+    public static function handle_delete( $comment_id, $comment ) {
+        self::sync( $comment, false );
+    }
+
+    /**
+     * Skip the core duplicate comment check for star-only ratings.
+     *
+     * Anonymous ratings have no text or author, so core would treat every
+     * rating after the first as a duplicate. submit() checks for an earlier
+     * rating by the same reader instead.
+     *
+     * @param int   $dupe_id     ID of the matching comment, or 0
+     * @param array $commentdata New comment data
+     * @return int Duplicate comment ID
+     * @since 1.2.0
+     */
+    public static function filter_duplicate_comment( $dupe_id, $commentdata ) {
+        return self::RATING_TYPE === ( $commentdata['comment_type'] ?? '' ) ? 0 : $dupe_id;
+    }
+
+    /**
+     * Keep star-only ratings out of the post's comment list.
+     *
+     * @param array $args comments_template() query arguments
+     * @return array Arguments
+     * @since 1.2.0
+     */
+    public static function filter_comments_query( $args ) {
+        $args['type__not_in'] = array_merge( (array) ( $args['type__not_in'] ?? array() ), array( self::RATING_TYPE ) );
+
+        return $args;
+    }
+
+    /**
+     * Leave star-only ratings out of the post's comment count.
+     *
+     * @param int|null $count   Count from an earlier filter, or null
+     * @param int      $old     Previous count
+     * @param int      $post_id Post ID
+     * @return int|null Count
+     * @since 1.2.0
+     */
+    public static function filter_comment_count( $count, $old, $post_id ) {
+        global $wpdb;
+
+        if ( null !== $count ) {
+            return $count;
+        }
+
+        return (int) $wpdb->get_var( $wpdb->prepare(
+            "SELECT COUNT(*) FROM {$wpdb->comments} WHERE comment_post_ID = %d AND comment_approved = '1' AND comment_type <> %s",
+            $post_id,
+            self::RATING_TYPE
+        ) );
+    }
+
+    /**
+     * Show the stars above a written review in the comment list.
+     *
+     * @param string           $text    Comment text
+     * @param \WP_Comment|null $comment Comment
+     * @return string Comment text
+     * @since 1.2.0
+     */
+    public static function filter_comment_text( $text, $comment = null ) {
+        if ( ! $comment || self::REVIEW_TYPE !== $comment->comment_type ) {
+            return $text;
+        }
+
+        $rating = self::get_rating( $comment );
+        if ( ! $rating ) {
+            return $text;
+        }
+
+        return self::render_stars( $rating ) . $text;
+    }
+
+    /**
+     * Add the rating comment types to the Comments screen type filter.
+     *
+     * @param array $types Comment type => label
+     * @return array Types
+     * @since 1.2.0
+     */
+    public static function filter_admin_comment_types( $types ) {
+        $types[ self::RATING_TYPE ] = __( 'Recipe ratings', 'datamachine-recipes' );
+        $types[ self::REVIEW_TYPE ] = __( 'Recipe reviews', 'datamachine-recipes' );
+
+        return $types;
+    }
+
+    /**
+     * Add a rating column to the Comments screen.
+     *
+     * @param array $columns Column key => label
+     * @return array Columns
+     * @since 1.2.0
+     */
+    public static function add_admin_column( $columns ) {
+        $columns['recipe_rating'] = __( 'Rating', 'datamachine-recipes' );
+
+        return $columns;
+    }
+
+    /**
+     * Render the rating column on the Comments screen.
+     *
+     * @param string $column     Column key
+     * @param int    $comment_id Comment ID
+     * @since 1.2.0
+     */
+    public static function render_admin_column( $column, $comment_id ) {
+        if ( 'recipe_rating' !== $column ) {
+            return;
+        }
+
+        $comment = get_comment( $comment_id );
+        $rating = $comment ? self::get_rating( $comment ) : 0;
+        echo $rating ? self::render_stars( $rating ) : '&mdash;';
+    }
+
+    /**
+     * Star rating markup with accessible text.
+     *
+     * @param float $rating Rating from 1 to 5
+     * @return string HTML
+     * @since 1.2.0
+     */
+    public static function render_stars( $rating ) {
+        $full = (int) round( $rating );
+
+        return '<span class="recipe-stars" role="img" aria-label="' . esc_attr( sprintf(
+            /* translators: %s: rating from 1 to 5 */
+            __( 'Rated %s out of 5', 'datamachine-recipes' ),
+            number_format_i18n( $rating, floor( $rating ) == $rating ? 0 : 1 )
+        ) ) . '">' . str_repeat( '★', $full ) . str_repeat( '☆', 5 - $full ) . '</span>';
+    }
+
+    /**
+     * Add a rating to or remove it from its post's running average.
+     *
+     * The counted flag makes this safe to call on every status change.
+     *
+     * @param \WP_Comment $comment  Comment
+     * @param bool        $approved Whether the comment is now approved
+     * @since 1.2.0
+     */
+    private static function sync( $comment, $approved ) {
+        $rating = self::get_rating( $comment );
+        if ( ! $rating ) {
+            return;
+        }
+
+        $counted = (bool) get_comment_meta( $comment->comment_ID, self::COUNTED_META, true );
+        if ( $approved === $counted ) {
+            return;
+        }
+
+        $post_id = (int) $comment->comment_post_ID;
+        $aggregate = self::get_aggregate( $post_id );
+        $count = $aggregate ? $aggregate['review_count'] : 0;
+        $total = $aggregate ? $aggregate['rating_value'] * $count : 0;
+
+        if ( $approved ) {
+            $total += $rating;
+            $count++;
+            update_comment_meta( $comment->comment_ID, self::COUNTED_META, 1 );
+        } else {
+            $total -= $rating;
+            $count--;
+            delete_comment_meta( $comment->comment_ID, self::COUNTED_META );
+        }
+
+        if ( $count < 1 ) {
+            delete_post_meta( $post_id, 'rating_value' );
+            delete_post_meta( $post_id, 'review_count' );
+            return;
+        }
+
+        update_post_meta( $post_id, 'rating_value', round( min( 5, max( 1, $total / $count ) ), 4 ) );
+        update_post_meta( $post_id, 'review_count', $count );
+    }
+
+    /**
+     * Whether a reader has a pending or approved rating on a post.
+     *
+     * @param int    $post_id Post ID
+     * @param int    $user_id Current user ID, 0 for guests
+     * @param string $ip      Guest IP address
+     * @return bool
+     * @since 1.2.0
+     */
+    private static function has_rated( $post_id, $user_id, $ip ) {
+        global $wpdb;
+
+        $author = $user_id
+            ? $wpdb->prepare( 'user_id = %d', $user_id )
+            : $wpdb->prepare( 'user_id = 0 AND comment_author_IP = %s', $ip );
+
+        return (bool) $wpdb->get_var( $wpdb->prepare(
+            "SELECT COUNT(*) FROM {$wpdb->comments} WHERE comment_post_ID = %d AND comment_type IN ( %s, %s ) AND comment_approved IN ( '0', '1' ) AND {$author}",
+            $post_id,
+            self::RATING_TYPE,
+            self::REVIEW_TYPE
+        ) );
+    }
+
+    /**
+     * Count a submission against the IP address's rate limit.
+     *
+     * @param string $ip IP address
+     * @return bool False when the limit has been reached
+     * @since 1.2.0
+     */
+    private static function check_rate_limit( $ip ) {
+        $key = 'datamachine_recipes_ratings_' . md5( $ip );
+        $count = (int) get_transient( $key );
+
+        if ( $count >= self::RATE_LIMIT ) {
+            return false;
+        }
+
+        set_transient( $key, $count + 1, self::RATE_LIMIT_WINDOW );
+
+        return true;
+    }
+
+    /**
+     * IP address of the current request, as recorded with comments.
+     *
+     * @return string IP address
+     * @since 1.2.0
+     */
+    private static function get_ip() {
+        return preg_replace( '/[^0-9a-fA-F:., ]/', '', wp_unslash( $_SERVER['REMOTE_ADDR'] ?? '' ) );
+    }
+}
@@ -0,0 +1,428 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+use DataMachineRecipes\Blocks\RecipeSchemaBlock;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Faceted recipe search over the recipe post meta.
+ *
+ * Backs the Recipe Finder block and its REST route. Facet options are the
+ * values used in existing recipes, read from the meta RecipeMeta mirrors from
+ * recipe blocks. Each facet's counts apply every other active filter, so
+ * readers see how many recipes each option would add to the current results.
+ *
+ * Facet counts take several queries over every recipe, so they are cached in
+ * the object cache per filter set. Filter sets come from readers, so only the
+ * unfiltered facets, one entry per post type and locale, are also kept in a
+ * transient for sites without a persistent object cache. The cache is dropped
+ * when recipe meta changes or a post enters or leaves the published status,
+ * and expires after an hour for changes neither covers.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class RecipeSearch {
+
+    /**
+     * Multiple-choice facets and the meta keys they read.
+     *
+     * @since 1.2.0
+     */
+    const LIST_FACETS = array(
+        'cuisine' => RecipeMeta::CUISINE,
+        'category' => RecipeMeta::CATEGORY,
+        'diet' => RecipeMeta::DIET
+    );
+
+    /**
+     * Maximum total time options, in minutes.
+     *
+     * @since 1.2.0
+     */
+    const TIME_OPTIONS = array( 15, 30, 45, 60, 120 );
+
+    /**
+     * Number of ingredient names suggested in the ingredient filters.
+     *
+     * @since 1.2.0
+     */
+    const INGREDIENT_SUGGESTIONS = 100;
+
+    /**
+     * Object cache group for facet counts.
+     *
+     * @since 1.2.0
+     */
+    const CACHE_GROUP = 'datamachine_recipes_search';
+
+    /**
+     * Transient holding the unfiltered facets, keyed by post type and locale.
+     *
+     * @since 1.2.0
+     */
+    const FACETS_TRANSIENT = 'datamachine_recipes_facets';
+
+    /**
+     * Post ID lists already queried in this request, keyed by query.
+     *
+     * @var array
+     */
+    private static $id_cache = array();
+
+    /**
+     * Register the facet cache invalidation.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        add_action( 'transition_post_status', [ self::class, 'handle_status_change' ], 10, 3 );
+        add_action( 'deleted_post', [ self::class, 'flush_cache' ] );
+    }
+
+    /**
+     * Drop cached facets when a post is published or unpublished.
+     *
+     * @param string $new_status New post status
+     * @param string $old_status Previous post status
+     * @since 1.2.0
+     */
+    public static function handle_status_change( $new_status, $old_status ) {
+        if ( $new_status !== $old_status && in_array( 'publish', array( $new_status, $old_status ), true ) ) {
+            self::flush_cache();
+        }
+    }
+
+    /**
+     * Drop every cached facet count.
+     *
+     * Bumps the last changed time in the object cache keys and deletes the
+     * unfiltered facets transient.
+     *
+     * @since 1.2.0
+     */
+    public static function flush_cache() {
+        wp_cache_set( 'last_changed', microtime(), self::CACHE_GROUP );
+        delete_transient( self::FACETS_TRANSIENT );
+        self::$id_cache = array();
+    }
+
+    /**
+     * Read search filters from request parameters.
+     *
+     * @param array $params Parameters: cuisine, category and diet (lists), max_minutes,
+     *                      and ingredient and exclude_ingredient (lists or comma-separated text)
+     * @return array Filters for search() with every key present
+     * @since 1.2.0
+     */
+    public static function sanitize_filters( array $params ) {
+        $to_list = function( $value ) {
+            $items = is_array( $value ) ? $value : explode( ',', (string) $value );
+            $items = array_map( function( $item ) {
+                return is_scalar( $item ) ? trim( sanitize_text_field( (string) $item ) ) : '';
+            }, $items );
+
+            return array_values( array_unique( array_filter( $items, 'strlen' ) ) );
+        };
+
+        $filters = array();
+        foreach ( array_keys( self::LIST_FACETS ) as $facet ) {
+            $filters[ $facet ] = $to_list( $params[ $facet ] ?? array() );
+        }
+
+        $max_minutes = is_scalar( $params['max_minutes'] ?? null ) ? absint( $params['max_minutes'] ) : 0;
+        $filters['max_minutes'] = $max_minutes ?: null;
+
+        foreach ( array( 'ingredient', 'exclude_ingredient' ) as $key ) {
+            $filters[ $key ] = array_map( 'strtolower', $to_list( $params[ $key ] ?? array() ) );
+        }
+
+        return $filters;
+    }
+
+    /**
+     * Search published recipes.
+     *
+     * @param array $filters Filters from sanitize_filters()
+     * @param array $args    Keys post_type (default "post"), page (default 1) and per_page (default 12)
+     * @return array Keys results (see format_result()), total, pages, page and facets (see get_facets())
+     * @since 1.2.0
+     */
+    public static function search( array $filters, array $args = array() ) {
+        $args = wp_parse_args( $args, array(
+            'post_type' => 'post',
+            'page' => 1,
+            'per_page' => 12
+        ) );
+
+        $query = new \WP_Query( array(
+            'post_type' => $args['post_type'],
+            'post_status' => 'publish',
+            'has_password' => false,
+            'posts_per_page' => $args['per_page'],
+            'paged' => $args['page'],
+            'ignore_sticky_posts' => true,
+            'recipe_filter' => array_merge( $filters, array( 'has_recipe' => true ) )
+        ) );
+
+        return array(
+            'results' => array_map( [ self::class, 'format_result' ], $query->posts ),
+            'total' => (int) $query->found_posts,
+            'pages' => (int) $query->max_num_pages,
+            'page' => (int) $args['page'],
+            'facets' => self::get_facets( $filters, $args['post_type'] )
+        );
+    }
+
+    /**
+     * Facet options with counts for the current filters.
+     *
+     * @param array  $filters   Filters from sanitize_filters()
+     * @param string $post_type Post type searched
+     * @return array Options ({ value, label, count }) keyed by facet: cuisine, category,
+     *               diet, time (with "" for any time) and ingredient (suggestions)
+     * @since 1.2.0
+     */
+    public static function get_facets( array $filters, $post_type ) {
+        $locale = determine_locale();
+        $cache_key = md5( wp_json_encode( array( $filters, $post_type, $locale ) ) ) . ':' . wp_cache_get_last_changed( self::CACHE_GROUP );
+
+        $facets = wp_cache_get( $cache_key, self::CACHE_GROUP );
+        if ( false !== $facets ) {
+            return $facets;
+        }
+
+        // Filtered facets are never written to the options table, which readers could fill with filter sets.
+        $is_base = ! array_filter( $filters );
+        $stored = $is_base ? get_transient( self::FACETS_TRANSIENT ) : false;
+        $base_key = $post_type . ':' . $locale;
+
+        if ( is_array( $stored ) && isset( $stored[ $base_key ] ) ) {
+            $facets = $stored[ $base_key ];
+        } else {
+            $facets = self::compute_facets( $filters, $post_type );
+
+            if ( $is_base ) {
+                $stored = is_array( $stored ) ? $stored : array();
+                $stored[ $base_key ] = $facets;
+                set_transient( self::FACETS_TRANSIENT, $stored, HOUR_IN_SECONDS );
+            }
+        }
+
+        wp_cache_set( $cache_key, $facets, self::CACHE_GROUP, HOUR_IN_SECONDS );
+
+        return $facets;
+    }
+
+    /**
+     * Query the facet options and counts for the current filters.
+     *
+     * @param array  $filters   Filters from sanitize_filters()
+     * @param string $post_type Post type searched
+     * @return array Facets, as returned by get_facets()
+     * @since 1.2.0
+     */
+    private static function compute_facets( array $filters, $post_type ) {
+        $all_ids = self::query_ids( array(), $post_type );
+        $facets = array();
+
+        foreach ( self::LIST_FACETS as $facet => $key ) {
+            $totals = self::count_values( $key, $all_ids );
+            $counts = self::count_values( $key, self::query_ids( array_merge( $filters, array( $facet => array() ) ), $post_type ) );
+
+            $facets[ $facet ] = array();
+            foreach ( $totals as $value => $total ) {
+                $facets[ $facet ][] = array(
+                    'value' => (string) $value,
+                    'label' => self::get_option_label( $facet, (string) $value ),
+                    'count' => $counts[ $value ] ?? 0
+                );
+            }
+        }
+
+        $time_ids = self::query_ids( array_merge( $filters, array( 'max_minutes' => null ) ), $post_type );
+        $minutes = self::get_minutes( $time_ids );
+        $facets['time'] = array(
+            array(
+                'value' => '',
+                'label' => __( 'Any time', 'datamachine-recipes' ),
+                'count' => count( $time_ids )
+            )
+        );
+        foreach ( self::TIME_OPTIONS as $option ) {
+            $facets['time'][] = array(
+                'value' => (string) $option,
+                'label' => self::get_option_label( 'time', (string) $option ),
+                'count' => count( array_filter( $minutes, function( $value ) use ( $option ) {
+                    return $value <= $option;
+                } ) )
+            );
+        }
+
+        $facets['ingredient'] = array();
+        foreach ( array_slice( self::count_values( RecipeMeta::INGREDIENT, $all_ids ), 0, self::INGREDIENT_SUGGESTIONS, true ) as $value => $count ) {
+            $facets['ingredient'][] = array(
+                'value' => (string) $value,
+                'label' => (string) $value,
+                'count' => $count
+            );
+        }
+
+        return $facets;
+    }
+
+    /**
+     * Format a recipe post as a search result.
+     *
+     * @param \WP_Post $post Recipe post
+     * @return array Keys id, title, url, image ({ url, alt } or null), total_time
+     *               (localized text, empty when unknown), rating (null when unrated) and review_count
+     * @since 1.2.0
+     */
+    public static function format_result( $post ) {
+        $minutes = get_post_meta( $post->ID, RecipeMeta::TOTAL_MINUTES, true );
+        $rating_value = get_post_meta( $post->ID, 'rating_value', true );
+        $review_count = (int) get_post_meta( $post->ID, 'review_count', true );
+        $has_rating = $review_count > 0 && $rating_value >= 1 && $rating_value <= 5;
+        $thumbnail_id = get_post_thumbnail_id( $post );
+
+        // Posts without a featured image may still have images on their first recipe.
+        if ( ! $thumbnail_id ) {
+            $recipes = RecipeSchemaBlock::get_post_recipes( $post );
+            $images = $recipes ? wp_list_filter( RecipeImages::get_images( $recipes[0]['attributes'], $post ), array( 'id' => 0 ), 'NOT' ) : array();
+            $thumbnail_id = $images ? reset( $images )['id'] : 0;
+        }
+
+        return array(
+            'id' => $post->ID,
+            'title' => html_entity_decode( wp_strip_all_tags( get_the_title( $post ) ), ENT_QUOTES, get_bloginfo( 'charset' ) ),
+            'url' => get_permalink( $post ),
+            'image' => $thumbnail_id ? array(
+                'url' => wp_get_attachment_image_url( $thumbnail_id, 'medium_large' ),
+                'alt' => (string) get_post_meta( $thumbnail_id, '_wp_attachment_image_alt', true )
+            ) : null,
+            'total_time' => '' !== $minutes ? Duration::format( Duration::from_seconds( (int) $minutes * 60 ) ) : '',
+            'rating' => $has_rating ? round( (float) $rating_value, 1 ) : null,
+            'review_count' => $has_rating ? $review_count : 0
+        );
+    }
+
+    /**
+     * Display label for a facet option.
+     *
+     * Schema.org diets are shown by name ("VeganDiet" as "Vegan"); time options
+     * as a maximum ("Up to 30 minutes").
+     *
+     * @param string $facet Facet key
+     * @param string $value Option value
+     * @return string Label
+     * @since 1.2.0
+     */
+    public static function get_option_label( $facet, $value ) {
+        if ( 'time' === $facet ) {
+            /* translators: %s: duration, e.g. "30 minutes" */
+            return sprintf( __( 'Up to %s', 'datamachine-recipes' ), Duration::format( Duration::from_seconds( (int) $value * 60 ) ) );
+        }
+
+        if ( 'diet' === $facet ) {
+            $diets = array(
+                'DiabeticDiet' => __( 'Diabetic', 'datamachine-recipes' ),
+                'GlutenFreeDiet' => __( 'Gluten-free', 'datamachine-recipes' ),
+                'HalalDiet' => __( 'Halal', 'datamachine-recipes' ),
+                'HinduDiet' => __( 'Hindu', 'datamachine-recipes' ),
+                'KosherDiet' => __( 'Kosher', 'datamachine-recipes' ),
+                'LowCalorieDiet' => __( 'Low calorie', 'datamachine-recipes' ),
+                'LowFatDiet' => __( 'Low fat', 'datamachine-recipes' ),
+                'LowLactoseDiet' => __( 'Low lactose', 'datamachine-recipes' ),
+                'LowSaltDiet' => __( 'Low salt', 'datamachine-recipes' ),
+                'VeganDiet' => __( 'Vegan', 'datamachine-recipes' ),
+                'VegetarianDiet' => __( 'Vegetarian', 'datamachine-recipes' )
+            );
+
+            return $diets[ $value ] ?? $value;
+        }
+
+        return $value;
+    }
+
+    /**
+     * IDs of published recipe posts matching filters.
+     *
+     * @param array  $filters   Filters from sanitize_filters(), or an empty array for all recipes
+     * @param string $post_type Post type searched
+     * @return array Post IDs
+     * @since 1.2.0
+     */
+    private static function query_ids( array $filters, $post_type ) {
+        $filters = array_merge( array_filter( $filters ), array( 'has_recipe' => true ) );
+        $cache_key = md5( wp_json_encode( array( $filters, $post_type ) ) );
+
+        if ( ! isset( self::$id_cache[ $cache_key ] ) ) {
+            self::$id_cache[ $cache_key ] = get_posts( array(
+                'post_type' => $post_type,
+                'post_status' => 'publish',
+                'has_password' => false,
+                'posts_per_page' => -1,
+                'fields' => 'ids',
+                'no_found_rows' => true,
+                'recipe_filter' => $filters
+            ) );
+        }
+
+        return self::$id_cache[ $cache_key ];
+    }
+
+    /**
+     * Count posts per value of a list meta key.
+     *
+     * @param string $key      Meta key
+     * @param array  $post_ids Posts to count
+     * @return array Post counts keyed by value, most used first
+     * @since 1.2.0
+     */
+    private static function count_values( $key, array $post_ids ) {
+        global $wpdb;
+
+        if ( ! $post_ids ) {
+            return array();
+        }
+
+        $placeholders = implode( ',', array_fill( 0, count( $post_ids ), '%d' ) );
+        $rows = $wpdb->get_results( $wpdb->prepare(
+            "SELECT meta_value, COUNT( DISTINCT post_id ) AS post_count FROM {$wpdb->postmeta} WHERE meta_key = %s AND post_id IN ( {$placeholders} ) GROUP BY meta_value ORDER BY post_count DESC, meta_value ASC",
+            array_merge( array( $key ), $post_ids )
+        ) );
+
+        $counts = array();
+        foreach ( $rows as $row ) {
+            $counts[ $row->meta_value ] = (int) $row->post_count;
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Total minutes of each post that has one.
+     *
+     * @param array $post_ids Posts
+     * @return array Minutes
+     * @since 1.2.0
+     */
+    private static function get_minutes( array $post_ids ) {
+        global $wpdb;
+
+        if ( ! $post_ids ) {
+            return array();
+        }
+
+        $placeholders = implode( ',', array_fill( 0, count( $post_ids ), '%d' ) );
+
+        return array_map( 'intval', $wpdb->get_col( $wpdb->prepare(
+            "SELECT meta_value FROM {$wpdb->postmeta} WHERE meta_key = %s AND post_id IN ( {$placeholders} )",
+            array_merge( array( RecipeMeta::TOTAL_MINUTES ), $post_ids )
+        ) ) );
+    }
+}
@@ -0,0 +1,146 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Cooking unit definitions for server-side ingredient parsing.
+ *
+ * Mirrors the unit keys, aliases and sizes in src/shared/units.js so that
+ * ingredient lines parse the same way in the editor and in the publish
+ * handler. Display labels and conversion ladders stay in JavaScript, where the
+ * front-end tools use them.
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class Units {
+
+    /**
+     * Unit definitions keyed by canonical unit.
+     *
+     * Measurable units carry a `dimension` (volume or weight) and `base`, their
+     * size in milliliters or grams. Count units have neither.
+     *
+     * @since 1.2.0
+     */
+    const UNITS = array(
+        'teaspoon' => array( 'dimension' => 'volume', 'base' => 4.92892, 'aliases' => array( 'tsp', 'tsps', 'teaspoon', 'teaspoons' ) ),
+        'tablespoon' => array( 'dimension' => 'volume', 'base' => 14.7868, 'aliases' => array( 'tbsp', 'tbsps', 'tbs', 'tablespoon', 'tablespoons' ) ),
+        'fluidOunce' => array( 'dimension' => 'volume', 'base' => 29.5735, 'aliases' => array( 'fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces' ) ),
+        'cup' => array( 'dimension' => 'volume', 'base' => 236.588, 'aliases' => array( 'cup', 'cups', 'c' ) ),
+        'pint' => array( 'dimension' => 'volume', 'base' => 473.176, 'aliases' => array( 'pint', 'pints', 'pt' ) ),
+        'quart' => array( 'dimension' => 'volume', 'base' => 946.353, 'aliases' => array( 'quart', 'quarts', 'qt' ) ),
+        'gallon' => array( 'dimension' => 'volume', 'base' => 3785.41, 'aliases' => array( 'gallon', 'gallons', 'gal' ) ),
+        'milliliter' => array( 'dimension' => 'volume', 'base' => 1, 'aliases' => array( 'ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres' ) ),
+        'liter' => array( 'dimension' => 'volume', 'base' => 1000, 'aliases' => array( 'l', 'liter', 'liters', 'litre', 'litres' ) ),
+        'ounce' => array( 'dimension' => 'weight', 'base' => 28.3495, 'aliases' => array( 'oz', 'ounce', 'ounces' ) ),
+        'pound' => array( 'dimension' => 'weight', 'base' => 453.592, 'aliases' => array( 'lb', 'lbs', 'pound', 'pounds' ) ),
+        'gram' => array( 'dimension' => 'weight', 'base' => 1, 'aliases' => array( 'g', 'gram', 'grams', 'gr' ) ),
+        'kilogram' => array( 'dimension' => 'weight', 'base' => 1000, 'aliases' => array( 'kg', 'kilogram', 'kilograms' ) ),
+        'pinch' => array( 'aliases' => array( 'pinch', 'pinches' ) ),
+        'dash' => array( 'aliases' => array( 'dash', 'dashes' ) ),
+        'clove' => array( 'aliases' => array( 'clove', 'cloves' ) ),
+        'can' => array( 'aliases' => array( 'can', 'cans' ) ),
+        'package' => array( 'aliases' => array( 'package', 'packages', 'pkg' ) ),
+        'stick' => array( 'aliases' => array( 'stick', 'sticks' ) ),
+        'slice' => array( 'aliases' => array( 'slice', 'slices' ) ),
+        'piece' => array( 'aliases' => array( 'piece', 'pieces' ) ),
+        'bunch' => array( 'aliases' => array( 'bunch', 'bunches' ) ),
+        'sprig' => array( 'aliases' => array( 'sprig', 'sprigs' ) ),
+        'handful' => array( 'aliases' => array( 'handful', 'handfuls' ) )
+    );
+
+    /**
+     * Single-letter shorthands where case carries meaning (T = tablespoon, t = teaspoon).
+     *
+     * @since 1.2.0
+     */
+    const CASE_SENSITIVE_ALIASES = array(
+        'T' => 'tablespoon',
+        't' => 'teaspoon'
+    );
+
+    /**
+     * Resolve a unit spelling to its canonical key.
+     *
+     * @param string $unit Unit as written (e.g., "Tbsp.", "cups")
+     * @return string|null Canonical unit key, or null when unknown
+     * @since 1.2.0
+     */
+    public static function normalize( $unit ) {
+        $unit = preg_replace( '/\.$/', '', trim( (string) $unit ) );
+        if ( '' === $unit ) {
+            return null;
+        }
+
+        if ( isset( self::CASE_SENSITIVE_ALIASES[ $unit ] ) ) {
+            return self::CASE_SENSITIVE_ALIASES[ $unit ];
+        }
+
+        return self::aliases()[ strtolower( $unit ) ] ?? null;
+    }
+
+    /**
+     * Match a known unit at the start of a string.
+     *
+     * Aliases are tried longest first so multi-word units ("fl oz") win over
+     * their prefixes.
+     *
+     * @param string $text Text that may begin with a unit (e.g., "cups flour, sifted")
+     * @return array|null Keys unit (as written), key (canonical) and rest, or null
+     * @since 1.2.0
+     */
+    public static function match_leading( $text ) {
+        $aliases = array_merge( array_keys( self::aliases() ), array_keys( self::CASE_SENSITIVE_ALIASES ) );
+        usort( $aliases, function( $a, $b ) {
+            return strlen( $b ) - strlen( $a );
+        } );
+
+        foreach ( $aliases as $alias ) {
+            $candidate = substr( $text, 0, strlen( $alias ) );
+            $matches = isset( self::CASE_SENSITIVE_ALIASES[ $alias ] )
+                ? $candidate === $alias
+                : strtolower( $candidate ) === $alias;
+            if ( ! $matches ) {
+                continue;
+            }
+
+            $after = (string) substr( $text, strlen( $alias ) );
+            if ( ! preg_match( '/^\.?(?=\s|,|$)/', $after, $boundary ) ) {
+                continue;
+            }
+
+            return array(
+                'unit' => substr( $text, 0, strlen( $alias ) + strlen( $boundary[0] ) ),
+                'key' => self::normalize( $alias ),
+                'rest' => trim( (string) substr( $after, strlen( $boundary[0] ) ) )
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * Lowercase alias to canonical key lookup.
+     *
+     * @return array Canonical unit keys indexed by alias
+     * @since 1.2.0
+     */
+    private static function aliases() {
+        static $lookup = null;
+
+        if ( null === $lookup ) {
+            $lookup = array();
+            foreach ( self::UNITS as $key => $unit ) {
+                foreach ( $unit['aliases'] as $alias ) {
+                    $lookup[ $alias ] = $key;
+                }
+            }
+        }
+
+        return $lookup;
+    }
+}
@@ -0,0 +1,299 @@
+<?php
+namespace DataMachineRecipes\Recipe;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Recipe validation against Google rich result requirements.
+ *
+ * Defines the rule set for required and recommended Schema.org Recipe
+ * properties and checks recipe-schema block attributes against it. The same
+ * rules are passed to the block editor, where src/shared/validation.js runs the
+ * identical checks live, so editors and the publish handler report the same
+ * issues.
+ *
+ * Rule checks:
+ * - required:  the property has a non-empty value
+ * - image:     the recipe has gallery images or the post has a featured image
+ * - duration:  the property is empty or a valid ISO 8601 duration
+ * - totalTime: totalTime equals prepTime plus cookTime when both are set
+ *
+ * @package DataMachineRecipes\Recipe
+ * @since 1.2.0
+ */
+class Validator {
+
+    /**
+     * Get the validation rule set.
+     *
+     * Errors block rich results; warnings cover recommended properties that
+     * improve how the result is displayed. Rules with a fix name a one-click
+     * correction the block editor can apply.
+     *
+     * @return array Rules with id, property, check, level, message and optional fix
+     * @since 1.2.0
+     */
+    public static function get_rules() {
+        $rules = array(
+            array(
+                'id' => 'name',
+                'property' => 'recipeName',
+                'check' => 'required',
+                'level' => 'error',
+                'message' => __( 'Add a recipe name. Google requires it for recipe rich results.', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'image',
+                'property' => 'image',
+                'check' => 'image',
+                'level' => 'error',
+                'message' => __( 'Add recipe images or a featured image. Google requires an image for recipe rich results.', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'ingredients',
+                'property' => 'recipeIngredient',
+                'check' => 'required',
+                'level' => 'warning',
+                'message' => __( 'Add ingredients. Recipes without them are not eligible for host carousels and guided recipes.', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'instructions',
+                'property' => 'recipeInstructions',
+                'check' => 'required',
+                'level' => 'warning',
+                'message' => __( 'Add instructions. Recipes without them are not eligible for host carousels and guided recipes.', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'prepTimeFormat',
+                'property' => 'prepTime',
+                'check' => 'duration',
+                'level' => 'error',
+                'message' => __( 'Prep time is not a valid ISO 8601 duration (e.g., PT30M).', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'cookTimeFormat',
+                'property' => 'cookTime',
+                'check' => 'duration',
+                'level' => 'error',
+                'message' => __( 'Cook time is not a valid ISO 8601 duration (e.g., PT1H).', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'totalTimeFormat',
+                'property' => 'totalTime',
+                'check' => 'duration',
+                'level' => 'error',
+                'message' => __( 'Total time is not a valid ISO 8601 duration (e.g., PT1H30M).', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'totalTime',
+                'property' => 'totalTime',
+                'check' => 'required',
+                'level' => 'warning',
+                'message' => __( 'Add a total time. Google recommends prep, cook and total times together.', 'datamachine-recipes' ),
+                'fix' => 'computeTotalTime'
+            ),
+            array(
+                'id' => 'totalTimeSum',
+                'property' => 'totalTime',
+                'check' => 'totalTime',
+                'level' => 'warning',
+                'message' => __( 'Total time does not equal prep time plus cook time.', 'datamachine-recipes' ),
+                'fix' => 'computeTotalTime'
+            ),
+            array(
+                'id' => 'description',
+                'property' => 'description',
+                'check' => 'required',
+                'level' => 'warning',
+                'message' => __( 'Add a short description of the dish.', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'yield',
+                'property' => 'recipeYield',
+                'check' => 'required',
+                'level' => 'warning',
+                'message' => __( 'Add the number of servings. It is required when nutrition is given per serving.', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'category',
+                'property' => 'recipeCategory',
+                'check' => 'required',
+                'level' => 'warning',
+                'message' => __( 'Add a recipe category, such as "dinner" or "dessert".', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'cuisine',
+                'property' => 'recipeCuisine',
+                'check' => 'required',
+                'level' => 'warning',
+                'message' => __( 'Add a cuisine, such as "Italian".', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'keywords',
+                'property' => 'keywords',
+                'check' => 'required',
+                'level' => 'warning',
+                'message' => __( 'Add keywords that describe the recipe.', 'datamachine-recipes' )
+            ),
+            array(
+                'id' => 'calories',
+                'property' => 'nutrition.calories',
+                'check' => 'required',
+                'level' => 'warning',
+                'message' => __( 'Add calories per serving.', 'datamachine-recipes' )
+            )
+        );
+
+        /**
+         * Filter the recipe validation rules.
+         *
+         * Rules are shared with the block editor, so custom rules must use one of
+         * the built-in checks: required, image, duration or totalTime.
+         *
+         * @param array $rules Validation rules
+         * @since 1.2.0
+         */
+        return apply_filters( 'datamachine_recipes_validation_rules', $rules );
+    }
+
+    /**
+     * Validate recipe attributes against the rule set.
+     *
+     * @param array $attributes Recipe-schema block attributes
+     * @param array $context    Extra facts about the post: 'has_image' (bool)
+     * @return array Failed rules as issues with id, property, level, message and optional fix
+     * @since 1.2.0
+     */
+    public static function validate( array $attributes, array $context = array() ) {
+        $issues = array();
+
+        foreach ( self::get_rules() as $rule ) {
+            if ( self::passes( $rule, $attributes, $context ) ) {
+                continue;
+            }
+
+            $issues[] = array_intersect_key( $rule, array_flip( array( 'id', 'property', 'level', 'message', 'fix' ) ) );
+        }
+
+        return $issues;
+    }
+
+    /**
+     * Whether an issue list contains errors.
+     *
+     * @param array $issues Issues from validate()
+     * @return bool True when at least one issue is an error
+     * @since 1.2.0
+     */
+    public static function has_errors( array $issues ) {
+        foreach ( $issues as $issue ) {
+            if ( 'error' === $issue['level'] ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Compute totalTime from prepTime and cookTime.
+     *
+     * @param array $attributes Recipe-schema block attributes
+     * @return string ISO 8601 duration, or empty string when neither time is valid
+     * @since 1.2.0
+     */
+    public static function compute_total_time( array $attributes ) {
+        $prep = Duration::to_seconds( $attributes['prepTime'] ?? '' );
+        $cook = Duration::to_seconds( $attributes['cookTime'] ?? '' );
+
+        if ( null === $prep && null === $cook ) {
+            return '';
+        }
+
+        return Duration::from_seconds( (int) $prep + (int) $cook );
+    }
+
+    /**
+     * Run a single rule check.
+     *
+     * @param array $rule       Validation rule
+     * @param array $attributes Recipe-schema block attributes
+     * @param array $context    Extra facts about the post
+     * @return bool True when the rule passes
+     * @since 1.2.0
+     */
+    private static function passes( array $rule, array $attributes, array $context ) {
+        $value = self::get_value( $attributes, $rule['property'] );
+
+        switch ( $rule['check'] ) {
+            case 'required':
+                return self::is_filled( $value );
+
+            case 'image':
+                return ! empty( $context['has_image'] ) || ! empty( $attributes['images'] );
+
+            case 'duration':
+                return ! self::is_filled( $value ) || null !== Duration::to_seconds( $value );
+
+            case 'totalTime':
+                $prep = Duration::to_seconds( $attributes['prepTime'] ?? '' );
+                $cook = Duration::to_seconds( $attributes['cookTime'] ?? '' );
+                $total = Duration::to_seconds( $value );
+
+                if ( null === $prep || null === $cook || null === $total ) {
+                    return true;
+                }
+
+                return $total === $prep + $cook;
+        }
+
+        return true;
+    }
+
+    /**
+     * Read an attribute value by dot path (e.g., "nutrition.calories").
+     *
+     * @param array  $attributes Recipe-schema block attributes
+     * @param string $path       Attribute path
+     * @return mixed Value, or null when missing
+     * @since 1.2.0
+     */
+    private static function get_value( array $attributes, $path ) {
+        $value = $attributes;
+        foreach ( explode( '.', $path ) as $key ) {
+            if ( ! is_array( $value ) || ! array_key_exists( $key, $value ) ) {
+                return null;
+            }
+            $value = $value[ $key ];
+        }
+        return $value;
+    }
+
+    /**
+     * Whether a value has content.
+     *
+     * Arrays count as filled when any item has content, so lists of empty
+     * steps, empty structured ingredients or empty groups are treated as empty.
+     *
+     * @param mixed $value Attribute value
+     * @return bool True when the value has content
+     * @since 1.2.0
+     */
+    private static function is_filled( $value ) {
+        if ( is_array( $value ) ) {
+            foreach ( $value as $item ) {
+                if ( self::is_filled( $item ) ) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        if ( is_string( $value ) ) {
+            return '' !== trim( $value );
+        }
+
+        return is_int( $value ) || is_float( $value );
+    }
+}
@@ -0,0 +1,268 @@
+<?php
+namespace DataMachineRecipes\Settings;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Site-wide recipe display settings.
+ *
+ * Registers plugin options with the WordPress Settings API and edits them on
+ * the Settings → Recipes screen. They apply to every recipe on the site, so
+ * they are not offered in the block inspector.
+ *
+ * @package DataMachineRecipes\Settings
+ * @since 1.2.0
+ */
+class RecipeSettings {
+
+    /**
+     * Option holding the default unit system for the front-end unit toggle.
+     *
+     * @since 1.2.0
+     */
+    const UNIT_SYSTEM_OPTION = 'datamachine_recipes_unit_system';
+
+    /**
+     * Allowed unit system values. "original" shows amounts as written.
+     *
+     * @since 1.2.0
+     */
+    const UNIT_SYSTEMS = array( 'original', 'us', 'metric' );
+
+    /**
+     * Option controlling reader ratings on recipe cards.
+     *
+     * @since 1.2.0
+     */
+    const RATINGS_OPTION = 'datamachine_recipes_ratings';
+
+    /**
+     * Allowed ratings modes: "off", star ratings only, or star ratings with
+     * optional written reviews.
+     *
+     * @since 1.2.0
+     */
+    const RATINGS_MODES = array( 'off', 'ratings', 'reviews' );
+
+    /**
+     * Option choosing which structured data formats recipes output.
+     *
+     * @since 1.2.0
+     */
+    const STRUCTURED_DATA_OPTION = 'datamachine_recipes_structured_data';
+
+    /**
+     * Allowed structured data formats: JSON-LD and microdata, or only one of them.
+     *
+     * @since 1.2.0
+     */
+    const STRUCTURED_DATA_FORMATS = array( 'both', 'jsonld', 'microdata' );
+
+    /**
+     * Settings group, and the slug of the settings screen.
+     *
+     * @since 1.2.0
+     */
+    const PAGE = 'datamachine_recipes';
+
+    /**
+     * Register plugin settings.
+     *
+     * @since 1.2.0
+     */
+    public static function register() {
+        register_setting( self::PAGE, self::UNIT_SYSTEM_OPTION, array(
+            'type' => 'string',
+            'description' => __( 'Default measurement system for recipe cards.', 'datamachine-recipes' ),
+            'default' => 'original',
+            'sanitize_callback' => [ self::class, 'sanitize_unit_system' ]
+        ) );
+
+        register_setting( self::PAGE, self::RATINGS_OPTION, array(
+            'type' => 'string',
+            'description' => __( 'Whether readers can rate recipes, and whether they can add a written review.', 'datamachine-recipes' ),
+            'default' => 'ratings',
+            'sanitize_callback' => [ self::class, 'sanitize_ratings_mode' ]
+        ) );
+
+        register_setting( self::PAGE, self::STRUCTURED_DATA_OPTION, array(
+            'type' => 'string',
+            'description' => __( 'Structured data formats output for recipes.', 'datamachine-recipes' ),
+            'default' => 'both',
+            'sanitize_callback' => [ self::class, 'sanitize_structured_data' ]
+        ) );
+
+        add_action( 'admin_menu', [ self::class, 'add_page' ] );
+        add_action( 'admin_init', [ self::class, 'add_fields' ] );
+    }
+
+    /**
+     * Add the Settings → Recipes screen.
+     *
+     * @since 1.2.0
+     */
+    public static function add_page() {
+        add_options_page(
+            __( 'Recipe Settings', 'datamachine-recipes' ),
+            __( 'Recipes', 'datamachine-recipes' ),
+            'manage_options',
+            self::PAGE,
+            [ self::class, 'render_page' ]
+        );
+    }
+
+    /**
+     * Add the settings fields to the Recipes screen.
+     *
+     * @since 1.2.0
+     */
+    public static function add_fields() {
+        add_settings_section( 'datamachine_recipes_display', '', '__return_false', self::PAGE );
+
+        $fields = array(
+            self::UNIT_SYSTEM_OPTION => array(
+                'title' => __( 'Default Units', 'datamachine-recipes' ),
+                'value' => self::get_unit_system(),
+                'choices' => array(
+                    'original' => __( 'As written', 'datamachine-recipes' ),
+                    'us' => __( 'US customary', 'datamachine-recipes' ),
+                    'metric' => __( 'Metric', 'datamachine-recipes' )
+                ),
+                'description' => __( 'Units recipe cards show until a reader switches units on the card.', 'datamachine-recipes' )
+            ),
+            self::RATINGS_OPTION => array(
+                'title' => __( 'Reader Ratings', 'datamachine-recipes' ),
+                'value' => self::get_ratings_mode(),
+                'choices' => array(
+                    'off' => __( 'Off', 'datamachine-recipes' ),
+                    'ratings' => __( 'Star ratings', 'datamachine-recipes' ),
+                    'reviews' => __( 'Star ratings and written reviews', 'datamachine-recipes' )
+                ),
+                'description' => __( 'Readers can rate posts that have comments open, and ratings are moderated on the Comments screen.', 'datamachine-recipes' )
+            ),
+            self::STRUCTURED_DATA_OPTION => array(
+                'title' => __( 'Structured Data', 'datamachine-recipes' ),
+                'value' => self::sanitize_structured_data( get_option( self::STRUCTURED_DATA_OPTION, 'both' ) ),
+                'choices' => array(
+                    'both' => __( 'JSON-LD and microdata', 'datamachine-recipes' ),
+                    'jsonld' => __( 'JSON-LD only', 'datamachine-recipes' ),
+                    'microdata' => __( 'Microdata only', 'datamachine-recipes' )
+                ),
+                'description' => __( 'Both formats describe the same recipe; turn one off if another plugin already outputs it.', 'datamachine-recipes' )
+            )
+        );
+
+        foreach ( $fields as $option => $field ) {
+            add_settings_field( $option, $field['title'], [ self::class, 'render_select' ], self::PAGE, 'datamachine_recipes_display', array_merge( $field, array(
+                'option' => $option,
+                'label_for' => $option
+            ) ) );
+        }
+    }
+
+    /**
+     * Render a settings select field.
+     *
+     * @param array $field Option name, current value, choices and description
+     * @since 1.2.0
+     */
+    public static function render_select( $field ) {
+        echo '<select id="' . esc_attr( $field['option'] ) . '" name="' . esc_attr( $field['option'] ) . '">';
+        foreach ( $field['choices'] as $value => $label ) {
+            echo '<option value="' . esc_attr( $value ) . '"' . selected( $field['value'], $value, false ) . '>' . esc_html( $label ) . '</option>';
+        }
+        echo '</select>';
+        echo '<p class="description">' . esc_html( $field['description'] ) . '</p>';
+    }
+
+    /**
+     * Render the Settings → Recipes screen.
+     *
+     * @since 1.2.0
+     */
+    public static function render_page() {
+        if ( ! current_user_can( 'manage_options' ) ) {
+            return;
+        }
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
+            <form action="options.php" method="post">
+                <?php
+                settings_fields( self::PAGE );
+                do_settings_sections( self::PAGE );
+                submit_button();
+                ?>
+            </form>
+        </div>
+        <?php
+    }
+
+    /**
+     * Sanitize the unit system option.
+     *
+     * @param mixed $value Submitted value
+     * @return string Allowed unit system, "original" when invalid
+     * @since 1.2.0
+     */
+    public static function sanitize_unit_system( $value ) {
+        return in_array( $value, self::UNIT_SYSTEMS, true ) ? $value : 'original';
+    }
+
+    /**
+     * Get the site default unit system.
+     *
+     * @return string "original", "us" or "metric"
+     * @since 1.2.0
+     */
+    public static function get_unit_system() {
+        return self::sanitize_unit_system( get_option( self::UNIT_SYSTEM_OPTION, 'original' ) );
+    }
+
+    /**
+     * Sanitize the ratings mode option.
+     *
+     * @param mixed $value Submitted value
+     * @return string Allowed ratings mode, "ratings" when invalid
+     * @since 1.2.0
+     */
+    public static function sanitize_ratings_mode( $value ) {
+        return in_array( $value, self::RATINGS_MODES, true ) ? $value : 'ratings';
+    }
+
+    /**
+     * Get the ratings mode.
+     *
+     * @return string "off", "ratings" or "reviews"
+     * @since 1.2.0
+     */
+    public static function get_ratings_mode() {
+        return self::sanitize_ratings_mode( get_option( self::RATINGS_OPTION, 'ratings' ) );
+    }
+
+    /**
+     * Sanitize the structured data option.
+     *
+     * @param mixed $value Submitted value
+     * @return string Allowed format, "both" when invalid
+     * @since 1.2.0
+     */
+    public static function sanitize_structured_data( $value ) {
+        return in_array( $value, self::STRUCTURED_DATA_FORMATS, true ) ? $value : 'both';
+    }
+
+    /**
+     * Whether recipes output a given structured data format.
+     *
+     * @param string $format "jsonld" or "microdata"
+     * @return bool
+     * @since 1.2.0
+     */
+    public static function outputs_structured_data( $format ) {
+        $setting = self::sanitize_structured_data( get_option( self::STRUCTURED_DATA_OPTION, 'both' ) );
+
+        return 'both' === $setting || $format === $setting;
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Recipe Finder Block - Gutenberg Editor Interface
+ *
+ * Settings for the finder (title, post type, results per page and which
+ * facets to show) in the block inspector, with a ServerSideRender preview of
+ * the form and first page of results.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { registerBlockType } from '@wordpress/blocks';
+import { InspectorControls, useBlockProps } from '@wordpress/block-editor';
+import {
+    CheckboxControl,
+    Disabled,
+    PanelBody,
+    RangeControl,
+    SelectControl,
+    TextControl
+} from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { __ } from '@wordpress/i18n';
+import ServerSideRender from '@wordpress/server-side-render';
+
+import './style.scss';
+
+/**
+ * Facets the block can show, matching RecipeFinderBlock::FACETS.
+ */
+const FACETS = [
+    { key: 'cuisine', label: __('Cuisine', 'datamachine-recipes') },
+    { key: 'category', label: __('Category', 'datamachine-recipes') },
+    { key: 'diet', label: __('Diet', 'datamachine-recipes') },
+    { key: 'time', label: __('Total time', 'datamachine-recipes') },
+    { key: 'ingredients', label: __('Included and excluded ingredients', 'datamachine-recipes') }
+];
+
+/**
+ * Register Recipe Finder Block
+ *
+ * Dynamic block: the form and results are rendered on the server and made
+ * live by the view script.
+ */
+registerBlockType('datamachine-recipes/recipe-finder', {
+    title: __('Recipe Finder', 'datamachine-recipes'),
+    icon: 'search',
+    category: 'widgets',
+    description: __('Lets readers search recipes by cuisine, category, diet, total time and ingredients', 'datamachine-recipes'),
+
+    edit: ({ attributes, setAttributes }) => {
+        const { title, postType, perPage, facets } = attributes;
+        const blockProps = useBlockProps();
+
+        const postTypes = useSelect((select) => (
+            (select('core').getPostTypes({ per_page: -1 }) || [])
+                .filter((type) => type.viewable && type.slug !== 'attachment')
+        ), []);
+
+        const toggleFacet = (key, checked) => {
+            const next = checked ? [...facets, key] : facets.filter((facet) => facet !== key);
+            setAttributes({ facets: FACETS.map((facet) => facet.key).filter((facet) => next.includes(facet)) });
+        };
+
+        return (
+            <div {...blockProps}>
+                <InspectorControls>
+                    <PanelBody title={__('Finder Settings', 'datamachine-recipes')}>
+                        <TextControl
+                            label={__('Title', 'datamachine-recipes')}
+                            value={title}
+                            onChange={(value) => setAttributes({ title: value })}
+                        />
+                        <SelectControl
+                            label={__('Post Type', 'datamachine-recipes')}
+                            help={__('Only posts of this type that contain a recipe are searched.', 'datamachine-recipes')}
+                            value={postType}
+                            options={postTypes.length ? postTypes.map((type) => ({ label: type.name, value: type.slug })) : [{ label: postType, value: postType }]}
+                            onChange={(value) => setAttributes({ postType: value })}
+                        />
+                        <RangeControl
+                            label={__('Results per Page', 'datamachine-recipes')}
+                            value={perPage}
+                            min={1}
+                            max={50}
+                            onChange={(value) => setAttributes({ perPage: value })}
+                        />
+                    </PanelBody>
+                    <PanelBody title={__('Filters', 'datamachine-recipes')}>
+                        <p className="recipe-panel-help">
+                            {__('Filter options come from the values used in published recipes.', 'datamachine-recipes')}
+                        </p>
+                        {FACETS.map(({ key, label }) => (
+                            <CheckboxControl
+                                key={key}
+                                label={label}
+                                checked={facets.includes(key)}
+                                onChange={(checked) => toggleFacet(key, checked)}
+                            />
+                        ))}
+                    </PanelBody>
+                </InspectorControls>
+                <Disabled>
+                    <ServerSideRender
+                        block="datamachine-recipes/recipe-finder"
+                        attributes={attributes}
+                    />
+                </Disabled>
+            </div>
+        );
+    },
+
+    save: () => null
+});
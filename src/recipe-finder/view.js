@@ -0,0 +1,364 @@
+/**
+ * Recipe Finder Block - Front-end View Script
+ *
+ * Makes the server-rendered finder live: changing a filter fetches matching
+ * recipes and fresh facet counts from the recipes REST route, re-renders the
+ * results and options in place, and mirrors the filters into the URL so the
+ * page can be shared or reloaded. Without JavaScript the form submits and the
+ * server renders the same results.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import apiFetch from '@wordpress/api-fetch';
+import domReady from '@wordpress/dom-ready';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { addQueryArgs } from '@wordpress/url';
+
+import { createElement } from '../recipe-schema/dom';
+
+/**
+ * Prefix of the block's query arguments, matching RecipeFinderBlock::PARAM_PREFIX.
+ */
+const PARAM_PREFIX = 'recipe_';
+
+/**
+ * Multiple-choice facets.
+ */
+const LIST_FACETS = ['cuisine', 'category', 'diet'];
+
+/**
+ * Delay before a typed ingredient list is searched, in milliseconds.
+ */
+const TYPING_DELAY = 500;
+
+/**
+ * Split comma-separated text into trimmed, non-empty items.
+ *
+ * @param {string} text Text such as "chicken, garlic"
+ * @return {Array} Items
+ */
+const splitList = (text) => text.split(',').map((item) => item.trim()).filter(Boolean);
+
+/**
+ * Format a number for the page language.
+ *
+ * @param {number} value    Number
+ * @param {number} decimals Fraction digits
+ * @return {string} Formatted number
+ */
+const formatNumber = (value, decimals = 0) => Number(value).toLocaleString(document.documentElement.lang || undefined, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+});
+
+/**
+ * Read the REST search parameters from the finder form.
+ *
+ * @param {HTMLFormElement} form Finder form
+ * @return {Object} Parameters with empty filters left out
+ */
+const getSearchParams = (form) => {
+    const data = new FormData(form);
+    const params = {};
+
+    LIST_FACETS.forEach((facet) => {
+        const values = data.getAll(`${PARAM_PREFIX}${facet}[]`);
+        if (values.length) {
+            params[facet] = values;
+        }
+    });
+
+    const maxMinutes = data.get(`${PARAM_PREFIX}max_minutes`);
+    if (maxMinutes) {
+        params.max_minutes = maxMinutes;
+    }
+
+    ['ingredient', 'exclude_ingredient'].forEach((key) => {
+        const values = splitList(data.get(`${PARAM_PREFIX}${key}`) || '');
+        if (values.length) {
+            params[key] = values;
+        }
+    });
+
+    return params;
+};
+
+/**
+ * Result count text.
+ *
+ * @param {number} total Number of matching recipes
+ * @return {string} Status text
+ */
+const getStatusText = (total) => {
+    if (!total) {
+        return __('No recipes match these filters.', 'datamachine-recipes');
+    }
+
+    return sprintf(
+        /* translators: %s: number of recipes */
+        _n('%s recipe found', '%s recipes found', total, 'datamachine-recipes'),
+        formatNumber(total)
+    );
+};
+
+/**
+ * Create a result card.
+ *
+ * Mirrors RecipeFinderBlock::render_result().
+ *
+ * @param {Object} result Result from the recipes REST route
+ * @return {HTMLLIElement} Card
+ */
+const createResultCard = (result) => {
+    const card = createElement('li', 'recipe-finder__card');
+
+    const link = card.appendChild(createElement('a', 'recipe-finder__link'));
+    link.href = result.url;
+    if (result.image) {
+        const image = link.appendChild(createElement('img', 'recipe-finder__image'));
+        image.src = result.image.url;
+        image.alt = result.image.alt;
+        image.loading = 'lazy';
+    }
+    link.append(createElement('span', 'recipe-finder__card-title', result.title));
+
+    if (result.total_time || result.rating) {
+        const meta = card.appendChild(createElement('p', 'recipe-finder__meta'));
+        if (result.total_time) {
+            meta.append(createElement('span', 'recipe-finder__time', result.total_time));
+        }
+        if (result.rating) {
+            const rating = meta.appendChild(createElement('span', 'recipe-finder__rating'));
+            const stars = rating.appendChild(createElement('span', 'recipe-finder__stars', `★ ${formatNumber(result.rating, 1)} (${formatNumber(result.review_count)})`));
+            stars.setAttribute('aria-hidden', 'true');
+            rating.append(createElement('span', 'screen-reader-text', sprintf(
+                /* translators: 1: average rating, 2: number of reviews */
+                _n('Rated %1$s out of 5 from %2$d review', 'Rated %1$s out of 5 from %2$d reviews', result.review_count, 'datamachine-recipes'),
+                formatNumber(result.rating, 1),
+                result.review_count
+            )));
+        }
+    }
+
+    return card;
+};
+
+/**
+ * Create a facet option.
+ *
+ * Mirrors RecipeFinderBlock::render_option().
+ *
+ * @param {HTMLFieldSetElement} fieldset Facet fieldset, carrying the input name and type
+ * @param {Object}              option   Option with value, label and count
+ * @param {Array}               selected Selected values
+ * @return {HTMLLabelElement} Option
+ */
+const createOption = (fieldset, option, selected) => {
+    const checked = selected.includes(option.value);
+    const disabled = !checked && option.count === 0 && option.value !== '';
+
+    const label = createElement('label', `recipe-finder__option${disabled ? ' is-empty' : ''}`);
+    const input = label.appendChild(document.createElement('input'));
+    input.type = fieldset.dataset.type;
+    input.name = fieldset.dataset.name;
+    input.value = option.value;
+    input.checked = checked;
+    input.disabled = disabled;
+
+    label.append(
+        ' ',
+        createElement('span', 'recipe-finder__option-label', option.label),
+        ' ',
+        createElement('span', 'recipe-finder__count', `(${formatNumber(option.count)})`)
+    );
+
+    return label;
+};
+
+/**
+ * Create a pagination link.
+ *
+ * @param {string} className Modifier class
+ * @param {string} text      Link text
+ * @param {number} page      Page the link loads
+ * @return {HTMLAnchorElement} Link
+ */
+const createPageLink = (className, text, page) => {
+    const link = createElement('a', `recipe-finder__page ${className}`, text);
+    const url = new URL(window.location.href);
+    url.searchParams.set(`${PARAM_PREFIX}page`, String(page));
+    link.href = url.toString();
+    link.dataset.page = String(page);
+    return link;
+};
+
+/**
+ * Initialize a finder.
+ *
+ * @param {HTMLElement} finder Finder block element
+ */
+const initFinder = (finder) => {
+    const form = finder.querySelector('.recipe-finder__form');
+    const status = finder.querySelector('.recipe-finder__status');
+    const results = finder.querySelector('.recipe-finder__results');
+    const pagination = finder.querySelector('.recipe-finder__pagination');
+    let request = 0;
+    let typingTimer = null;
+
+    /**
+     * Mirror the form's filters and the page into the URL.
+     *
+     * @param {number} page Results page
+     */
+    const updateUrl = (page) => {
+        const url = new URL(window.location.href);
+        [...url.searchParams.keys()]
+            .filter((key) => key.startsWith(PARAM_PREFIX))
+            .forEach((key) => url.searchParams.delete(key));
+
+        new FormData(form).forEach((value, key) => {
+            if (key.startsWith(PARAM_PREFIX) && value !== '') {
+                url.searchParams.append(key, value);
+            }
+        });
+        if (page > 1) {
+            url.searchParams.set(`${PARAM_PREFIX}page`, String(page));
+        }
+
+        window.history.replaceState(null, '', url.toString());
+    };
+
+    /**
+     * Re-render facet options with fresh counts, keeping the current selection.
+     *
+     * @param {Object} facets Facets from the recipes REST route
+     */
+    const renderFacets = (facets) => {
+        form.querySelectorAll('.recipe-finder__facet').forEach((fieldset) => {
+            const options = facets[fieldset.dataset.facet] || [];
+            const container = fieldset.querySelector('.recipe-finder__options');
+            const selected = [...container.querySelectorAll('input:checked')].map((input) => input.value);
+
+            container.replaceChildren(...options.map((option) => createOption(fieldset, option, selected)));
+            fieldset.hidden = !options.length;
+        });
+    };
+
+    /**
+     * Re-render the pagination links.
+     *
+     * @param {number} page  Current page
+     * @param {number} pages Number of pages
+     */
+    const renderPagination = (page, pages) => {
+        pagination.hidden = pages <= 1;
+        pagination.replaceChildren();
+
+        if (page > 1) {
+            pagination.append(createPageLink('recipe-finder__page--previous', __('Previous', 'datamachine-recipes'), page - 1));
+        }
+        pagination.append(createElement('span', 'recipe-finder__page-status', sprintf(
+            /* translators: 1: current page, 2: number of pages */
+            __('Page %1$d of %2$d', 'datamachine-recipes'),
+            page,
+            Math.max(1, pages)
+        )));
+        if (page < pages) {
+            pagination.append(createPageLink('recipe-finder__page--next', __('Next', 'datamachine-recipes'), page + 1));
+        }
+    };
+
+    /**
+     * Fetch and render results for the current filters.
+     *
+     * Responses to superseded requests are dropped.
+     *
+     * @param {number} page Results page
+     */
+    const search = (page = 1) => {
+        const current = ++request;
+        finder.classList.add('is-loading');
+        results.setAttribute('aria-busy', 'true');
+
+        apiFetch({
+            path: addQueryArgs('/datamachine-recipes/v1/recipes', {
+                ...getSearchParams(form),
+                post_type: finder.dataset.postType,
+                per_page: finder.dataset.perPage,
+                page
+            })
+        }).then((response) => {
+            if (current !== request) {
+                return;
+            }
+
+            results.replaceChildren(...response.results.map(createResultCard));
+            renderFacets(response.facets);
+            renderPagination(response.page, response.pages);
+            status.textContent = getStatusText(response.total);
+            updateUrl(response.page);
+        }).catch(() => {
+            if (current === request) {
+                status.textContent = __('Recipes could not be loaded. Please try again.', 'datamachine-recipes');
+            }
+        }).finally(() => {
+            if (current === request) {
+                finder.classList.remove('is-loading');
+                results.removeAttribute('aria-busy');
+            }
+        });
+    };
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        window.clearTimeout(typingTimer);
+        search();
+    });
+
+    form.addEventListener('change', (event) => {
+        if (event.target.type === 'text') {
+            window.clearTimeout(typingTimer);
+        }
+        search();
+    });
+
+    form.addEventListener('input', (event) => {
+        if (event.target.type !== 'text') {
+            return;
+        }
+        window.clearTimeout(typingTimer);
+        typingTimer = window.setTimeout(() => search(), TYPING_DELAY);
+    });
+
+    form.querySelector('.recipe-finder__reset').addEventListener('click', (event) => {
+        event.preventDefault();
+        form.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+            input.checked = false;
+        });
+        form.querySelectorAll('input[type="radio"]').forEach((input) => {
+            input.checked = input.value === '';
+        });
+        form.querySelectorAll('input[type="text"]').forEach((input) => {
+            input.value = '';
+        });
+        search();
+    });
+
+    pagination.addEventListener('click', (event) => {
+        const link = event.target.closest('[data-page]');
+        if (!link) {
+            return;
+        }
+        event.preventDefault();
+        search(parseInt(link.dataset.page, 10));
+        finder.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+
+    form.querySelector('.recipe-finder__submit').hidden = true;
+};
+
+domReady(() => {
+    document.querySelectorAll('.recipe-finder').forEach(initFinder);
+});
@@ -0,0 +1,43 @@
+/**
+ * Recipe Print View Script
+ *
+ * Loads the print stylesheet and makes the print page's options instant: the
+ * section checkboxes show or hide images, nutrition and notes without a reload
+ * and keep the URL in step, and the Print button opens the browser's print
+ * dialog. Without JavaScript the options form submits and the page is
+ * rendered again with the chosen sections.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import domReady from '@wordpress/dom-ready';
+
+import './style.scss';
+
+domReady(() => {
+    const form = document.querySelector('.recipe-print__options');
+    if (!form) {
+        return;
+    }
+
+    form.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+        checkbox.addEventListener('change', () => {
+            document.body.classList.toggle(`recipe-print--hide-${checkbox.name}`, !checkbox.checked);
+
+            const url = new URL(window.location.href);
+            if (checkbox.checked) {
+                url.searchParams.delete(checkbox.name);
+            } else {
+                url.searchParams.set(checkbox.name, '0');
+            }
+            window.history.replaceState(null, '', url.toString());
+        });
+    });
+
+    form.querySelector('.recipe-print__update').hidden = true;
+
+    const printButton = form.querySelector('.recipe-print__print');
+    printButton.hidden = false;
+    printButton.addEventListener('click', () => window.print());
+});
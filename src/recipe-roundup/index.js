@@ -0,0 +1,217 @@
+/**
+ * Recipe Roundup Block - Gutenberg Editor Interface
+ *
+ * Pick the recipe posts to list, in order, from the block inspector, with a
+ * ServerSideRender preview of the list. Posts are found through the core
+ * search endpoint, so any public post type can be linked.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import apiFetch from '@wordpress/api-fetch';
+import { registerBlockType } from '@wordpress/blocks';
+import { InspectorControls, useBlockProps } from '@wordpress/block-editor';
+import {
+    Button,
+    Disabled,
+    PanelBody,
+    Placeholder,
+    SearchControl,
+    Spinner,
+    ToggleControl
+} from '@wordpress/components';
+import { useEffect, useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import ServerSideRender from '@wordpress/server-side-render';
+import { addQueryArgs } from '@wordpress/url';
+
+import './style.scss';
+
+/**
+ * Delay before a search is sent, in milliseconds.
+ */
+const SEARCH_DELAY = 300;
+
+/**
+ * Fetch posts from the core search endpoint.
+ *
+ * @param {Object} query Search endpoint arguments
+ * @return {Promise<Array>} Results as { id, title, subtype }
+ */
+const searchPosts = (query) => apiFetch({
+    path: addQueryArgs('/wp/v2/search', { type: 'post', subtype: 'any', _fields: 'id,title,subtype', ...query })
+});
+
+/**
+ * Titles of the linked posts, keyed by post ID.
+ *
+ * @param {Array} posts Post IDs
+ * @return {Object} Titles, filled in once loaded
+ */
+const usePostTitles = (posts) => {
+    const [titles, setTitles] = useState({});
+    const missing = posts.filter((id) => !(id in titles));
+
+    useEffect(() => {
+        if (!missing.length) {
+            return;
+        }
+        searchPosts({ include: missing, per_page: missing.length }).then((results) => {
+            setTitles((current) => ({
+                ...current,
+                ...Object.fromEntries(missing.map((id) => [id, ''])),
+                ...Object.fromEntries(results.map((result) => [result.id, result.title]))
+            }));
+        }).catch(() => {});
+    }, [missing.join(',')]);
+
+    return titles;
+};
+
+/**
+ * Search field listing posts that can be added to the roundup.
+ *
+ * @param {Array}    posts Linked post IDs, left out of the results
+ * @param {Function} onAdd Callback with the post ID to add
+ */
+const PostSearch = ({ posts, onAdd }) => {
+    const [search, setSearch] = useState('');
+    const [results, setResults] = useState([]);
+    const [isSearching, setIsSearching] = useState(false);
+
+    useEffect(() => {
+        if (search.trim().length < 2) {
+            setResults([]);
+            return undefined;
+        }
+
+        setIsSearching(true);
+        const timer = setTimeout(() => {
+            searchPosts({ search, per_page: 10 })
+                .then(setResults)
+                .catch(() => setResults([]))
+                .finally(() => setIsSearching(false));
+        }, SEARCH_DELAY);
+
+        return () => clearTimeout(timer);
+    }, [search]);
+
+    const available = results.filter((result) => !posts.includes(result.id));
+
+    return (
+        <div className="recipe-roundup-search">
+            <SearchControl
+                label={__('Find recipe posts', 'datamachine-recipes')}
+                value={search}
+                onChange={setSearch}
+            />
+            {isSearching && <Spinner />}
+            {available.map((result) => (
+                <Button
+                    key={result.id}
+                    isLink
+                    className="recipe-roundup-search__result"
+                    onClick={() => onAdd(result.id)}
+                >
+                    {result.title || sprintf(__('#%d (no title)', 'datamachine-recipes'), result.id)}
+                </Button>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Register Recipe Roundup Block
+ *
+ * Dynamic block: the list and its ItemList JSON-LD are rendered on the server.
+ */
+registerBlockType('datamachine-recipes/recipe-roundup', {
+    title: __('Recipe Roundup', 'datamachine-recipes'),
+    icon: 'list-view',
+    category: 'widgets',
+    description: __('Numbered list of links to recipe posts, output as a Schema.org ItemList for recipe carousels', 'datamachine-recipes'),
+
+    edit: ({ attributes, setAttributes }) => {
+        const { posts, showImages, showDescriptions } = attributes;
+        const blockProps = useBlockProps();
+        const titles = usePostTitles(posts);
+
+        const move = (index, offset) => {
+            const next = [...posts];
+            [next[index], next[index + offset]] = [next[index + offset], next[index]];
+            setAttributes({ posts: next });
+        };
+
+        return (
+            <div {...blockProps}>
+                <InspectorControls>
+                    <PanelBody title={__('Recipes', 'datamachine-recipes')}>
+                        <p className="recipe-panel-help">
+                            {__('Posts without a recipe block, and posts that are not published, are left out of the list.', 'datamachine-recipes')}
+                        </p>
+                        <ol className="recipe-roundup-posts">
+                            {posts.map((id, index) => (
+                                <li key={id} className="recipe-roundup-posts__item">
+                                    <span className="recipe-roundup-posts__title">
+                                        {titles[id] || sprintf(__('#%d', 'datamachine-recipes'), id)}
+                                    </span>
+                                    <Button
+                                        icon="arrow-up-alt2"
+                                        label={__('Move up', 'datamachine-recipes')}
+                                        disabled={index === 0}
+                                        onClick={() => move(index, -1)}
+                                    />
+                                    <Button
+                                        icon="arrow-down-alt2"
+                                        label={__('Move down', 'datamachine-recipes')}
+                                        disabled={index === posts.length - 1}
+                                        onClick={() => move(index, 1)}
+                                    />
+                                    <Button
+                                        icon="no-alt"
+                                        label={__('Remove', 'datamachine-recipes')}
+                                        onClick={() => setAttributes({ posts: posts.filter((post) => post !== id) })}
+                                    />
+                                </li>
+                            ))}
+                        </ol>
+                        <PostSearch
+                            posts={posts}
+                            onAdd={(id) => setAttributes({ posts: [...posts, id] })}
+                        />
+                    </PanelBody>
+                    <PanelBody title={__('Display', 'datamachine-recipes')}>
+                        <ToggleControl
+                            label={__('Show images', 'datamachine-recipes')}
+                            checked={showImages}
+                            onChange={(value) => setAttributes({ showImages: value })}
+                        />
+                        <ToggleControl
+                            label={__('Show descriptions', 'datamachine-recipes')}
+                            help={__('Uses the post excerpt, or the start of the recipe description.', 'datamachine-recipes')}
+                            checked={showDescriptions}
+                            onChange={(value) => setAttributes({ showDescriptions: value })}
+                        />
+                    </PanelBody>
+                </InspectorControls>
+                {posts.length ? (
+                    <Disabled>
+                        <ServerSideRender
+                            block="datamachine-recipes/recipe-roundup"
+                            attributes={attributes}
+                        />
+                    </Disabled>
+                ) : (
+                    <Placeholder
+                        icon="list-view"
+                        label={__('Recipe Roundup', 'datamachine-recipes')}
+                        instructions={__('Add recipe posts to the roundup from the block settings.', 'datamachine-recipes')}
+                    />
+                )}
+            </div>
+        );
+    },
+
+    save: () => null
+});
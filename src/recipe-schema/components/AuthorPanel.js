@@ -0,0 +1,109 @@
+/**
+ * Author Panel Component
+ *
+ * Inspector panel for the recipe author and publication date. Both default to
+ * the post: an empty author is replaced by the post author and an empty date by
+ * the post date when the block is rendered.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { Button, DateTimePicker, Dropdown, PanelBody, SelectControl, TextControl } from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { dateI18n, getSettings } from '@wordpress/date';
+import { useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+const POST_AUTHOR = '';
+const CUSTOM_AUTHOR = 'custom';
+
+/**
+ * @param {Object}   author        Current author attribute ({ name, url })
+ * @param {string}   datePublished Current datePublished attribute
+ * @param {Function} onChange      Callback with the attributes to update
+ */
+const AuthorPanel = ({ author, datePublished, onChange }) => {
+    const { name = '', url = '' } = author || {};
+
+    const users = useSelect((select) => select('core').getUsers({ who: 'authors', per_page: 100, context: 'view' }) || [], []);
+    const matchingUser = users.find((user) => user.name === name && (user.link === url || !url));
+    const [isCustom, setIsCustom] = useState(!!name && !matchingUser);
+
+    let selected = POST_AUTHOR;
+    if (isCustom) {
+        selected = CUSTOM_AUTHOR;
+    } else if (matchingUser) {
+        selected = String(matchingUser.id);
+    } else if (name) {
+        selected = CUSTOM_AUTHOR;
+    }
+
+    const onSelectAuthor = (value) => {
+        setIsCustom(value === CUSTOM_AUTHOR);
+        if (value === CUSTOM_AUTHOR) {
+            return;
+        }
+
+        const user = users.find((candidate) => String(candidate.id) === value);
+        onChange({ author: user ? { name: user.name, url: user.link } : { name: '', url: '' } });
+    };
+
+    const dateFormat = getSettings().formats.datetime;
+
+    return (
+        <PanelBody title={__('Author & Date', 'datamachine-recipes')} initialOpen={false}>
+            <SelectControl
+                label={__('Author', 'datamachine-recipes')}
+                value={selected}
+                options={[
+                    { label: __('Post author (default)', 'datamachine-recipes'), value: POST_AUTHOR },
+                    ...users.map((user) => ({ label: user.name, value: String(user.id) })),
+                    { label: __('Custom…', 'datamachine-recipes'), value: CUSTOM_AUTHOR }
+                ]}
+                onChange={onSelectAuthor}
+            />
+
+            {selected === CUSTOM_AUTHOR && (
+                <>
+                    <TextControl
+                        label={__('Author Name', 'datamachine-recipes')}
+                        value={name}
+                        onChange={(value) => onChange({ author: { name: value, url } })}
+                    />
+                    <TextControl
+                        label={__('Author URL', 'datamachine-recipes')}
+                        type="url"
+                        value={url}
+                        onChange={(value) => onChange({ author: { name, url: value } })}
+                    />
+                </>
+            )}
+
+            <div className="recipe-date-control">
+                <span className="recipe-date-control__label">{__('Date Published', 'datamachine-recipes')}</span>
+                <Dropdown
+                    popoverProps={{ placement: 'left-start' }}
+                    renderToggle={({ isOpen, onToggle }) => (
+                        <Button isSecondary onClick={onToggle} aria-expanded={isOpen}>
+                            {datePublished ? dateI18n(dateFormat, datePublished) : __('Post date (default)', 'datamachine-recipes')}
+                        </Button>
+                    )}
+                    renderContent={() => (
+                        <DateTimePicker
+                            currentDate={datePublished || undefined}
+                            onChange={(value) => onChange({ datePublished: value || '' })}
+                        />
+                    )}
+                />
+                {datePublished && (
+                    <Button isLink isDestructive onClick={() => onChange({ datePublished: '' })}>
+                        {__('Use post date', 'datamachine-recipes')}
+                    </Button>
+                )}
+            </div>
+        </PanelBody>
+    );
+};
+
+export default AuthorPanel;
@@ -0,0 +1,71 @@
+/**
+ * Duration Input Component
+ *
+ * Shared by the recipe time fields and per-step timers.
+ *
+ * @package DataMachineRecipes
+ * @since 1.0.0
+ */
+
+import { __experimentalNumberControl as NumberControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+import { formatDuration, parseDuration, secondsToDuration, splitSeconds } from '../../shared/duration';
+
+/**
+ * Specialized input component for ISO 8601 duration fields (prepTime, cookTime, totalTime).
+ * Provides day/hour/minute inputs derived from the attribute on every render, so
+ * changes made elsewhere (imports, fixes, undo) are always shown. Edits are
+ * emitted in canonical form, with overflowing minutes and hours carried over
+ * ("90 minutes" becomes "PT1H30M"). Seconds in the stored value are kept.
+ *
+ * @param {string}   label    Field label for display
+ * @param {string}   value    Current ISO 8601 duration value (e.g., "PT30M", "P1DT2H")
+ * @param {Function} onChange Callback with the new ISO 8601 duration, or empty string for none
+ */
+const DurationInput = ({ label, value, onChange }) => {
+    const total = parseDuration(value);
+    const parts = splitSeconds(total || 0);
+
+    const update = (part) => (input) => {
+        const next = { ...parts, [part]: Math.max(0, parseInt(input, 10) || 0) };
+        const seconds = (next.days * 86400) + (next.hours * 3600) + (next.minutes * 60) + next.seconds;
+        onChange(seconds > 0 ? secondsToDuration(seconds) : '');
+    };
+
+    return (
+        <div className="recipe-duration-input">
+            <label>{label}</label>
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                <NumberControl
+                    label={__('Days', 'datamachine-recipes')}
+                    value={parts.days}
+                    min={0}
+                    onChange={update('days')}
+                />
+                <NumberControl
+                    label={__('Hours', 'datamachine-recipes')}
+                    value={parts.hours}
+                    min={0}
+                    onChange={update('hours')}
+                />
+                <NumberControl
+                    label={__('Minutes', 'datamachine-recipes')}
+                    value={parts.minutes}
+                    min={0}
+                    onChange={update('minutes')}
+                />
+            </div>
+            {total !== null && (
+                <p className="recipe-duration-input__summary">{formatDuration(value)}</p>
+            )}
+            {value && total === null && (
+                <p className="recipe-duration-input__summary recipe-duration-input__summary--invalid">
+                    {__('Not a recognized duration. Set the time above to replace it.', 'datamachine-recipes')}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default DurationInput;
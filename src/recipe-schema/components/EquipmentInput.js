@@ -0,0 +1,129 @@
+/**
+ * Equipment Input Component
+ *
+ * Editor for the tool and supply attributes. Each item has a name and optional
+ * details: a product link, which can be marked as an affiliate link, and an
+ * image from the media library or a URL. Legacy plain-string items are edited
+ * in place and gain the object form as soon as any detail is filled in.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { MediaUpload, MediaUploadCheck } from '@wordpress/block-editor';
+import { Button, TextControl, ToggleControl } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+import { createEquipmentItem, normalizeEquipmentItem } from '../../shared/equipment';
+
+/**
+ * Single item row with collapsible details.
+ *
+ * @param {string|Object} item        Plain string or equipment item
+ * @param {string}        placeholder Placeholder for the name field
+ * @param {Function}      onChange    Callback with the updated item
+ * @param {Function}      onRemove    Callback to remove the row
+ */
+const EquipmentRow = ({ item, placeholder, onChange, onRemove }) => {
+    const [showDetails, setShowDetails] = useState(false);
+    const normalized = normalizeEquipmentItem(item);
+
+    const update = (field) => (value) => {
+        if (typeof item === 'string' && field === 'name') {
+            onChange(value);
+            return;
+        }
+        onChange({ ...normalized, [field]: value });
+    };
+
+    return (
+        <div className="recipe-equipment-row">
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-start' }}>
+                <TextControl
+                    value={normalized.name}
+                    onChange={update('name')}
+                    placeholder={placeholder}
+                />
+                <Button isSecondary onClick={() => setShowDetails(!showDetails)} aria-expanded={showDetails}>
+                    {__('Details', 'datamachine-recipes')}
+                </Button>
+                <Button isSecondary isDestructive onClick={onRemove}>
+                    {__('Remove', 'datamachine-recipes')}
+                </Button>
+            </div>
+            {showDetails && (
+                <div className="recipe-equipment-row__details">
+                    <TextControl
+                        label={__('Product Link', 'datamachine-recipes')}
+                        type="url"
+                        value={normalized.url}
+                        onChange={update('url')}
+                    />
+                    <ToggleControl
+                        label={__('Affiliate link', 'datamachine-recipes')}
+                        help={__('Marks the link as sponsored for search engines.', 'datamachine-recipes')}
+                        checked={normalized.sponsored}
+                        onChange={update('sponsored')}
+                    />
+                    {normalized.image && (
+                        <img className="recipe-equipment-row__image" src={normalized.image} alt="" />
+                    )}
+                    <div style={{ display: 'flex', gap: '10px', marginBottom: '8px' }}>
+                        <MediaUploadCheck>
+                            <MediaUpload
+                                allowedTypes={['image']}
+                                value={normalized.imageId}
+                                onSelect={(media) => onChange({ ...normalized, imageId: media.id, image: media.url })}
+                                render={({ open }) => (
+                                    <Button isSecondary onClick={open}>
+                                        {normalized.image ? __('Replace Image', 'datamachine-recipes') : __('Choose Image', 'datamachine-recipes')}
+                                    </Button>
+                                )}
+                            />
+                        </MediaUploadCheck>
+                        {normalized.image && (
+                            <Button isLink isDestructive onClick={() => onChange({ ...normalized, imageId: 0, image: '' })}>
+                                {__('Remove Image', 'datamachine-recipes')}
+                            </Button>
+                        )}
+                    </div>
+                    {!normalized.imageId && (
+                        <TextControl
+                            label={__('Image URL', 'datamachine-recipes')}
+                            type="url"
+                            value={normalized.image}
+                            onChange={update('image')}
+                        />
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * @param {string}   label       Field label for display
+ * @param {Array}    items       Current items (strings and/or equipment items)
+ * @param {Function} onChange    Callback when the list changes
+ * @param {string}   placeholder Placeholder for item names
+ */
+const EquipmentInput = ({ label, items, onChange, placeholder }) => (
+    <div className="recipe-array-input recipe-equipment-input">
+        <label>{label}</label>
+        {items.map((item, index) => (
+            <EquipmentRow
+                key={index}
+                item={item}
+                placeholder={placeholder}
+                onChange={(value) => onChange(items.map((current, itemIndex) => (itemIndex === index ? value : current)))}
+                onRemove={() => onChange(items.filter((current, itemIndex) => itemIndex !== index))}
+            />
+        ))}
+        <Button isPrimary onClick={() => onChange([...items, createEquipmentItem()])}>
+            {__('Add Item', 'datamachine-recipes')}
+        </Button>
+    </div>
+);
+
+export default EquipmentInput;
@@ -0,0 +1,280 @@
+/**
+ * Ingredient Input Component
+ *
+ * Editor for the recipeIngredient attribute. Structured ingredients are edited as
+ * quantity, unit, name, note, substitution, optional and "don't convert" fields; legacy plain-string items are
+ * shown as a single text field and can be converted with one click. Pasted lines
+ * (one ingredient per line) are parsed into structured fields automatically.
+ * Ingredients can be collected into named groups ("For the dough").
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { Button, TextControl, TextareaControl, ToggleControl } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+import {
+    createIngredientGroup,
+    flattenIngredients,
+    formatIngredient,
+    isIngredientGroup,
+    isStructuredIngredient,
+    parseIngredient
+} from '../../shared/ingredients';
+
+/**
+ * Structured ingredient row with individual field inputs.
+ *
+ * @param {Object}   ingredient Structured ingredient
+ * @param {Function} onChange   Callback with the updated ingredient
+ * @param {Function} onRemove   Callback to remove the row
+ */
+const StructuredIngredientRow = ({ ingredient, onChange, onRemove }) => {
+    const update = (field) => (value) => onChange({ ...ingredient, [field]: value });
+
+    return (
+        <div className="recipe-ingredient-row">
+            <div className="recipe-ingredient-row__fields">
+                <TextControl
+                    label={__('Qty', 'datamachine-recipes')}
+                    value={ingredient.quantity}
+                    onChange={update('quantity')}
+                    placeholder="1 1/2"
+                />
+                <TextControl
+                    label={__('Unit', 'datamachine-recipes')}
+                    value={ingredient.unit}
+                    onChange={update('unit')}
+                    placeholder="cups"
+                />
+                <TextControl
+                    label={__('Ingredient', 'datamachine-recipes')}
+                    value={ingredient.name}
+                    onChange={update('name')}
+                    placeholder="flour"
+                />
+                <TextControl
+                    label={__('Note', 'datamachine-recipes')}
+                    value={ingredient.note}
+                    onChange={update('note')}
+                    placeholder="sifted"
+                />
+            </div>
+            <TextControl
+                className="recipe-ingredient-row__substitution"
+                label={__('Substitutions', 'datamachine-recipes')}
+                value={ingredient.substitution || ''}
+                onChange={update('substitution')}
+                placeholder={__('e.g., Greek yogurt or sour cream', 'datamachine-recipes')}
+            />
+            <div className="recipe-ingredient-row__actions">
+                <ToggleControl
+                    label={__('Optional', 'datamachine-recipes')}
+                    checked={!!ingredient.optional}
+                    onChange={update('optional')}
+                />
+                <ToggleControl
+                    label={__("Don't convert units", 'datamachine-recipes')}
+                    checked={!!ingredient.noConvert}
+                    onChange={update('noConvert')}
+                />
+                <span className="recipe-ingredient-row__preview">{formatIngredient(ingredient)}</span>
+                <Button isSecondary isDestructive onClick={onRemove}>
+                    {__('Remove', 'datamachine-recipes')}
+                </Button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Legacy plain-string ingredient row.
+ *
+ * @param {string}   ingredient Ingredient text
+ * @param {Function} onChange   Callback with the updated ingredient (string or structured)
+ * @param {Function} onRemove   Callback to remove the row
+ */
+const PlainIngredientRow = ({ ingredient, onChange, onRemove }) => (
+    <div className="recipe-ingredient-row recipe-ingredient-row--plain">
+        <TextControl
+            value={ingredient}
+            onChange={onChange}
+        />
+        <Button isSecondary onClick={() => onChange(parseIngredient(ingredient))}>
+            {__('Structure', 'datamachine-recipes')}
+        </Button>
+        <Button isSecondary isDestructive onClick={onRemove}>
+            {__('Remove', 'datamachine-recipes')}
+        </Button>
+    </div>
+);
+
+/**
+ * Rows for a list of ingredients.
+ *
+ * @param {Array}    items    Ingredients (strings and/or structured objects)
+ * @param {Function} onChange Callback with the updated ingredients
+ */
+const IngredientRows = ({ items, onChange }) => {
+    const updateItem = (itemIndex, newValue) => {
+        const newItems = [...items];
+        newItems[itemIndex] = newValue;
+        onChange(newItems);
+    };
+
+    const removeItem = (itemIndex) => {
+        onChange(items.filter((item, index) => index !== itemIndex));
+    };
+
+    return items.map((item, index) => {
+        const Row = isStructuredIngredient(item) ? StructuredIngredientRow : PlainIngredientRow;
+        return (
+            <Row
+                key={index}
+                ingredient={item}
+                onChange={(value) => updateItem(index, value)}
+                onRemove={() => removeItem(index)}
+            />
+        );
+    });
+};
+
+/**
+ * Textarea for typing or pasting ingredients, one per line.
+ *
+ * @param {Function} onAdd Callback with the parsed ingredients
+ */
+const IngredientPaste = ({ onAdd }) => {
+    const [draft, setDraft] = useState('');
+
+    const addFromDraft = () => {
+        const lines = draft.split('\n').map((line) => line.trim()).filter(Boolean);
+        if (lines.length) {
+            onAdd(lines.map(parseIngredient));
+            setDraft('');
+        }
+    };
+
+    return (
+        <>
+            <TextareaControl
+                label={__('Add ingredients', 'datamachine-recipes')}
+                help={__('Type or paste one ingredient per line. Quantities, units and notes are detected automatically.', 'datamachine-recipes')}
+                value={draft}
+                onChange={setDraft}
+                placeholder="e.g., 2 cups flour, sifted"
+                rows={2}
+            />
+            <Button isPrimary onClick={addFromDraft} disabled={!draft.trim()}>
+                {__('Add Ingredients', 'datamachine-recipes')}
+            </Button>
+        </>
+    );
+};
+
+/**
+ * Structure every plain-string ingredient, including those inside groups.
+ *
+ * @param {Array} items Ingredients and ingredient groups
+ * @return {Array} Items with plain strings parsed into structured ingredients
+ */
+const structureAll = (items) => items.map((item) => {
+    if (isIngredientGroup(item)) {
+        return { ...item, items: structureAll(item.items) };
+    }
+    return isStructuredIngredient(item) ? item : parseIngredient(item);
+});
+
+/**
+ * @param {string}   label    Field label for display
+ * @param {Array}    items    Current ingredient items (strings, structured objects and/or groups)
+ * @param {Function} onChange Callback when the ingredient list changes
+ */
+const IngredientInput = ({ label, items, onChange }) => {
+    const updateItem = (itemIndex, newValue) => {
+        const newItems = [...items];
+        newItems[itemIndex] = newValue;
+        onChange(newItems);
+    };
+
+    // Loose ingredients between groups are edited as one list.
+    const blocks = [];
+    items.forEach((item, index) => {
+        const previous = blocks[blocks.length - 1];
+        if (isIngredientGroup(item)) {
+            blocks.push({ group: item, index });
+        } else if (previous && !previous.group) {
+            previous.indexes.push(index);
+        } else {
+            blocks.push({ indexes: [index] });
+        }
+    });
+
+    const hasPlainItems = flattenIngredients(items).some((item) => !isStructuredIngredient(item));
+
+    return (
+        <div className="recipe-array-input recipe-ingredient-input">
+            <label>{label}</label>
+            {blocks.map((block) => {
+                if (block.group) {
+                    return (
+                        <div key={`group-${block.index}`} className="recipe-ingredient-group">
+                            <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-end' }}>
+                                <TextControl
+                                    label={__('Group Name', 'datamachine-recipes')}
+                                    value={block.group.name}
+                                    onChange={(name) => updateItem(block.index, { ...block.group, name })}
+                                    placeholder="For the dough"
+                                />
+                                <Button
+                                    isSecondary
+                                    isDestructive
+                                    onClick={() => onChange(items.filter((item, index) => index !== block.index))}
+                                >
+                                    {__('Remove Group', 'datamachine-recipes')}
+                                </Button>
+                            </div>
+                            <IngredientRows
+                                items={block.group.items}
+                                onChange={(groupItems) => updateItem(block.index, { ...block.group, items: groupItems })}
+                            />
+                            <IngredientPaste
+                                onAdd={(parsed) => updateItem(block.index, { ...block.group, items: [...block.group.items, ...parsed] })}
+                            />
+                        </div>
+                    );
+                }
+
+                const start = block.indexes[0];
+                return (
+                    <IngredientRows
+                        key={`items-${start}`}
+                        items={block.indexes.map((index) => items[index])}
+                        onChange={(looseItems) => onChange([
+                            ...items.slice(0, start),
+                            ...looseItems,
+                            ...items.slice(start + block.indexes.length)
+                        ])}
+                    />
+                );
+            })}
+            {!items.some(isIngredientGroup) && (
+                <IngredientPaste onAdd={(parsed) => onChange([...items, ...parsed])} />
+            )}
+            <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                <Button isSecondary onClick={() => onChange([...items, createIngredientGroup()])}>
+                    {__('Add Ingredient Group', 'datamachine-recipes')}
+                </Button>
+                {hasPlainItems && (
+                    <Button isSecondary onClick={() => onChange(structureAll(items))}>
+                        {__('Structure All', 'datamachine-recipes')}
+                    </Button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default IngredientInput;
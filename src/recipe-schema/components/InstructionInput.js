@@ -0,0 +1,282 @@
+/**
+ * Instruction Input Component
+ *
+ * Editor for the recipeInstructions attribute. Steps can be collected into named
+ * sections ("Make the dough", "Assemble") and each step has optional details: a
+ * short name, an image from the media library or a URL, a URL anchor for linking
+ * straight to the step, a timer, and the part of the recipe video showing the
+ * step. Legacy plain-string steps are edited in place and gain the object form
+ * as soon as any detail is filled in.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { MediaUpload, MediaUploadCheck } from '@wordpress/block-editor';
+import { BaseControl, Button, TextControl, TextareaControl } from '@wordpress/components';
+import { useEffect, useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+import DurationInput from './DurationInput';
+import {
+    createSection,
+    createStep,
+    formatClipOffset,
+    isSection,
+    normalizeStep,
+    parseClipOffset
+} from '../../shared/instructions';
+
+/**
+ * Text field for a video offset in m:ss, applied when the field loses focus.
+ *
+ * @param {string}        label    Field label
+ * @param {number|string} value    Offset in seconds, or empty string
+ * @param {Function}      onChange Callback with the offset in seconds, or empty string
+ */
+const ClipOffsetInput = ({ label, value, onChange }) => {
+    const [text, setText] = useState(formatClipOffset(value));
+    const isInvalid = text.trim() !== '' && parseClipOffset(text) === '';
+
+    useEffect(() => {
+        setText(formatClipOffset(value));
+    }, [value]);
+
+    return (
+        <TextControl
+            label={label}
+            value={text}
+            onChange={setText}
+            onBlur={() => onChange(parseClipOffset(text))}
+            placeholder="1:20"
+            help={isInvalid ? __('Use minutes and seconds, such as 1:20.', 'datamachine-recipes') : undefined}
+        />
+    );
+};
+
+/**
+ * Single step row with collapsible details.
+ *
+ * @param {string|Object} step     Plain string or step object
+ * @param {number}        number   Step number across the recipe
+ * @param {Function}      onChange Callback with the updated step
+ * @param {Function}      onRemove Callback to remove the row
+ */
+const StepRow = ({ step, number, onChange, onRemove }) => {
+    const [showDetails, setShowDetails] = useState(false);
+    const normalized = normalizeStep(step);
+
+    const update = (field) => (value) => {
+        if (typeof step === 'string' && field === 'text') {
+            onChange(value);
+            return;
+        }
+        onChange({ ...normalized, [field]: value });
+    };
+
+    return (
+        <div className="recipe-step-row">
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-start' }}>
+                <span className="recipe-step-row__number">{number}.</span>
+                <TextareaControl
+                    value={normalized.text}
+                    onChange={update('text')}
+                    placeholder={__('Enter this step of the recipe', 'datamachine-recipes')}
+                    rows={2}
+                />
+                <Button isSecondary onClick={() => setShowDetails(!showDetails)} aria-expanded={showDetails}>
+                    {__('Details', 'datamachine-recipes')}
+                </Button>
+                <Button isSecondary isDestructive onClick={onRemove}>
+                    {__('Remove', 'datamachine-recipes')}
+                </Button>
+            </div>
+            {showDetails && (
+                <div className="recipe-step-row__details">
+                    <TextControl
+                        label={__('Step Name', 'datamachine-recipes')}
+                        value={normalized.name}
+                        onChange={update('name')}
+                        placeholder="Knead the dough"
+                    />
+                    <BaseControl id={`recipe-step-image-${number}`} label={__('Step Image', 'datamachine-recipes')}>
+                        {normalized.image && (
+                            <img className="recipe-step-row__image" src={normalized.image} alt="" />
+                        )}
+                        <MediaUploadCheck>
+                            <MediaUpload
+                                allowedTypes={['image']}
+                                value={normalized.imageId}
+                                onSelect={(media) => onChange({ ...normalized, imageId: media.id, image: media.url })}
+                                render={({ open }) => (
+                                    <Button isSecondary onClick={open}>
+                                        {normalized.image ? __('Replace Image', 'datamachine-recipes') : __('Choose Image', 'datamachine-recipes')}
+                                    </Button>
+                                )}
+                            />
+                        </MediaUploadCheck>
+                        {normalized.image && (
+                            <Button isLink isDestructive onClick={() => onChange({ ...normalized, imageId: 0, image: '' })}>
+                                {__('Remove Image', 'datamachine-recipes')}
+                            </Button>
+                        )}
+                    </BaseControl>
+                    {!normalized.imageId && (
+                        <TextControl
+                            label={__('Image URL', 'datamachine-recipes')}
+                            type="url"
+                            value={normalized.image}
+                            onChange={update('image')}
+                        />
+                    )}
+                    <TextControl
+                        label={__('Anchor', 'datamachine-recipes')}
+                        help={__('Lets search results and readers link straight to this step.', 'datamachine-recipes')}
+                        value={normalized.anchor}
+                        onChange={update('anchor')}
+                        placeholder="knead-the-dough"
+                    />
+                    <DurationInput
+                        label={__('Timer', 'datamachine-recipes')}
+                        value={normalized.timer}
+                        onChange={update('timer')}
+                    />
+                    <div className="recipe-step-row__clip">
+                        <ClipOffsetInput
+                            label={__('Video Clip Start', 'datamachine-recipes')}
+                            value={normalized.clipStart}
+                            onChange={update('clipStart')}
+                        />
+                        <ClipOffsetInput
+                            label={__('Video Clip End', 'datamachine-recipes')}
+                            value={normalized.clipEnd}
+                            onChange={update('clipEnd')}
+                        />
+                    </div>
+                    <p className="recipe-panel-help">
+                        {__('Where this step starts and ends in the recipe video. Search engines can show it as a key moment.', 'datamachine-recipes')}
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * List of steps with an add button.
+ *
+ * @param {Array}    steps       Steps (strings and/or step objects)
+ * @param {number}   firstNumber Number of the first step across the recipe
+ * @param {Function} onChange    Callback with the updated steps
+ */
+const StepList = ({ steps, firstNumber, onChange }) => (
+    <>
+        {steps.map((step, index) => (
+            <StepRow
+                key={index}
+                step={step}
+                number={firstNumber + index}
+                onChange={(value) => onChange(steps.map((item, itemIndex) => (itemIndex === index ? value : item)))}
+                onRemove={() => onChange(steps.filter((item, itemIndex) => itemIndex !== index))}
+            />
+        ))}
+        <Button isSecondary onClick={() => onChange([...steps, createStep()])}>
+            {__('Add Step', 'datamachine-recipes')}
+        </Button>
+    </>
+);
+
+/**
+ * @param {string}   label    Field label for display
+ * @param {Array}    items    Current instruction items (steps and/or sections)
+ * @param {Function} onChange Callback when the instruction list changes
+ */
+const InstructionInput = ({ label, items, onChange }) => {
+    const updateItem = (itemIndex, newValue) => {
+        const newItems = [...items];
+        newItems[itemIndex] = newValue;
+        onChange(newItems);
+    };
+
+    const removeItem = (itemIndex) => {
+        onChange(items.filter((item, index) => index !== itemIndex));
+    };
+
+    // Loose steps between sections are edited as one list so numbering and
+    // "Add Step" behave the same as in an unsectioned recipe.
+    const blocks = [];
+    items.forEach((item, index) => {
+        const previous = blocks[blocks.length - 1];
+        if (isSection(item)) {
+            blocks.push({ section: item, index });
+        } else if (previous && !previous.section) {
+            previous.indexes.push(index);
+        } else {
+            blocks.push({ indexes: [index] });
+        }
+    });
+
+    let stepNumber = 1;
+
+    return (
+        <div className="recipe-array-input recipe-instruction-input">
+            <label>{label}</label>
+            {blocks.map((block) => {
+                const firstNumber = stepNumber;
+
+                if (block.section) {
+                    stepNumber += block.section.steps.length;
+                    return (
+                        <div key={`section-${block.index}`} className="recipe-instruction-section">
+                            <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-end' }}>
+                                <TextControl
+                                    label={__('Section Name', 'datamachine-recipes')}
+                                    value={block.section.name}
+                                    onChange={(name) => updateItem(block.index, { ...block.section, name })}
+                                    placeholder="Make the dough"
+                                />
+                                <Button isSecondary isDestructive onClick={() => removeItem(block.index)}>
+                                    {__('Remove Section', 'datamachine-recipes')}
+                                </Button>
+                            </div>
+                            <StepList
+                                steps={block.section.steps}
+                                firstNumber={firstNumber}
+                                onChange={(steps) => updateItem(block.index, { ...block.section, steps })}
+                            />
+                        </div>
+                    );
+                }
+
+                stepNumber += block.indexes.length;
+                return (
+                    <StepList
+                        key={`steps-${block.indexes[0]}`}
+                        steps={block.indexes.map((index) => items[index])}
+                        firstNumber={firstNumber}
+                        onChange={(steps) => {
+                            const start = block.indexes[0];
+                            onChange([
+                                ...items.slice(0, start),
+                                ...steps,
+                                ...items.slice(start + block.indexes.length)
+                            ]);
+                        }}
+                    />
+                );
+            })}
+            <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                {!blocks.length && (
+                    <Button isPrimary onClick={() => onChange([createStep()])}>
+                        {__('Add Step', 'datamachine-recipes')}
+                    </Button>
+                )}
+                <Button isSecondary onClick={() => onChange([...items, createSection('', [createStep()])])}>
+                    {__('Add Section', 'datamachine-recipes')}
+                </Button>
+            </div>
+        </div>
+    );
+};
+
+export default InstructionInput;
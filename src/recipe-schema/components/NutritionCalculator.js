@@ -0,0 +1,153 @@
+/**
+ * Nutrition Calculator Component
+ *
+ * Calculates per-serving nutrition from the recipe's ingredients with the
+ * bundled food database, lists which ingredients were matched and which were
+ * not, and applies the results to the nutrition attribute. Shown inside the
+ * Nutrition panel.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { Button, Notice } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+import { calculateNutrition } from '../../shared/nutrition';
+
+/**
+ * Why an ingredient could not be counted, keyed by calculateNutrition() reason.
+ */
+const UNMATCHED_REASONS = {
+    quantity: __('no quantity', 'datamachine-recipes'),
+    food: __('not in food database', 'datamachine-recipes'),
+    unit: __('unit can\'t be converted', 'datamachine-recipes')
+};
+
+/**
+ * @param {Array}    recipeIngredient Current recipeIngredient attribute
+ * @param {string}   recipeYield      Current recipeYield attribute
+ * @param {Object}   nutrition        Current nutrition attribute
+ * @param {Array}    fields           Nutrition fields ({ key, label }) in display order
+ * @param {Function} onApply          Callback with the updated nutrition object
+ */
+const NutritionCalculator = ({ recipeIngredient, recipeYield, nutrition, fields, onApply }) => {
+    const [result, setResult] = useState(null);
+
+    const calculate = () => setResult(calculateNutrition(recipeIngredient, recipeYield));
+
+    const apply = (overwrite) => {
+        const current = nutrition || {};
+        const next = { ...current };
+        Object.keys(result.nutrition).forEach((key) => {
+            if (overwrite || !current[key]) {
+                next[key] = result.nutrition[key];
+            }
+        });
+        onApply(next);
+        setResult(null);
+    };
+
+    if (!result) {
+        return (
+            <div className="recipe-nutrition-calculator">
+                <Button isSecondary onClick={calculate}>
+                    {__('Calculate from ingredients', 'datamachine-recipes')}
+                </Button>
+            </div>
+        );
+    }
+
+    const hasResults = result.matched.length > 0;
+
+    return (
+        <div className="recipe-nutrition-calculator">
+            {!result.hasYield && (
+                <Notice status="warning" isDismissible={false}>
+                    {__('The yield has no number of servings, so the whole recipe is treated as one serving.', 'datamachine-recipes')}
+                </Notice>
+            )}
+
+            {hasResults ? (
+                <>
+                    <p className="recipe-panel-help">
+                        {sprintf(
+                            /* translators: %s: number of servings */
+                            _n('Per serving, for %s serving:', 'Per serving, for %s servings:', result.servings, 'datamachine-recipes'),
+                            result.servings
+                        )}
+                    </p>
+                    <table className="recipe-nutrition-calculator__values">
+                        <tbody>
+                            {fields.filter(({ key }) => result.nutrition[key]).map(({ key, label }) => (
+                                <tr key={key}>
+                                    <th scope="row">{label}</th>
+                                    <td>{result.nutrition[key]}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="recipe-panel-help">
+                        {__('Matched:', 'datamachine-recipes')}
+                    </p>
+                    <ul className="recipe-nutrition-calculator__list">
+                        {result.matched.map(({ ingredient, food, grams }, index) => (
+                            <li key={index}>
+                                {sprintf(
+                                    /* translators: 1: ingredient text, 2: food database entry, 3: weight in grams */
+                                    __('%1$s → %2$s (%3$d g)', 'datamachine-recipes'),
+                                    ingredient,
+                                    food,
+                                    grams
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            ) : (
+                <Notice status="warning" isDismissible={false}>
+                    {__('None of the ingredients could be matched to the food database.', 'datamachine-recipes')}
+                </Notice>
+            )}
+
+            {result.unmatched.length > 0 && (
+                <>
+                    <p className="recipe-panel-help">
+                        {__('Not counted:', 'datamachine-recipes')}
+                    </p>
+                    <ul className="recipe-nutrition-calculator__list recipe-nutrition-calculator__list--unmatched">
+                        {result.unmatched.map(({ ingredient, reason }, index) => (
+                            <li key={index}>
+                                {sprintf(
+                                    /* translators: 1: ingredient text, 2: reason it was not counted */
+                                    __('%1$s (%2$s)', 'datamachine-recipes'),
+                                    ingredient,
+                                    UNMATCHED_REASONS[reason]
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+
+            <div className="recipe-nutrition-calculator__actions">
+                {hasResults && (
+                    <>
+                        <Button isPrimary onClick={() => apply(true)}>
+                            {__('Apply all', 'datamachine-recipes')}
+                        </Button>
+                        <Button isSecondary onClick={() => apply(false)}>
+                            {__('Fill empty fields', 'datamachine-recipes')}
+                        </Button>
+                    </>
+                )}
+                <Button isLink onClick={() => setResult(null)}>
+                    {__('Cancel', 'datamachine-recipes')}
+                </Button>
+            </div>
+        </div>
+    );
+};
+
+export default NutritionCalculator;
@@ -0,0 +1,65 @@
+/**
+ * Nutrition Panel Component
+ *
+ * Inspector panel with an input for every NutritionInformation property the
+ * block stores, plus a calculator that fills them in from the ingredients.
+ * Field order and labels match the recipe card's nutrition list.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { PanelBody, TextControl } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+import NutritionCalculator from './NutritionCalculator';
+
+/**
+ * Nutrition fields, in card order.
+ */
+const NUTRITION_FIELDS = [
+    { key: 'servingSize', label: __('Serving Size', 'datamachine-recipes'), placeholder: '1 cup' },
+    { key: 'calories', label: __('Calories', 'datamachine-recipes'), placeholder: '250 calories' },
+    { key: 'fatContent', label: __('Fat', 'datamachine-recipes'), placeholder: '10 g' },
+    { key: 'saturatedFatContent', label: __('Saturated Fat', 'datamachine-recipes'), placeholder: '3 g' },
+    { key: 'transFatContent', label: __('Trans Fat', 'datamachine-recipes'), placeholder: '0 g' },
+    { key: 'unsaturatedFatContent', label: __('Unsaturated Fat', 'datamachine-recipes'), placeholder: '6 g' },
+    { key: 'cholesterolContent', label: __('Cholesterol', 'datamachine-recipes'), placeholder: '30 mg' },
+    { key: 'sodiumContent', label: __('Sodium', 'datamachine-recipes'), placeholder: '400 mg' },
+    { key: 'carbohydrateContent', label: __('Carbohydrates', 'datamachine-recipes'), placeholder: '30 g' },
+    { key: 'fiberContent', label: __('Fiber', 'datamachine-recipes'), placeholder: '4 g' },
+    { key: 'sugarContent', label: __('Sugar', 'datamachine-recipes'), placeholder: '8 g' },
+    { key: 'proteinContent', label: __('Protein', 'datamachine-recipes'), placeholder: '15 g' }
+];
+
+/**
+ * @param {Object}   nutrition        Current nutrition attribute
+ * @param {Array}    recipeIngredient Current recipeIngredient attribute, for the calculator
+ * @param {string}   recipeYield      Current recipeYield attribute, for the calculator
+ * @param {Function} onChange         Callback with the updated nutrition object
+ */
+const NutritionPanel = ({ nutrition, recipeIngredient, recipeYield, onChange }) => (
+    <PanelBody title={__('Nutrition', 'datamachine-recipes')} initialOpen={false}>
+        <p className="recipe-panel-help">
+            {__('Amounts per serving. Leave a field empty to omit it.', 'datamachine-recipes')}
+        </p>
+        <NutritionCalculator
+            recipeIngredient={recipeIngredient}
+            recipeYield={recipeYield}
+            nutrition={nutrition}
+            fields={NUTRITION_FIELDS}
+            onApply={onChange}
+        />
+        {NUTRITION_FIELDS.map(({ key, label, placeholder }) => (
+            <TextControl
+                key={key}
+                label={label}
+                value={(nutrition || {})[key] || ''}
+                onChange={(value) => onChange({ ...nutrition, [key]: value })}
+                placeholder={placeholder}
+            />
+        ))}
+    </PanelBody>
+);
+
+export default NutritionPanel;
@@ -0,0 +1,90 @@
+/**
+ * Recipe Gallery Control Component
+ *
+ * Picks the recipe's images from the media library. The first image is shown
+ * on the card; all of them, cropped to 1:1, 4:3 and 16:9, go into the
+ * structured data. Recipes without images use the post's featured image.
+ * Images added by URL (from the publish handler) are kept when the gallery is
+ * edited.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { MediaUpload, MediaUploadCheck } from '@wordpress/block-editor';
+import { BaseControl, Button } from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * @param {Array}    images   Gallery images as { id, url, alt }
+ * @param {Function} onChange Callback with the new image list
+ */
+const RecipeGalleryControl = ({ images, onChange }) => {
+    const ids = images.filter((image) => image.id).map((image) => image.id);
+    const media = useSelect((select) => Object.fromEntries(
+        ids.map((id) => [id, select('core').getMedia(id)])
+    ), [ids.join(',')]);
+
+    const getPreview = (image) => {
+        const item = image.id ? media[image.id] : null;
+        return {
+            url: item?.media_details?.sizes?.thumbnail?.source_url || item?.source_url || image.url,
+            alt: image.alt || item?.alt_text || ''
+        };
+    };
+
+    const onSelect = (selected) => onChange([
+        ...selected.map((item) => ({ id: item.id, url: item.url, alt: '' })),
+        ...images.filter((image) => !image.id)
+    ]);
+
+    return (
+        <BaseControl
+            id="recipe-gallery-control"
+            label={__('Recipe Images', 'datamachine-recipes')}
+            help={__('Defaults to the featured image. The first image is shown on the card; search engines get every image cropped to 1:1, 4:3 and 16:9.', 'datamachine-recipes')}
+        >
+            <MediaUploadCheck>
+                <MediaUpload
+                    allowedTypes={['image']}
+                    multiple
+                    gallery
+                    value={ids}
+                    onSelect={onSelect}
+                    render={({ open }) => (
+                        <div className="recipe-gallery-control">
+                            {images.length > 0 && (
+                                <ul className="recipe-gallery-control__images">
+                                    {images.map((image, index) => {
+                                        const preview = getPreview(image);
+                                        return (
+                                            <li key={image.id || image.url} className="recipe-gallery-control__image">
+                                                {preview.url && <img src={preview.url} alt={preview.alt} />}
+                                                <Button
+                                                    icon="no-alt"
+                                                    label={__('Remove image', 'datamachine-recipes')}
+                                                    onClick={() => onChange(images.filter((item, position) => position !== index))}
+                                                />
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            )}
+                            <Button isSecondary onClick={open}>
+                                {images.length ? __('Edit Images', 'datamachine-recipes') : __('Choose Images', 'datamachine-recipes')}
+                            </Button>
+                            {images.length > 0 && (
+                                <Button isLink isDestructive onClick={() => onChange([])}>
+                                    {__('Use Featured Image', 'datamachine-recipes')}
+                                </Button>
+                            )}
+                        </div>
+                    )}
+                />
+            </MediaUploadCheck>
+        </BaseControl>
+    );
+};
+
+export default RecipeGalleryControl;
@@ -0,0 +1,198 @@
+/**
+ * Text Import Modal Component
+ *
+ * "Import from text" dialog for the recipe-schema block. Editors paste a whole
+ * recipe, review a diff of every attribute the import would change, and apply
+ * it in one step. Parsing happens entirely in the browser via parseRecipeText().
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { Button, Modal, Notice, TextareaControl } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+import { formatIngredient, isIngredientGroup } from '../../shared/ingredients';
+import { normalizeEquipmentItem } from '../../shared/equipment';
+import { isSection, normalizeStep } from '../../shared/instructions';
+import { parseRecipeText } from '../../shared/recipe-text';
+
+/**
+ * Attribute labels, in preview order.
+ */
+const FIELD_LABELS = {
+    recipeName: __('Recipe Name', 'datamachine-recipes'),
+    description: __('Description', 'datamachine-recipes'),
+    prepTime: __('Prep Time', 'datamachine-recipes'),
+    cookTime: __('Cook Time', 'datamachine-recipes'),
+    totalTime: __('Total Time', 'datamachine-recipes'),
+    recipeYield: __('Servings/Yield', 'datamachine-recipes'),
+    recipeCategory: __('Recipe Categories', 'datamachine-recipes'),
+    recipeCuisine: __('Cuisine', 'datamachine-recipes'),
+    keywords: __('Keywords', 'datamachine-recipes'),
+    recipeIngredient: __('Recipe Ingredients', 'datamachine-recipes'),
+    recipeInstructions: __('Recipe Instructions', 'datamachine-recipes'),
+    nutrition: __('Nutrition Information', 'datamachine-recipes'),
+    tool: __('Tools/Equipment', 'datamachine-recipes'),
+    notes: __("Cook's Notes", 'datamachine-recipes')
+};
+
+/**
+ * Format an attribute value as lines of text for the diff.
+ *
+ * @param {string} field Attribute name
+ * @param {*}      value Attribute value
+ * @return {Array} Lines of text
+ */
+const toLines = (field, value) => {
+    if (field === 'recipeIngredient') {
+        return (value || []).flatMap((item) => (
+            isIngredientGroup(item)
+                ? [`${item.name}:`, ...item.items.map((ingredient) => `  ${formatIngredient(ingredient)}`)]
+                : [formatIngredient(item)]
+        ));
+    }
+
+    if (field === 'recipeInstructions') {
+        let number = 0;
+        const stepLine = (step) => `${++number}. ${normalizeStep(step).text}`;
+        return (value || []).flatMap((item) => (
+            isSection(item)
+                ? [`${item.name}:`, ...item.steps.map((step) => `  ${stepLine(step)}`)]
+                : [stepLine(item)]
+        ));
+    }
+
+    if (field === 'nutrition') {
+        return Object.entries(value || {})
+            .filter(([, amount]) => amount)
+            .map(([key, amount]) => `${key}: ${amount}`);
+    }
+
+    if (field === 'tool') {
+        return (value || []).map((item) => normalizeEquipmentItem(item).name).filter(Boolean);
+    }
+
+    if (Array.isArray(value)) {
+        return value.filter(Boolean).map(String);
+    }
+
+    return value ? String(value).split('\n') : [];
+};
+
+/**
+ * Attributes to set when applying an import. Nutrition is merged so values the
+ * text does not mention are kept.
+ *
+ * @param {Object} parsed     Parsed attributes
+ * @param {Object} attributes Current block attributes
+ * @return {Object} Attributes to set
+ */
+const getChanges = (parsed, attributes) => {
+    const changes = { ...parsed };
+    if (parsed.nutrition) {
+        changes.nutrition = { ...attributes.nutrition, ...parsed.nutrition };
+    }
+    return changes;
+};
+
+/**
+ * Diff of one attribute: removed lines, then added lines.
+ *
+ * @param {string} label   Field label
+ * @param {Array}  before  Current lines
+ * @param {Array}  after   Imported lines
+ */
+const FieldDiff = ({ label, before, after }) => (
+    <div className="recipe-import-diff__field">
+        <strong>{label}</strong>
+        {before.filter((line) => !after.includes(line)).map((line, index) => (
+            <del key={`del-${index}`} className="recipe-import-diff__line recipe-import-diff__line--removed">
+                {`− ${line}`}
+            </del>
+        ))}
+        {after.map((line, index) => (
+            before.includes(line) ? (
+                <span key={`same-${index}`} className="recipe-import-diff__line">{`  ${line}`}</span>
+            ) : (
+                <ins key={`ins-${index}`} className="recipe-import-diff__line recipe-import-diff__line--added">
+                    {`+ ${line}`}
+                </ins>
+            )
+        ))}
+    </div>
+);
+
+/**
+ * @param {Object}   attributes    Current block attributes
+ * @param {Function} setAttributes Block attribute setter
+ * @param {Function} onClose       Callback to close the modal
+ */
+const TextImportModal = ({ attributes, setAttributes, onClose }) => {
+    const [text, setText] = useState('');
+    const { attributes: parsed, skipped } = parseRecipeText(text);
+    const changes = getChanges(parsed, attributes);
+
+    const diffs = Object.keys(FIELD_LABELS)
+        .filter((field) => field in changes)
+        .map((field) => ({
+            field,
+            before: toLines(field, attributes[field]),
+            after: toLines(field, changes[field])
+        }))
+        .filter(({ before, after }) => before.join('\n') !== after.join('\n'));
+
+    return (
+        <Modal
+            title={__('Import Recipe from Text', 'datamachine-recipes')}
+            onRequestClose={onClose}
+            className="recipe-import-modal"
+        >
+            <TextareaControl
+                label={__('Recipe Text', 'datamachine-recipes')}
+                help={__('Paste a complete recipe. Headings like Ingredients, Instructions and Nutrition, lists, times ("Prep: 15 mins") and servings ("Serves 4") are detected automatically.', 'datamachine-recipes')}
+                value={text}
+                onChange={setText}
+                rows={10}
+            />
+
+            {text.trim() && (
+                <div className="recipe-import-diff">
+                    <h3>{__('Changes', 'datamachine-recipes')}</h3>
+                    {diffs.length ? diffs.map(({ field, before, after }) => (
+                        <FieldDiff key={field} label={FIELD_LABELS[field]} before={before} after={after} />
+                    )) : (
+                        <p>{__('The text matches the current recipe.', 'datamachine-recipes')}</p>
+                    )}
+                    {skipped.length > 0 && (
+                        <Notice status="warning" isDismissible={false}>
+                            {__('These lines were not recognized and will be skipped:', 'datamachine-recipes')}
+                            <ul>
+                                {skipped.map((line, index) => <li key={index}>{line}</li>)}
+                            </ul>
+                        </Notice>
+                    )}
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end', marginTop: '16px' }}>
+                <Button isSecondary onClick={onClose}>
+                    {__('Cancel', 'datamachine-recipes')}
+                </Button>
+                <Button
+                    isPrimary
+                    disabled={!diffs.length}
+                    onClick={() => {
+                        setAttributes(changes);
+                        onClose();
+                    }}
+                >
+                    {__('Import', 'datamachine-recipes')}
+                </Button>
+            </div>
+        </Modal>
+    );
+};
+
+export default TextImportModal;
@@ -0,0 +1,46 @@
+/**
+ * Validation Notices Component
+ *
+ * Lists recipe validation issues as error and warning notices, with a one-click
+ * fix button where the rule offers one. Used by the block's Rich Results panel
+ * and the pre-publish checklist.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { Notice } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+import { getFix } from '../../shared/validation';
+
+/**
+ * @param {Array}    issues     Validation issues from validateRecipe()
+ * @param {Object}   attributes Block attributes the issues were found in
+ * @param {Function} onFix      Callback with the attributes to update
+ */
+const ValidationNotices = ({ issues, attributes, onFix }) => {
+    if (!issues.length) {
+        return (
+            <Notice status="success" isDismissible={false}>
+                {__('This recipe meets Google\'s rich result requirements.', 'datamachine-recipes')}
+            </Notice>
+        );
+    }
+
+    return issues.map((issue) => {
+        const fix = getFix(issue, attributes);
+        return (
+            <Notice
+                key={issue.id}
+                status={issue.level === 'error' ? 'error' : 'warning'}
+                isDismissible={false}
+                actions={fix ? [{ label: __('Fix', 'datamachine-recipes'), onClick: () => onFix(fix) }] : []}
+            >
+                {issue.message}
+            </Notice>
+        );
+    });
+};
+
+export default ValidationNotices;
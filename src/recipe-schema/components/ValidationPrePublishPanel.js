@@ -0,0 +1,76 @@
+/**
+ * Validation Pre-Publish Panel
+ *
+ * Adds a recipe rich results entry to the editor's pre-publish checklist,
+ * validating every recipe-schema block in the post. Renders nothing for posts
+ * without a recipe.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { PluginPrePublishPanel } from '@wordpress/edit-post';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+import ValidationNotices from './ValidationNotices';
+import { validateRecipe } from '../../shared/validation';
+
+/**
+ * Collect recipe-schema blocks, including those nested in other blocks.
+ *
+ * @param {Array} blocks Editor blocks
+ * @return {Array} Recipe-schema blocks
+ */
+const findRecipeBlocks = (blocks) => blocks.reduce((found, block) => [
+    ...found,
+    ...(block.name === 'datamachine-recipes/recipe-schema' ? [block] : []),
+    ...findRecipeBlocks(block.innerBlocks || [])
+], []);
+
+const ValidationPrePublishPanel = () => {
+    const { blocks, hasImage } = useSelect((select) => ({
+        blocks: select('core/block-editor').getBlocks(),
+        hasImage: !!select('core/editor').getEditedPostAttribute('featured_media')
+    }), []);
+    const { updateBlockAttributes } = useDispatch('core/block-editor');
+
+    const recipes = findRecipeBlocks(blocks);
+    if (!recipes.length) {
+        return null;
+    }
+
+    const results = recipes.map((block) => ({
+        block,
+        issues: validateRecipe(block.attributes, { hasImage })
+    }));
+    const errorCount = results.reduce(
+        (count, { issues }) => count + issues.filter((issue) => issue.level === 'error').length,
+        0
+    );
+
+    return (
+        <PluginPrePublishPanel
+            title={errorCount
+                /* translators: %d: number of rich result errors */
+                ? sprintf(_n('Recipe rich results: %d problem', 'Recipe rich results: %d problems', errorCount, 'datamachine-recipes'), errorCount)
+                : __('Recipe rich results', 'datamachine-recipes')}
+            initialOpen={errorCount > 0}
+        >
+            {results.map(({ block, issues }) => (
+                <div key={block.clientId} className="recipe-validation">
+                    {results.length > 1 && (
+                        <strong>{block.attributes.recipeName || __('Untitled recipe', 'datamachine-recipes')}</strong>
+                    )}
+                    <ValidationNotices
+                        issues={issues}
+                        attributes={block.attributes}
+                        onFix={(fix) => updateBlockAttributes(block.clientId, fix)}
+                    />
+                </div>
+            ))}
+        </PluginPrePublishPanel>
+    );
+};
+
+export default ValidationPrePublishPanel;
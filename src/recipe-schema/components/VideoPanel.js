@@ -0,0 +1,193 @@
+/**
+ * Video Panel Component
+ *
+ * Inspector panel for the recipe's VideoObject. Videos can be picked from the
+ * media library, which fills in the title, description, poster, duration and
+ * upload date, or pasted as a URL. Pasted URLs from oEmbed providers (YouTube,
+ * Vimeo, ...) are resolved through the editor's embed preview to find the
+ * player URL, title and thumbnail.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { MediaUpload, MediaUploadCheck } from '@wordpress/block-editor';
+import { Button, Notice, PanelBody, TextControl, TextareaControl } from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { useEffect } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+
+const VIDEO_FILE = /\.(mp4|m4v|webm|ogv|mov)(\?.*)?$/i;
+
+const EMPTY_VIDEO = {
+    name: '',
+    description: '',
+    thumbnailUrl: '',
+    contentUrl: '',
+    embedUrl: '',
+    uploadDate: '',
+    duration: ''
+};
+
+/**
+ * Convert a media library length ("1:02:03" or "4:05") to an ISO 8601 duration.
+ *
+ * @param {string} length Length in [h:]m:s form
+ * @return {string} ISO 8601 duration, or empty string when the length is unknown
+ */
+const lengthToDuration = (length) => {
+    const parts = String(length || '').split(':').map(Number);
+    if (!parts.length || parts.length > 3 || parts.some((part) => !Number.isFinite(part))) {
+        return '';
+    }
+
+    const [seconds = 0, minutes = 0, hours = 0] = parts.reverse();
+    const duration = `${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds ? `${seconds}S` : ''}`;
+    return duration ? `PT${duration}` : '';
+};
+
+/**
+ * Find the player URL in oEmbed HTML.
+ *
+ * @param {string} html oEmbed HTML
+ * @return {string} iframe src, or empty string
+ */
+const getEmbedSrc = (html) => {
+    const match = String(html || '').match(/<iframe[^>]+src=["']([^"']+)["']/i);
+    return match ? match[1].replace(/&amp;/g, '&') : '';
+};
+
+/**
+ * Map a media library attachment to video attributes.
+ *
+ * @param {Object} media Attachment from MediaUpload
+ * @return {Object} Video attributes
+ */
+const fromMedia = (media) => ({
+    ...EMPTY_VIDEO,
+    name: media.title || '',
+    description: media.description || media.caption || '',
+    contentUrl: media.url || '',
+    // Videos without a poster get WordPress' generic media icon, which is not a useful thumbnail.
+    thumbnailUrl: media.image?.src && !media.image.src.includes('/wp-includes/') ? media.image.src : '',
+    duration: lengthToDuration(media.fileLength || media.meta?.length_formatted),
+    uploadDate: media.date ? new Date(media.date).toISOString() : ''
+});
+
+/**
+ * @param {Object}   video    Current video attribute
+ * @param {Function} onChange Callback with the updated video object
+ */
+const VideoPanel = ({ video, onChange }) => {
+    const current = { ...EMPTY_VIDEO, ...video };
+    const { contentUrl } = current;
+    const isEmbed = !!contentUrl && /^https?:\/\//i.test(contentUrl) && !VIDEO_FILE.test(contentUrl);
+
+    const { preview, isFallback, isResolving } = useSelect((select) => {
+        if (!isEmbed) {
+            return {};
+        }
+        const core = select('core');
+        return {
+            preview: core.getEmbedPreview(contentUrl),
+            isFallback: core.isPreviewEmbedFallback(contentUrl),
+            isResolving: core.isResolving('getEmbedPreview', [contentUrl])
+        };
+    }, [contentUrl, isEmbed]);
+
+    const embedUrl = preview && !isFallback ? getEmbedSrc(preview.html) : '';
+
+    // Fill in what the provider knows without overwriting the editor's own values.
+    useEffect(() => {
+        if (!preview || isFallback) {
+            return;
+        }
+        const detected = {
+            embedUrl: embedUrl || current.embedUrl,
+            name: current.name || preview.title || '',
+            thumbnailUrl: current.thumbnailUrl || preview.thumbnail_url || ''
+        };
+        if (Object.keys(detected).some((key) => detected[key] !== current[key])) {
+            onChange({ ...current, ...detected });
+        }
+    }, [preview, isFallback]);
+
+    const update = (changes) => onChange({ ...current, ...changes });
+
+    return (
+        <PanelBody title={__('Video', 'datamachine-recipes')} initialOpen={false}>
+            <MediaUploadCheck>
+                <MediaUpload
+                    allowedTypes={['video']}
+                    onSelect={(media) => onChange(fromMedia(media))}
+                    render={({ open }) => (
+                        <Button isSecondary onClick={open} style={{ marginBottom: '12px' }}>
+                            {__('Select from Media Library', 'datamachine-recipes')}
+                        </Button>
+                    )}
+                />
+            </MediaUploadCheck>
+
+            <TextControl
+                label={__('Video URL', 'datamachine-recipes')}
+                value={contentUrl}
+                onChange={(value) => update({ contentUrl: value, embedUrl: '' })}
+                placeholder="https://www.youtube.com/watch?v=..."
+                help={__('A video file or a page from a video site such as YouTube or Vimeo.', 'datamachine-recipes')}
+            />
+
+            {isEmbed && !isResolving && preview && !isFallback && (
+                <Notice status="success" isDismissible={false}>
+                    {sprintf(
+                        /* translators: %s: video provider name, e.g. YouTube */
+                        __('%s video detected.', 'datamachine-recipes'),
+                        preview.provider_name || __('Embedded', 'datamachine-recipes')
+                    )}
+                </Notice>
+            )}
+            {isEmbed && !isResolving && isFallback && (
+                <Notice status="warning" isDismissible={false}>
+                    {__('This URL could not be embedded. Search engines may not recognize it as a video.', 'datamachine-recipes')}
+                </Notice>
+            )}
+
+            <TextControl
+                label={__('Title', 'datamachine-recipes')}
+                value={current.name}
+                onChange={(value) => update({ name: value })}
+            />
+            <TextareaControl
+                label={__('Description', 'datamachine-recipes')}
+                value={current.description}
+                onChange={(value) => update({ description: value })}
+                rows={3}
+            />
+            <TextControl
+                label={__('Thumbnail URL', 'datamachine-recipes')}
+                value={current.thumbnailUrl}
+                onChange={(value) => update({ thumbnailUrl: value })}
+            />
+            <TextControl
+                label={__('Duration', 'datamachine-recipes')}
+                value={current.duration}
+                onChange={(value) => update({ duration: value })}
+                placeholder="PT2M30S"
+                help={__('ISO 8601 duration, e.g. PT2M30S for two and a half minutes.', 'datamachine-recipes')}
+            />
+            <TextControl
+                label={__('Upload Date', 'datamachine-recipes')}
+                value={current.uploadDate}
+                onChange={(value) => update({ uploadDate: value })}
+                placeholder="2025-01-31"
+            />
+
+            {contentUrl && (
+                <Button isDestructive isSecondary onClick={() => onChange(EMPTY_VIDEO)}>
+                    {__('Remove Video', 'datamachine-recipes')}
+                </Button>
+            )}
+        </PanelBody>
+    );
+};
+
+export default VideoPanel;
@@ -0,0 +1,555 @@
+/**
+ * Recipe Schema Block - Cook Mode
+ *
+ * Full-screen, step-by-step view of a recipe card for cooking from a phone or
+ * tablet. Shows one instruction at a time in large type with an ingredient
+ * checklist alongside, offers countdown timers for step timers and for
+ * durations mentioned in the step text ("bake for 25 minutes"), and keeps the
+ * screen on with the Screen Wake Lock API where the browser supports it.
+ * Readers move between steps with the buttons, arrow keys or by swiping.
+ *
+ * Steps and ingredients are read from the rendered card each time cook mode
+ * opens, so they reflect the reader's current servings and unit choices.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+
+import { findDurations, formatDuration, parseDuration, secondsToDuration } from '../shared/duration';
+import { createButton, createElement } from './dom';
+
+/**
+ * Minimum horizontal travel, in pixels, for a touch to count as a swipe.
+ */
+const SWIPE_DISTANCE = 50;
+
+/**
+ * Card custom properties carried over to the cook mode overlay, which lives
+ * outside the card so themes' card styles still apply.
+ */
+const THEME_PROPERTIES = ['--recipe-accent', '--recipe-text', '--recipe-muted', '--recipe-border', '--recipe-background', '--recipe-surface', '--recipe-radius'];
+
+let dialogCount = 0;
+
+/**
+ * Read the card's instruction steps with the section each belongs to.
+ *
+ * @param {HTMLElement} card Recipe card element
+ * @return {Array} Steps as { section, element }
+ */
+const readSteps = (card) => {
+    const steps = [];
+    let section = '';
+
+    card.querySelectorAll('.recipe-instructions > .recipe-group-name, .recipe-instructions .recipe-step').forEach((element) => {
+        if (element.classList.contains('recipe-group-name')) {
+            section = element.textContent.trim();
+        } else {
+            steps.push({ section, element });
+        }
+    });
+
+    return steps;
+};
+
+/**
+ * Read the card's ingredients, grouped under their group names.
+ *
+ * @param {HTMLElement} card Recipe card element
+ * @return {Array} Groups as { name, items }, where items are ingredient texts
+ */
+const readIngredientGroups = (card) => {
+    const groups = [];
+
+    card.querySelectorAll('.recipe-ingredients > .recipe-group-name, .recipe-ingredients .recipe-ingredient').forEach((element) => {
+        if (element.classList.contains('recipe-group-name')) {
+            groups.push({ name: element.textContent.trim(), items: [] });
+            return;
+        }
+
+        if (!groups.length) {
+            groups.push({ name: '', items: [] });
+        }
+        groups[groups.length - 1].items.push(element.textContent.replace(/\s+/g, ' ').trim());
+    });
+
+    return groups;
+};
+
+/**
+ * Timers offered for a step: its explicit timer first, then durations in its text.
+ *
+ * @param {HTMLElement} step Step list item
+ * @return {Array} Timers as { label, seconds }
+ */
+const readStepTimers = (step) => {
+    const timers = [];
+    const add = (seconds) => {
+        if (seconds > 0 && !timers.some((timer) => timer.seconds === seconds)) {
+            timers.push({ label: formatDuration(secondsToDuration(seconds)), seconds });
+        }
+    };
+
+    add(parseDuration(step.dataset.timer || ''));
+
+    const text = step.querySelector('.recipe-step__text');
+    findDurations(text ? text.textContent : step.textContent).forEach(({ seconds }) => add(seconds));
+
+    return timers;
+};
+
+/**
+ * Format remaining seconds as a countdown ("4:05", "1:02:30").
+ *
+ * @param {number} total Seconds remaining
+ * @return {string} Countdown text
+ */
+const formatCountdown = (total) => {
+    const seconds = Math.max(0, total);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return hours
+        ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+        : `${minutes}:${pad(seconds % 60)}`;
+};
+
+/**
+ * Sound a short alarm, where Web Audio is available.
+ *
+ * @param {AudioContext|null} audio Audio context unlocked by a reader gesture
+ */
+const playAlarm = (audio) => {
+    if (!audio) {
+        return;
+    }
+
+    [0, 0.4, 0.8].forEach((offset) => {
+        const oscillator = audio.createOscillator();
+        const gain = audio.createGain();
+        oscillator.frequency.value = 880;
+        gain.gain.value = 0.2;
+        oscillator.connect(gain);
+        gain.connect(audio.destination);
+        oscillator.start(audio.currentTime + offset);
+        oscillator.stop(audio.currentTime + offset + 0.25);
+    });
+};
+
+/**
+ * Cook mode for a single recipe card.
+ *
+ * @param {HTMLElement} card Recipe card element (.recipe-schema-block)
+ * @return {Object|null} Cook mode with its start button and open(), or null when the card has no steps
+ */
+const createCookMode = (card) => {
+    if (!readSteps(card).length) {
+        return null;
+    }
+
+    const recipeName = card.querySelector('.recipe-name');
+    const state = {
+        steps: [],
+        index: 0,
+        checked: new Set(),
+        timers: [],
+        interval: null,
+        wakeLock: null,
+        audio: null,
+        returnFocus: null,
+        touch: null
+    };
+
+    const titleId = `recipe-cook-mode-title-${++dialogCount}`;
+    const dialog = createElement('div', 'recipe-cook-mode');
+    dialog.hidden = true;
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', titleId);
+
+    const header = createElement('div', 'recipe-cook-mode__header');
+    const title = createElement('h2', 'recipe-cook-mode__title', recipeName ? recipeName.textContent.trim() : __('Cook mode', 'datamachine-recipes'));
+    title.id = titleId;
+    const ingredientsToggle = createButton('recipe-cook-mode__ingredients-toggle', __('Ingredients', 'datamachine-recipes'));
+    const closeButton = createButton('recipe-cook-mode__close', '×', __('Exit cook mode', 'datamachine-recipes'));
+    header.append(title, ingredientsToggle, closeButton);
+
+    const progress = createElement('div', 'recipe-cook-mode__progress');
+    const progressBar = progress.appendChild(createElement('div', 'recipe-cook-mode__progress-bar'));
+
+    const body = createElement('div', 'recipe-cook-mode__body');
+    const ingredientsPanel = createElement('div', 'recipe-cook-mode__ingredients');
+    ingredientsPanel.id = `${titleId}-ingredients`;
+    ingredientsToggle.setAttribute('aria-controls', ingredientsPanel.id);
+    const stepPanel = createElement('div', 'recipe-cook-mode__step');
+    stepPanel.setAttribute('aria-live', 'polite');
+    stepPanel.tabIndex = -1;
+    body.append(ingredientsPanel, stepPanel);
+
+    const timerTray = createElement('div', 'recipe-cook-mode__timers');
+    timerTray.setAttribute('aria-label', __('Timers', 'datamachine-recipes'));
+    timerTray.hidden = true;
+
+    const nav = createElement('div', 'recipe-cook-mode__nav');
+    const previousButton = createButton('recipe-cook-mode__previous', __('Previous', 'datamachine-recipes'));
+    const nextButton = createButton('recipe-cook-mode__next', __('Next', 'datamachine-recipes'));
+    nav.append(previousButton, nextButton);
+
+    dialog.append(header, progress, body, timerTray, nav);
+
+    const requestWakeLock = () => {
+        if (!('wakeLock' in navigator) || state.wakeLock) {
+            return;
+        }
+
+        navigator.wakeLock.request('screen').then((lock) => {
+            state.wakeLock = lock;
+            lock.addEventListener('release', () => {
+                state.wakeLock = null;
+            });
+        }).catch(() => {
+            // The lock can be refused (battery saver, hidden tab); cook mode still works without it.
+        });
+    };
+
+    const releaseWakeLock = () => {
+        if (state.wakeLock) {
+            state.wakeLock.release();
+            state.wakeLock = null;
+        }
+    };
+
+    const renderIngredients = () => {
+        ingredientsPanel.textContent = '';
+        const groups = readIngredientGroups(card);
+        ingredientsToggle.hidden = !groups.length;
+        ingredientsPanel.hidden = !groups.length;
+        if (!groups.length) {
+            return;
+        }
+
+        ingredientsPanel.append(createElement('h3', 'recipe-cook-mode__heading', __('Ingredients', 'datamachine-recipes')));
+
+        let position = 0;
+        groups.forEach((group) => {
+            if (group.name) {
+                ingredientsPanel.append(createElement('h4', 'recipe-cook-mode__group', group.name));
+            }
+
+            const list = ingredientsPanel.appendChild(createElement('ul', 'recipe-cook-mode__checklist'));
+            group.items.forEach((text) => {
+                const key = position++;
+                const item = list.appendChild(createElement('li', 'recipe-cook-mode__ingredient'));
+                const label = item.appendChild(createElement('label', ''));
+                const checkbox = label.appendChild(document.createElement('input'));
+                checkbox.type = 'checkbox';
+                checkbox.checked = state.checked.has(key);
+                item.classList.toggle('is-checked', checkbox.checked);
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) {
+                        state.checked.add(key);
+                    } else {
+                        state.checked.delete(key);
+                    }
+                    item.classList.toggle('is-checked', checkbox.checked);
+                });
+                label.append(createElement('span', '', text));
+            });
+        });
+    };
+
+    const tick = () => {
+        const now = Date.now();
+
+        state.timers.forEach((timer) => {
+            if (timer.done || timer.paused) {
+                return;
+            }
+
+            timer.remaining = Math.ceil((timer.endsAt - now) / 1000);
+            timer.output.textContent = formatCountdown(timer.remaining);
+
+            if (timer.remaining <= 0) {
+                timer.done = true;
+                timer.element.classList.add('is-done');
+                timer.status.textContent = __('Time\'s up!', 'datamachine-recipes');
+                timer.toggle.hidden = true;
+                timer.dismiss.textContent = __('Dismiss', 'datamachine-recipes');
+                playAlarm(state.audio);
+                if (navigator.vibrate) {
+                    navigator.vibrate([300, 150, 300]);
+                }
+            }
+        });
+
+        if (!state.timers.some((timer) => !timer.done && !timer.paused)) {
+            window.clearInterval(state.interval);
+            state.interval = null;
+        }
+    };
+
+    const startTimer = (label, seconds) => {
+        if (!state.audio && (window.AudioContext || window.webkitAudioContext)) {
+            // Created on a tap so browsers allow the alarm to play later.
+            state.audio = new (window.AudioContext || window.webkitAudioContext)();
+        }
+
+        const timer = {
+            seconds,
+            remaining: seconds,
+            endsAt: Date.now() + (seconds * 1000),
+            paused: false,
+            done: false,
+            element: createElement('div', 'recipe-cook-mode__timer')
+        };
+
+        timer.output = createElement('span', 'recipe-cook-mode__timer-time', formatCountdown(seconds));
+        timer.status = createElement('span', 'recipe-cook-mode__timer-status');
+        timer.status.setAttribute('role', 'status');
+        timer.toggle = createButton('recipe-cook-mode__timer-button', __('Pause', 'datamachine-recipes'));
+        timer.dismiss = createButton('recipe-cook-mode__timer-button', __('Cancel', 'datamachine-recipes'));
+
+        timer.toggle.addEventListener('click', () => {
+            timer.paused = !timer.paused;
+            if (timer.paused) {
+                timer.remaining = Math.ceil((timer.endsAt - Date.now()) / 1000);
+            } else {
+                timer.endsAt = Date.now() + (timer.remaining * 1000);
+                if (!state.interval) {
+                    state.interval = window.setInterval(tick, 1000);
+                }
+            }
+            timer.toggle.textContent = timer.paused ? __('Resume', 'datamachine-recipes') : __('Pause', 'datamachine-recipes');
+            timer.element.classList.toggle('is-paused', timer.paused);
+        });
+
+        timer.dismiss.addEventListener('click', () => {
+            state.timers = state.timers.filter((candidate) => candidate !== timer);
+            timer.element.remove();
+            timerTray.hidden = !state.timers.length;
+        });
+
+        timer.element.append(
+            createElement('span', 'recipe-cook-mode__timer-label', label),
+            timer.output,
+            timer.status,
+            timer.toggle,
+            timer.dismiss
+        );
+
+        state.timers.push(timer);
+        timerTray.append(timer.element);
+        timerTray.hidden = false;
+
+        if (!state.interval) {
+            state.interval = window.setInterval(tick, 1000);
+        }
+    };
+
+    const renderStep = () => {
+        const { section, element } = state.steps[state.index];
+        const number = state.index + 1;
+        const total = state.steps.length;
+
+        stepPanel.textContent = '';
+        stepPanel.append(createElement(
+            'p',
+            'recipe-cook-mode__counter',
+            /* translators: 1: current step number, 2: number of steps */
+            sprintf(__('Step %1$d of %2$d', 'datamachine-recipes'), number, total)
+        ));
+
+        if (section) {
+            stepPanel.append(createElement('p', 'recipe-cook-mode__section', section));
+        }
+
+        const name = element.querySelector('.recipe-step__name');
+        if (name) {
+            stepPanel.append(createElement('h3', 'recipe-cook-mode__step-name', name.textContent.trim()));
+        }
+
+        const text = element.querySelector('.recipe-step__text');
+        const content = createElement('div', 'recipe-cook-mode__text');
+        if (text) {
+            content.append(...[...text.childNodes].map((node) => node.cloneNode(true)));
+        } else {
+            content.textContent = element.textContent.trim();
+        }
+        stepPanel.append(content);
+
+        const timers = readStepTimers(element);
+        if (timers.length) {
+            const actions = stepPanel.appendChild(createElement('div', 'recipe-cook-mode__step-timers'));
+            timers.forEach(({ label, seconds }) => {
+                const button = createButton(
+                    'recipe-cook-mode__start-timer',
+                    /* translators: %s: timer duration, e.g. "25 minutes" */
+                    sprintf(__('Start %s timer', 'datamachine-recipes'), label)
+                );
+                button.addEventListener('click', () => startTimer(
+                    /* translators: 1: step number, 2: timer duration */
+                    sprintf(__('Step %1$d · %2$s', 'datamachine-recipes'), number, label),
+                    seconds
+                ));
+                actions.append(button);
+            });
+        }
+
+        const image = element.querySelector('.recipe-step__image');
+        if (image) {
+            const copy = image.cloneNode(true);
+            copy.className = 'recipe-cook-mode__image';
+            copy.loading = 'eager';
+            stepPanel.append(copy);
+        }
+
+        progressBar.style.width = `${(number / total) * 100}%`;
+        previousButton.disabled = state.index === 0;
+        nextButton.textContent = number === total ? __('Finish', 'datamachine-recipes') : __('Next', 'datamachine-recipes');
+    };
+
+    const goTo = (index) => {
+        state.index = Math.min(Math.max(index, 0), state.steps.length - 1);
+        renderStep();
+    };
+
+    const close = () => {
+        dialog.hidden = true;
+        document.documentElement.classList.remove('has-recipe-cook-mode');
+        releaseWakeLock();
+
+        if (document.fullscreenElement === dialog && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        if (state.returnFocus) {
+            state.returnFocus.focus();
+        }
+    };
+
+    const open = () => {
+        state.steps = readSteps(card);
+        state.index = Math.min(state.index, state.steps.length - 1);
+        state.returnFocus = document.activeElement;
+
+        THEME_PROPERTIES.forEach((property) => {
+            const value = window.getComputedStyle(card).getPropertyValue(property).trim();
+            if (value) {
+                dialog.style.setProperty(property, value);
+            }
+        });
+
+        if (!dialog.parentNode) {
+            document.body.append(dialog);
+        }
+
+        renderIngredients();
+        renderStep();
+        timerTray.hidden = !state.timers.length;
+        ingredientsPanel.classList.remove('is-open');
+        ingredientsToggle.setAttribute('aria-expanded', 'false');
+
+        dialog.hidden = false;
+        document.documentElement.classList.add('has-recipe-cook-mode');
+        stepPanel.focus();
+        requestWakeLock();
+
+        if (dialog.requestFullscreen) {
+            dialog.requestFullscreen().catch(() => {
+                // Fullscreen is optional; the overlay already fills the viewport.
+            });
+        }
+    };
+
+    previousButton.addEventListener('click', () => goTo(state.index - 1));
+    nextButton.addEventListener('click', () => {
+        if (state.index === state.steps.length - 1) {
+            close();
+        } else {
+            goTo(state.index + 1);
+        }
+    });
+    closeButton.addEventListener('click', close);
+
+    ingredientsToggle.addEventListener('click', () => {
+        const isOpen = ingredientsPanel.classList.toggle('is-open');
+        ingredientsToggle.setAttribute('aria-expanded', String(isOpen));
+    });
+
+    dialog.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            close();
+            return;
+        }
+
+        if (event.key === 'Tab') {
+            const focusable = [...dialog.querySelectorAll('button, input, a[href]')]
+                .filter((element) => !element.disabled && element.offsetParent !== null);
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (event.shiftKey && document.activeElement === first) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && document.activeElement === last) {
+                event.preventDefault();
+                first.focus();
+            }
+            return;
+        }
+
+        if (event.target.tagName === 'INPUT') {
+            return;
+        }
+
+        const moves = { ArrowRight: 1, ArrowDown: 1, PageDown: 1, ArrowLeft: -1, ArrowUp: -1, PageUp: -1 };
+        if (moves[event.key]) {
+            event.preventDefault();
+            goTo(state.index + moves[event.key]);
+        } else if (event.key === 'Home') {
+            event.preventDefault();
+            goTo(0);
+        } else if (event.key === 'End') {
+            event.preventDefault();
+            goTo(state.steps.length - 1);
+        }
+    });
+
+    body.addEventListener('touchstart', (event) => {
+        const touch = event.changedTouches[0];
+        state.touch = { x: touch.clientX, y: touch.clientY };
+    }, { passive: true });
+
+    body.addEventListener('touchend', (event) => {
+        if (!state.touch) {
+            return;
+        }
+
+        const touch = event.changedTouches[0];
+        const deltaX = touch.clientX - state.touch.x;
+        const deltaY = touch.clientY - state.touch.y;
+        state.touch = null;
+
+        if (Math.abs(deltaX) >= SWIPE_DISTANCE && Math.abs(deltaX) > Math.abs(deltaY)) {
+            goTo(state.index + (deltaX < 0 ? 1 : -1));
+        }
+    }, { passive: true });
+
+    // Browsers release wake locks when the page is hidden; take it back on return.
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && !dialog.hidden) {
+            requestWakeLock();
+        }
+    });
+
+    const button = createButton('recipe-cook-mode-button', __('Start cooking', 'datamachine-recipes'));
+    button.setAttribute('aria-haspopup', 'dialog');
+    button.addEventListener('click', open);
+
+    return { button, open };
+};
+
+export default createCookMode;
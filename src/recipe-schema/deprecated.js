@@ -0,0 +1,66 @@
+/**
+ * Recipe Schema Block - Deprecations
+ *
+ * The block is rendered on the server, so saved markup never fails validation.
+ * Deprecations are picked by schemaVersion instead: blocks from an older
+ * version are upgraded with migrateAttributes() when the post is opened and
+ * saved at the current version with the post. Blocks saved under a legacy
+ * block name are registered under that name, hidden from the inserter, and
+ * replace themselves with a current block.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { createBlock, registerBlockType } from '@wordpress/blocks';
+import { useDispatch } from '@wordpress/data';
+import { useEffect } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+import metadata from './block.json';
+import { BLOCK_NAME, LEGACY_BLOCK_NAMES, migrateAttributes, needsMigration } from '../shared/migrations';
+
+const deprecated = [
+    {
+        attributes: metadata.attributes,
+        supports: metadata.supports,
+        isEligible: needsMigration,
+        migrate: migrateAttributes,
+        save: () => null
+    }
+];
+
+/**
+ * Editor for blocks saved under a legacy name: swaps in the current block.
+ *
+ * @param {string} clientId   Block client ID
+ * @param {Object} attributes Block attributes
+ */
+const LegacyRecipeEdit = ({ clientId, attributes }) => {
+    const { replaceBlocks } = useDispatch('core/block-editor');
+
+    useEffect(() => {
+        replaceBlocks(clientId, createBlock(BLOCK_NAME, migrateAttributes(attributes)));
+    }, []);
+
+    return null;
+};
+
+/**
+ * Register the legacy block names so saved blocks open as recipe blocks.
+ */
+export const registerLegacyBlocks = () => LEGACY_BLOCK_NAMES.forEach((name) => registerBlockType(name, {
+    apiVersion: metadata.apiVersion,
+    title: __('Recipe Schema (legacy)', 'datamachine-recipes'),
+    icon: 'food',
+    category: 'common',
+    attributes: metadata.attributes,
+    supports: {
+        html: false,
+        inserter: false
+    },
+    edit: LegacyRecipeEdit,
+    save: () => null
+}));
+
+export default deprecated;
@@ -0,0 +1,40 @@
+/**
+ * Recipe Schema Block - Front-end DOM Helpers
+ *
+ * Element factories shared by the recipe card controls and cook mode.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+/**
+ * Create an element with a class name and optional text.
+ *
+ * @param {string} tagName   Element tag
+ * @param {string} className Class attribute
+ * @param {string} text      Text content
+ * @return {HTMLElement} Element
+ */
+export const createElement = (tagName, className, text = '') => {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    return element;
+};
+
+/**
+ * Create a button element.
+ *
+ * @param {string} className Class attribute
+ * @param {string} text      Button text
+ * @param {string} label     Accessible label, when different from the text
+ * @return {HTMLButtonElement} Button
+ */
+export const createButton = (className, text, label = '') => {
+    const button = createElement('button', className, text);
+    button.type = 'button';
+    if (label) {
+        button.setAttribute('aria-label', label);
+    }
+    return button;
+};
@@ -10,7 +10,7 @@
  */
 
 import { registerBlockType } from '@wordpress/blocks';
-import { InspectorControls, useBlockProps } from '@wordpress/block-editor';
+import { BlockControls, InspectorControls, useBlockProps } from '@wordpress/block-editor';
 import { 
     PanelBody, 
     TextControl, 
@@ -18,68 +18,33 @@ import {
     Button, 
     SelectControl, 
     ToggleControl,
-    Notice,
-    __experimentalNumberControl as NumberControl
+    ToolbarGroup,
+    ToolbarButton,
+    Notice
 } from '@wordpress/components';
-import { useState, useEffect } from '@wordpress/element';
-import { __ } from '@wordpress/i18n';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { useEffect, useState } from '@wordpress/element';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { registerPlugin } from '@wordpress/plugins';
+import ServerSideRender from '@wordpress/server-side-render';
 
-/**
- * Duration Input Component
- *
- * Specialized input component for ISO 8601 duration fields (prepTime, cookTime, totalTime).
- * Provides separate hour/minute inputs and automatically converts to ISO 8601 format.
- * Parses existing duration values on mount for editing existing recipes.
- *
- * @param {string}   label    Field label for display
- * @param {string}   value    Current ISO 8601 duration value (e.g., "PT30M")
- * @param {Function} onChange Callback when duration value changes
- */
-const DurationInput = ({ label, value, onChange }) => {
-    const [hours, setHours] = useState(0);
-    const [minutes, setMinutes] = useState(0);
-    
-    useEffect(() => {
-        if (value && value.startsWith('PT')) {
-            const duration = value.substring(2);
-            const hourMatch = duration.match(/(\d+)H/);
-            const minuteMatch = duration.match(/(\d+)M/);
-            
-            if (hourMatch) setHours(parseInt(hourMatch[1]));
-            if (minuteMatch) setMinutes(parseInt(minuteMatch[1]));
-        }
-    }, []);
-    
-    useEffect(() => {
-        let newValue = 'PT';
-        if (hours > 0) newValue += hours + 'H';
-        if (minutes > 0) newValue += minutes + 'M';
-        if (newValue === 'PT') newValue = '';
-        
-        onChange(newValue);
-    }, [hours, minutes]);
-    
-    return (
-        <div className="recipe-duration-input">
-            <label>{label}</label>
-            <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
-                <NumberControl
-                    label={__('Hours', 'datamachine-recipes')}
-                    value={hours}
-                    min={0}
-                    onChange={(value) => setHours(parseInt(value) || 0)}
-                />
-                <NumberControl
-                    label={__('Minutes', 'datamachine-recipes')}
-                    value={minutes}
-                    min={0}
-                    max={59}
-                    onChange={(value) => setMinutes(parseInt(value) || 0)}
-                />
-            </div>
-        </div>
-    );
-};
+import AuthorPanel from './components/AuthorPanel';
+import deprecated, { registerLegacyBlocks } from './deprecated';
+import DurationInput from './components/DurationInput';
+import EquipmentInput from './components/EquipmentInput';
+import IngredientInput from './components/IngredientInput';
+import InstructionInput from './components/InstructionInput';
+import NutritionPanel from './components/NutritionPanel';
+import RecipeGalleryControl from './components/RecipeGalleryControl';
+import TextImportModal from './components/TextImportModal';
+import transforms from './transforms';
+import ValidationNotices from './components/ValidationNotices';
+import ValidationPrePublishPanel from './components/ValidationPrePublishPanel';
+import VideoPanel from './components/VideoPanel';
+import { SCHEMA_VERSION } from '../shared/migrations';
+import { validateRecipe } from '../shared/validation';
+
+import './style.scss';
 
 /**
  * Array Input Component
@@ -213,14 +178,18 @@ const TagInput = ({ label, tags, onChange }) => {
  * Register Recipe Schema Block
  *
  * Main block registration with comprehensive edit interface for Schema.org Recipe data.
- * Provides organized field groups (Basic Info, Timing, Categories, Nutrition, etc.)
- * and uses server-side rendering for Schema.org markup generation.
+ * The canvas holds the core recipe (basic info, timing, ingredients, instructions) and
+ * secondary fields live in inspector panels. Uses server-side rendering for the recipe
+ * card and Schema.org markup generation.
+ * The toolbar toggles between the data form and a ServerSideRender preview of the card.
  */
 registerBlockType('datamachine-recipes/recipe-schema', {
     title: __('Recipe Schema', 'datamachine-recipes'),
     icon: 'food',
     category: 'common',
     description: __('Complete Schema.org Recipe structured data block', 'datamachine-recipes'),
+    transforms,
+    deprecated,
     
     edit: ({ attributes, setAttributes }) => {
         const {
@@ -240,12 +209,41 @@ registerBlockType('datamachine-recipes/recipe-schema', {
             cookingMethod,
             video,
             author,
+            datePublished,
             estimatedCost,
             tool,
-            supply
+            supply,
+            notes,
+            tips,
+            storage,
+            images,
+            anchor,
+            layout,
+            schemaVersion
         } = attributes;
 
         const blockProps = useBlockProps();
+        const { __unstableMarkNextChangeAsNotPersistent } = useDispatch('core/block-editor');
+
+        // Older blocks are upgraded by the deprecations; new blocks start at the current version.
+        useEffect(() => {
+            if (!schemaVersion) {
+                __unstableMarkNextChangeAsNotPersistent();
+                setAttributes({ schemaVersion: SCHEMA_VERSION });
+            }
+        }, []);
+        const [isPreviewing, setIsPreviewing] = useState(false);
+        const [isImporting, setIsImporting] = useState(false);
+        const postId = useSelect((select) => select('core/editor')?.getCurrentPostId(), []);
+        const hasImage = useSelect((select) => !!select('core/editor')?.getEditedPostAttribute('featured_media'), []);
+        const issues = validateRecipe(attributes, { hasImage });
+        const errorCount = issues.filter((issue) => issue.level === 'error').length;
+        
+        const layoutOptions = [
+            { label: __('Full recipe card', 'datamachine-recipes'), value: 'full' },
+            { label: __('Compact', 'datamachine-recipes'), value: 'compact' },
+            { label: __('Steps only', 'datamachine-recipes'), value: 'steps-only' }
+        ];
         
         const cuisineOptions = [
             { label: __('Select Cuisine', 'datamachine-recipes'), value: '' },
@@ -261,8 +259,162 @@ registerBlockType('datamachine-recipes/recipe-schema', {
             { label: __('Other', 'datamachine-recipes'), value: 'Other' }
         ];
         
+        const controls = (
+            <>
+                <BlockControls>
+                    <ToolbarGroup>
+                        <ToolbarButton
+                            icon={isPreviewing ? 'edit' : 'visibility'}
+                            label={isPreviewing ? __('Edit recipe', 'datamachine-recipes') : __('Preview recipe card', 'datamachine-recipes')}
+                            onClick={() => setIsPreviewing(!isPreviewing)}
+                            isPressed={isPreviewing}
+                        />
+                    </ToolbarGroup>
+                </BlockControls>
+                <InspectorControls>
+                    <PanelBody
+                        title={issues.length
+                            /* translators: %d: number of rich result errors and warnings */
+                            ? sprintf(_n('Rich Results (%d issue)', 'Rich Results (%d issues)', issues.length, 'datamachine-recipes'), issues.length)
+                            : __('Rich Results', 'datamachine-recipes')}
+                        initialOpen={errorCount > 0}
+                    >
+                        <div className="recipe-validation">
+                            <ValidationNotices
+                                issues={issues}
+                                attributes={attributes}
+                                onFix={setAttributes}
+                            />
+                        </div>
+                    </PanelBody>
+                    <PanelBody title={__('Display', 'datamachine-recipes')}>
+                        <SelectControl
+                            label={__('Card Layout', 'datamachine-recipes')}
+                            value={layout}
+                            options={layoutOptions}
+                            onChange={(value) => setAttributes({ layout: value })}
+                            help={__('Choose how much of the recipe is shown to readers. Structured data always includes every field.', 'datamachine-recipes')}
+                        />
+                        <RecipeGalleryControl
+                            images={images}
+                            onChange={(value) => setAttributes({ images: value })}
+                        />
+                        <TextControl
+                            label={__('Anchor', 'datamachine-recipes')}
+                            value={anchor}
+                            onChange={(value) => setAttributes({ anchor: value })}
+                            placeholder={__('e.g. chocolate-cake', 'datamachine-recipes')}
+                            help={__('Links to this recipe use #anchor. Defaults to "recipe-" plus the recipe name; repeats in one post get a number added.', 'datamachine-recipes')}
+                        />
+                    </PanelBody>
+                    <PanelBody title={__('Classification', 'datamachine-recipes')} initialOpen={false}>
+                        <SelectControl
+                            label={__('Cuisine', 'datamachine-recipes')}
+                            value={recipeCuisine}
+                            options={cuisineOptions}
+                            onChange={(value) => setAttributes({ recipeCuisine: value })}
+                        />
+                        <TextControl
+                            label={__('Cooking Method', 'datamachine-recipes')}
+                            value={cookingMethod}
+                            onChange={(value) => setAttributes({ cookingMethod: value })}
+                            placeholder="e.g., Baking, Frying"
+                        />
+                        <TagInput
+                            label={__('Recipe Categories', 'datamachine-recipes')}
+                            tags={recipeCategory}
+                            onChange={(value) => setAttributes({ recipeCategory: value })}
+                        />
+                        <TagInput
+                            label={__('Keywords/Tags', 'datamachine-recipes')}
+                            tags={keywords}
+                            onChange={(value) => setAttributes({ keywords: value })}
+                        />
+                        <TagInput
+                            label={__('Suitable for Diet', 'datamachine-recipes')}
+                            tags={suitableForDiet}
+                            onChange={(value) => setAttributes({ suitableForDiet: value })}
+                        />
+                    </PanelBody>
+                    <NutritionPanel
+                        nutrition={nutrition}
+                        recipeIngredient={recipeIngredient}
+                        recipeYield={recipeYield}
+                        onChange={(value) => setAttributes({ nutrition: value })}
+                    />
+                    <VideoPanel
+                        video={video}
+                        onChange={(value) => setAttributes({ video: value })}
+                    />
+                    <AuthorPanel
+                        author={author}
+                        datePublished={datePublished}
+                        onChange={setAttributes}
+                    />
+                    <PanelBody title={__('Notes & Tips', 'datamachine-recipes')} initialOpen={false}>
+                        <TextareaControl
+                            label={__("Cook's Notes", 'datamachine-recipes')}
+                            value={notes}
+                            onChange={(value) => setAttributes({ notes: value })}
+                            rows={4}
+                        />
+                        <ArrayInput
+                            label={__('Tips', 'datamachine-recipes')}
+                            items={tips}
+                            onChange={(value) => setAttributes({ tips: value })}
+                            placeholder="e.g., Chill the dough overnight for thicker cookies"
+                        />
+                        <TextareaControl
+                            label={__('Storage & Make-Ahead', 'datamachine-recipes')}
+                            value={storage}
+                            onChange={(value) => setAttributes({ storage: value })}
+                            placeholder="e.g., Keeps for 3 days in an airtight container"
+                            rows={3}
+                        />
+                        <p className="recipe-panel-help">
+                            {__('Ingredient substitutions are set on each structured ingredient.', 'datamachine-recipes')}
+                        </p>
+                    </PanelBody>
+                    <PanelBody title={__('Equipment & Supplies', 'datamachine-recipes')} initialOpen={false}>
+                        <EquipmentInput
+                            label={__('Tools/Equipment', 'datamachine-recipes')}
+                            items={tool}
+                            onChange={(value) => setAttributes({ tool: value })}
+                            placeholder="e.g., stand mixer"
+                        />
+                        <EquipmentInput
+                            label={__('Supplies', 'datamachine-recipes')}
+                            items={supply}
+                            onChange={(value) => setAttributes({ supply: value })}
+                            placeholder="e.g., parchment paper"
+                        />
+                        <TextControl
+                            label={__('Estimated Cost', 'datamachine-recipes')}
+                            value={estimatedCost}
+                            onChange={(value) => setAttributes({ estimatedCost: value })}
+                            placeholder="$15, £10"
+                        />
+                    </PanelBody>
+                </InspectorControls>
+            </>
+        );
+        
+        if (isPreviewing) {
+            return (
+                <div {...blockProps}>
+                    {controls}
+                    <ServerSideRender
+                        block="datamachine-recipes/recipe-schema"
+                        attributes={attributes}
+                        urlQueries={postId ? { post_id: postId } : {}}
+                    />
+                </div>
+            );
+        }
+        
         return (
             <div {...blockProps}>
+                {controls}
                 <div style={{ 
                     background: '#f8f9fa', 
                     border: '1px solid #e0e0e0', 
@@ -274,8 +426,18 @@ registerBlockType('datamachine-recipes/recipe-schema', {
                         🍽️ {__('Recipe Schema Block', 'datamachine-recipes')}
                     </h3>
                     <p style={{ margin: 0, color: '#666', fontSize: '14px' }}>
-                        {__('This block generates structured data for search engines using the post featured image. Content is not displayed on the frontend but provides rich recipe information for SEO and search results.', 'datamachine-recipes')}
+                        {__('This block displays a recipe card to readers and generates structured data for search engines using the recipe images or the post featured image. Use the preview button in the toolbar to see the card.', 'datamachine-recipes')}
                     </p>
+                    <Button isSecondary onClick={() => setIsImporting(true)} style={{ marginTop: '12px' }}>
+                        {__('Import from text', 'datamachine-recipes')}
+                    </Button>
+                    {isImporting && (
+                        <TextImportModal
+                            attributes={attributes}
+                            setAttributes={setAttributes}
+                            onClose={() => setIsImporting(false)}
+                        />
+                    )}
                 </div>
 
                 <div style={{ marginBottom: '24px' }}>
@@ -334,138 +496,33 @@ registerBlockType('datamachine-recipes/recipe-schema', {
                 </div>
 
                 <div style={{ marginBottom: '24px' }}>
-                    <h4 style={{ marginBottom: '12px', color: '#1e1e1e' }}>
-                        {__('Categories & Cuisine', 'datamachine-recipes')}
-                    </h4>
-                    
-                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px' }}>
-                        <SelectControl
-                            label={__('Cuisine', 'datamachine-recipes')}
-                            value={recipeCuisine}
-                            options={cuisineOptions}
-                            onChange={(value) => setAttributes({ recipeCuisine: value })}
-                        />
-                        
-                        <TextControl
-                            label={__('Cooking Method', 'datamachine-recipes')}
-                            value={cookingMethod}
-                            onChange={(value) => setAttributes({ cookingMethod: value })}
-                            placeholder="e.g., Baking, Frying"
-                        />
-                    </div>
-                    
-                    <div style={{ marginTop: '12px' }}>
-                        <TagInput
-                            label={__('Recipe Categories', 'datamachine-recipes')}
-                            tags={recipeCategory}
-                            onChange={(value) => setAttributes({ recipeCategory: value })}
-                        />
-                    </div>
-                </div>
-
-                <div style={{ marginBottom: '24px' }}>
-                    <ArrayInput
+                    <IngredientInput
                         label={__('Recipe Ingredients', 'datamachine-recipes')}
                         items={recipeIngredient}
                         onChange={(value) => setAttributes({ recipeIngredient: value })}
-                        placeholder="e.g., 1 cup flour, 2 eggs, 1/2 cup sugar"
                     />
                 </div>
 
                 <div style={{ marginBottom: '24px' }}>
-                    <ArrayInput
+                    <InstructionInput
                         label={__('Recipe Instructions', 'datamachine-recipes')}
                         items={recipeInstructions}
                         onChange={(value) => setAttributes({ recipeInstructions: value })}
-                        placeholder="Enter each step of the recipe"
                     />
                 </div>
 
-                <div style={{ marginBottom: '24px' }}>
-                    <h4 style={{ marginBottom: '12px', color: '#1e1e1e' }}>
-                        {__('Nutrition Information (Optional)', 'datamachine-recipes')}
-                    </h4>
-                    
-                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '12px' }}>
-                        <TextControl
-                            label={__('Calories', 'datamachine-recipes')}
-                            value={nutrition.calories || ''}
-                            onChange={(value) => setAttributes({ nutrition: { ...nutrition, calories: value } })}
-                            placeholder="250 calories"
-                        />
-                        
-                        <TextControl
-                            label={__('Carbs', 'datamachine-recipes')}
-                            value={nutrition.carbohydrateContent || ''}
-                            onChange={(value) => setAttributes({ nutrition: { ...nutrition, carbohydrateContent: value } })}
-                            placeholder="30g"
-                        />
-                        
-                        <TextControl
-                            label={__('Protein', 'datamachine-recipes')}
-                            value={nutrition.proteinContent || ''}
-                            onChange={(value) => setAttributes({ nutrition: { ...nutrition, proteinContent: value } })}
-                            placeholder="15g"
-                        />
-                        
-                        <TextControl
-                            label={__('Fat', 'datamachine-recipes')}
-                            value={nutrition.fatContent || ''}
-                            onChange={(value) => setAttributes({ nutrition: { ...nutrition, fatContent: value } })}
-                            placeholder="10g"
-                        />
-                        
-                        <TextControl
-                            label={__('Serving Size', 'datamachine-recipes')}
-                            value={nutrition.servingSize || ''}
-                            onChange={(value) => setAttributes({ nutrition: { ...nutrition, servingSize: value } })}
-                            placeholder="1 cup"
-                        />
-                    </div>
-                </div>
-
-                <div style={{ marginBottom: '24px' }}>
-                    <h4 style={{ marginBottom: '12px', color: '#1e1e1e' }}>
-                        {__('Additional Information (Optional)', 'datamachine-recipes')}
-                    </h4>
-                    
-                    <div style={{ marginBottom: '12px' }}>
-                        <TagInput
-                            label={__('Keywords/Tags', 'datamachine-recipes')}
-                            tags={keywords}
-                            onChange={(value) => setAttributes({ keywords: value })}
-                        />
-                    </div>
-                    
-                    <div style={{ marginBottom: '12px' }}>
-                        <TagInput
-                            label={__('Suitable for Diet', 'datamachine-recipes')}
-                            tags={suitableForDiet}
-                            onChange={(value) => setAttributes({ suitableForDiet: value })}
-                        />
-                    </div>
-                    
-                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
-                        <TextControl
-                            label={__('Estimated Cost', 'datamachine-recipes')}
-                            value={estimatedCost}
-                            onChange={(value) => setAttributes({ estimatedCost: value })}
-                            placeholder="$15, £10"
-                        />
-                    </div>
-                    
-                    <div style={{ marginTop: '12px' }}>
-                        <ArrayInput
-                            label={__('Tools/Equipment', 'datamachine-recipes')}
-                            items={tool}
-                            onChange={(value) => setAttributes({ tool: value })}
-                            placeholder="e.g., mixing bowl, whisk, oven"
-                        />
-                    </div>
-                </div>
+                <p style={{ margin: 0, color: '#666', fontSize: '13px' }}>
+                    {__('Classification, nutrition, video, author, notes and equipment are in the block settings sidebar.', 'datamachine-recipes')}
+                </p>
             </div>
         );
     },
     
     save: () => null,
-});
\ No newline at end of file
+});
+
+registerLegacyBlocks();
+
+registerPlugin('datamachine-recipes-validation', {
+    render: ValidationPrePublishPanel
+});
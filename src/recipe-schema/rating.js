@@ -0,0 +1,250 @@
+/**
+ * Recipe Schema Block - Reader Ratings
+ *
+ * Adds a star picker under the rating summary on recipe cards whose post
+ * accepts ratings. With star ratings only, picking a star sends the rating
+ * straight away; with reviews enabled it opens a short form for an optional
+ * written review, plus name and email for guests when the site requires them.
+ * Ratings go to the recipes REST route. Posts the reader has rated are
+ * remembered in localStorage, so later visits show a thank-you note instead
+ * of the picker.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import apiFetch from '@wordpress/api-fetch';
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+import { createElement } from './dom';
+
+/**
+ * localStorage key for the IDs of posts the reader has rated.
+ */
+const RATED_STORAGE_KEY = 'datamachineRecipesRated';
+
+/**
+ * Read the IDs of posts the reader has rated.
+ *
+ * @return {Array} Post IDs
+ */
+const getRatedPosts = () => {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(RATED_STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Remember that the reader has rated a post.
+ *
+ * @param {number} postId Post ID
+ */
+const storeRatedPost = (postId) => {
+    try {
+        const rated = getRatedPosts().filter((id) => id !== postId);
+        window.localStorage.setItem(RATED_STORAGE_KEY, JSON.stringify([...rated, postId].slice(-200)));
+    } catch (error) {
+        // Without storage the picker shows again on the next visit; the server still rejects a second rating.
+    }
+};
+
+/**
+ * Format a number for the page language.
+ *
+ * @param {number} value    Number
+ * @param {number} decimals Fraction digits
+ * @return {string} Formatted number
+ */
+const formatNumber = (value, decimals = 0) => Number(value).toLocaleString(document.documentElement.lang || undefined, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+});
+
+/**
+ * Rewrite the rating summary with a new average.
+ *
+ * Mirrors RecipeSchemaBlock::render_rating().
+ *
+ * @param {HTMLElement} summary     Summary paragraph
+ * @param {number}      ratingValue Average rating
+ * @param {number}      reviewCount Number of ratings
+ */
+const updateSummary = (summary, ratingValue, reviewCount) => {
+    const rounded = Math.round(ratingValue);
+    const stars = createElement('span', 'recipe-stars', '★'.repeat(rounded) + '☆'.repeat(5 - rounded));
+    stars.setAttribute('role', 'img');
+    stars.setAttribute('aria-label', sprintf(
+        /* translators: %s: rating from 1 to 5 */
+        __('Rated %s out of 5', 'datamachine-recipes'),
+        formatNumber(ratingValue, Number.isInteger(ratingValue) ? 0 : 1)
+    ));
+
+    summary.replaceChildren(stars, ' ', createElement('span', 'recipe-rating__text', sprintf(
+        /* translators: 1: average rating, 2: number of ratings */
+        _n('%1$s from %2$s rating', '%1$s from %2$s ratings', reviewCount, 'datamachine-recipes'),
+        formatNumber(ratingValue, 1),
+        formatNumber(reviewCount)
+    )));
+};
+
+/**
+ * Create a labelled text field.
+ *
+ * @param {string} tagName Input or textarea
+ * @param {string} type    Input type
+ * @param {string} label   Label text
+ * @return {Object} Field wrapper and control
+ */
+const createField = (tagName, type, label) => {
+    const field = createElement('label', 'recipe-rating__field');
+    const control = document.createElement(tagName);
+    if (type) {
+        control.type = type;
+    }
+    field.append(createElement('span', 'recipe-rating__label', label), control);
+    return { field, control };
+};
+
+/**
+ * Add the rating widget to a card's rating summary.
+ *
+ * @param {HTMLElement} container Rating element (.recipe-rating) with data-post-id
+ */
+const createRating = (container) => {
+    const postId = parseInt(container.dataset.postId, 10);
+    const withReview = container.dataset.mode === 'reviews';
+    const needsAuthor = container.dataset.guest === 'true' && container.dataset.requireAuthor === 'true';
+    const summary = container.querySelector('.recipe-rating__summary');
+    const message = createElement('p', 'recipe-rating__message');
+    message.setAttribute('role', 'status');
+    container.append(message);
+
+    if (getRatedPosts().includes(postId)) {
+        message.textContent = __('Thanks for rating this recipe!', 'datamachine-recipes');
+        return;
+    }
+
+    const form = createElement('form', 'recipe-rating__form');
+    const picker = form.appendChild(createElement('fieldset', 'recipe-rating__picker'));
+    picker.append(createElement('legend', 'recipe-rating__legend', __('Rate this recipe', 'datamachine-recipes')));
+
+    const stars = [1, 2, 3, 4, 5].map((value) => {
+        const label = createElement('label', 'recipe-rating__star');
+        const input = label.appendChild(document.createElement('input'));
+        input.type = 'radio';
+        input.name = `recipe-rating-${postId}`;
+        input.value = String(value);
+
+        const icon = label.appendChild(createElement('span', 'recipe-rating__icon', '★'));
+        icon.setAttribute('aria-hidden', 'true');
+        label.append(createElement('span', 'screen-reader-text', sprintf(
+            /* translators: %d: number of stars */
+            _n('%d star', '%d stars', value, 'datamachine-recipes'),
+            value
+        )));
+
+        picker.append(label);
+        return { label, input };
+    });
+
+    const highlight = (value) => {
+        stars.forEach(({ label }, index) => label.classList.toggle('is-active', index < value));
+    };
+    const getRating = () => {
+        const checked = stars.find(({ input }) => input.checked);
+        return checked ? parseInt(checked.input.value, 10) : 0;
+    };
+
+    picker.addEventListener('mouseover', (event) => {
+        const star = event.target.closest('.recipe-rating__star');
+        if (star) {
+            highlight(stars.findIndex(({ label }) => label === star) + 1);
+        }
+    });
+    picker.addEventListener('mouseleave', () => highlight(getRating()));
+
+    const details = createElement('div', 'recipe-rating__details');
+    details.hidden = true;
+    const review = createField('textarea', '', __('Your review (optional)', 'datamachine-recipes'));
+    review.control.rows = 3;
+    const authorName = createField('input', 'text', __('Name', 'datamachine-recipes'));
+    const authorEmail = createField('input', 'email', __('Email (not published)', 'datamachine-recipes'));
+    const submit = createElement('button', 'recipe-rating__submit', __('Submit rating', 'datamachine-recipes'));
+    submit.type = 'submit';
+
+    if (withReview) {
+        details.append(review.field);
+        if (needsAuthor) {
+            details.append(authorName.field, authorEmail.field);
+        }
+        details.append(submit);
+        form.append(details);
+    }
+
+    const send = () => {
+        const rating = getRating();
+        if (!rating) {
+            return;
+        }
+
+        const controls = form.querySelectorAll('input, textarea, button');
+        controls.forEach((control) => {
+            control.disabled = true;
+        });
+        message.textContent = __('Sending your rating…', 'datamachine-recipes');
+
+        apiFetch({
+            path: `/datamachine-recipes/v1/recipes/${postId}/ratings`,
+            method: 'POST',
+            data: {
+                rating,
+                review: withReview ? review.control.value : '',
+                author_name: authorName.control.value,
+                author_email: authorEmail.control.value
+            }
+        }).then((response) => {
+            storeRatedPost(postId);
+            form.remove();
+
+            if (response.status === 'approved') {
+                message.textContent = __('Thanks for rating this recipe!', 'datamachine-recipes');
+                if (response.rating_value) {
+                    updateSummary(summary, response.rating_value, response.review_count);
+                }
+            } else {
+                message.textContent = __('Thanks! Your rating will appear once it has been approved.', 'datamachine-recipes');
+            }
+        }).catch((error) => {
+            if (error.code === 'datamachine_recipes_already_rated') {
+                storeRatedPost(postId);
+                form.remove();
+            } else {
+                controls.forEach((control) => {
+                    control.disabled = false;
+                });
+            }
+            message.textContent = error.message || __('Your rating could not be sent. Please try again.', 'datamachine-recipes');
+        });
+    };
+
+    picker.addEventListener('change', () => {
+        highlight(getRating());
+        if (withReview) {
+            details.hidden = false;
+        } else {
+            send();
+        }
+    });
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        send();
+    });
+
+    container.insertBefore(form, message);
+};
+
+export default createRating;
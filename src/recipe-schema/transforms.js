@@ -0,0 +1,65 @@
+/**
+ * Recipe Schema Block - Transforms
+ *
+ * Converts Schema.org Recipe JSON-LD into a recipe-schema block, either from a
+ * Custom HTML block that holds the script (common after migrating from other
+ * recipe plugins) or from pasted markup. Recipe properties the block cannot
+ * store are listed in a snackbar notice.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { createBlock } from '@wordpress/blocks';
+import { dispatch } from '@wordpress/data';
+import { __, sprintf } from '@wordpress/i18n';
+
+import { findJsonLdRecipes, hasJsonLdRecipe, recipeFromJsonLd } from '../shared/jsonld';
+
+/**
+ * Create recipe-schema blocks from every Recipe in the HTML.
+ *
+ * @param {string} html HTML containing JSON-LD scripts
+ * @return {Array} Recipe-schema blocks
+ */
+const createRecipeBlocks = (html) => findJsonLdRecipes(html).map((recipe) => {
+    const { attributes, dropped } = recipeFromJsonLd(recipe);
+
+    if (dropped.length) {
+        dispatch('core/notices').createWarningNotice(
+            sprintf(
+                /* translators: %s: comma-separated list of Schema.org properties */
+                __('Some recipe data could not be imported: %s', 'datamachine-recipes'),
+                dropped.join(', ')
+            ),
+            { type: 'snackbar' }
+        );
+    }
+
+    return createBlock('datamachine-recipes/recipe-schema', attributes);
+});
+
+const transforms = {
+    from: [
+        {
+            type: 'block',
+            blocks: ['core/html'],
+            isMatch: ({ content }) => hasJsonLdRecipe(content),
+            transform: ({ content }) => createRecipeBlocks(content)
+        },
+        {
+            type: 'raw',
+            schema: {
+                script: {
+                    attributes: ['type'],
+                    children: { '#text': {} }
+                }
+            },
+            isMatch: (node) => node.nodeName === 'SCRIPT' && hasJsonLdRecipe(node.outerHTML),
+            // Raw transforms produce a single block, so a script holding several recipes imports the first.
+            transform: (node) => createRecipeBlocks(node.outerHTML)[0]
+        }
+    ]
+};
+
+export default transforms;
@@ -0,0 +1,353 @@
+/**
+ * Recipe Schema Block - Front-end View Script
+ *
+ * Progressive enhancement for the visible recipe card. Adds a servings stepper
+ * that rescales ingredient quantities from the number in the recipe yield, moving
+ * awkward results into readable units (16 tbsp → 1 cup), and a US/metric toggle
+ * that converts ingredient amounts and oven temperatures in the instructions.
+ * The reader's unit choice is remembered in localStorage and falls back to the
+ * site default set by editors. Cards with instructions also get a "Start
+ * cooking" button that opens cook mode (see cook-mode.js). Cards without a
+ * parseable yield hide the stepper, and cards without anything to convert hide
+ * the toggle. JSON-LD and microdata always keep the original amounts, and the
+ * card is reset to the original amounts while the post is printed. The card's
+ * print link carries the reader's servings and units to the print view, which
+ * starts from them. Cards on posts that accept ratings get a star picker (see
+ * rating.js).
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import domReady from '@wordpress/dom-ready';
+import { __ } from '@wordpress/i18n';
+
+import { findIngredientAmount, parseQuantity } from '../shared/ingredients';
+import { convertTemperatures, hasTemperature, normalizeUnit, unitSystem } from '../shared/units';
+import { parseYield, scaleQuantity, scaledUnitLabel } from '../shared/quantities';
+import createCookMode from './cook-mode';
+import createRating from './rating';
+import { createButton, createElement } from './dom';
+
+/**
+ * localStorage key for the reader's preferred unit system.
+ */
+const UNIT_SYSTEM_STORAGE_KEY = 'datamachineRecipesUnitSystem';
+
+/**
+ * Read the reader's stored unit system preference.
+ *
+ * @return {string|null} "us", "metric", or null when none is stored
+ */
+const getStoredUnitSystem = () => {
+    try {
+        const stored = window.localStorage.getItem(UNIT_SYSTEM_STORAGE_KEY);
+        return ['us', 'metric'].includes(stored) ? stored : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Persist the reader's unit system preference.
+ *
+ * @param {string} system "us" or "metric"
+ */
+const storeUnitSystem = (system) => {
+    try {
+        window.localStorage.setItem(UNIT_SYSTEM_STORAGE_KEY, system);
+    } catch (error) {
+        // Storage can be unavailable (private browsing); the choice then lasts for this page view.
+    }
+};
+
+/**
+ * Wrap part of a text node in a span.
+ *
+ * @param {Text}   node      Text node
+ * @param {number} index     Start of the part
+ * @param {number} length    Length of the part
+ * @param {string} className Span class
+ * @return {HTMLElement} Span holding the part
+ */
+const wrapText = (node, index, length, className) => {
+    const part = node.splitText(index);
+    part.splitText(length);
+
+    const span = createElement('span', className, part.textContent);
+    part.replaceWith(span);
+    return span;
+};
+
+/**
+ * Read the scalable parts of an ingredient list item.
+ *
+ * Structured ingredients are rendered server-side with quantity and unit spans.
+ * In plain string ingredients, the quantity and unit are wrapped in the same
+ * spans here so both forms scale and convert identically; the rest of the
+ * text stays as the author wrote it.
+ *
+ * @param {HTMLElement} item Ingredient list item
+ * @return {Object|null} Ingredient model, or null when it has no quantity
+ */
+const readIngredient = (item) => {
+    let quantityElement = item.querySelector('.recipe-ingredient__quantity');
+    let unitElement = item.querySelector('.recipe-ingredient__unit');
+
+    if (!quantityElement) {
+        const text = item.firstChild;
+        const amount = text && text.nodeType === Node.TEXT_NODE ? findIngredientAmount(text.data) : null;
+        if (!amount || !parseQuantity(amount.quantity.text)) {
+            return null;
+        }
+
+        // Wrap the unit first, so the quantity's position in the text node stays the same.
+        if (amount.unit) {
+            unitElement = wrapText(text, amount.unit.index, amount.unit.text.length, 'recipe-ingredient__unit');
+        }
+        quantityElement = wrapText(text, amount.quantity.index, amount.quantity.text.length, 'recipe-ingredient__quantity');
+    }
+
+    const quantity = parseQuantity(quantityElement.textContent);
+    if (!quantity) {
+        return null;
+    }
+
+    return {
+        quantity,
+        unitKey: unitElement ? normalizeUnit(unitElement.textContent) : null,
+        noConvert: item.dataset.noConvert === 'true',
+        quantityElement,
+        unitElement,
+        originalQuantity: quantityElement.textContent,
+        originalUnit: unitElement ? unitElement.textContent : ''
+    };
+};
+
+/**
+ * Collect instruction text nodes that mention an oven temperature.
+ *
+ * @param {HTMLElement} card Recipe card element
+ * @return {Array} Text nodes paired with their original text
+ */
+const readTemperatures = (card) => {
+    const nodes = [];
+    card.querySelectorAll('.recipe-instructions li').forEach((step) => {
+        const walker = document.createTreeWalker(step, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            if (hasTemperature(walker.currentNode.textContent)) {
+                nodes.push({ node: walker.currentNode, original: walker.currentNode.textContent });
+            }
+        }
+    });
+    return nodes;
+};
+
+/**
+ * Measurement system most of a recipe's ingredients are written in.
+ *
+ * @param {Array} ingredients Ingredient models
+ * @return {string|null} "us", "metric", or null when no ingredient has a measurable unit
+ */
+const detectUnitSystem = (ingredients) => {
+    const counts = ingredients.reduce((totals, ingredient) => {
+        const system = unitSystem(ingredient.unitKey);
+        if (system) {
+            totals[system] = (totals[system] || 0) + 1;
+        }
+        return totals;
+    }, {});
+
+    if (!counts.us && !counts.metric) {
+        return null;
+    }
+    return (counts.metric || 0) > (counts.us || 0) ? 'metric' : 'us';
+};
+
+/**
+ * Interactive controller for a single recipe card.
+ *
+ * @param {HTMLElement} card         Recipe card element (.recipe-schema-block)
+ * @param {Function}    onUnitSystem Callback when the reader picks a unit system
+ * @return {Object|null} Card controller, or null when the card has nothing to enhance
+ */
+const createRecipeCard = (card, onUnitSystem) => {
+    const baseServings = parseYield(card.dataset.recipeYield);
+    const ingredients = [...card.querySelectorAll('.recipe-ingredients .recipe-ingredient')]
+        .map(readIngredient)
+        .filter(Boolean);
+    const temperatures = readTemperatures(card);
+    const writtenSystem = detectUnitSystem(ingredients);
+    const canScale = !!baseServings && ingredients.length > 0;
+    const canConvert = temperatures.length > 0
+        || ingredients.some((ingredient) => !ingredient.noConvert && unitSystem(ingredient.unitKey));
+
+    const cookMode = createCookMode(card);
+
+    if (!canScale && !canConvert && !cookMode) {
+        return null;
+    }
+
+    // The print view passes on the servings and units the reader picked on the post.
+    const isPrintView = card.dataset.printView === 'true';
+    const requestedServings = parseFloat(card.dataset.servings);
+    const requestedSystem = card.dataset.units;
+    const siteSystem = ['us', 'metric'].includes(card.dataset.unitSystem) ? card.dataset.unitSystem : null;
+    const state = {
+        servings: canScale && requestedServings > 0 ? requestedServings : baseServings,
+        system: ['us', 'metric'].includes(requestedSystem) ? requestedSystem : getStoredUnitSystem() || siteSystem
+    };
+    if (requestedSystem === 'original') {
+        state.system = null;
+    }
+
+    const printLink = card.querySelector('.recipe-print-link');
+
+    const yieldValue = card.querySelector('.recipe-meta__item--yield .recipe-meta__value');
+    const originalYield = yieldValue ? yieldValue.textContent : '';
+    const toolbar = createElement('div', 'recipe-controls');
+    const unitButtons = {};
+
+    const render = (servings = state.servings, system = state.system) => {
+        const factor = canScale ? servings / baseServings : 1;
+
+        ingredients.forEach((ingredient) => {
+            const targetSystem = ingredient.noConvert ? null : system;
+            const sourceSystem = unitSystem(ingredient.unitKey);
+            const converting = targetSystem && sourceSystem && sourceSystem !== targetSystem;
+
+            if (factor === 1 && !converting) {
+                ingredient.quantityElement.textContent = ingredient.originalQuantity;
+                if (ingredient.unitElement) {
+                    ingredient.unitElement.textContent = ingredient.originalUnit;
+                }
+                return;
+            }
+
+            const scaled = scaleQuantity(ingredient.quantity, ingredient.unitKey, factor, targetSystem);
+            ingredient.quantityElement.textContent = scaled.quantity;
+            if (ingredient.unitElement && scaled.unit) {
+                ingredient.unitElement.textContent = scaledUnitLabel(scaled.unit, scaled.quantity);
+            }
+        });
+
+        temperatures.forEach(({ node, original }) => {
+            node.textContent = system ? convertTemperatures(original, system) : original;
+        });
+
+        if (yieldValue && canScale) {
+            yieldValue.textContent = factor === 1
+                ? originalYield
+                : originalYield.replace(/\d+(?:[.,]\d+)?/, String(servings));
+        }
+
+        const activeSystem = system || writtenSystem;
+        Object.keys(unitButtons).forEach((key) => {
+            unitButtons[key].setAttribute('aria-pressed', String(key === activeSystem));
+        });
+
+        card.classList.toggle('is-scaled', factor !== 1);
+
+        if (printLink) {
+            const url = new URL(printLink.href, window.location.href);
+            if (factor === 1) {
+                url.searchParams.delete('servings');
+            } else {
+                url.searchParams.set('servings', String(servings));
+            }
+            if (system) {
+                url.searchParams.set('units', system);
+            } else {
+                url.searchParams.delete('units');
+            }
+            printLink.href = url.toString();
+        }
+    };
+
+    if (canScale) {
+        const stepper = createElement('div', 'recipe-servings');
+        stepper.setAttribute('role', 'group');
+        stepper.setAttribute('aria-label', __('Servings', 'datamachine-recipes'));
+
+        const decrease = createButton('recipe-servings__button', '−', __('Decrease servings', 'datamachine-recipes'));
+        const count = createElement('output', 'recipe-servings__count', String(state.servings));
+        count.setAttribute('aria-live', 'polite');
+        const increase = createButton('recipe-servings__button', '+', __('Increase servings', 'datamachine-recipes'));
+
+        const setServings = (servings) => {
+            state.servings = Math.max(1, servings);
+            count.textContent = String(state.servings);
+            decrease.disabled = state.servings <= 1;
+            render();
+        };
+
+        decrease.addEventListener('click', () => setServings(Math.ceil(state.servings) - 1));
+        increase.addEventListener('click', () => setServings(Math.floor(state.servings) + 1));
+        decrease.disabled = state.servings <= 1;
+
+        stepper.append(
+            createElement('span', 'recipe-servings__label', __('Servings', 'datamachine-recipes')),
+            decrease,
+            count,
+            increase
+        );
+        toolbar.append(stepper);
+    }
+
+    if (canConvert) {
+        const toggle = createElement('div', 'recipe-units');
+        toggle.setAttribute('role', 'group');
+        toggle.setAttribute('aria-label', __('Measurement units', 'datamachine-recipes'));
+
+        unitButtons.us = createButton('recipe-units__button', __('US', 'datamachine-recipes'));
+        unitButtons.metric = createButton('recipe-units__button', __('Metric', 'datamachine-recipes'));
+
+        Object.keys(unitButtons).forEach((system) => {
+            unitButtons[system].addEventListener('click', () => onUnitSystem(system));
+        });
+
+        toggle.append(unitButtons.us, unitButtons.metric);
+        toolbar.append(toggle);
+    }
+
+    if (cookMode) {
+        toolbar.append(cookMode.button);
+    }
+
+    const heading = card.querySelector('.recipe-ingredients h3') || card.querySelector('.recipe-instructions h3');
+    heading.insertAdjacentElement('afterend', toolbar);
+
+    render();
+
+    return {
+        isPrintView,
+        render,
+        reset: () => render(baseServings, null),
+        setUnitSystem: (system) => {
+            state.system = system;
+            render();
+        }
+    };
+};
+
+domReady(() => {
+    const cards = [];
+    const setUnitSystem = (system) => {
+        storeUnitSystem(system);
+        cards.forEach((card) => card.setUnitSystem(system));
+    };
+
+    document.querySelectorAll('.recipe-rating[data-post-id]').forEach(createRating);
+
+    document.querySelectorAll('.recipe-schema-block').forEach((element) => {
+        const card = createRecipeCard(element, setUnitSystem);
+        if (card) {
+            cards.push(card);
+        }
+    });
+
+    // Printed posts keep the amounts the author wrote; the print view keeps the reader's choices.
+    const postCards = cards.filter((card) => !card.isPrintView);
+    window.addEventListener('beforeprint', () => postCards.forEach((card) => card.reset()));
+    window.addEventListener('afterprint', () => postCards.forEach((card) => card.render()));
+});
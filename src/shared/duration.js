@@ -0,0 +1,226 @@
+/**
+ * ISO 8601 Durations
+ *
+ * Parses, normalizes and formats the ISO 8601 durations used for recipe times
+ * and step timers. Accepts durations in any case and with years, months, weeks
+ * or fractions, human text ("1 hr 15 min", "1 1/2 hours"), clock times ("1:15")
+ * and bare minutes, and serializes them in canonical form ("PT1H30M",
+ * "P1DT2H"). Mirrors DataMachineRecipes\Recipe\Duration, apart from
+ * findDurations(), which only the front-end cook mode needs.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { _n, _x, sprintf } from '@wordpress/i18n';
+
+import { parseAmount } from './ingredients';
+
+const PATTERN = /^P(?!$)(?:(\d+(?:[.,]\d+)?)Y)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?!$)(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/i;
+
+/**
+ * Human time text parts ("1 1/2 hours", "15 mins", "2d"). Ranges
+ * ("10-15 minutes") capture their lower bound, as findDurations() does.
+ */
+const TEXT_PART = /(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?)(?:\s*(?:-|–|—|to)\s*(?:\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?))?\s*(d|days?|h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)\b/gi;
+
+/**
+ * Seconds per unit, in the order ISO 8601 lists them (years, months, weeks,
+ * days, hours, minutes, seconds).
+ */
+const UNIT_SECONDS = [31536000, 2592000, 604800, 86400, 3600, 60, 1];
+
+const UNIT_KEY_SECONDS = { d: 86400, h: 3600, m: 60, s: 1 };
+
+const PROSE_AMOUNT = '\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?|half\\s+an?|half|an?|one';
+
+/**
+ * Durations in running text ("bake for 25 minutes", "simmer 1 to 2 hours").
+ * Single-letter units are left out so amounts such as "2 m" are not mistaken
+ * for times.
+ */
+const PROSE_PART = new RegExp(`\\b(${PROSE_AMOUNT})(?:\\s*(?:-|–|—|to)\\s*(${PROSE_AMOUNT}))?\\s*(days?|hours?|hrs?|minutes?|mins?|seconds?|secs?)\\b`, 'gi');
+
+/**
+ * Convert a strict ISO 8601 duration to seconds.
+ *
+ * @param {string} duration ISO 8601 duration (e.g., "PT1H30M", "P1DT2H")
+ * @return {number|null} Seconds, or null when the duration is empty or invalid
+ */
+export const durationToSeconds = (duration) => {
+    const match = typeof duration === 'string' ? duration.trim().match(PATTERN) : null;
+    if (!match) {
+        return null;
+    }
+
+    return Math.round(UNIT_SECONDS.reduce((total, unitSeconds, index) => (
+        match[index + 1] ? total + (parseFloat(match[index + 1].replace(',', '.')) * unitSeconds) : total
+    ), 0));
+};
+
+/**
+ * Split seconds into days, hours, minutes and seconds.
+ *
+ * @param {number} total Duration in seconds
+ * @return {{days: number, hours: number, minutes: number, seconds: number}} Duration parts
+ */
+export const splitSeconds = (total) => {
+    const value = Math.max(0, Math.round(Number(total) || 0));
+    return {
+        days: Math.floor(value / 86400),
+        hours: Math.floor((value % 86400) / 3600),
+        minutes: Math.floor((value % 3600) / 60),
+        seconds: value % 60
+    };
+};
+
+/**
+ * Convert seconds to a canonical ISO 8601 duration.
+ *
+ * @param {number} total Duration in seconds
+ * @return {string} ISO 8601 duration (e.g., "PT1H30M"); zero is "PT0M"
+ */
+export const secondsToDuration = (total) => {
+    const { days, hours, minutes, seconds } = splitSeconds(total);
+    const time = `${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds ? `${seconds}S` : ''}`;
+    const duration = `P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+    return duration === 'P' ? 'PT0M' : duration;
+};
+
+/**
+ * Parse a duration in any supported format to seconds.
+ *
+ * Ranges ("about 10-15 minutes") count as their lower bound.
+ *
+ * @param {string|number} value ISO 8601 duration, human text, clock time or minutes
+ * @return {number|null} Seconds, or null when no duration is found
+ */
+export const parseDuration = (value) => {
+    if (typeof value === 'number') {
+        return value >= 0 ? Math.round(value * 60) : null;
+    }
+
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) {
+        return null;
+    }
+
+    const iso = durationToSeconds(text);
+    if (iso !== null) {
+        return iso;
+    }
+
+    if (/^\d+(?:[.,]\d+)?$/.test(text)) {
+        return Math.round(parseFloat(text.replace(',', '.')) * 60);
+    }
+
+    const clock = text.match(/^(\d+):([0-5]\d)(?::([0-5]\d))?$/);
+    if (clock) {
+        return (Number(clock[1]) * 3600) + (Number(clock[2]) * 60) + Number(clock[3] || 0);
+    }
+
+    let seconds = 0;
+    let found = false;
+    for (const [, amount, unit] of text.matchAll(TEXT_PART)) {
+        const number = parseAmount(amount);
+        if (number === null) {
+            continue;
+        }
+        found = true;
+        seconds += number * UNIT_KEY_SECONDS[unit.charAt(0).toLowerCase()];
+    }
+
+    return found ? Math.round(seconds) : null;
+};
+
+/**
+ * Normalize a duration in any supported format to canonical ISO 8601.
+ *
+ * @param {string|number} value Duration value
+ * @return {string} ISO 8601 duration, or empty string when no duration is found
+ */
+export const normalizeDuration = (value) => {
+    const seconds = parseDuration(value);
+    return seconds === null ? '' : secondsToDuration(seconds);
+};
+
+/**
+ * Find the durations mentioned in instruction text.
+ *
+ * Adjacent parts joined by spaces, commas or "and" form one duration
+ * ("1 hour and 15 minutes"). Ranges ("20-25 minutes") report their lower
+ * bound, so readers check early rather than late.
+ *
+ * @param {string} text Instruction text
+ * @return {Array} Durations as { text, seconds }, in order of appearance
+ */
+export const findDurations = (text) => {
+    const durations = [];
+    let previous = null;
+
+    for (const match of String(text || '').matchAll(PROSE_PART)) {
+        let amount = parseAmount(match[1]);
+        if (/^half/i.test(match[1])) {
+            amount = 0.5;
+        } else if (/^(?:an?|one)$/i.test(match[1])) {
+            amount = 1;
+        }
+        if (amount === null) {
+            continue;
+        }
+
+        const unitSeconds = UNIT_KEY_SECONDS[match[3].charAt(0).toLowerCase()];
+        const end = match.index + match[0].length;
+        const joined = previous
+            && unitSeconds < previous.unitSeconds
+            && /^\s*(?:,|and|,\s*and)?\s*$/i.test(text.substring(previous.end, match.index));
+
+        if (joined) {
+            previous.duration.text = text.substring(previous.start, end);
+            previous.duration.seconds += Math.round(amount * unitSeconds);
+            previous = { ...previous, unitSeconds, end };
+        } else {
+            const duration = { text: match[0], seconds: Math.round(amount * unitSeconds) };
+            durations.push(duration);
+            previous = { duration, start: match.index, unitSeconds, end };
+        }
+    }
+
+    return durations;
+};
+
+/**
+ * Format a duration for readers ("1 day 2 hours", "1 hour 30 minutes").
+ *
+ * @param {string} duration Duration in any supported format
+ * @return {string} Localized duration, or the original value when it cannot be parsed
+ */
+export const formatDuration = (duration) => {
+    const total = parseDuration(duration);
+    if (total === null) {
+        return typeof duration === 'string' ? duration : '';
+    }
+
+    const { days, hours, minutes, seconds } = splitSeconds(total);
+    const parts = [];
+
+    if (days) {
+        /* translators: %d: number of days */
+        parts.push(sprintf(_n('%d day', '%d days', days, 'datamachine-recipes'), days));
+    }
+    if (hours) {
+        /* translators: %d: number of hours */
+        parts.push(sprintf(_n('%d hour', '%d hours', hours, 'datamachine-recipes'), hours));
+    }
+    if (minutes || (!parts.length && !seconds)) {
+        /* translators: %d: number of minutes */
+        parts.push(sprintf(_n('%d minute', '%d minutes', minutes, 'datamachine-recipes'), minutes));
+    }
+    if (seconds) {
+        /* translators: %d: number of seconds */
+        parts.push(sprintf(_n('%d second', '%d seconds', seconds, 'datamachine-recipes'), seconds));
+    }
+
+    /* translators: separator between duration parts, e.g. "1 hour 30 minutes" */
+    return parts.join(_x(' ', 'duration separator', 'datamachine-recipes'));
+};
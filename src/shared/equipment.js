@@ -0,0 +1,36 @@
+/**
+ * Recipe Equipment
+ *
+ * Helpers for the tool and supply attributes. Items may be plain strings
+ * (legacy blocks and AI output) or objects with a name, a product link, an
+ * image (imageId for media library images, with the URL in image) and a
+ * sponsored flag for affiliate links.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+/**
+ * Create an equipment item.
+ *
+ * @param {Object} values Initial field values
+ * @return {Object} Equipment item
+ */
+export const createEquipmentItem = (values = {}) => ({
+    name: '',
+    url: '',
+    image: '',
+    imageId: 0,
+    sponsored: false,
+    ...values
+});
+
+/**
+ * Normalize an equipment item to the object form.
+ *
+ * @param {string|Object} item Plain string or equipment item
+ * @return {Object} Item with every field present
+ */
+export const normalizeEquipmentItem = (item) => (
+    typeof item === 'string' ? createEquipmentItem({ name: item }) : createEquipmentItem(item)
+);
@@ -0,0 +1,322 @@
+/**
+ * Recipe Ingredients
+ *
+ * Parsing and formatting for the structured ingredient model used by the
+ * recipeIngredient attribute. Items may be plain strings (legacy blocks and AI
+ * output) or objects with quantity, unit, name, note, optional, noConvert
+ * (exclude from unit conversion) and substitution (suggested swaps) fields,
+ * optionally collected into named groups shaped as { name, items }.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { matchLeadingUnit } from './units';
+
+/**
+ * Unicode vulgar fractions and their numeric values.
+ */
+export const UNICODE_FRACTIONS = {
+    '½': 1 / 2,
+    '⅓': 1 / 3,
+    '⅔': 2 / 3,
+    '¼': 1 / 4,
+    '¾': 3 / 4,
+    '⅕': 1 / 5,
+    '⅖': 2 / 5,
+    '⅗': 3 / 5,
+    '⅘': 4 / 5,
+    '⅙': 1 / 6,
+    '⅚': 5 / 6,
+    '⅛': 1 / 8,
+    '⅜': 3 / 8,
+    '⅝': 5 / 8,
+    '⅞': 7 / 8
+};
+
+const UNICODE_FRACTION_CLASS = Object.keys(UNICODE_FRACTIONS).join('');
+
+/**
+ * A single amount: "2", "1.5", "1/2", "1 1/2", "1½" or "½".
+ */
+const AMOUNT_PATTERN = `(?:\\d+\\s+\\d+\\s*\\/\\s*\\d+|\\d+\\s*\\/\\s*\\d+|\\d+\\s*[${UNICODE_FRACTION_CLASS}]|\\d+(?:[.,]\\d+)?|[${UNICODE_FRACTION_CLASS}])`;
+
+const RANGE_SEPARATOR_PATTERN = '\\s*(?:-|–|—|to)\\s*';
+
+const LEADING_QUANTITY = new RegExp(`^(${AMOUNT_PATTERN})(?:${RANGE_SEPARATOR_PATTERN}(${AMOUNT_PATTERN}))?(?=\\s|$|[a-zA-Z(])`);
+
+const OPTIONAL_PATTERN = /(?:\s*\(optional\)|,\s*optional\b|^optional:?\s*)/i;
+
+/**
+ * A list marker pasted in front of an ingredient ("- ", "• ", "1. ").
+ */
+const LIST_MARKER = /^\s*(?:[-*•▢□]|\d+[.)])\s+/;
+
+/**
+ * A package size in parentheses after the quantity ("(14 oz) ").
+ */
+const PACKAGE_SIZE = /^\(([^()]+)\)\s*/;
+
+/**
+ * Convert a single amount string to a number.
+ *
+ * @param {string} amount Amount text (e.g., "1 1/2", "¾", "0,5")
+ * @return {number|null} Numeric value, or null when unparseable
+ */
+export const parseAmount = (amount) => {
+    if (!amount) {
+        return null;
+    }
+
+    let text = String(amount).trim();
+    let total = 0;
+
+    // Split "1½" into "1 ½" so the whole and fractional parts are summed.
+    text = text.replace(new RegExp(`(\\d)([${UNICODE_FRACTION_CLASS}])`), '$1 $2');
+
+    for (const part of text.split(/\s+/)) {
+        if (UNICODE_FRACTIONS[part] !== undefined) {
+            total += UNICODE_FRACTIONS[part];
+        } else if (/^\d+\s*\/\s*\d+$/.test(part)) {
+            const [numerator, denominator] = part.split('/').map((value) => parseInt(value, 10));
+            if (!denominator) {
+                return null;
+            }
+            total += numerator / denominator;
+        } else if (/^\d+(?:[.,]\d+)?$/.test(part)) {
+            total += parseFloat(part.replace(',', '.'));
+        } else {
+            return null;
+        }
+    }
+
+    return total;
+};
+
+/**
+ * Parse a quantity that may be a single amount or a range.
+ *
+ * @param {string} quantity Quantity text (e.g., "1 1/2", "2–3")
+ * @return {{min: number, max: number|null}|null} Parsed range, max is null for single amounts
+ */
+export const parseQuantity = (quantity) => {
+    if (!quantity) {
+        return null;
+    }
+
+    const match = String(quantity).trim().match(new RegExp(`^(${AMOUNT_PATTERN})(?:${RANGE_SEPARATOR_PATTERN}(${AMOUNT_PATTERN}))?$`));
+    if (!match) {
+        return null;
+    }
+
+    const min = parseAmount(match[1]);
+    const max = match[2] ? parseAmount(match[2]) : null;
+
+    return min === null ? null : { min, max };
+};
+
+const ASCII_FRACTIONS = {
+    '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4',
+    '⅕': '1/5', '⅖': '2/5', '⅗': '3/5', '⅘': '4/5', '⅙': '1/6',
+    '⅚': '5/6', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+const fractionToAscii = (fraction) => ASCII_FRACTIONS[fraction] || fraction;
+
+/**
+ * Normalize quantity text for storage: ASCII fractions, en dash ranges.
+ *
+ * @param {string} quantity Quantity as written
+ * @return {string} Normalized quantity
+ */
+const normalizeQuantityText = (quantity) => {
+    const asciiAmount = (amount) => amount
+        .trim()
+        .replace(new RegExp(`(\\d)\\s*([${UNICODE_FRACTION_CLASS}])`), (match, whole, fraction) => `${whole} ${fractionToAscii(fraction)}`)
+        .replace(new RegExp(`[${UNICODE_FRACTION_CLASS}]`), fractionToAscii)
+        .replace(/\s*\/\s*/, '/')
+        .replace(/\s+/g, ' ');
+
+    return quantity
+        .split(new RegExp(RANGE_SEPARATOR_PATTERN))
+        .map(asciiAmount)
+        .join('–');
+};
+
+/**
+ * Create an empty structured ingredient.
+ *
+ * @param {Object} values Initial field values
+ * @return {Object} Structured ingredient
+ */
+export const createIngredient = (values = {}) => ({
+    quantity: '',
+    unit: '',
+    name: '',
+    note: '',
+    optional: false,
+    noConvert: false,
+    substitution: '',
+    ...values
+});
+
+/**
+ * Whether an ingredient item is a named group of ingredients.
+ *
+ * @param {string|Object} item Ingredient item
+ * @return {boolean} True for groups shaped as { name, items }
+ */
+export const isIngredientGroup = (item) => (
+    item !== null && typeof item === 'object' && Array.isArray(item.items)
+);
+
+/**
+ * Create a named ingredient group.
+ *
+ * @param {string} name  Group heading (e.g., "For the dough")
+ * @param {Array}  items Ingredients in the group
+ * @return {Object} Ingredient group
+ */
+export const createIngredientGroup = (name = '', items = []) => ({ name, items });
+
+/**
+ * Whether an ingredient item uses the structured object form.
+ *
+ * @param {string|Object} ingredient Ingredient item
+ * @return {boolean} True for structured ingredients
+ */
+export const isStructuredIngredient = (ingredient) => (
+    ingredient !== null
+    && typeof ingredient === 'object'
+    && !Array.isArray(ingredient)
+    && !isIngredientGroup(ingredient)
+);
+
+/**
+ * Flatten an ingredient list to its ingredients, dropping group headings.
+ *
+ * @param {Array} items Ingredients and ingredient groups
+ * @return {Array} Plain and structured ingredients, in order
+ */
+export const flattenIngredients = (items = []) => items.reduce((flat, item) => (
+    isIngredientGroup(item) ? [...flat, ...item.items] : [...flat, item]
+), []);
+
+/**
+ * Parse a free-form ingredient line into structured fields.
+ *
+ * Handles leading quantities (including mixed numbers, unicode fractions and
+ * ranges), package sizes in parentheses, known units, "of" connectors, a
+ * trailing comma-separated preparation note, and "(optional)" markers.
+ *
+ * @param {string} line Ingredient line (e.g., "2 cups flour, sifted")
+ * @return {Object} Structured ingredient
+ */
+export const parseIngredient = (line) => {
+    let text = String(line || '')
+        .replace(LIST_MARKER, '')
+        .trim();
+
+    const optional = OPTIONAL_PATTERN.test(text);
+    if (optional) {
+        text = text.replace(OPTIONAL_PATTERN, '').trim();
+    }
+
+    let quantity = '';
+    const quantityMatch = text.match(LEADING_QUANTITY);
+    if (quantityMatch) {
+        quantity = normalizeQuantityText(quantityMatch[0]);
+        text = text.substring(quantityMatch[0].length).trim();
+    }
+
+    // A package size after the quantity ("1 (14 oz) can beans") becomes part of the note.
+    let size = '';
+    const sizeMatch = quantity ? text.match(PACKAGE_SIZE) : null;
+    if (sizeMatch) {
+        size = sizeMatch[1].trim();
+        text = text.substring(sizeMatch[0].length);
+    }
+
+    let unit = '';
+    const unitMatch = quantity ? matchLeadingUnit(text) : null;
+    if (unitMatch) {
+        unit = unitMatch.unit;
+        text = unitMatch.rest.replace(/^of\s+/i, '');
+    }
+
+    let name = text;
+    let note = '';
+    const commaIndex = text.indexOf(',');
+    if (commaIndex > -1) {
+        name = text.substring(0, commaIndex).trim();
+        note = text.substring(commaIndex + 1).trim();
+    }
+
+    note = [size, note].filter(Boolean).join(', ');
+
+    return createIngredient({ quantity, unit, name, note, optional });
+};
+
+/**
+ * Find the quantity and unit of an ingredient line as written.
+ *
+ * Reads the line the way parseIngredient() does, but returns where the
+ * quantity and unit are instead of normalized values, so they can be marked
+ * up without changing the rest of the text.
+ *
+ * @param {string} line Ingredient line (e.g., "1 (14 oz) can beans")
+ * @return {{quantity: Object, unit: Object|null}|null} Quantity and unit as { index, text }, or null when the line has no leading quantity
+ */
+export const findIngredientAmount = (line) => {
+    const text = String(line || '');
+    let index = (text.match(LIST_MARKER) || text.match(/^\s*/))[0].length;
+    index += text.substring(index).match(/^(?:optional:?\s*)?/i)[0].length;
+
+    const quantityMatch = text.substring(index).match(LEADING_QUANTITY);
+    if (!quantityMatch) {
+        return null;
+    }
+
+    const quantity = { index, text: quantityMatch[0] };
+    index += quantityMatch[0].length;
+    index += text.substring(index).match(/^\s*/)[0].length;
+
+    const sizeMatch = text.substring(index).match(PACKAGE_SIZE);
+    if (sizeMatch) {
+        index += sizeMatch[0].length;
+    }
+
+    const unitMatch = matchLeadingUnit(text.substring(index));
+
+    return {
+        quantity,
+        unit: unitMatch ? { index, text: unitMatch.unit } : null
+    };
+};
+
+/**
+ * Format an ingredient item as a Schema.org recipeIngredient string.
+ *
+ * @param {string|Object} ingredient Plain string or structured ingredient
+ * @return {string} Ingredient text
+ */
+export const formatIngredient = (ingredient) => {
+    if (!isStructuredIngredient(ingredient)) {
+        return String(ingredient || '').trim();
+    }
+
+    let text = [ingredient.quantity, ingredient.unit, ingredient.name]
+        .map((part) => String(part || '').trim())
+        .filter(Boolean)
+        .join(' ');
+
+    if (ingredient.note) {
+        text += `, ${ingredient.note.trim()}`;
+    }
+
+    if (ingredient.optional) {
+        text += ' (optional)';
+    }
+
+    return text;
+};
@@ -0,0 +1,96 @@
+/**
+ * Recipe Instructions
+ *
+ * Helpers for the recipeInstructions attribute. Items may be plain strings
+ * (legacy blocks and AI output), step objects with text, name, image, imageId,
+ * anchor, timer and video clip fields, or named sections shaped as
+ * { name, steps }. Clip offsets are whole seconds into the recipe video, or an
+ * empty string when the step has no clip.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+/**
+ * Create a step object.
+ *
+ * @param {Object} values Initial field values
+ * @return {Object} Step
+ */
+export const createStep = (values = {}) => ({
+    text: '',
+    name: '',
+    image: '',
+    imageId: 0,
+    anchor: '',
+    timer: '',
+    clipStart: '',
+    clipEnd: '',
+    ...values
+});
+
+/**
+ * Create a named instruction section.
+ *
+ * @param {string} name  Section heading (e.g., "Make the dough")
+ * @param {Array}  steps Steps in the section
+ * @return {Object} Section
+ */
+export const createSection = (name = '', steps = []) => ({ name, steps });
+
+/**
+ * Whether an instruction item is a named section of steps.
+ *
+ * @param {string|Object} item Instruction item
+ * @return {boolean} True for sections
+ */
+export const isSection = (item) => (
+    item !== null && typeof item === 'object' && Array.isArray(item.steps)
+);
+
+/**
+ * Normalize a step item to the step object form.
+ *
+ * @param {string|Object} step Plain string or step object
+ * @return {Object} Step with every field present
+ */
+export const normalizeStep = (step) => (
+    typeof step === 'string' ? createStep({ text: step }) : createStep(step)
+);
+
+
+/**
+ * Parse a video offset such as "1:20", "1:02:05" or "80" into seconds.
+ *
+ * @param {string} value Offset text
+ * @return {number|string} Seconds, or empty string when the text is not an offset
+ */
+export const parseClipOffset = (value) => {
+    const text = String(value).trim();
+    if (!/^\d+(:[0-5]?\d){0,2}$/.test(text)) {
+        return '';
+    }
+    return text.split(':').reduce((total, part) => (total * 60) + parseInt(part, 10), 0);
+};
+
+/**
+ * Format a video offset in seconds as m:ss, or h:mm:ss for long videos.
+ *
+ * Mirrors Instructions::format_offset().
+ *
+ * @param {number|string} seconds Offset in seconds, or empty string
+ * @return {string} Formatted offset, or empty string
+ */
+export const formatClipOffset = (seconds) => {
+    if (seconds === '' || seconds === null || seconds === undefined) {
+        return '';
+    }
+    const total = Math.max(0, parseInt(seconds, 10) || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const pad = (number) => String(number).padStart(2, '0');
+
+    return hours
+        ? `${hours}:${pad(minutes)}:${pad(total % 60)}`
+        : `${minutes}:${pad(total % 60)}`;
+};
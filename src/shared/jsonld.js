@@ -0,0 +1,364 @@
+/**
+ * Recipe JSON-LD Import
+ *
+ * Finds Schema.org Recipe objects in JSON-LD markup and converts them into
+ * recipe-schema block attributes for the editor block transforms. Mirrors
+ * DataMachineRecipes\Recipe\JsonLdImporter; keep the two mappings in sync.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { normalizeDuration } from './duration';
+import { createEquipmentItem } from './equipment';
+
+/**
+ * Properties that describe the JSON-LD document rather than the recipe.
+ */
+const IGNORED_PROPERTIES = ['@context', '@type', '@id', 'mainEntityOfPage', 'url', 'isPartOf', 'inLanguage', 'dateModified'];
+
+/**
+ * Nutrition properties stored by the block.
+ */
+const NUTRITION_PROPERTIES = [
+    'calories',
+    'carbohydrateContent',
+    'cholesterolContent',
+    'fatContent',
+    'fiberContent',
+    'proteinContent',
+    'saturatedFatContent',
+    'servingSize',
+    'sodiumContent',
+    'sugarContent',
+    'transFatContent',
+    'unsaturatedFatContent'
+];
+
+const JSON_LD_SCRIPT = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+/**
+ * Decode HTML entities in text.
+ *
+ * @param {string} text Text with entities
+ * @return {string} Decoded text
+ */
+const decodeEntities = (text) => {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = text;
+    return textarea.value;
+};
+
+/**
+ * Remove HTML tags from text.
+ *
+ * @param {string} text HTML text
+ * @return {string} Plain text
+ */
+const stripTags = (text) => String(text).replace(/<[^>]*>/g, '');
+
+/**
+ * Whether a JSON-LD node has a Schema.org type (possibly one of several).
+ *
+ * @param {*}      node JSON-LD node
+ * @param {string} type Type name without context
+ * @return {boolean} True when the node has the type
+ */
+const isType = (node, type) => (
+    !!node && typeof node === 'object' && !!node['@type']
+    && [].concat(node['@type']).some((nodeType) => String(nodeType).replace(/^https?:\/\/schema\.org\//, '') === type)
+);
+
+/**
+ * Collect Recipe objects from decoded JSON-LD.
+ *
+ * @param {*} data Decoded JSON-LD node or list
+ * @return {Array} Recipe objects
+ */
+const collectRecipes = (data) => {
+    if (isType(data, 'Recipe')) {
+        return [data];
+    }
+
+    const children = Array.isArray(data) ? data : (data && Array.isArray(data['@graph']) ? data['@graph'] : []);
+    return children.flatMap((child) => (child && typeof child === 'object' ? collectRecipes(child) : []));
+};
+
+/**
+ * Find Schema.org Recipe objects in HTML.
+ *
+ * @param {string} html HTML that may contain JSON-LD scripts
+ * @return {Array} Recipe objects, in document order
+ */
+export const findJsonLdRecipes = (html) => [...String(html || '').matchAll(JSON_LD_SCRIPT)].flatMap(([, json]) => {
+    try {
+        return collectRecipes(JSON.parse(decodeEntities(json.trim())));
+    } catch (error) {
+        return [];
+    }
+});
+
+/**
+ * Whether HTML contains Recipe JSON-LD.
+ *
+ * @param {string} html HTML
+ * @return {boolean} True when at least one Recipe is found
+ */
+export const hasJsonLdRecipe = (html) => findJsonLdRecipes(html).length > 0;
+
+/**
+ * Read a value that may be a single item or a list as a list.
+ *
+ * @param {*} value JSON-LD value
+ * @return {Array} Items
+ */
+const toItems = (value) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.itemListElement && !isType(value, 'HowToSection')) {
+        return toItems(value.itemListElement);
+    }
+    return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Read a text value, using the name (or @value) of objects.
+ *
+ * @param {*} value JSON-LD value
+ * @return {string} Text
+ */
+const toText = (value) => {
+    if (Array.isArray(value)) {
+        return toText(value[0] ?? '');
+    }
+    if (value && typeof value === 'object') {
+        return toText(value.name ?? value['@value'] ?? value.text ?? '');
+    }
+    return ['string', 'number', 'boolean'].includes(typeof value) ? decodeEntities(String(value).trim()) : '';
+};
+
+/**
+ * Read a URL value, using the url of ImageObject-style objects.
+ *
+ * @param {*} value JSON-LD value
+ * @return {string} URL, or empty string
+ */
+const toUrl = (value) => {
+    let url = toItems(value)[0];
+    if (url && typeof url === 'object') {
+        url = url.url ?? url.contentUrl ?? url['@id'] ?? '';
+    }
+    return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : '';
+};
+
+/**
+ * Read a value that may be a list or comma-separated text as a list of strings.
+ *
+ * @param {*} value JSON-LD value
+ * @return {Array} Non-empty strings
+ */
+const toList = (value) => (typeof value === 'string' ? value.split(',') : toItems(value))
+    .map((item) => toText(item).trim())
+    .filter(Boolean);
+
+/**
+ * Read recipeYield, preferring a descriptive value ("12 muffins").
+ *
+ * @param {*} value recipeYield value
+ * @return {string} Yield text
+ */
+const toYield = (value) => {
+    const yields = toList(value);
+    const descriptive = yields.find((item) => !/^\d+(?:\.\d+)?$/.test(item));
+    if (descriptive) {
+        return descriptive;
+    }
+    return yields.length ? `${yields[0]} servings` : '';
+};
+
+/**
+ * Map a HowToStep (or plain string) to a block step.
+ *
+ * @param {*} step HowToStep object or string
+ * @return {string|Object|null} Step, or null when it has no text
+ */
+const toStep = (step) => {
+    if (!step || typeof step !== 'object') {
+        const text = stripTags(toText(step)).trim();
+        return text || null;
+    }
+
+    const text = stripTags(toText(step.text ?? step.name ?? '')).trim();
+    if (!text) {
+        return null;
+    }
+
+    let name = toText(step.name ?? '');
+    if (name === text || /^Step \d+$/i.test(name)) {
+        name = '';
+    }
+
+    const url = toUrl(step.url ?? '');
+    const anchor = url.includes('#') ? url.split('#')[1] : '';
+    const image = toUrl(step.image ?? '');
+
+    if (!name && !anchor && !image) {
+        return text;
+    }
+    return { text, name, image, anchor, timer: '' };
+};
+
+/**
+ * Map recipeInstructions to the block's step and section shapes.
+ *
+ * @param {*} value recipeInstructions value
+ * @return {Array} Instruction items
+ */
+const toInstructions = (value) => {
+    if (typeof value === 'string') {
+        return stripTags(value).split(/[\r\n]+/).map((line) => line.trim()).filter(Boolean);
+    }
+
+    return toItems(value).reduce((items, item) => {
+        if (isType(item, 'HowToSection') || (item && typeof item === 'object' && item.itemListElement)) {
+            const steps = toItems(item.itemListElement || []).map(toStep).filter(Boolean);
+            return steps.length ? [...items, { name: toText(item.name ?? ''), steps }] : items;
+        }
+
+        const step = toStep(item);
+        return step ? [...items, step] : items;
+    }, []);
+};
+
+/**
+ * Convert a Schema.org Recipe object into block attributes.
+ *
+ * @param {Object} recipe Recipe object from findJsonLdRecipes()
+ * @return {{attributes: Object, dropped: Array}} Block attributes and the recipe properties that could not be imported
+ */
+export const recipeFromJsonLd = (recipe) => {
+    const attributes = {};
+    const dropped = [];
+
+    Object.entries(recipe).forEach(([property, value]) => {
+        if (IGNORED_PROPERTIES.includes(property) || value === null || value === '') {
+            return;
+        }
+
+        switch (property) {
+            case 'name':
+                attributes.recipeName = toText(value);
+                break;
+
+            case 'description':
+                attributes.description = stripTags(toText(value));
+                break;
+
+            case 'prepTime':
+            case 'cookTime':
+            case 'totalTime':
+                if (normalizeDuration(toText(value))) {
+                    attributes[property] = normalizeDuration(toText(value));
+                } else {
+                    dropped.push(property);
+                }
+                break;
+
+            case 'recipeYield':
+                attributes.recipeYield = toYield(value);
+                break;
+
+            case 'recipeCategory':
+            case 'keywords':
+                attributes[property] = toList(value);
+                break;
+
+            case 'suitableForDiet':
+                // RestrictedDiet URLs are stored by name, as the editor shows them.
+                attributes.suitableForDiet = toList(value).map((diet) => diet.replace(/^https?:\/\/schema\.org\//i, ''));
+                break;
+
+            case 'recipeCuisine':
+            case 'cookingMethod':
+                attributes[property] = toList(value).join(', ');
+                break;
+
+            case 'recipeIngredient':
+            case 'ingredients':
+                attributes.recipeIngredient = [].concat(value).map(toText).filter(Boolean);
+                break;
+
+            case 'recipeInstructions':
+                attributes.recipeInstructions = toInstructions(value);
+                break;
+
+            case 'nutrition':
+                Object.entries(value || {}).forEach(([key, amount]) => {
+                    if (key === '@type') {
+                        return;
+                    }
+                    if (NUTRITION_PROPERTIES.includes(key)) {
+                        attributes.nutrition = { ...attributes.nutrition, [key]: toText(amount) };
+                    } else {
+                        dropped.push(`nutrition.${key}`);
+                    }
+                });
+                break;
+
+            case 'video': {
+                const video = toItems(value)[0] || {};
+                attributes.video = {
+                    name: toText(video.name ?? ''),
+                    description: toText(video.description ?? ''),
+                    contentUrl: toUrl(video.contentUrl ?? video.embedUrl ?? ''),
+                    embedUrl: toUrl(video.embedUrl ?? ''),
+                    thumbnailUrl: toUrl(video.thumbnailUrl ?? ''),
+                    uploadDate: toText(video.uploadDate ?? ''),
+                    duration: normalizeDuration(toText(video.duration ?? ''))
+                };
+                break;
+            }
+
+            case 'author': {
+                const author = toItems(value)[0];
+                attributes.author = {
+                    name: toText(author),
+                    url: author && typeof author === 'object' ? toUrl(author.url ?? '') : ''
+                };
+                break;
+            }
+
+            case 'datePublished':
+                attributes.datePublished = toText(value);
+                break;
+
+            case 'estimatedCost': {
+                const cost = toItems(value)[0];
+                if (cost && typeof cost === 'object') {
+                    const amount = cost.value !== undefined
+                        ? toText(cost.value)
+                        : [toText(cost.minValue ?? ''), toText(cost.maxValue ?? '')].filter(Boolean).join('-');
+                    attributes.estimatedCost = `${amount} ${toText(cost.currency ?? '')}`.trim();
+                } else {
+                    attributes.estimatedCost = toText(cost);
+                }
+                break;
+            }
+
+            case 'tool':
+            case 'supply':
+                attributes[property] = toItems(value).map((item) => {
+                    const url = item && typeof item === 'object' ? toUrl(item.url ?? '') : '';
+                    const image = item && typeof item === 'object' ? toUrl(item.image ?? '') : '';
+
+                    // Keep the plain string form unless there is a link or image to carry over.
+                    return url || image ? createEquipmentItem({ name: toText(item), url, image }) : toText(item);
+                }).filter((item) => (typeof item === 'string' ? item : item.name));
+                break;
+
+            default:
+                // The featured image and post ratings are managed by WordPress, not the block.
+                dropped.push(property);
+        }
+    });
+
+    return { attributes, dropped };
+};
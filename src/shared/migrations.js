@@ -0,0 +1,68 @@
+/**
+ * Recipe Block Migrations
+ *
+ * Upgrades recipe-schema block attributes saved by earlier plugin versions.
+ * Blocks store a schemaVersion attribute; blocks saved before it existed count
+ * as version 1. Mirrors DataMachineRecipes\Blocks\BlockMigrator, so
+ * SCHEMA_VERSION and the migration steps must change together in both.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { normalizeDuration } from './duration';
+
+export const SCHEMA_VERSION = 2;
+
+export const BLOCK_NAME = 'datamachine-recipes/recipe-schema';
+
+/**
+ * Earlier names of the recipe-schema block.
+ */
+export const LEGACY_BLOCK_NAMES = ['data-machine-recipes/recipe-schema'];
+
+/**
+ * Migration steps, keyed by the version they upgrade to.
+ */
+const MIGRATIONS = {
+    /**
+     * Canonical ISO 8601 durations.
+     */
+    2: (attributes) => {
+        ['prepTime', 'cookTime', 'totalTime'].forEach((key) => {
+            if (attributes[key]) {
+                attributes[key] = normalizeDuration(attributes[key]);
+            }
+        });
+
+        if (attributes.video?.duration) {
+            attributes.video = { ...attributes.video, duration: normalizeDuration(attributes.video.duration) };
+        }
+
+        return attributes;
+    }
+};
+
+/**
+ * Whether block attributes are from an older schema version.
+ *
+ * @param {Object} attributes Block attributes
+ * @return {boolean}
+ */
+export const needsMigration = (attributes) => (attributes.schemaVersion || 1) < SCHEMA_VERSION;
+
+/**
+ * Upgrade block attributes to the current schema version.
+ *
+ * @param {Object} attributes Block attributes, as saved
+ * @return {Object} Attributes at SCHEMA_VERSION
+ */
+export const migrateAttributes = (attributes) => {
+    let migrated = { ...attributes };
+
+    for (let version = Math.max(1, attributes.schemaVersion || 1) + 1; version <= SCHEMA_VERSION; version++) {
+        migrated = MIGRATIONS[version](migrated);
+    }
+
+    return { ...migrated, schemaVersion: SCHEMA_VERSION };
+};
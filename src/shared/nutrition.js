@@ -0,0 +1,182 @@
+/**
+ * Nutrition Calculator
+ *
+ * Estimates per-serving nutrition from a recipe's ingredients using the bundled
+ * food composition dataset in data/foods.json (per-100 g values). Each
+ * ingredient is matched to a food by name, its quantity converted to grams
+ * (by weight, by volume through the food's density, or by count through the
+ * food's typical unit weights), and the totals divided by the servings in
+ * recipeYield. Works entirely offline. Mirrors
+ * DataMachineRecipes\Recipe\NutritionCalculator; keep the two in sync.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import foodData from '../../data/foods.json';
+import { flattenIngredients, formatIngredient, isStructuredIngredient, parseIngredient, parseQuantity } from './ingredients';
+import { parseYield } from './quantities';
+import { UNITS, normalizeUnit } from './units';
+
+/**
+ * Approximate volumes in milliliters for units too small to have a base size.
+ */
+const SMALL_VOLUMES = { pinch: 0.31, dash: 0.62 };
+
+/**
+ * Nutrients measured in milligrams; calories are kcal and the rest grams.
+ */
+const MILLIGRAM_NUTRIENTS = ['cholesterolContent', 'sodiumContent'];
+
+/**
+ * Lowercase, strip accents, parentheticals and punctuation.
+ *
+ * @param {string} text Ingredient or alias text
+ * @return {string} Normalized text
+ */
+const normalizeName = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Every food alias, normalized, with the food it belongs to.
+ */
+const ALIASES = foodData.foods.flatMap((food) => food.aliases.map((alias) => ({ alias: normalizeName(alias), food })));
+
+/**
+ * Match an ingredient name to a food.
+ *
+ * Aliases may match in singular or plural form. When several aliases match,
+ * the one ending last wins, since the last words of an ingredient name are the
+ * food itself ("almond milk" is milk), then the longest.
+ *
+ * @param {string} name Ingredient name
+ * @return {Object|null} Food from the dataset, or null when none matches
+ */
+export const matchFood = (name) => {
+    const text = ` ${normalizeName(name)} `;
+    let best = null;
+
+    ALIASES.forEach(({ alias, food }) => {
+        const match = text.match(new RegExp(` ${alias}(?:e?s)?(?= )`));
+        if (!match) {
+            return;
+        }
+
+        const end = match.index + match[0].length;
+        if (!best || end > best.end || (end === best.end && alias.length > best.alias.length)) {
+            best = { alias, food, end };
+        }
+    });
+
+    return best ? best.food : null;
+};
+
+/**
+ * Convert an ingredient amount to grams of a food.
+ *
+ * @param {number}      amount Quantity
+ * @param {string|null} key    Canonical unit key, or null for a count
+ * @param {Object}      food   Food from the dataset
+ * @return {number|null} Grams, or null when the unit cannot be converted for this food
+ */
+const toGrams = (amount, key, food) => {
+    const unit = key ? UNITS[key] : null;
+    const units = food.units || {};
+
+    if (unit && unit.dimension === 'weight') {
+        return amount * unit.base;
+    }
+
+    const milliliters = unit && unit.dimension === 'volume' ? unit.base : SMALL_VOLUMES[key];
+    if (milliliters) {
+        return food.density ? amount * milliliters * food.density : null;
+    }
+
+    const each = key ? units[key] ?? (key === 'piece' ? units.each : undefined) : units.each;
+    return each ? amount * each : null;
+};
+
+/**
+ * Format a per-serving nutrient amount as a Schema.org NutritionInformation value.
+ *
+ * @param {string} property Nutrition property
+ * @param {number} amount   Amount per serving
+ * @return {string} Value such as "250 calories", "12 g" or "45 mg"
+ */
+const formatNutrient = (property, amount) => {
+    if (property === 'calories') {
+        return `${Math.round(amount)} calories`;
+    }
+    if (MILLIGRAM_NUTRIENTS.includes(property)) {
+        return `${Math.round(amount)} mg`;
+    }
+    return `${amount < 10 ? Math.round(amount * 10) / 10 : Math.round(amount)} g`;
+};
+
+/**
+ * Calculate per-serving nutrition from recipe ingredients.
+ *
+ * @param {Array}  recipeIngredient recipeIngredient attribute (strings, structured ingredients or groups)
+ * @param {string} recipeYield      recipeYield attribute, read for the number of servings
+ * @return {Object} { nutrition, servings, hasYield, matched, unmatched }. matched items are
+ *                  { ingredient, food, grams }; unmatched items are { ingredient, reason }, where
+ *                  reason is "quantity" (no amount), "food" (not in the dataset) or "unit"
+ *                  (the unit cannot be converted to grams for that food).
+ */
+export const calculateNutrition = (recipeIngredient, recipeYield) => {
+    const yieldServings = parseYield(recipeYield);
+    const servings = yieldServings || 1;
+    const totals = foodData.nutrients.map(() => 0);
+    const matched = [];
+    const unmatched = [];
+    let totalGrams = 0;
+
+    flattenIngredients(recipeIngredient || []).forEach((item) => {
+        const ingredient = isStructuredIngredient(item) ? item : parseIngredient(item);
+        const text = formatIngredient(item);
+        if (!text) {
+            return;
+        }
+
+        const quantity = parseQuantity(ingredient.quantity);
+        if (!quantity) {
+            unmatched.push({ ingredient: text, reason: 'quantity' });
+            return;
+        }
+
+        const food = matchFood(ingredient.name);
+        if (!food) {
+            unmatched.push({ ingredient: text, reason: 'food' });
+            return;
+        }
+
+        // Ranges ("2-3 cloves") count as their midpoint.
+        const amount = quantity.max !== null ? (quantity.min + quantity.max) / 2 : quantity.min;
+        const grams = toGrams(amount, normalizeUnit(ingredient.unit), food);
+        if (grams === null) {
+            unmatched.push({ ingredient: text, reason: 'unit' });
+            return;
+        }
+
+        food.nutrients.forEach((value, index) => {
+            totals[index] += (value * grams) / 100;
+        });
+        totalGrams += grams;
+        matched.push({ ingredient: text, food: food.name, grams: Math.round(grams) });
+    });
+
+    const nutrition = {};
+    if (matched.length) {
+        foodData.nutrients.forEach((property, index) => {
+            nutrition[property] = formatNutrient(property, totals[index] / servings);
+        });
+        nutrition.servingSize = `${Math.round(totalGrams / servings)} g`;
+    }
+
+    return { nutrition, servings, hasYield: yieldServings !== null, matched, unmatched };
+};
@@ -0,0 +1,160 @@
+/**
+ * Recipe Quantities
+ *
+ * Formatting and scaling helpers for ingredient amounts and recipe yields.
+ * Amounts are rounded to the fractions found on measuring cups and spoons and
+ * printed with unicode vulgar fractions (1⅓, ¾) for US customary units, or as
+ * rounded decimals for metric units.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { parseAmount } from './ingredients';
+import { UNITS, convertUnit, simplifyUnit, unitLabel, unitSystem } from './units';
+
+/**
+ * Fractions readers can measure, with their display glyphs.
+ */
+const DISPLAY_FRACTIONS = [
+    [1 / 8, '⅛'],
+    [1 / 4, '¼'],
+    [1 / 3, '⅓'],
+    [3 / 8, '⅜'],
+    [1 / 2, '½'],
+    [5 / 8, '⅝'],
+    [2 / 3, '⅔'],
+    [3 / 4, '¾'],
+    [7 / 8, '⅞']
+];
+
+/**
+ * Format an amount with unicode fractions.
+ *
+ * The fractional part snaps to the nearest measurable fraction; amounts too far
+ * from any fraction fall back to one decimal place.
+ *
+ * @param {number} amount Amount to format
+ * @return {string} Display amount (e.g., "1⅓", "¾", "2")
+ */
+export const formatFraction = (amount) => {
+    const whole = Math.floor(amount);
+    const remainder = amount - whole;
+
+    if (remainder < 1 / 16) {
+        return String(whole || Math.round(amount * 100) / 100);
+    }
+
+    if (remainder > 15 / 16) {
+        return String(whole + 1);
+    }
+
+    const [value, glyph] = DISPLAY_FRACTIONS.reduce((closest, candidate) => (
+        Math.abs(candidate[0] - remainder) < Math.abs(closest[0] - remainder) ? candidate : closest
+    ));
+
+    if (Math.abs(value - remainder) > 0.05) {
+        return String(Math.round(amount * 10) / 10);
+    }
+
+    return whole ? `${whole}${glyph}` : glyph;
+};
+
+/**
+ * Format an amount as a rounded decimal, for metric units.
+ *
+ * @param {number} amount Amount to format
+ * @return {string} Display amount (e.g., "250", "1.5", "5")
+ */
+export const formatDecimal = (amount) => {
+    if (amount >= 100) {
+        return String(Math.round(amount / 5) * 5);
+    }
+    if (amount >= 10) {
+        return String(Math.round(amount));
+    }
+    return String(Math.round(amount * 2) / 2 || Math.round(amount * 10) / 10 || Math.round(amount * 100) / 100);
+};
+
+/**
+ * Format an amount for display in the given unit.
+ *
+ * @param {number}      amount Amount to format
+ * @param {string|null} key    Canonical unit key, if known
+ * @return {string} Display amount
+ */
+export const formatQuantity = (amount, key = null) => (
+    key && UNITS[key] && UNITS[key].system === 'metric' ? formatDecimal(amount) : formatFraction(amount)
+);
+
+/**
+ * Scale an amount (or range) and re-express it in a readable unit.
+ *
+ * When a target system is given, measurable units from the other system are
+ * converted (cups → ml, g → oz); otherwise scaled amounts are simplified within
+ * their own system.
+ *
+ * @param {{min: number, max: number|null}} quantity Parsed quantity
+ * @param {string|null}                     key      Canonical unit key, if known
+ * @param {number}                          factor   Scale factor (e.g., 2 to double)
+ * @param {string|null}                     system   Target system, "us" or "metric"
+ * @return {{quantity: string, unit: string|null}} Display quantity and canonical unit
+ */
+export const scaleQuantity = (quantity, key, factor, system = null) => {
+    const min = quantity.min * factor;
+    const max = quantity.max !== null ? quantity.max * factor : null;
+    const converting = system && key && unitSystem(key) && unitSystem(key) !== system;
+
+    if (!key || (factor === 1 && !converting)) {
+        return {
+            quantity: [min, max].filter((value) => value !== null).map((value) => formatQuantity(value, key)).join('–'),
+            unit: key
+        };
+    }
+
+    // Ranges starting at zero ("0–1 tsp") pick their unit from the upper bound; zero stays as written.
+    const reference = min || max;
+    if (!reference) {
+        return { quantity: formatQuantity(0, key), unit: key };
+    }
+
+    const adjusted = converting ? convertUnit(reference, key, system) : simplifyUnit(reference, key);
+    const ratio = adjusted.amount / reference;
+    const amounts = [min * ratio, max !== null ? max * ratio : null].filter((value) => value !== null);
+
+    return {
+        quantity: amounts.map((value) => formatQuantity(value, adjusted.unit)).join('–'),
+        unit: adjusted.unit
+    };
+};
+
+/**
+ * Display label for a scaled unit, pluralized from its display quantity.
+ *
+ * @param {string} key      Canonical unit key
+ * @param {string} quantity Display quantity (e.g., "1½")
+ * @return {string} Unit label
+ */
+export const scaledUnitLabel = (key, quantity) => {
+    const amount = parseAmount(String(quantity).split('–').pop());
+    return unitLabel(key, amount === null ? 2 : amount);
+};
+
+/**
+ * Extract the serving count from a recipe yield.
+ *
+ * Takes the first number in the yield text, so "4 servings", "Serves 4-6" and
+ * "Makes 12 muffins" yield 4, 4 and 12.
+ *
+ * @param {string} recipeYield Yield text
+ * @return {number|null} Serving count, or null when the yield has no number
+ */
+export const parseYield = (recipeYield) => {
+    const match = String(recipeYield || '').match(/\d+(?:[.,]\d+)?/);
+    if (!match) {
+        return null;
+    }
+
+    const servings = parseFloat(match[0].replace(',', '.'));
+    return servings > 0 ? servings : null;
+};
@@ -0,0 +1,343 @@
+/**
+ * Recipe Text Import
+ *
+ * Parses a whole recipe pasted as free-form text (from a document, email or
+ * another site) into recipe-schema block attributes. Recognizes section
+ * headings such as "Ingredients", "Instructions", "Notes", "Nutrition" and
+ * "Equipment", sub-headings such as "For the dough:", bulleted and numbered
+ * lists, time lines ("Prep: 15 mins | Cook: 1 hr"), yield lines ("Serves 4")
+ * and nutrition lines ("Calories: 250"). Parsing is purely line-based and has
+ * no side effects, so the same text always produces the same attributes.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { normalizeDuration } from './duration';
+import { createIngredientGroup, parseIngredient } from './ingredients';
+import { createSection } from './instructions';
+
+/**
+ * Section headings, matched against a cleaned heading line.
+ */
+const HEADINGS = [
+    { section: 'ingredients', pattern: /^(?:ingredients?(?: list)?|what you(?:'|’)?ll need|you will need)$/i },
+    { section: 'instructions', pattern: /^(?:instructions?|directions?|method|steps|preparation|how to make(?: it)?)$/i },
+    { section: 'notes', pattern: /^(?:(?:recipe |cook(?:'|’)?s )?notes?|tips?(?: (?:and|&) tricks)?)$/i },
+    { section: 'nutrition', pattern: /^nutrition(?: (?:facts|information|info))?(?: \(?per serving\)?)?$/i },
+    { section: 'equipment', pattern: /^(?:equipment|tools?)$/i }
+];
+
+/**
+ * Time labels and the attribute they fill.
+ */
+const TIME_LABELS = [
+    { attribute: 'prepTime', pattern: /^prep(?:aration)?(?: time)?$/i },
+    { attribute: 'cookTime', pattern: /^(?:cook(?:ing)?|bak(?:e|ing))(?: time)?$/i },
+    { attribute: 'totalTime', pattern: /^(?:total(?: time)?|ready in)$/i }
+];
+
+/**
+ * Nutrition labels and the nutrition property they fill.
+ */
+const NUTRITION_LABELS = [
+    { key: 'calories', pattern: /^(?:calories|energy|kcal)$/i },
+    { key: 'saturatedFatContent', pattern: /^saturated fat$/i },
+    { key: 'transFatContent', pattern: /^trans fat$/i },
+    { key: 'unsaturatedFatContent', pattern: /^(?:unsaturated|(?:mono|poly)unsaturated) fat$/i },
+    { key: 'fatContent', pattern: /^(?:total )?fat$/i },
+    { key: 'cholesterolContent', pattern: /^cholesterol$/i },
+    { key: 'sodiumContent', pattern: /^(?:sodium|salt)$/i },
+    { key: 'carbohydrateContent', pattern: /^(?:total )?(?:carbohydrates?|carbs)$/i },
+    { key: 'fiberContent', pattern: /^(?:dietary )?fib(?:er|re)$/i },
+    { key: 'sugarContent', pattern: /^(?:total )?sugars?$/i },
+    { key: 'proteinContent', pattern: /^protein$/i },
+    { key: 'servingSize', pattern: /^serving size$/i }
+];
+
+const YIELD_LABEL = /^(?:serves|servings|yields?|makes|portions)$/i;
+
+const LIST_MARKER = /^(?:step\s*\d+\s*[:.)-]?|\d+\s*[.):]|[-*•·▢□])\s*/i;
+
+/**
+ * Strip markdown heading and emphasis syntax and a trailing colon.
+ *
+ * @param {string} line Line text
+ * @return {string} Cleaned text
+ */
+const cleanHeading = (line) => line
+    .replace(/^#+\s*/, '')
+    .replace(/^(\*\*|__)(.*)\1$/, '$2')
+    .replace(/\s*:\s*$/, '')
+    .trim();
+
+/**
+ * Section a heading line starts, if any.
+ *
+ * @param {string} line Line text
+ * @return {string|null} Section name, or null when the line is not a heading
+ */
+const matchHeading = (line) => {
+    const heading = cleanHeading(line);
+    const match = HEADINGS.find(({ pattern }) => pattern.test(heading));
+    return match ? match.section : null;
+};
+
+/**
+ * Whether a line is a sub-heading inside a list ("For the dough:", "### Sauce").
+ *
+ * @param {string} line Line text
+ * @return {boolean} True for sub-headings
+ */
+const isSubheading = (line) => (
+    (/:\s*$/.test(line) || /^#+\s/.test(line) || /^(\*\*|__).+\1$/.test(line))
+    && !/\d/.test(line)
+    && cleanHeading(line).split(/\s+/).length <= 6
+);
+
+/**
+ * Remove a leading bullet or step number.
+ *
+ * @param {string} line Line text
+ * @return {{text: string, marker: boolean}} Text without the marker, and whether one was present
+ */
+const stripListMarker = (line) => {
+    const text = line.replace(LIST_MARKER, '');
+    return { text: text.trim(), marker: text !== line };
+};
+
+/**
+ * Split a line into "Label: value" segments. A single line may hold several
+ * ("Prep: 15 mins | Cook: 30 mins | Serves: 4").
+ *
+ * @param {string} line Line text
+ * @return {Array} Segments as { label, value }
+ */
+const splitLabelled = (line) => line
+    .split(/\s*[|·•]\s*|\t+|\s{3,}/)
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .map((segment) => {
+        const match = segment.match(/^([A-Za-z][A-Za-z ]*?)\s*:\s*(.+)$/)
+            || segment.match(/^(serves|makes|yields?|ready in)\s+(.+)$/i);
+        return match ? { label: match[1].trim(), value: match[2].trim() } : null;
+    });
+
+/**
+ * Read a nutrition value, adding "calories" to bare calorie counts.
+ *
+ * @param {string} key   Nutrition property
+ * @param {string} value Value text
+ * @return {string} Nutrition value
+ */
+const nutritionValue = (key, value) => (
+    key === 'calories' && /^\d+(?:[.,]\d+)?$/.test(value) ? `${value} calories` : value
+);
+
+/**
+ * Apply a labelled segment to the parsed attributes.
+ *
+ * @param {Object} attributes Parsed attributes (mutated)
+ * @param {string} label      Segment label
+ * @param {string} value      Segment value
+ * @return {boolean} True when the label was recognized
+ */
+const applyLabelled = (attributes, label, value) => {
+    const time = TIME_LABELS.find(({ pattern }) => pattern.test(label));
+    if (time) {
+        const duration = normalizeDuration(value);
+        if (duration) {
+            attributes[time.attribute] = duration;
+        }
+        return !!duration;
+    }
+
+    if (YIELD_LABEL.test(label)) {
+        const servings = /^(?:serves|servings|portions)$/i.test(label) && /^\d+(?:\s*[-–]\s*\d+)?$/.test(value);
+        attributes.recipeYield = servings ? `${value} servings` : value;
+        return true;
+    }
+
+    if (/^(?:course|category)$/i.test(label)) {
+        attributes.recipeCategory = value.split(/\s*,\s*/).filter(Boolean);
+        return true;
+    }
+
+    if (/^cuisine$/i.test(label)) {
+        attributes.recipeCuisine = value;
+        return true;
+    }
+
+    if (/^keywords?$/i.test(label)) {
+        attributes.keywords = value.split(/\s*,\s*/).filter(Boolean);
+        return true;
+    }
+
+    const nutrition = NUTRITION_LABELS.find(({ pattern }) => pattern.test(label));
+    if (nutrition) {
+        attributes.nutrition = { ...attributes.nutrition, [nutrition.key]: nutritionValue(nutrition.key, value) };
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Parse a metadata line (times, yield, cuisine, nutrition) into attributes.
+ *
+ * Every segment of the line must be recognized, so ordinary sentences that
+ * happen to contain a colon are left alone.
+ *
+ * @param {Object} attributes Parsed attributes (mutated)
+ * @param {string} line       Line text
+ * @return {boolean} True when the line was consumed
+ */
+const parseMetaLine = (attributes, line) => {
+    const segments = splitLabelled(stripListMarker(line).text);
+    if (!segments.length || segments.some((segment) => !segment)) {
+        return false;
+    }
+
+    const next = { ...attributes };
+    if (!segments.every(({ label, value }) => applyLabelled(next, label, value))) {
+        return false;
+    }
+
+    Object.assign(attributes, next);
+    return true;
+};
+
+/**
+ * Parse a nutrition-section line, which may omit the colon ("Protein 12g").
+ *
+ * @param {Object} attributes Parsed attributes (mutated)
+ * @param {string} line       Line text
+ * @return {boolean} True when the line was consumed
+ */
+const parseNutritionLine = (attributes, line) => {
+    if (parseMetaLine(attributes, line)) {
+        return true;
+    }
+
+    const match = stripListMarker(line).text.match(/^([A-Za-z][A-Za-z ]*?)\s+(\d.*)$/);
+    return !!match && applyLabelled(attributes, match[1], match[2]);
+};
+
+/**
+ * Parse free-form recipe text into block attributes.
+ *
+ * Text before the first section heading supplies the recipe name (first line)
+ * and description (remaining lines). Only attributes found in the text are
+ * returned, so applying the result leaves everything else untouched.
+ *
+ * @param {string} text Pasted recipe text
+ * @return {{attributes: Object, skipped: Array}} Parsed attributes and unrecognized lines
+ */
+export const parseRecipeText = (text) => {
+    const attributes = {};
+    const intro = [];
+    const ingredients = [];
+    const instructions = [];
+    const tools = [];
+    const notes = [];
+    const skipped = [];
+
+    let section = 'intro';
+    let ingredientGroup = null;
+    let instructionSection = null;
+    let numberedSteps = false;
+
+    String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+
+        const heading = matchHeading(line);
+        if (heading) {
+            section = heading;
+            ingredientGroup = null;
+            instructionSection = null;
+            return;
+        }
+
+        if (section === 'nutrition') {
+            if (!parseNutritionLine(attributes, line)) {
+                skipped.push(line);
+            }
+            return;
+        }
+
+        if (section !== 'ingredients' && parseMetaLine(attributes, line)) {
+            return;
+        }
+
+        switch (section) {
+            case 'ingredients':
+                if (isSubheading(line)) {
+                    ingredientGroup = createIngredientGroup(cleanHeading(line));
+                    ingredients.push(ingredientGroup);
+                } else {
+                    (ingredientGroup ? ingredientGroup.items : ingredients).push(parseIngredient(line));
+                }
+                break;
+
+            case 'instructions': {
+                if (isSubheading(line)) {
+                    instructionSection = createSection(cleanHeading(line));
+                    instructions.push(instructionSection);
+                    break;
+                }
+
+                const steps = instructionSection ? instructionSection.steps : instructions;
+                const { text: step, marker } = stripListMarker(line);
+                numberedSteps = numberedSteps || marker;
+
+                // In a numbered list, unnumbered lines continue the previous step.
+                const previous = steps.length - 1;
+                if (numberedSteps && !marker && previous > -1 && typeof steps[previous] === 'string') {
+                    steps[previous] = `${steps[previous]} ${step}`;
+                } else {
+                    steps.push(step);
+                }
+                break;
+            }
+
+            case 'notes':
+                notes.push(stripListMarker(line).text);
+                break;
+
+            case 'equipment':
+                tools.push(stripListMarker(line).text);
+                break;
+
+            default:
+                intro.push(line);
+        }
+    });
+
+    if (intro.length) {
+        attributes.recipeName = cleanHeading(intro[0]);
+        if (intro.length > 1) {
+            attributes.description = intro.slice(1).join(' ');
+        }
+    }
+
+    if (ingredients.length) {
+        attributes.recipeIngredient = ingredients;
+    }
+
+    if (instructions.length) {
+        attributes.recipeInstructions = instructions;
+    }
+
+    if (tools.length) {
+        attributes.tool = tools;
+    }
+
+    if (notes.length) {
+        attributes.notes = notes.join('\n');
+    }
+
+    return { attributes, skipped };
+};
@@ -0,0 +1,75 @@
+/**
+ * ISO 8601 Durations tests
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { findDurations, formatDuration, normalizeDuration, parseDuration } from '../duration';
+
+describe('parseDuration', () => {
+    it.each([
+        ['PT1H30M', 5400],
+        ['pt90m', 5400],
+        ['P1DT2H', 93600],
+        ['PT0.5H', 1800],
+        ['1 hr 15 min', 4500],
+        ['1 1/2 hours', 5400],
+        ['1:15', 4500],
+        ['45', 2700],
+        [45, 2700]
+    ])('reads %p as %p seconds', (value, expected) => {
+        expect(parseDuration(value)).toBe(expected);
+    });
+
+    it('reads ranges as their lower bound', () => {
+        expect(parseDuration('about 10-15 minutes')).toBe(600);
+        expect(parseDuration('1 to 2 hours')).toBe(3600);
+        expect(parseDuration('20–25 min')).toBe(findDurations('bake 20–25 minutes')[0].seconds);
+    });
+
+    it('returns null without a duration', () => {
+        expect(parseDuration('')).toBeNull();
+        expect(parseDuration('until golden')).toBeNull();
+        expect(parseDuration(-5)).toBeNull();
+    });
+});
+
+describe('normalizeDuration', () => {
+    it('serializes canonical ISO 8601 durations', () => {
+        expect(normalizeDuration('pt90m')).toBe('PT1H30M');
+        expect(normalizeDuration('P1W')).toBe('P7D');
+        expect(normalizeDuration('0')).toBe('PT0M');
+        expect(normalizeDuration('soon')).toBe('');
+    });
+});
+
+describe('findDurations', () => {
+    it('joins adjacent parts into one duration', () => {
+        expect(findDurations('Simmer for 1 hour and 15 minutes, then rest 5 minutes.')).toEqual([
+            { text: '1 hour and 15 minutes', seconds: 4500 },
+            { text: '5 minutes', seconds: 300 }
+        ]);
+    });
+
+    it('reads spelled-out amounts and ranges', () => {
+        expect(findDurations('Chill half an hour.')).toEqual([{ text: 'half an hour', seconds: 1800 }]);
+        expect(findDurations('Bake 20-25 minutes.')).toEqual([{ text: '20-25 minutes', seconds: 1200 }]);
+    });
+
+    it('ignores single-letter units', () => {
+        expect(findDurations('Roll out to 2 m long.')).toEqual([]);
+    });
+});
+
+describe('formatDuration', () => {
+    it('formats durations for readers', () => {
+        expect(formatDuration('PT1H30M')).toBe('1 hour 30 minutes');
+        expect(formatDuration('P1DT2H')).toBe('1 day 2 hours');
+        expect(formatDuration('PT0M')).toBe('0 minutes');
+    });
+
+    it('returns unparseable values unchanged', () => {
+        expect(formatDuration('overnight')).toBe('overnight');
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Recipe Ingredients tests
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { findIngredientAmount, parseIngredient } from '../ingredients';
+
+describe('findIngredientAmount', () => {
+    it('finds the quantity and unit as written', () => {
+        expect(findIngredientAmount('1½ cups flour, sifted')).toEqual({
+            quantity: { index: 0, text: '1½' },
+            unit: { index: 3, text: 'cups' }
+        });
+    });
+
+    it('skips package sizes, list markers and optional markers', () => {
+        expect(findIngredientAmount('1 (14 oz) can beans, drained')).toEqual({
+            quantity: { index: 0, text: '1' },
+            unit: { index: 10, text: 'can' }
+        });
+        expect(findIngredientAmount('- 2 tbsp. butter').unit).toEqual({ index: 4, text: 'tbsp.' });
+        expect(findIngredientAmount('Optional: 3 eggs')).toEqual({
+            quantity: { index: 10, text: '3' },
+            unit: null
+        });
+    });
+
+    it('matches the quantity and unit parseIngredient reads', () => {
+        const line = '2 to 3 Tbsp olive oil';
+        const amount = findIngredientAmount(line);
+
+        expect(parseIngredient(line)).toMatchObject({ quantity: '2–3', unit: 'Tbsp' });
+        expect(line.slice(amount.quantity.index, amount.quantity.index + amount.quantity.text.length)).toBe('2 to 3');
+        expect(line.slice(amount.unit.index, amount.unit.index + amount.unit.text.length)).toBe('Tbsp');
+    });
+
+    it('returns null without a leading quantity', () => {
+        expect(findIngredientAmount('Salt, to taste')).toBeNull();
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Recipe Quantities tests
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { formatFraction, scaleQuantity, scaledUnitLabel } from '../quantities';
+
+describe('scaleQuantity', () => {
+    it('scales and simplifies US amounts', () => {
+        expect(scaleQuantity({ min: 8, max: null }, 'tablespoon', 2)).toEqual({ quantity: '1', unit: 'cup' });
+    });
+
+    it('converts between systems', () => {
+        expect(scaleQuantity({ min: 2, max: null }, 'cup', 1, 'metric')).toEqual({ quantity: '475', unit: 'milliliter' });
+    });
+
+    it('leaves zero quantities at zero with a plural unit', () => {
+        const scaled = scaleQuantity({ min: 0, max: null }, 'teaspoon', 2);
+
+        expect(scaled).toEqual({ quantity: '0', unit: 'teaspoon' });
+        expect(scaledUnitLabel(scaled.unit, scaled.quantity)).toBe('tsp');
+        expect(scaledUnitLabel('cup', '0')).toBe('cups');
+    });
+
+    it('scales ranges that start at zero', () => {
+        expect(scaleQuantity({ min: 0, max: 1 }, 'cup', 2)).toEqual({ quantity: '0–2', unit: 'cup' });
+    });
+});
+
+describe('formatFraction', () => {
+    it.each([
+        [0.5, '½'],
+        [1.333, '1⅓'],
+        [2, '2'],
+        [0.95, '1'],
+        [0, '0']
+    ])('formats %p as %p', (amount, expected) => {
+        expect(formatFraction(amount)).toBe(expected);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Recipe Text Import tests
+ *
+ * Every fixtures/recipe-text/*.txt recipe is parsed and compared with the
+ * attributes and skipped lines in the .json file of the same name. Add a
+ * fixture pair for each pasted recipe the parser gets wrong.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { parseRecipeText } from '../recipe-text';
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'recipe-text');
+
+const fixtures = fs.readdirSync(FIXTURES)
+    .filter((file) => file.endsWith('.txt'))
+    .map((file) => path.basename(file, '.txt'));
+
+describe('parseRecipeText', () => {
+    it.each(fixtures)('parses the %s fixture', (name) => {
+        const text = fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8');
+        const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+
+        expect(parseRecipeText(text)).toEqual(expected);
+    });
+
+    it('returns the same attributes for the same text', () => {
+        const text = fs.readFileSync(path.join(FIXTURES, 'basic.txt'), 'utf8');
+
+        expect(parseRecipeText(text)).toEqual(parseRecipeText(text));
+    });
+
+    it('keeps package sizes out of ingredient names', () => {
+        const { attributes } = parseRecipeText('Ingredients\n1 (14 oz) can beans');
+
+        expect(attributes.recipeIngredient[0]).toMatchObject({
+            quantity: '1',
+            unit: 'can',
+            name: 'beans',
+            note: '14 oz'
+        });
+    });
+
+    it('returns no attributes for empty text', () => {
+        expect(parseRecipeText('')).toEqual({ attributes: {}, skipped: [] });
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Structured Data tests
+ *
+ * fixtures/structured-data/attributes.json sets every recipe block attribute,
+ * and post.json describes the post it is rendered in. jsonld.json and
+ * microdata.html are the serializer output for them, written and checked by
+ * `wp datamachine-recipes check-structured-data`, which fails when RecipeModel,
+ * Microdata or RecipeReviews output changes. These tests check that the two
+ * formats describe the same recipe and that the JSON-LD importer reads it back.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import metadata from '../../recipe-schema/block.json';
+import { recipeFromJsonLd } from '../jsonld';
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'structured-data');
+
+const readFixture = (file) => fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+
+const attributes = JSON.parse(readFixture('attributes.json'));
+const post = JSON.parse(readFixture('post.json'));
+const jsonld = JSON.parse(readFixture('jsonld.json'));
+const microdata = readFixture('microdata.html');
+
+/**
+ * Attributes only shown on the recipe card, with no Schema.org property.
+ */
+const CARD_ONLY_ATTRIBUTES = ['notes', 'tips', 'storage', 'layout', 'schemaVersion'];
+
+/**
+ * Recipe property each other attribute is output as.
+ */
+const SCHEMA_PROPERTIES = {
+    recipeName: 'name',
+    description: 'description',
+    prepTime: 'prepTime',
+    cookTime: 'cookTime',
+    totalTime: 'totalTime',
+    recipeYield: 'recipeYield',
+    recipeCategory: 'recipeCategory',
+    recipeCuisine: 'recipeCuisine',
+    recipeIngredient: 'recipeIngredient',
+    recipeInstructions: 'recipeInstructions',
+    nutrition: 'nutrition',
+    suitableForDiet: 'suitableForDiet',
+    keywords: 'keywords',
+    cookingMethod: 'cookingMethod',
+    video: 'video',
+    author: 'author',
+    datePublished: 'datePublished',
+    estimatedCost: 'estimatedCost',
+    tool: 'tool',
+    supply: 'supply',
+    images: 'image',
+    anchor: '@id'
+};
+
+/**
+ * Read the properties of a microdata item into a JSON-LD style node.
+ *
+ * Values are strings, as microdata has no other type, and a property given
+ * more than once becomes a list.
+ *
+ * @param {Element} item Element with an itemscope
+ * @return {Object} Node with @type, @id and the item's properties
+ */
+const readItem = (item) => {
+    const node = { '@type': item.getAttribute('itemtype').replace('https://schema.org/', '') };
+
+    if (item.hasAttribute('itemid')) {
+        node['@id'] = item.getAttribute('itemid');
+    }
+
+    const visit = (parent) => {
+        Array.from(parent.children).forEach((element) => {
+            if (element.hasAttribute('itemprop')) {
+                const property = element.getAttribute('itemprop');
+                let value = element.getAttribute('content');
+                if (element.hasAttribute('itemscope')) {
+                    value = readItem(element);
+                } else if (element.tagName === 'LINK') {
+                    value = element.getAttribute('href');
+                }
+
+                node[property] = property in node ? [].concat(node[property], value) : value;
+            }
+
+            // Properties inside a nested item belong to that item.
+            if (!element.hasAttribute('itemscope')) {
+                visit(element);
+            }
+        });
+    };
+
+    visit(item);
+
+    return node;
+};
+
+/**
+ * Bring a JSON-LD value to the form microdata can express.
+ *
+ * @param {*} value JSON-LD value
+ * @return {*} Value with scalars as strings and single-item lists unwrapped
+ */
+const toMicrodataForm = (value) => {
+    if (Array.isArray(value)) {
+        return value.length === 1 ? toMicrodataForm(value[0]) : value.map(toMicrodataForm);
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([property]) => property !== '@context')
+            .map(([property, item]) => [property, toMicrodataForm(item)]));
+    }
+
+    return String(value);
+};
+
+describe('structured data fixtures', () => {
+    it('set every block attribute', () => {
+        Object.entries(metadata.attributes).forEach(([name, definition]) => {
+            expect(attributes).toHaveProperty([name]);
+            expect(attributes[name]).not.toEqual(definition.default);
+        });
+    });
+
+    it('output every attribute with a Schema.org property', () => {
+        Object.keys(metadata.attributes)
+            .filter((name) => !CARD_ONLY_ATTRIBUTES.includes(name))
+            .forEach((name) => {
+                expect(SCHEMA_PROPERTIES).toHaveProperty([name]);
+                expect(jsonld).toHaveProperty([SCHEMA_PROPERTIES[name]]);
+            });
+    });
+
+    it('render the recipe in the fixture post', () => {
+        expect(jsonld['@id']).toBe(`${post.permalink}#${attributes.anchor}`);
+        expect(jsonld.aggregateRating).toMatchObject({ ratingValue: post.rating_value, reviewCount: post.review_count });
+        expect(jsonld.review).toHaveLength(post.reviews.length);
+    });
+});
+
+describe('microdata', () => {
+    it('describes the same recipe as the JSON-LD', () => {
+        const document = new DOMParser().parseFromString(microdata, 'text/html');
+        const item = document.body.querySelector('[itemscope]');
+
+        expect(readItem(item)).toEqual(toMicrodataForm(jsonld));
+    });
+
+    it('has a single top-level item', () => {
+        const document = new DOMParser().parseFromString(microdata, 'text/html');
+
+        expect(document.body.querySelectorAll('[itemscope]:not([itemprop])')).toHaveLength(1);
+    });
+});
+
+describe('recipeFromJsonLd', () => {
+    const { attributes: imported, dropped } = recipeFromJsonLd(jsonld);
+
+    it('imports the recipe JSON-LD back into the block attributes', () => {
+        [
+            'recipeName',
+            'prepTime',
+            'cookTime',
+            'totalTime',
+            'recipeYield',
+            'recipeCategory',
+            'recipeCuisine',
+            'keywords',
+            'cookingMethod',
+            'nutrition',
+            'video',
+            'author',
+            'datePublished',
+            'supply'
+        ].forEach((name) => {
+            expect(imported[name]).toEqual(attributes[name]);
+        });
+
+        expect(imported.description).toBe('Light, lemony pancakes made with whole-milk ricotta.');
+        expect(imported.recipeIngredient).toEqual(jsonld.recipeIngredient);
+        expect(imported.suitableForDiet).toEqual(['VegetarianDiet', 'GlutenFreeDiet']);
+        expect(imported.estimatedCost).toBe('4.5-6.75 USD');
+    });
+
+    it('only drops the properties WordPress manages', () => {
+        expect(dropped).toEqual(['image', 'aggregateRating', 'review']);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Recipe Units tests
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import {
+    convertTemperatures,
+    convertUnit,
+    hasTemperature,
+    matchLeadingUnit,
+    normalizeUnit,
+    simplifyUnit,
+    unitLabel
+} from '../units';
+
+describe('normalizeUnit', () => {
+    it('resolves spellings and abbreviations', () => {
+        expect(normalizeUnit('Tbsp.')).toBe('tablespoon');
+        expect(normalizeUnit('cups')).toBe('cup');
+        expect(normalizeUnit('Litres')).toBe('liter');
+        expect(normalizeUnit('handfuls')).toBe('handful');
+        expect(normalizeUnit('splash')).toBeNull();
+    });
+
+    it('keeps the case of the T and t shorthands', () => {
+        expect(normalizeUnit('T')).toBe('tablespoon');
+        expect(normalizeUnit('t')).toBe('teaspoon');
+    });
+});
+
+describe('matchLeadingUnit', () => {
+    it('prefers multi-word units over their prefixes', () => {
+        expect(matchLeadingUnit('fl oz milk')).toEqual({ unit: 'fl oz', key: 'fluidOunce', rest: 'milk' });
+    });
+
+    it('only matches whole words', () => {
+        expect(matchLeadingUnit('cans tomatoes').key).toBe('can');
+        expect(matchLeadingUnit('cauliflower')).toBeNull();
+    });
+});
+
+describe('unitLabel', () => {
+    it('pluralizes for amounts other than one', () => {
+        expect(unitLabel('cup', 1)).toBe('cup');
+        expect(unitLabel('cup', 2)).toBe('cups');
+        expect(unitLabel('cup', 0)).toBe('cups');
+        expect(unitLabel('splash', 2)).toBe('splash');
+    });
+});
+
+describe('simplifyUnit', () => {
+    it('moves amounts along the unit ladder', () => {
+        expect(simplifyUnit(16, 'tablespoon')).toMatchObject({ unit: 'cup' });
+        expect(simplifyUnit(16, 'tablespoon').amount).toBeCloseTo(1);
+        expect(simplifyUnit(1500, 'gram')).toEqual({ amount: 1.5, unit: 'kilogram' });
+        expect(simplifyUnit(3, 'teaspoon')).toMatchObject({ unit: 'tablespoon' });
+    });
+
+    it('leaves units off the ladder unchanged', () => {
+        expect(simplifyUnit(2, 'pint')).toEqual({ amount: 2, unit: 'pint' });
+        expect(simplifyUnit(4, 'clove')).toEqual({ amount: 4, unit: 'clove' });
+    });
+});
+
+describe('convertUnit', () => {
+    it('converts between systems', () => {
+        expect(convertUnit(250, 'milliliter', 'us')).toMatchObject({ unit: 'cup' });
+        expect(convertUnit(2, 'pound', 'metric')).toMatchObject({ unit: 'gram' });
+        expect(convertUnit(2, 'pound', 'metric').amount).toBeCloseTo(907.184);
+    });
+
+    it('leaves amounts already in the system unchanged', () => {
+        expect(convertUnit(2, 'cup', 'us')).toEqual({ amount: 2, unit: 'cup' });
+        expect(convertUnit(1, 'can', 'metric')).toEqual({ amount: 1, unit: 'can' });
+    });
+});
+
+describe('convertTemperatures', () => {
+    it('converts to common oven dial settings', () => {
+        expect(convertTemperatures('Bake at 350°F.', 'metric')).toBe('Bake at 175°C.');
+        expect(convertTemperatures('Heat to 180 degrees Celsius.', 'us')).toBe('Heat to 350°F.');
+        expect(convertTemperatures('Bake at 350°F.', 'us')).toBe('Bake at 350°F.');
+    });
+
+    it('detects temperatures', () => {
+        expect(hasTemperature('Preheat to 220 °C')).toBe(true);
+        expect(hasTemperature('Bake 20 minutes')).toBe(false);
+    });
+});
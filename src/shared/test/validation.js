@@ -0,0 +1,73 @@
+/**
+ * Recipe Validation tests
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { computeTotalTime, getFix, validateRecipe } from '../validation';
+
+const RULES = [
+    { id: 'name', check: 'required', property: 'recipeName' },
+    { id: 'ingredients', check: 'required', property: 'recipeIngredient' },
+    { id: 'calories', check: 'required', property: 'nutrition.calories' },
+    { id: 'image', check: 'image', property: 'images' },
+    { id: 'prepTime', check: 'duration', property: 'prepTime' },
+    { id: 'totalTime', check: 'totalTime', property: 'totalTime', fix: 'computeTotalTime' }
+];
+
+const ids = (issues) => issues.map((issue) => issue.id);
+
+describe('validateRecipe', () => {
+    const valid = {
+        recipeName: 'Pancakes',
+        recipeIngredient: ['2 cups flour'],
+        nutrition: { calories: '250 calories' },
+        images: [{ id: 1 }],
+        prepTime: 'PT10M',
+        cookTime: 'PT20M',
+        totalTime: 'PT30M'
+    };
+
+    it('passes a complete recipe', () => {
+        expect(validateRecipe(valid, {}, RULES)).toEqual([]);
+    });
+
+    it('treats lists of empty items as missing', () => {
+        expect(ids(validateRecipe({ ...valid, recipeIngredient: ['', '  '] }, {}, RULES))).toEqual(['ingredients']);
+        expect(ids(validateRecipe({ ...valid, nutrition: {} }, {}, RULES))).toEqual(['calories']);
+    });
+
+    it('accepts the featured image in place of recipe images', () => {
+        expect(ids(validateRecipe({ ...valid, images: [] }, {}, RULES))).toEqual(['image']);
+        expect(validateRecipe({ ...valid, images: [] }, { hasImage: true }, RULES)).toEqual([]);
+    });
+
+    it('flags invalid durations and totals that do not add up', () => {
+        expect(ids(validateRecipe({ ...valid, prepTime: '10 minutes' }, {}, RULES))).toEqual(['prepTime']);
+        expect(ids(validateRecipe({ ...valid, totalTime: 'PT45M' }, {}, RULES))).toEqual(['totalTime']);
+        expect(validateRecipe({ ...valid, prepTime: '' }, {}, RULES)).toEqual([]);
+    });
+
+    it('ignores rules with unknown checks', () => {
+        expect(validateRecipe(valid, {}, [{ id: 'other', check: 'unknown', property: 'recipeName' }])).toEqual([]);
+    });
+});
+
+describe('computeTotalTime', () => {
+    it('adds the prep and cook times', () => {
+        expect(computeTotalTime({ prepTime: 'PT45M', cookTime: 'PT1H' })).toBe('PT1H45M');
+        expect(computeTotalTime({ prepTime: 'PT15M', cookTime: '' })).toBe('PT15M');
+        expect(computeTotalTime({ prepTime: '', cookTime: '' })).toBe('');
+    });
+});
+
+describe('getFix', () => {
+    it('returns the attributes the fix updates', () => {
+        const issue = RULES.find((rule) => rule.id === 'totalTime');
+
+        expect(getFix(issue, { prepTime: 'PT10M', cookTime: 'PT20M' })).toEqual({ totalTime: 'PT30M' });
+        expect(getFix(issue, {})).toBeNull();
+        expect(getFix({ id: 'name' }, {})).toBeNull();
+    });
+});
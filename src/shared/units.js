@@ -0,0 +1,285 @@
+/**
+ * Recipe Units
+ *
+ * Canonical cooking unit definitions shared by the ingredient parser and the
+ * front-end recipe tools. Each unit has a canonical key plus the spellings and
+ * abbreviations readers and AI output commonly use for it.
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+/**
+ * Unit definitions keyed by canonical unit.
+ *
+ * `singular`/`plural` are the display forms used when formatting ingredients.
+ * Measurable units carry a `dimension` (volume or weight), the `system` they
+ * belong to and `base`, their size in milliliters or grams. Count units such as
+ * "clove" or "can" have no dimension and are never converted.
+ * Aliases are matched case-insensitively, except for the single-letter `T`/`t`
+ * shorthands, which are case-sensitive and listed in CASE_SENSITIVE_ALIASES.
+ */
+export const UNITS = {
+    teaspoon: { singular: 'tsp', plural: 'tsp', dimension: 'volume', system: 'us', base: 4.92892, aliases: ['tsp', 'tsps', 'teaspoon', 'teaspoons'] },
+    tablespoon: { singular: 'tbsp', plural: 'tbsp', dimension: 'volume', system: 'us', base: 14.7868, aliases: ['tbsp', 'tbsps', 'tbs', 'tablespoon', 'tablespoons'] },
+    fluidOunce: { singular: 'fl oz', plural: 'fl oz', dimension: 'volume', system: 'us', base: 29.5735, aliases: ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'] },
+    cup: { singular: 'cup', plural: 'cups', dimension: 'volume', system: 'us', base: 236.588, aliases: ['cup', 'cups', 'c'] },
+    pint: { singular: 'pint', plural: 'pints', dimension: 'volume', system: 'us', base: 473.176, aliases: ['pint', 'pints', 'pt'] },
+    quart: { singular: 'quart', plural: 'quarts', dimension: 'volume', system: 'us', base: 946.353, aliases: ['quart', 'quarts', 'qt'] },
+    gallon: { singular: 'gallon', plural: 'gallons', dimension: 'volume', system: 'us', base: 3785.41, aliases: ['gallon', 'gallons', 'gal'] },
+    milliliter: { singular: 'ml', plural: 'ml', dimension: 'volume', system: 'metric', base: 1, aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+    liter: { singular: 'l', plural: 'l', dimension: 'volume', system: 'metric', base: 1000, aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+    ounce: { singular: 'oz', plural: 'oz', dimension: 'weight', system: 'us', base: 28.3495, aliases: ['oz', 'ounce', 'ounces'] },
+    pound: { singular: 'lb', plural: 'lb', dimension: 'weight', system: 'us', base: 453.592, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+    gram: { singular: 'g', plural: 'g', dimension: 'weight', system: 'metric', base: 1, aliases: ['g', 'gram', 'grams', 'gr'] },
+    kilogram: { singular: 'kg', plural: 'kg', dimension: 'weight', system: 'metric', base: 1000, aliases: ['kg', 'kilogram', 'kilograms'] },
+    pinch: { singular: 'pinch', plural: 'pinches', aliases: ['pinch', 'pinches'] },
+    dash: { singular: 'dash', plural: 'dashes', aliases: ['dash', 'dashes'] },
+    clove: { singular: 'clove', plural: 'cloves', aliases: ['clove', 'cloves'] },
+    can: { singular: 'can', plural: 'cans', aliases: ['can', 'cans'] },
+    package: { singular: 'package', plural: 'packages', aliases: ['package', 'packages', 'pkg'] },
+    stick: { singular: 'stick', plural: 'sticks', aliases: ['stick', 'sticks'] },
+    slice: { singular: 'slice', plural: 'slices', aliases: ['slice', 'slices'] },
+    piece: { singular: 'piece', plural: 'pieces', aliases: ['piece', 'pieces'] },
+    bunch: { singular: 'bunch', plural: 'bunches', aliases: ['bunch', 'bunches'] },
+    sprig: { singular: 'sprig', plural: 'sprigs', aliases: ['sprig', 'sprigs'] },
+    handful: { singular: 'handful', plural: 'handfuls', aliases: ['handful', 'handfuls'] }
+};
+
+/**
+ * Units readers expect to see, smallest first, per dimension and system.
+ *
+ * Scaled amounts are moved along these ladders so that, for example, 16 tbsp
+ * becomes 1 cup and 1500 g becomes 1.5 kg. Less common units (fl oz, pints,
+ * quarts) are left alone when they appear in a recipe but are never chosen.
+ */
+export const UNIT_LADDERS = {
+    volume: {
+        us: ['teaspoon', 'tablespoon', 'cup'],
+        metric: ['milliliter', 'liter']
+    },
+    weight: {
+        us: ['ounce', 'pound'],
+        metric: ['gram', 'kilogram']
+    }
+};
+
+/**
+ * Single-letter shorthands where case carries meaning (T = tablespoon, t = teaspoon).
+ */
+const CASE_SENSITIVE_ALIASES = {
+    T: 'tablespoon',
+    t: 'teaspoon'
+};
+
+const ALIAS_LOOKUP = Object.keys(UNITS).reduce((lookup, key) => {
+    UNITS[key].aliases.forEach((alias) => {
+        lookup[alias] = key;
+    });
+    return lookup;
+}, {});
+
+/**
+ * Aliases sorted longest first so multi-word units ("fl oz") win over their prefixes.
+ */
+const SORTED_ALIASES = [...Object.keys(ALIAS_LOOKUP), ...Object.keys(CASE_SENSITIVE_ALIASES)]
+    .sort((a, b) => b.length - a.length);
+
+/**
+ * Resolve a unit spelling to its canonical key.
+ *
+ * @param {string} unit Unit as written (e.g., "Tbsp.", "cups")
+ * @return {string|null} Canonical unit key, or null when unknown
+ */
+export const normalizeUnit = (unit) => {
+    if (!unit) {
+        return null;
+    }
+
+    const trimmed = unit.trim().replace(/\.$/, '');
+    if (CASE_SENSITIVE_ALIASES[trimmed]) {
+        return CASE_SENSITIVE_ALIASES[trimmed];
+    }
+
+    return ALIAS_LOOKUP[trimmed.toLowerCase()] || null;
+};
+
+/**
+ * Match a known unit at the start of a string.
+ *
+ * @param {string} text Text that may begin with a unit (e.g., "cups flour, sifted")
+ * @return {{unit: string, key: string, rest: string}|null} Matched unit text, canonical key and remaining text
+ */
+export const matchLeadingUnit = (text) => {
+    for (const alias of SORTED_ALIASES) {
+        const caseSensitive = Object.prototype.hasOwnProperty.call(CASE_SENSITIVE_ALIASES, alias);
+        const candidate = text.substring(0, alias.length);
+        const matches = caseSensitive ? candidate === alias : candidate.toLowerCase() === alias;
+        if (!matches) {
+            continue;
+        }
+
+        const after = text.substring(alias.length);
+        const boundary = after.match(/^\.?(?=\s|,|$)/);
+        if (!boundary) {
+            continue;
+        }
+
+        return {
+            unit: text.substring(0, alias.length + boundary[0].length),
+            key: normalizeUnit(alias),
+            rest: after.substring(boundary[0].length).trim()
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Display label for a canonical unit.
+ *
+ * @param {string} key    Canonical unit key
+ * @param {number} amount Quantity the unit describes, for pluralization
+ * @return {string} Display label, or the key itself for unknown units
+ */
+export const unitLabel = (key, amount = 1) => {
+    const unit = UNITS[key];
+    if (!unit) {
+        return key;
+    }
+    // Zero takes the plural, as in "0 cups".
+    return amount > 1 || amount === 0 ? unit.plural : unit.singular;
+};
+
+/**
+ * Whether an amount is close to a fraction readers can measure.
+ *
+ * @param {number} amount Amount in a given unit
+ * @return {boolean} True when within 3% of a whole number of eighths or thirds
+ */
+const isMeasurable = (amount) => [8, 3].some((denominator) => {
+    const scaled = amount * denominator;
+    const nearest = Math.round(scaled);
+    return nearest > 0 && Math.abs(scaled - nearest) / scaled <= 0.03;
+});
+
+/**
+ * Re-express an amount in the most readable unit of the same system.
+ *
+ * Walks the unit ladder from the largest unit down and picks the first one where
+ * the amount is at least 1 (or ¼ for cups) and measurable with common spoons and
+ * cups, falling back to the smallest unit. Metric amounts switch to kg/l from
+ * 1000 g/ml. Units outside the ladder, or without a dimension, are unchanged.
+ *
+ * @param {number} amount Amount in the given unit
+ * @param {string} key    Canonical unit key
+ * @return {{amount: number, unit: string}} Readable amount and canonical unit
+ */
+export const simplifyUnit = (amount, key) => {
+    const unit = UNITS[key];
+    if (!unit || !unit.dimension) {
+        return { amount, unit: key };
+    }
+
+    const ladder = UNIT_LADDERS[unit.dimension][unit.system];
+    if (!ladder.includes(key)) {
+        return { amount, unit: key };
+    }
+
+    const base = amount * unit.base;
+
+    if (unit.system === 'metric') {
+        const [small, large] = ladder;
+        return base >= UNITS[large].base
+            ? { amount: base / UNITS[large].base, unit: large }
+            : { amount: base / UNITS[small].base, unit: small };
+    }
+
+    for (let index = ladder.length - 1; index >= 0; index--) {
+        const candidate = ladder[index];
+        const candidateAmount = base / UNITS[candidate].base;
+        const minimum = candidate === 'cup' ? 0.25 : 1;
+        if (candidateAmount >= minimum - 0.001 && isMeasurable(candidateAmount)) {
+            return { amount: candidateAmount, unit: candidate };
+        }
+    }
+
+    return { amount: base / UNITS[ladder[0]].base, unit: ladder[0] };
+};
+
+/**
+ * Convert an amount into the other measurement system.
+ *
+ * Picks the largest unit on the target ladder where the amount is at least 1
+ * (or ¼ for cups), so 250 ml becomes 1 cup and 2 cups become 475 ml. Amounts
+ * already in the target system, and units without a dimension, are unchanged.
+ *
+ * @param {number} amount Amount in the given unit
+ * @param {string} key    Canonical unit key
+ * @param {string} system Target system, "us" or "metric"
+ * @return {{amount: number, unit: string}} Converted amount and canonical unit
+ */
+export const convertUnit = (amount, key, system) => {
+    const unit = UNITS[key];
+    if (!unit || !unit.dimension || unit.system === system || !UNIT_LADDERS[unit.dimension][system]) {
+        return { amount, unit: key };
+    }
+
+    const base = amount * unit.base;
+    const ladder = UNIT_LADDERS[unit.dimension][system];
+
+    for (let index = ladder.length - 1; index > 0; index--) {
+        const candidate = ladder[index];
+        const candidateAmount = base / UNITS[candidate].base;
+        const minimum = candidate === 'cup' ? 0.25 : 1;
+        if (candidateAmount >= minimum) {
+            return { amount: candidateAmount, unit: candidate };
+        }
+    }
+
+    return { amount: base / UNITS[ladder[0]].base, unit: ladder[0] };
+};
+
+/**
+ * Measurement system a unit belongs to.
+ *
+ * @param {string|null} key Canonical unit key
+ * @return {string|null} "us", "metric", or null for count units
+ */
+export const unitSystem = (key) => (UNITS[key] && UNITS[key].system) || null;
+
+const TEMPERATURE_PATTERN = /(\d{2,3})\s*(?:°\s*|degrees?\s+)(F|C|Fahrenheit|Celsius)\b/gi;
+
+/**
+ * Convert oven temperatures in free text to the given system.
+ *
+ * Recognizes "350°F", "180 °C" and "350 degrees Fahrenheit". Fahrenheit results
+ * round to the nearest 25° and Celsius results to the nearest 5°, matching
+ * common oven dial settings.
+ *
+ * @param {string} text   Instruction text
+ * @param {string} system Target system, "us" (Fahrenheit) or "metric" (Celsius)
+ * @return {string} Text with converted temperatures
+ */
+export const convertTemperatures = (text, system) => text.replace(TEMPERATURE_PATTERN, (match, degrees, scale) => {
+    const isFahrenheit = scale[0].toUpperCase() === 'F';
+    const value = parseInt(degrees, 10);
+
+    if (system === 'metric' && isFahrenheit) {
+        return `${Math.round(((value - 32) * 5) / 9 / 5) * 5}°C`;
+    }
+
+    if (system === 'us' && !isFahrenheit) {
+        return `${Math.round(((value * 9) / 5 + 32) / 25) * 25}°F`;
+    }
+
+    return match;
+});
+
+/**
+ * Whether free text contains a temperature that can be converted.
+ *
+ * @param {string} text Instruction text
+ * @return {boolean} True when a temperature is present
+ */
+export const hasTemperature = (text) => new RegExp(TEMPERATURE_PATTERN.source, 'i').test(text);
@@ -0,0 +1,123 @@
+/**
+ * Recipe Validation
+ *
+ * Runs the recipe validation rules against recipe-schema block attributes in
+ * the editor. The rules themselves are defined server-side by
+ * DataMachineRecipes\Recipe\Validator and passed to the editor script, so this
+ * module only implements the checks they reference: required, image, duration
+ * and totalTime. Keep the checks in sync with Validator::passes().
+ *
+ * @package DataMachineRecipes
+ * @since 1.2.0
+ */
+
+import { durationToSeconds, secondsToDuration } from './duration';
+
+/**
+ * Get the validation rules passed from the server.
+ *
+ * @return {Array} Validation rules
+ */
+export const getValidationRules = () => window.datamachineRecipesValidation?.rules || [];
+
+/**
+ * Compute totalTime from prepTime and cookTime.
+ *
+ * @param {Object} attributes Block attributes
+ * @return {string} ISO 8601 duration, or empty string when neither time is valid
+ */
+export const computeTotalTime = (attributes) => {
+    const prep = durationToSeconds(attributes.prepTime);
+    const cook = durationToSeconds(attributes.cookTime);
+
+    if (prep === null && cook === null) {
+        return '';
+    }
+    return secondsToDuration((prep || 0) + (cook || 0));
+};
+
+/**
+ * One-click fixes referenced by rules. Each returns the attributes to update,
+ * or null when the fix cannot be applied.
+ */
+const FIXES = {
+    computeTotalTime: (attributes) => {
+        const totalTime = computeTotalTime(attributes);
+        return totalTime ? { totalTime } : null;
+    }
+};
+
+/**
+ * Get the attribute changes for an issue's one-click fix.
+ *
+ * @param {Object} issue      Validation issue
+ * @param {Object} attributes Block attributes
+ * @return {Object|null} Attributes to update, or null when no fix applies
+ */
+export const getFix = (issue, attributes) => (
+    issue.fix && FIXES[issue.fix] ? FIXES[issue.fix](attributes) : null
+);
+
+/**
+ * Read an attribute value by dot path (e.g., "nutrition.calories").
+ *
+ * @param {Object} attributes Block attributes
+ * @param {string} path       Attribute path
+ * @return {*} Value, or undefined when missing
+ */
+const getValue = (attributes, path) => path.split('.').reduce(
+    (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+    attributes
+);
+
+/**
+ * Whether a value has content. Arrays and objects count as filled when any
+ * item has content, so lists of empty steps or ingredients are empty.
+ *
+ * @param {*} value Attribute value
+ * @return {boolean} True when the value has content
+ */
+const isFilled = (value) => {
+    if (Array.isArray(value)) {
+        return value.some(isFilled);
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).some(isFilled);
+    }
+    if (typeof value === 'string') {
+        return value.trim() !== '';
+    }
+    return typeof value === 'number';
+};
+
+/**
+ * Rule checks, keyed by the rule's check name.
+ */
+const CHECKS = {
+    required: (value) => isFilled(value),
+    image: (value, attributes, context) => !!context.hasImage || (attributes.images || []).length > 0,
+    duration: (value) => !isFilled(value) || durationToSeconds(value) !== null,
+    totalTime: (value, attributes) => {
+        const prep = durationToSeconds(attributes.prepTime);
+        const cook = durationToSeconds(attributes.cookTime);
+        const total = durationToSeconds(value);
+
+        if (prep === null || cook === null || total === null) {
+            return true;
+        }
+        return total === prep + cook;
+    }
+};
+
+/**
+ * Validate recipe attributes against the rule set.
+ *
+ * @param {Object} attributes Block attributes
+ * @param {Object} context    Extra facts about the post: { hasImage }
+ * @param {Array}  rules      Validation rules (defaults to the server rules)
+ * @return {Array} Failed rules as issues
+ */
+export const validateRecipe = (attributes, context = {}, rules = getValidationRules()) => rules.filter((rule) => {
+    const check = CHECKS[rule.check];
+    return check && !check(getValue(attributes, rule.property), attributes, context);
+});
@@ -0,0 +1,16 @@
+/**
+ * Webpack configuration
+ *
+ * Extends the @wordpress/scripts defaults, which build every block.json entry,
+ * with entry points that do not belong to a block.
+ */
+
+const defaultConfig = require('@wordpress/scripts/config/webpack.config');
+
+module.exports = {
+    ...defaultConfig,
+    entry: () => ({
+        ...defaultConfig.entry(),
+        'recipe-print/index': './src/recipe-print/index.js'
+    })
+};